@@ -1,5 +1,16 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useSwipeable } from 'react-swipeable';
+import SearchSnippet from './SearchSnippet';
+import ProductHistory from './ProductHistory';
+import CategoryManager from './CategoryManager';
+import DuplicateReview from './DuplicateReview';
+import MakerList, { getProductMakers } from './MakerList';
+import LinkedInReview from './LinkedInReview';
+import { storeAdminAuthHeaders, clearAdminAuthHeaders } from '../utils/adminAuth';
+import { getProductCategories } from '../utils/productCategories';
+
+// How many makers from the top of the current list count as "on screen" for enrichment priority
+const PRIORITY_WINDOW = 30;
 
 const AdminPanel = () => {
   const [makers, setMakers] = useState([]);
@@ -9,6 +20,14 @@ const AdminPanel = () => {
   const [message, setMessage] = useState(null);
   const [statusFilter, setStatusFilter] = useState('pending');
   const [categoryFilter, setCategoryFilter] = useState('all');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [historyProduct, setHistoryProduct] = useState(null);
+  const [linkedinReview, setLinkedinReview] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [showCategories, setShowCategories] = useState(false);
+  const [showDuplicates, setShowDuplicates] = useState(false);
   const [processingIds, setProcessingIds] = useState(new Set());
   const [currentCardIndex, setCurrentCardIndex] = useState(0);
   const [swipeDirection, setSwipeDirection] = useState(null);
@@ -33,12 +52,40 @@ const AdminPanel = () => {
   useEffect(() => {
     if (isAuthenticated) {
       loadMakers();
+      loadCategories();
     }
   }, [isAuthenticated]);
 
   useEffect(() => {
     filterMakers();
-  }, [makers, statusFilter, categoryFilter]);
+  }, [makers, statusFilter, categoryFilter, searchResults]);
+
+  // Queued enrichment jobs for the makers on screen run before the rest of the batch
+  useEffect(() => {
+    if (!isAuthenticated || filteredMakers.length === 0) return;
+
+    const onScreen = [filteredMakers[currentCardIndex], ...filteredMakers.slice(0, PRIORITY_WINDOW)];
+    const productIds = [...new Set(onScreen.filter(Boolean).map(maker => maker.id))];
+    const timer = setTimeout(() => {
+      makeAuthenticatedRequest('/api/cron/enrich/prioritize', {
+        method: 'POST',
+        body: JSON.stringify({ productIds })
+      }).catch(err => console.warn('Failed to prioritize enrichment:', err.message));
+    }, 1000);
+    return () => clearTimeout(timer);
+  }, [filteredMakers, currentCardIndex, isAuthenticated]);
+
+  // Debounced full-text search; results are ranked by relevance
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      return;
+    }
+
+    const timer = setTimeout(() => searchMakers(query), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
 
   const fetchAuthInfo = async () => {
     try {
@@ -102,6 +149,7 @@ const AdminPanel = () => {
         setMakers(data.makers);
         setIsAuthenticated(true);
         setAuthError(null);
+        storeAdminAuthHeaders(getAuthHeaders());
       } else {
         setError(data.error?.message || 'Failed to load makers');
       }
@@ -117,15 +165,56 @@ const AdminPanel = () => {
     }
   };
 
+  const loadCategories = async () => {
+    try {
+      const response = await fetch('/api/categories');
+      const data = await response.json();
+
+      if (data.success) {
+        setCategories(data.categories);
+      }
+    } catch (err) {
+      console.error('Error loading categories:', err);
+    }
+  };
+
+  const searchMakers = async (query) => {
+    try {
+      setSearching(true);
+      const response = await makeAuthenticatedRequest(`/api/search?q=${encodeURIComponent(query)}&limit=100`);
+      const data = await response.json();
+
+      if (data.success) {
+        setSearchResults(data.results);
+      } else {
+        setError(data.error?.message || 'Search failed');
+      }
+    } catch (err) {
+      if (err.message !== 'Authentication required') {
+        setError('Search failed');
+        console.error('Error searching makers:', err);
+      }
+    } finally {
+      setSearching(false);
+    }
+  };
+
   const filterMakers = () => {
     let filtered = [...makers];
 
+    if (searchResults) {
+      const makersById = new Map(makers.map(maker => [maker.id, maker]));
+      filtered = searchResults
+        .filter(result => makersById.has(result.product.id))
+        .map(result => ({ ...makersById.get(result.product.id), searchSnippet: result.snippet }));
+    }
+
     if (statusFilter !== 'all') {
       filtered = filtered.filter(maker => maker.status === statusFilter);
     }
 
     if (categoryFilter !== 'all') {
-      filtered = filtered.filter(maker => maker.category === categoryFilter);
+      filtered = filtered.filter(maker => getProductCategories(maker).includes(categoryFilter));
     }
 
     setFilteredMakers(filtered);
@@ -244,6 +333,14 @@ const AdminPanel = () => {
     return 'category-badge bg-gray-100 text-gray-700';
   };
 
+  // Stored categories plus any that only exist on products (e.g. deleted categories)
+  const categoryOptions = [
+    ...categories.map(c => ({ slug: c.slug, name: c.name })),
+    ...[...new Set(makers.flatMap(getProductCategories))]
+      .filter(slug => slug && !categories.some(c => c.slug === slug))
+      .map(slug => ({ slug, name: getCategoryDisplayName(slug) }))
+  ];
+
   const getStatusBadgeClasses = (status) => {
     switch (status?.toLowerCase()) {
       case 'pending':
@@ -276,6 +373,7 @@ const AdminPanel = () => {
   };
 
   const handleLogout = () => {
+    clearAdminAuthHeaders();
     setIsAuthenticated(false);
     setCredentials({ username: '', password: '', token: '' });
     setMakers([]);
@@ -496,6 +594,12 @@ const AdminPanel = () => {
             </div>
             <div className="flex items-center space-x-4">
               <span className="text-sm text-gray-500">Authenticated via {authMethod.toUpperCase()}</span>
+              <button onClick={() => setShowCategories(prev => !prev)} className="btn-secondary">
+                {showCategories ? 'Hide Categories' : 'Manage Categories'}
+              </button>
+              <button onClick={() => setShowDuplicates(prev => !prev)} className="btn-secondary">
+                {showDuplicates ? 'Hide Duplicates' : 'Review Duplicates'}
+              </button>
               <button onClick={handleLogout} className="btn-secondary">
                 Logout
               </button>
@@ -503,10 +607,53 @@ const AdminPanel = () => {
           </div>
         </div>
 
+        {showCategories && (
+          <CategoryManager
+            categories={categories}
+            makeRequest={makeAuthenticatedRequest}
+            onCategoriesChange={setCategories}
+          />
+        )}
+
+        {showDuplicates && (
+          <DuplicateReview
+            makeRequest={makeAuthenticatedRequest}
+            onMerged={(merged, removedIds) => {
+              setMakers(prev => prev
+                .filter(maker => !removedIds.includes(maker.id))
+                .map(maker => (maker.id === merged.id ? merged : maker)));
+              setMessage({
+                type: 'success',
+                text: `Merged ${removedIds.length} duplicate(s) into ${merged.name}`
+              });
+              setTimeout(() => setMessage(null), 3000);
+            }}
+          />
+        )}
+
         {/* Controls */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
           <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
             <div className="flex flex-col lg:flex-row gap-4">
+              <div className="flex flex-col">
+                <label htmlFor="maker-search" className="block text-sm font-semibold text-gray-700 mb-2">
+                  Search:
+                </label>
+                <div className="relative">
+                  <input
+                    id="maker-search"
+                    type="search"
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                    placeholder="Product, maker, company, topic..."
+                    className="form-input max-w-xs pr-8"
+                  />
+                  {searching && (
+                    <div className="loading-spinner absolute right-2 top-1/2 -translate-y-1/2"></div>
+                  )}
+                </div>
+              </div>
+
               <div className="flex flex-col">
                 <label htmlFor="status-filter" className="block text-sm font-semibold text-gray-700 mb-2">
                   Filter by Status:
@@ -535,9 +682,11 @@ const AdminPanel = () => {
                   className="form-input max-w-xs"
                 >
                   <option value="all">All Categories ({makers.length})</option>
-                  <option value="artificial-intelligence">AI ({makers.filter(m => m.category === 'artificial-intelligence').length})</option>
-                  <option value="developer-tools">Developer Tools ({makers.filter(m => m.category === 'developer-tools').length})</option>
-                  <option value="saas">SaaS ({makers.filter(m => m.category === 'saas').length})</option>
+                  {categoryOptions.map(option => (
+                    <option key={option.slug} value={option.slug}>
+                      {option.name} ({makers.filter(m => getProductCategories(m).includes(option.slug)).length})
+                    </option>
+                  ))}
                 </select>
               </div>
             </div>
@@ -625,22 +774,36 @@ const AdminPanel = () => {
                         <tr key={maker.id} className="hover:bg-gray-50 transition-colors duration-150">
                           <td className="px-6 py-4 whitespace-nowrap">
                             <div className="font-semibold text-gray-900">{maker.name}</div>
+                            <button
+                              onClick={() => setHistoryProduct(maker)}
+                              className="text-xs text-gray-500 hover:text-orange-600 hover:underline"
+                            >
+                              View history
+                            </button>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
-                            <span className={getCategoryBadgeClasses(maker.category)}>
-                              {getCategoryDisplayName(maker.category)}
-                            </span>
+                            <div className="flex flex-wrap gap-1">
+                              {getProductCategories(maker).map(category => (
+                                <span key={category || 'none'} className={getCategoryBadgeClasses(category)}>
+                                  {getCategoryDisplayName(category)}
+                                </span>
+                              ))}
+                            </div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                             {formatDate(maker.publishedAt)}
                           </td>
                           <td className="px-6 py-4">
                             <div className="text-sm text-gray-900 max-w-xs">
-                              {maker.description || 'No description available.'}
+                              {maker.searchSnippet ? (
+                                <SearchSnippet segments={maker.searchSnippet} />
+                              ) : (
+                                maker.description || 'No description available.'
+                              )}
                             </div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                            {maker.makerName || 'N/A'}
+                            {getProductMakers(maker).map(person => person.name).join(', ') || 'N/A'}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             {isValidLinkedInUrl(maker.linkedin) ? (
@@ -760,13 +923,17 @@ const AdminPanel = () => {
                                   <h3 className="text-lg font-semibold text-gray-800">{maker.name || 'Untitled Product'}</h3>
                                 </div>
                                 <div className="flex flex-wrap gap-2">
-                                  <span className={`inline-block ${getCategoryBadgeClasses(maker.category)} text-xs px-2 py-1 rounded-md shadow-sm`}>
-                                    {getCategoryDisplayName(maker.category)}
-                                  </span>
+                                  {getProductCategories(maker).map(category => (
+                                    <span key={category || 'none'} className={`inline-block ${getCategoryBadgeClasses(category)} text-xs px-2 py-1 rounded-md shadow-sm`}>
+                                      {getCategoryDisplayName(category)}
+                                    </span>
+                                  ))}
                                 </div>
                               </div>
                               <div className="card-body space-y-2">
-                                {maker.description && (
+                                {maker.searchSnippet ? (
+                                  <SearchSnippet segments={maker.searchSnippet} className="text-gray-600 text-sm max-h-32 overflow-y-auto" />
+                                ) : maker.description && (
                                   <p className="text-gray-600 text-sm max-h-32 overflow-y-auto">{maker.description || 'No description available.'}</p>
                                 )}
                                 {maker.phTopics && maker.phTopics.length > 0 && (
@@ -810,11 +977,7 @@ const AdminPanel = () => {
                                       </span>
                                     </div>
                                   )}
-                                  {maker.makerName && (
-                                    <div className="text-sm text-gray-700 font-medium">
-                                      Maker: {maker.makerName}
-                                    </div>
-                                  )}
+                                  <MakerList product={maker} onReview={(makerIndex) => setLinkedinReview({ product: maker, makerIndex })} />
                                 </div>
                               </div>
                               <div className="px-4 py-2 bg-gray-50 border-b border-gray-200 rounded-md shadow-sm mt-2">
@@ -855,21 +1018,27 @@ const AdminPanel = () => {
                                 <div className="flex items-center gap-4">
                                   <button
                                     className={`flex items-center justify-center px-3 py-1 rounded-full border transition-all duration-200 shadow-sm ${
-                                      maker.upvotes > 0
+                                      maker.phUpvotes > 0
                                         ? 'bg-orange-500 text-white border-orange-500 hover:bg-orange-600'
                                         : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
                                     } ${processingIds.has(maker.id) ? 'opacity-50 cursor-not-allowed' : ''}`}
                                     disabled={true}
                                     title="Upvote count (non-interactive)"
                                   >
-                                    <svg className="w-5 h-5 mr-1" fill={maker.upvotes > 0 ? 'currentColor' : 'none'} stroke={maker.upvotes > 0 ? 'none' : 'currentColor'} viewBox="0 0 24 24">
+                                    <svg className="w-5 h-5 mr-1" fill={maker.phUpvotes > 0 ? 'currentColor' : 'none'} stroke={maker.phUpvotes > 0 ? 'none' : 'currentColor'} viewBox="0 0 24 24">
                                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7"/>
                                     </svg>
-                                    <span className="text-sm font-medium">{maker.upvotes || 0}</span>
+                                    <span className="text-sm font-medium">{maker.phUpvotes || 0}</span>
                                   </button>
                                   <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border shadow-sm ${getStatusBadgeClasses(maker.status)}`}>
                                     {maker.status ? maker.status.charAt(0).toUpperCase() + maker.status.slice(1) : 'Unknown'}
                                   </span>
+                                  <button
+                                    onClick={() => setHistoryProduct(maker)}
+                                    className="text-xs text-gray-500 hover:text-orange-600 hover:underline"
+                                  >
+                                    History
+                                  </button>
                                 </div>
                                 {maker.phLink && (
                                   <a
@@ -926,13 +1095,17 @@ const AdminPanel = () => {
                               <h3 className="text-lg font-semibold text-gray-800">{maker.name || 'Untitled Product'}</h3>
                             </div>
                             <div className="flex flex-wrap gap-2">
-                              <span className={`inline-block ${getCategoryBadgeClasses(maker.category)} text-xs px-2 py-1 rounded-md shadow-sm`}>
-                                {getCategoryDisplayName(maker.category)}
-                              </span>
+                              {getProductCategories(maker).map(category => (
+                                <span key={category || 'none'} className={`inline-block ${getCategoryBadgeClasses(category)} text-xs px-2 py-1 rounded-md shadow-sm`}>
+                                  {getCategoryDisplayName(category)}
+                                </span>
+                              ))}
                             </div>
                           </div>
                           <div className="card-body space-y-2">
-                            {maker.description && (
+                            {maker.searchSnippet ? (
+                              <SearchSnippet segments={maker.searchSnippet} className="text-gray-600 text-sm max-h-32 overflow-y-auto" />
+                            ) : maker.description && (
                               <p className="text-gray-600 text-sm max-h-32 overflow-y-auto">{maker.description || 'No description available.'}</p>
                             )}
                             {maker.phTopics && maker.phTopics.length > 0 && (
@@ -976,11 +1149,7 @@ const AdminPanel = () => {
                                   </span>
                                 </div>
                               )}
-                              {maker.makerName && (
-                                <div className="text-sm text-gray-700 font-medium">
-                                  Maker: {maker.makerName}
-                                </div>
-                              )}
+                              <MakerList product={maker} onReview={(makerIndex) => setLinkedinReview({ product: maker, makerIndex })} />
                             </div>
                           </div>
                           <div className="px-4 py-2 bg-gray-50 border-b border-gray-200 rounded-md shadow-sm mt-2">
@@ -1021,21 +1190,27 @@ const AdminPanel = () => {
                             <div className="flex items-center gap-4">
                               <button
                                 className={`flex items-center justify-center px-3 py-1 rounded-full border transition-all duration-200 shadow-sm ${
-                                  maker.upvotes > 0
+                                  maker.phUpvotes > 0
                                     ? 'bg-orange-500 text-white border-orange-500 hover:bg-orange-600'
                                     : 'bg-gray-100 text-gray-700 border-gray-200 hover:bg-gray-200'
                                 } ${processingIds.has(maker.id) ? 'opacity-50 cursor-not-allowed' : ''}`}
                                 disabled={true}
                                 title="Upvote count (non-interactive)"
                               >
-                                <svg className="w-5 h-5 mr-1" fill={maker.upvotes > 0 ? 'currentColor' : 'none'} stroke={maker.upvotes > 0 ? 'none' : 'currentColor'} viewBox="0 0 24 24">
+                                <svg className="w-5 h-5 mr-1" fill={maker.phUpvotes > 0 ? 'currentColor' : 'none'} stroke={maker.phUpvotes > 0 ? 'none' : 'currentColor'} viewBox="0 0 24 24">
                                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7"/>
                                 </svg>
-                                <span className="text-sm font-medium">{maker.upvotes || 0}</span>
+                                <span className="text-sm font-medium">{maker.phUpvotes || 0}</span>
                               </button>
                               <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border shadow-sm ${getStatusBadgeClasses(maker.status)}`}>
                                 {maker.status ? maker.status.charAt(0).toUpperCase() + maker.status.slice(1) : 'Unknown'}
                               </span>
+                              <button
+                                onClick={() => setHistoryProduct(maker)}
+                                className="text-xs text-gray-500 hover:text-orange-600 hover:underline"
+                              >
+                                History
+                              </button>
                             </div>
                             {maker.phLink && (
                               <a
@@ -1058,6 +1233,24 @@ const AdminPanel = () => {
           </div>
         )}
       </div>
+
+      {linkedinReview && (
+        <LinkedInReview
+          product={linkedinReview.product}
+          makerIndex={linkedinReview.makerIndex}
+          makeRequest={makeAuthenticatedRequest}
+          onSaved={(updated) => setMakers(prev => prev.map(maker => (maker.id === updated.id ? { ...maker, ...updated } : maker)))}
+          onClose={() => setLinkedinReview(null)}
+        />
+      )}
+
+      {historyProduct && (
+        <ProductHistory
+          product={historyProduct}
+          makeRequest={makeAuthenticatedRequest}
+          onClose={() => setHistoryProduct(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+const emptyForm = { slug: '', name: '', fetchIntervalHours: 0 };
+
+const formatLastFetched = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+// Admin screen for the RSS categories stored in the database (/api/categories)
+function CategoryManager({ categories, makeRequest, onCategoriesChange }) {
+  const [form, setForm] = useState(emptyForm);
+  const [savingSlug, setSavingSlug] = useState(null);
+  const [error, setError] = useState(null);
+
+  const readError = (data, fallback) => {
+    const details = data.error?.details;
+    if (Array.isArray(details) && details.length > 0) {
+      return details.map(detail => detail.message).join('; ');
+    }
+    return data.error?.message || fallback;
+  };
+
+  const replaceCategory = (updated) => {
+    onCategoriesChange(categories.map(c => (c.slug === updated.slug ? updated : c)));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const body = {
+      slug: form.slug.trim(),
+      fetchIntervalHours: Number(form.fetchIntervalHours) || 0
+    };
+    if (form.name.trim()) body.name = form.name.trim();
+
+    try {
+      setSavingSlug(body.slug);
+      const response = await makeRequest('/api/categories', {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onCategoriesChange([...categories, data.category]);
+        setForm(emptyForm);
+      } else {
+        setError(readError(data, 'Failed to add category'));
+      }
+    } catch (err) {
+      setError('Failed to add category');
+      console.error('Error adding category:', err);
+    } finally {
+      setSavingSlug(null);
+    }
+  };
+
+  const handleUpdate = async (slug, changes) => {
+    setError(null);
+
+    try {
+      setSavingSlug(slug);
+      const response = await makeRequest(`/api/categories/${slug}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        replaceCategory(data.category);
+      } else {
+        setError(readError(data, 'Failed to update category'));
+      }
+    } catch (err) {
+      setError('Failed to update category');
+      console.error('Error updating category:', err);
+    } finally {
+      setSavingSlug(null);
+    }
+  };
+
+  const handleDelete = async (slug) => {
+    if (!window.confirm(`Delete category "${slug}"? Products already fetched for it are kept.`)) return;
+    setError(null);
+
+    try {
+      setSavingSlug(slug);
+      const response = await makeRequest(`/api/categories/${slug}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (data.success) {
+        onCategoriesChange(categories.filter(c => c.slug !== slug));
+      } else {
+        setError(readError(data, 'Failed to delete category'));
+      }
+    } catch (err) {
+      setError('Failed to delete category');
+      console.error('Error deleting category:', err);
+    } finally {
+      setSavingSlug(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
+      <h2 className="text-xl font-semibold text-gray-900 mb-1">RSS Categories</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Enabled categories are fetched by the RSS cron job. An interval of 0 fetches on every run.
+      </p>
+
+      {error && (
+        <div className="error-message mb-4">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto mb-6">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-4">Category</th>
+              <th className="py-2 pr-4">Enabled</th>
+              <th className="py-2 pr-4">Interval (hours)</th>
+              <th className="py-2 pr-4">Last fetched</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map(category => (
+              <tr key={category.slug} className="border-b border-gray-100">
+                <td className="py-2 pr-4">
+                  <div className="font-medium text-gray-900">{category.name}</div>
+                  <div className="text-xs text-gray-500">{category.slug}</div>
+                </td>
+                <td className="py-2 pr-4">
+                  <input
+                    type="checkbox"
+                    checked={category.enabled}
+                    disabled={savingSlug === category.slug}
+                    onChange={(e) => handleUpdate(category.slug, { enabled: e.target.checked })}
+                    aria-label={`Enable ${category.name}`}
+                  />
+                </td>
+                <td className="py-2 pr-4">
+                  <input
+                    type="number"
+                    min="0"
+                    max="168"
+                    defaultValue={category.fetchIntervalHours}
+                    disabled={savingSlug === category.slug}
+                    onBlur={(e) => {
+                      const hours = Number(e.target.value);
+                      if (hours !== category.fetchIntervalHours) {
+                        handleUpdate(category.slug, { fetchIntervalHours: hours });
+                      }
+                    }}
+                    className="form-input w-24"
+                  />
+                </td>
+                <td className="py-2 pr-4 text-gray-600">{formatLastFetched(category.lastFetchedAt)}</td>
+                <td className="py-2 text-right">
+                  <button
+                    onClick={() => handleDelete(category.slug)}
+                    disabled={savingSlug === category.slug}
+                    className="text-red-600 hover:text-red-800 text-sm font-medium"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={handleAdd} className="flex flex-col lg:flex-row gap-3 lg:items-end">
+        <div className="flex flex-col">
+          <label htmlFor="new-category-slug" className="text-sm font-semibold text-gray-700 mb-1">Slug</label>
+          <input
+            id="new-category-slug"
+            type="text"
+            value={form.slug}
+            onChange={(e) => setForm(prev => ({ ...prev, slug: e.target.value }))}
+            placeholder="design-tools"
+            required
+            className="form-input"
+          />
+        </div>
+        <div className="flex flex-col">
+          <label htmlFor="new-category-name" className="text-sm font-semibold text-gray-700 mb-1">Name (optional)</label>
+          <input
+            id="new-category-name"
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Design Tools"
+            className="form-input"
+          />
+        </div>
+        <div className="flex flex-col">
+          <label htmlFor="new-category-interval" className="text-sm font-semibold text-gray-700 mb-1">Interval (hours)</label>
+          <input
+            id="new-category-interval"
+            type="number"
+            min="0"
+            max="168"
+            value={form.fetchIntervalHours}
+            onChange={(e) => setForm(prev => ({ ...prev, fetchIntervalHours: e.target.value }))}
+            className="form-input w-24"
+          />
+        </div>
+        <button type="submit" disabled={savingSlug !== null} className="btn-primary">
+          Add Category
+        </button>
+      </form>
+    </div>
+  );
+}
+
+CategoryManager.propTypes = {
+  categories: PropTypes.arrayOf(PropTypes.shape({
+    slug: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    enabled: PropTypes.bool.isRequired,
+    fetchIntervalHours: PropTypes.number,
+    lastFetchedAt: PropTypes.string
+  })).isRequired,
+  makeRequest: PropTypes.func.isRequired,
+  onCategoriesChange: PropTypes.func.isRequired
+};
+
+export default CategoryManager;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+// Admin review of probable duplicate products (GET /api/duplicates)
+function DuplicateReview({ makeRequest, onMerged }) {
+  const [clusters, setClusters] = useState([]);
+  const [survivors, setSurvivors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [workingId, setWorkingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadClusters();
+  }, []);
+
+  const loadClusters = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await makeRequest('/api/duplicates');
+      const data = await response.json();
+
+      if (data.success) {
+        setClusters(data.clusters);
+        setSurvivors(Object.fromEntries(data.clusters.map(cluster => [cluster.id, cluster.suggestedSurvivorId])));
+      } else {
+        setError(data.error?.message || 'Failed to load duplicates');
+      }
+    } catch (err) {
+      setError('Failed to load duplicates');
+      console.error('Error loading duplicates:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const removeCluster = (clusterId) => {
+    setClusters(prev => prev.filter(cluster => cluster.id !== clusterId));
+  };
+
+  const handleMerge = async (cluster) => {
+    const survivorId = survivors[cluster.id];
+    const duplicateIds = cluster.products.map(product => product.id).filter(id => id !== survivorId);
+    const survivor = cluster.products.find(product => product.id === survivorId);
+    if (!window.confirm(`Merge ${duplicateIds.length} product(s) into "${survivor.name}"? The others will be deleted.`)) return;
+
+    try {
+      setWorkingId(cluster.id);
+      setError(null);
+      const response = await makeRequest('/api/duplicates/merge', {
+        method: 'POST',
+        body: JSON.stringify({ survivorId, duplicateIds })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        removeCluster(cluster.id);
+        onMerged(data.product, duplicateIds);
+      } else {
+        setError(data.error?.message || 'Failed to merge products');
+      }
+    } catch (err) {
+      setError('Failed to merge products');
+      console.error('Error merging products:', err);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleDismiss = async (cluster) => {
+    try {
+      setWorkingId(cluster.id);
+      setError(null);
+      const response = await makeRequest('/api/duplicates/dismiss', {
+        method: 'POST',
+        body: JSON.stringify({ productIds: cluster.products.map(product => product.id) })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        removeCluster(cluster.id);
+      } else {
+        setError(data.error?.message || 'Failed to dismiss duplicates');
+      }
+    } catch (err) {
+      setError('Failed to dismiss duplicates');
+      console.error('Error dismissing duplicates:', err);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 mb-1">Possible Duplicates</h2>
+          <p className="text-sm text-gray-600">
+            Products matched on name, website and maker. Pick the record to keep, then merge or dismiss.
+          </p>
+        </div>
+        <button onClick={loadClusters} disabled={loading} className="btn-secondary">
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message mb-4">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : clusters.length === 0 ? (
+        <p className="text-gray-500 text-sm italic">No possible duplicates found.</p>
+      ) : (
+        <div className="space-y-6">
+          {clusters.map(cluster => (
+            <div key={cluster.id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex flex-wrap items-center gap-2 mb-3">
+                <span className="text-sm font-semibold text-gray-900">Match {Math.round(cluster.score * 100)}%</span>
+                {[...new Set(cluster.pairs.flatMap(pair => pair.reasons))].map(reason => (
+                  <span key={reason} className="text-xs bg-orange-50 text-orange-700 px-2 py-0.5 rounded-md">
+                    {reason}
+                  </span>
+                ))}
+              </div>
+
+              <div className="grid gap-3 md:grid-cols-2 lg:grid-cols-3 mb-4">
+                {cluster.products.map(product => (
+                  <label
+                    key={product.id}
+                    className={`block border rounded-lg p-3 cursor-pointer ${
+                      survivors[cluster.id] === product.id ? 'border-orange-500 bg-orange-50' : 'border-gray-200'
+                    }`}
+                  >
+                    <div className="flex items-start gap-2">
+                      <input
+                        type="radio"
+                        name={`survivor-${cluster.id}`}
+                        checked={survivors[cluster.id] === product.id}
+                        onChange={() => setSurvivors(prev => ({ ...prev, [cluster.id]: product.id }))}
+                        className="mt-1"
+                      />
+                      <div className="min-w-0 text-sm">
+                        <div className="font-semibold text-gray-900 break-words">{product.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {product.category} · {product.status} · added {formatDate(product.createdAt)}
+                        </div>
+                        {product.makerName && <div className="text-xs text-gray-700">Maker: {product.makerName}</div>}
+                        {product.companyWebsite && (
+                          <div className="text-xs text-gray-700 break-all">Website: {product.companyWebsite}</div>
+                        )}
+                        {(product.phLink || product.sourceLink) && (
+                          <a
+                            href={product.phLink || product.sourceLink}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-xs text-orange-600 hover:underline break-all"
+                          >
+                            {product.phLink || product.sourceLink}
+                          </a>
+                        )}
+                      </div>
+                    </div>
+                  </label>
+                ))}
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => handleMerge(cluster)}
+                  disabled={workingId === cluster.id}
+                  className="btn-primary"
+                >
+                  Merge into selected
+                </button>
+                <button
+                  onClick={() => handleDismiss(cluster)}
+                  disabled={workingId === cluster.id}
+                  className="btn-secondary"
+                >
+                  Not duplicates
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+DuplicateReview.propTypes = {
+  makeRequest: PropTypes.func.isRequired,
+  onMerged: PropTypes.func.isRequired
+};
+
+export default DuplicateReview;
@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { getProductMakers, ConfidenceBadge } from './MakerList';
+
+// Modal listing a maker's LinkedIn candidates so an admin can pick one or mark no match
+function LinkedInReview({ product, makerIndex, makeRequest, onSaved, onClose }) {
+  const maker = getProductMakers(product)[makerIndex];
+  const [customUrl, setCustomUrl] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!maker) return null;
+  const candidates = maker.linkedinCandidates || [];
+
+  const save = async (method, body) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await makeRequest(`/api/products/${product.id}/makers/${makerIndex}/linkedin`, {
+        method,
+        ...(body ? { body: JSON.stringify(body) } : {})
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onSaved(data.product);
+        onClose();
+      } else {
+        setError(data.error?.details?.[0]?.message || data.error?.message || 'Failed to save decision');
+      }
+    } catch (err) {
+      setError('Failed to save decision');
+      console.error('Error saving LinkedIn decision:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">LinkedIn: {maker.name}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close LinkedIn review">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="overflow-y-auto px-6 py-4 space-y-4">
+          <div className="text-sm text-gray-700 flex flex-wrap items-center gap-2">
+            <span className="font-medium">Current:</span>
+            {maker.linkedin ? (
+              <a href={maker.linkedin} target="_blank" rel="noopener noreferrer" className="text-[#0077b5] hover:underline break-all">
+                {maker.linkedin}
+              </a>
+            ) : (
+              <span className="text-gray-500 italic">{maker.linkedinOverride === 'no-match' ? 'Marked as no match' : 'None'}</span>
+            )}
+            <ConfidenceBadge confidence={maker.linkedinConfidence} reasons={maker.linkedinReasons || []} />
+            {maker.linkedinOverride && <span className="text-xs text-gray-500">(chosen by an admin)</span>}
+          </div>
+
+          {error && <p className="text-red-600 text-sm">{error}</p>}
+
+          {candidates.length === 0 ? (
+            <p className="text-gray-500 text-sm italic">No candidates recorded. Run LinkedIn enrichment first, or enter a profile below.</p>
+          ) : (
+            <ul className="space-y-3">
+              {candidates.map(candidate => (
+                <li key={candidate.url} className="border border-gray-200 rounded-lg p-3">
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <a href={candidate.url} target="_blank" rel="noopener noreferrer" className="text-sm font-medium text-[#0077b5] hover:underline break-all">
+                        {candidate.title || candidate.url}
+                      </a>
+                      {candidate.snippet && <p className="text-xs text-gray-600 mt-1">{candidate.snippet}</p>}
+                      <div className="flex flex-wrap gap-1 mt-2">
+                        <span className="text-xs font-semibold text-gray-800 bg-gray-100 px-1.5 py-0.5 rounded">score {candidate.score}</span>
+                        {candidate.reasons.map(reason => (
+                          <span key={reason} className="text-xs text-gray-600 bg-gray-50 border border-gray-200 px-1.5 py-0.5 rounded">{reason}</span>
+                        ))}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => save('PUT', { linkedin: candidate.url })}
+                      disabled={saving || candidate.url === maker.linkedin}
+                      className="flex-shrink-0 text-sm bg-[#0077b5] hover:bg-[#005f91] disabled:opacity-50 text-white font-medium py-1 px-3 rounded"
+                    >
+                      {candidate.url === maker.linkedin ? 'Chosen' : 'Use'}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form
+            className="flex gap-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              save('PUT', { linkedin: customUrl.trim() });
+            }}
+          >
+            <input
+              type="url"
+              value={customUrl}
+              onChange={(e) => setCustomUrl(e.target.value)}
+              placeholder="https://www.linkedin.com/in/..."
+              className="flex-1 border border-gray-300 rounded px-3 py-1 text-sm"
+            />
+            <button type="submit" disabled={saving || !customUrl.trim()} className="text-sm bg-gray-200 hover:bg-gray-300 disabled:opacity-50 text-gray-800 font-medium py-1 px-3 rounded">
+              Use URL
+            </button>
+          </form>
+        </div>
+
+        <div className="flex justify-end gap-2 px-6 py-4 border-t border-gray-200">
+          {maker.linkedinOverride && (
+            <button
+              onClick={() => save('DELETE')}
+              disabled={saving}
+              className="text-sm bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium py-2 px-4 rounded-lg"
+            >
+              Clear decision
+            </button>
+          )}
+          <button
+            onClick={() => save('PUT', { linkedin: null })}
+            disabled={saving || maker.linkedinOverride === 'no-match'}
+            className="text-sm bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white font-medium py-2 px-4 rounded-lg"
+          >
+            No match
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+LinkedInReview.propTypes = {
+  product: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    makers: PropTypes.array,
+    makerName: PropTypes.string
+  }).isRequired,
+  makerIndex: PropTypes.number.isRequired,
+  makeRequest: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default LinkedInReview;
@@ -1,9 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import ProductList from './ProductList';
 
+const PAGE_SIZE = 48;
+const TRENDING_COUNT = 6;
+
+// Dashboard sort options mapped to GET /api/products query parameters
+const SORT_QUERIES = {
+  upvotes: { sort: 'phUpvotes' },
+  top50: { sort: 'phUpvotes', minUpvotes: '1' },
+  newest: { sort: 'createdAt', order: 'desc' },
+  oldest: { sort: 'createdAt', order: 'asc' },
+  trending: { sort: 'trending' },
+  'linkedin-enriched': { sort: 'createdAt', hasLinkedin: 'true' }
+};
+
 const MainDashboard = () => {
   const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
+  const [totalProducts, setTotalProducts] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [fetching, setFetching] = useState(false);
@@ -12,10 +27,15 @@ const MainDashboard = () => {
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [selectedStatus, setSelectedStatus] = useState('all');
   const [selectedSort, setSelectedSort] = useState('upvotes');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [isMobile, setIsMobile] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [sources, setSources] = useState([]);
+  const [selectedSource, setSelectedSource] = useState('all');
+  const [trending, setTrending] = useState([]);
 
   const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
-  const categories = ['all', 'artificial-intelligence', 'developer-tools', 'saas'];
 
   // Check for mobile view and set default status to pending
   useEffect(() => {
@@ -33,40 +53,88 @@ const MainDashboard = () => {
 
   // Load initial data
   useEffect(() => {
-    loadProducts();
     loadStats();
+    loadCategories();
+    loadSources();
   }, []);
 
-  // Filter products when selection changes
+  // Wait for typing to pause before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Reload the first page whenever filters, sort or search change
   useEffect(() => {
-    filterProducts();
-  }, [products, selectedCategory, selectedStatus, selectedSort]);
+    loadProducts();
+  }, [selectedCategory, selectedStatus, selectedSource, selectedSort, debouncedSearch]);
+
+  useEffect(() => {
+    loadTrending();
+  }, [selectedCategory, selectedSource]);
+
+  const buildProductQuery = (offset) => {
+    const params = new URLSearchParams(SORT_QUERIES[selectedSort] || {});
+    if (selectedCategory !== 'all') params.append('category', selectedCategory);
+    if (selectedStatus !== 'all') params.append('status', selectedStatus);
+    if (selectedSource !== 'all') params.append('source', selectedSource);
+
+    // Top 50 is capped at 50 results in total
+    const limit = selectedSort === 'top50' ? Math.min(PAGE_SIZE, 50 - offset) : PAGE_SIZE;
+    params.append('limit', limit);
+    params.append('offset', offset);
+    return params;
+  };
 
-  const loadProducts = async () => {
+  // Search results are ranked by relevance, so the sort option does not apply
+  const buildSearchQuery = (offset) => {
+    const params = new URLSearchParams({ q: debouncedSearch, limit: PAGE_SIZE, offset });
+    if (selectedCategory !== 'all') params.append('category', selectedCategory);
+    if (selectedStatus !== 'all') params.append('status', selectedStatus);
+    if (selectedSource !== 'all') params.append('source', selectedSource);
+    return params;
+  };
+
+  const decorateProduct = (product, now) => {
+    const daysSinceLaunch = Math.floor((now - new Date(product.publishedAt)) / (1000 * 60 * 60 * 24));
+    return {
+      ...product,
+      formattedDate: formatDate(new Date(product.publishedAt || product.createdAt)),
+      launchLabel: daysSinceLaunch <= 7 ? 'Launched this week' : ''
+    };
+  };
+
+  const loadProducts = async ({ append = false } = {}) => {
     try {
-      setLoading(true);
+      if (append) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
       setError(null);
 
-      const params = new URLSearchParams();
-      if (selectedCategory !== 'all') params.append('category', selectedCategory);
-      if (selectedStatus !== 'all') params.append('status', selectedStatus);
-      if (selectedSort) params.append('sort', selectedSort);
-
-      const response = await fetch(`${API_BASE_URL}/api/products?${params.toString()}`);
+      const offset = append ? products.length : 0;
+      const url = debouncedSearch
+        ? `${API_BASE_URL}/api/search?${buildSearchQuery(offset).toString()}`
+        : `${API_BASE_URL}/api/products?${buildProductQuery(offset).toString()}`;
+      const response = await fetch(url);
       const data = await response.json();
 
       if (data.success) {
-        const enrichedProducts = data.products.map(product => ({
-          ...product,
-          formattedDate: formatDate(new Date(product.publishedAt || product.createdAt)),
-          upvotes: product.upvotes !== undefined ? product.upvotes : product.phUpvotes // Backward compatibility
-        }));
+        const now = new Date();
+        const pageProducts = debouncedSearch
+          ? data.results.map(result => decorateProduct({ ...result.product, searchSnippet: result.snippet }, now))
+          : data.products.map(product => decorateProduct(product, now));
+        const merged = append ? [...products, ...pageProducts] : pageProducts;
 
-        const uniqueProducts = enrichedProducts.filter((product, index, self) =>
+        const uniqueProducts = merged.filter((product, index, self) =>
           index === self.findIndex((p) => p.id === product.id)
         );
 
+        const total = !debouncedSearch && selectedSort === 'top50' ? Math.min(data.total, 50) : data.total;
         setProducts(uniqueProducts);
+        setTotalProducts(total);
+        setHasMore(uniqueProducts.length < total);
       } else {
         setError(data.error?.message || 'Failed to load products');
         toast.error(data.error?.message || 'Failed to load products');
@@ -77,6 +145,7 @@ const MainDashboard = () => {
       console.error('Error loading products:', err);
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
   };
 
@@ -95,59 +164,53 @@ const MainDashboard = () => {
     }
   };
 
-  const filterProducts = () => {
-    let filtered = [...products];
+  // Fastest-rising recent launches; products without a score are left out
+  const loadTrending = async () => {
+    try {
+      const params = new URLSearchParams({ sort: 'trending', limit: TRENDING_COUNT });
+      if (selectedCategory !== 'all') params.append('category', selectedCategory);
+      if (selectedSource !== 'all') params.append('source', selectedSource);
+      const response = await fetch(`${API_BASE_URL}/api/products?${params.toString()}`);
+      const data = await response.json();
 
-    // Filter by category
-    if (selectedCategory !== 'all') {
-      filtered = filtered.filter(product => product.category === selectedCategory);
+      if (data.success) {
+        setTrending(data.products.filter(product => typeof product.trendingScore === 'number'));
+      } else {
+        console.error('Error loading trending products:', data.error?.message || 'Unknown error');
+      }
+    } catch (err) {
+      console.error('Error loading trending products:', err);
     }
+  };
 
-    // Filter by status
-    if (selectedStatus !== 'all') {
-      filtered = filtered.filter(product => product.status === selectedStatus);
-    }
+  const loadCategories = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/categories`);
+      const data = await response.json();
 
-    // Apply sorting
-    if (selectedSort === 'upvotes') {
-      filtered.sort((a, b) => {
-        const votesA = a.upvotes || a.phUpvotes || 0;
-        const votesB = b.upvotes || b.phUpvotes || 0;
-        if (votesA !== votesB) return votesB - votesA;
-        return new Date(b.createdAt || b.publishedAt) - new Date(a.createdAt || a.publishedAt);
-      });
-    } else if (selectedSort === 'top50') {
-      filtered = filtered.filter(p => (p.upvotes || p.phUpvotes || 0) > 0);
-      filtered.sort((a, b) => {
-        const votesA = a.upvotes || a.phUpvotes || 0;
-        const votesB = b.upvotes || b.phUpvotes || 0;
-        if (votesA !== votesB) return votesB - votesA;
-        return new Date(b.createdAt || b.publishedAt) - new Date(a.createdAt || a.publishedAt);
-      });
-      if (filtered.length > 50) filtered = filtered.slice(0, 50);
-    } else if (selectedSort === 'linkedin-enriched') {
-      filtered = filtered.filter(product => 
-        product.linkedin && 
-        typeof product.linkedin === 'string' && 
-        product.linkedin.includes('linkedin.com') && 
-        product.linkedin !== 'https://www.linkedin.com/company/producthunt'
-      );
-      filtered.sort((a, b) => new Date(b.createdAt || b.publishedAt) - new Date(a.createdAt || a.publishedAt));
-    } else if (selectedSort === 'newest') {
-      filtered.sort((a, b) => new Date(b.createdAt || b.publishedAt) - new Date(a.createdAt || a.publishedAt));
-    } else if (selectedSort === 'oldest') {
-      filtered.sort((a, b) => new Date(a.createdAt || a.publishedAt) - new Date(b.createdAt || a.publishedAt));
+      if (data.success) {
+        setCategories(data.categories);
+      } else {
+        console.error('Error loading categories:', data.error?.message || 'Unknown error');
+      }
+    } catch (err) {
+      console.error('Error loading categories:', err);
     }
+  };
 
-    const now = new Date();
-    const enhancedFiltered = filtered.map(product => {
-      const launchDate = new Date(product.publishedAt);
-      const daysSinceLaunch = Math.floor((now - launchDate) / (1000 * 60 * 60 * 24));
-      const launchLabel = daysSinceLaunch <= 7 ? 'Launched this week' : '';
-      return { ...product, launchLabel };
-    });
+  const loadSources = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/sources`);
+      const data = await response.json();
 
-    setFilteredProducts(enhancedFiltered);
+      if (data.success) {
+        setSources(data.sources);
+      } else {
+        console.error('Error loading sources:', data.error?.message || 'Unknown error');
+      }
+    } catch (err) {
+      console.error('Error loading sources:', err);
+    }
   };
 
   const handleFetchRSS = async () => {
@@ -177,6 +240,9 @@ const MainDashboard = () => {
           if (summary.totalDuplicates > 0) {
             messageText += ` (duplicates are automatically filtered based on normalized Product Hunt links)`;
           }
+          if (summary.unchangedFeeds > 0) {
+            messageText += `. Unchanged feeds: ${summary.unchangedFeeds}`;
+          }
           setMessage({ type: 'success', text: messageText });
           toast.success(messageText);
         } else {
@@ -184,9 +250,12 @@ const MainDashboard = () => {
           toast.success('RSS fetch completed successfully');
         }
 
-        await loadProducts();
         await loadStats();
-        setSelectedSort('newest');
+        if (selectedSort === 'newest') {
+          await loadProducts();
+        } else {
+          setSelectedSort('newest');
+        }
       } else {
         setError(data.error?.message || 'RSS fetch failed');
         toast.error(data.error?.message || 'RSS fetch failed');
@@ -211,11 +280,17 @@ const MainDashboard = () => {
   };
 
   const handleStatusChange = (id, newStatus) => {
-    setProducts(prevProducts =>
-      prevProducts.map(product =>
-        product.id === id ? { ...product, status: newStatus } : product
-      )
-    );
+    // Products that no longer match the status filter drop out of the current page
+    if (selectedStatus !== 'all' && newStatus !== selectedStatus) {
+      setProducts(prevProducts => prevProducts.filter(product => product.id !== id));
+      setTotalProducts(prevTotal => Math.max(prevTotal - 1, 0));
+    } else {
+      setProducts(prevProducts =>
+        prevProducts.map(product =>
+          product.id === id ? { ...product, status: newStatus } : product
+        )
+      );
+    }
     loadStats();
   };
 
@@ -257,6 +332,12 @@ const MainDashboard = () => {
                 <button onClick={() => setSelectedStatus('all')} className="ml-2 text-green-600 hover:text-green-800">×</button>
               </span>
             )}
+            {debouncedSearch && (
+              <span className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-yellow-100 text-yellow-800">
+                Search: "{debouncedSearch}"
+                <button onClick={() => setSearchQuery('')} className="ml-2 text-yellow-600 hover:text-yellow-800">×</button>
+              </span>
+            )}
             {selectedSort === 'upvotes' && (
               <span className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-orange-100 text-orange-800">
                 🔥 Most Upvoted
@@ -291,6 +372,17 @@ const MainDashboard = () => {
       <main className="max-w-7xl mx-auto px-4 py-8">
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-8">
           <div className="flex flex-wrap items-center gap-3">
+            <div className="flex-grow min-w-[220px]">
+              <input
+                id="product-search"
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Search products, makers, topics..."
+                className="form-input w-full py-2 px-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+              />
+            </div>
+
             <div className="flex-grow min-w-[180px] max-w-xs">
               <select
                 id="category-filter"
@@ -299,14 +391,32 @@ const MainDashboard = () => {
                 className="form-input w-full py-2 px-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
               >
                 <option value="all">All Categories</option>
-                {categories.slice(1).map(category => (
-                  <option key={category} value={category}>
-                    {category.replace('-', ' ').replace(/\b\w/g, l => l.toUpperCase())}
+                {categories.map(category => (
+                  <option key={category.slug} value={category.slug}>
+                    {category.name}
                   </option>
                 ))}
               </select>
             </div>
 
+            {sources.length > 1 && (
+              <div className="flex-grow min-w-[150px] max-w-xs">
+                <select
+                  id="source-filter"
+                  value={selectedSource}
+                  onChange={(e) => setSelectedSource(e.target.value)}
+                  className="form-input w-full py-2 px-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                >
+                  <option value="all">All Sources</option>
+                  {sources.map(source => (
+                    <option key={source.id} value={source.id}>
+                      {source.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             <div className="flex-grow min-w-[150px] max-w-xs">
               <select
                 id="status-filter"
@@ -326,12 +436,15 @@ const MainDashboard = () => {
                 id="sort-filter"
                 value={selectedSort}
                 onChange={(e) => setSelectedSort(e.target.value)}
+                disabled={!!debouncedSearch}
+                title={debouncedSearch ? 'Search results are sorted by relevance' : undefined}
                 className="form-input w-full py-2 px-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
               >
                 <option value="upvotes">Most Upvoted</option>
                 <option value="top50">Top 50 by Upvotes</option>
                 <option value="newest">Newest First</option>
                 <option value="oldest">Oldest First</option>
+                <option value="trending">Trending</option>
                 <option value="linkedin-enriched">LinkedIn Profiles</option>
               </select>
             </div>
@@ -357,7 +470,7 @@ const MainDashboard = () => {
             </button>
 
             <button
-              onClick={loadProducts}
+              onClick={() => loadProducts()}
               disabled={loading}
               className="flex-shrink-0 bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium py-2 px-4 rounded-lg transition-colors duration-200 flex items-center"
             >
@@ -400,21 +513,77 @@ const MainDashboard = () => {
           </div>
         )}
 
+        {!debouncedSearch && trending.length > 0 && (
+          <section className="mb-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-3">Trending now</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+              {trending.map(product => (
+                <a
+                  key={product.id}
+                  href={product.phLink || product.productHuntLink}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="flex items-center justify-between bg-white border border-gray-200 rounded-lg px-4 py-3 hover:border-[#ea5d38] transition-colors duration-200"
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{product.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {product.upvotesPerHour} upvotes/hour{product.category ? ` · ${product.category.replace('-', ' ')}` : ''}
+                    </p>
+                  </div>
+                  <span
+                    className="flex-shrink-0 ml-3 text-sm font-semibold text-[#ea5d38]"
+                    title="Upvote pace relative to recent launches in the same category"
+                  >
+                    {product.trendingScore}×
+                  </span>
+                </a>
+              ))}
+            </div>
+          </section>
+        )}
+
         {loading ? (
           <div className="text-center py-12">
             <div className="loading-spinner mx-auto w-10 h-10 border-4 border-t-transparent border-gray-600 rounded-full animate-spin"></div>
             <p className="text-gray-600 mt-4">Loading products...</p>
           </div>
         ) : (
-          <ProductList 
-            products={filteredProducts}
-            formatDate={formatDate}
-            selectedCategory={selectedCategory}
-            selectedStatus={selectedStatus}
-            selectedSort={selectedSort}
-            onEnrich={handleSingleEnrich}
-            onStatusChange={handleStatusChange}
-          />
+          <>
+            <ProductList 
+              products={products}
+              formatDate={formatDate}
+              selectedCategory={selectedCategory}
+              selectedStatus={selectedStatus}
+              selectedSort={selectedSort}
+              onEnrich={handleSingleEnrich}
+              onStatusChange={handleStatusChange}
+            />
+
+            {products.length > 0 && (
+              <div className="flex flex-col items-center mt-8 gap-3">
+                <p className="text-sm text-gray-600">
+                  Showing {products.length} of {totalProducts} products
+                </p>
+                {hasMore && (
+                  <button
+                    onClick={() => loadProducts({ append: true })}
+                    disabled={loadingMore}
+                    className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-medium py-2 px-6 rounded-lg transition-colors duration-200 flex items-center"
+                  >
+                    {loadingMore ? (
+                      <>
+                        <div className="w-4 h-4 border-2 border-gray-600 border-t-transparent rounded-full animate-spin mr-2"></div>
+                        Loading...
+                      </>
+                    ) : (
+                      'Load more'
+                    )}
+                  </button>
+                )}
+              </div>
+            )}
+          </>
         )}
       </main>
     </div>
@@ -0,0 +1,115 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Products stored before makers were extracted only have makerName
+export const getProductMakers = (product) => {
+  if (Array.isArray(product.makers) && product.makers.length > 0) return product.makers;
+  return product.makerName ? [{ name: product.makerName, linkedin: null }] : [];
+};
+
+const isLinkedInUrl = (url) => typeof url === 'string' && url.includes('linkedin.com');
+
+const CONFIDENCE_STYLES = {
+  confirmed: 'bg-green-100 text-green-800',
+  high: 'bg-green-100 text-green-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-red-100 text-red-700'
+};
+
+// How sure LinkedIn enrichment is of a maker's profile; 'confirmed' when an admin chose it.
+// The reasons behind the match show on hover.
+export const ConfidenceBadge = ({ confidence, reasons = [] }) => (confidence ? (
+  <span
+    className={`text-xs font-medium px-1.5 py-0.5 rounded ${CONFIDENCE_STYLES[confidence] || 'bg-gray-100 text-gray-700'}`}
+    title={reasons.length > 0 ? reasons.join('; ') : undefined}
+  >
+    {confidence}
+  </span>
+) : null);
+
+ConfidenceBadge.propTypes = {
+  confidence: PropTypes.string,
+  reasons: PropTypes.arrayOf(PropTypes.string)
+};
+
+// Makers of a product, each with their Product Hunt profile, headline and LinkedIn, plus the hunter.
+// With onReview, each maker gets a button to review their LinkedIn candidates.
+function MakerList({ product, onReview = null }) {
+  const makers = getProductMakers(product);
+  if (makers.length === 0 && !product.hunter) return null;
+
+  return (
+    <div className="text-sm text-gray-700">
+      {makers.length > 0 && (
+        <ul className="space-y-1">
+          {makers.map((maker, index) => (
+            <li key={maker.phProfileUrl || `${maker.name}-${index}`} className="flex flex-wrap items-baseline gap-x-2">
+              <span className="font-medium">
+                {index === 0 && 'Maker: '}
+                {maker.phProfileUrl ? (
+                  <a
+                    href={maker.phProfileUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="hover:text-orange-600 hover:underline"
+                  >
+                    {maker.name}
+                  </a>
+                ) : maker.name}
+              </span>
+              {maker.headline && <span className="text-xs text-gray-500">{maker.headline}</span>}
+              {isLinkedInUrl(maker.linkedin) && (
+                <a
+                  href={maker.linkedin}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-xs text-[#0077b5] hover:underline font-medium"
+                >
+                  LinkedIn
+                </a>
+              )}
+              {isLinkedInUrl(maker.linkedin) && <ConfidenceBadge confidence={maker.linkedinConfidence} reasons={maker.linkedinReasons || []} />}
+              {maker.linkedinOverride === 'no-match' && <span className="text-xs text-gray-500 italic">no LinkedIn match</span>}
+              {onReview && (
+                <button
+                  onClick={() => onReview(index)}
+                  className="text-xs text-gray-500 hover:text-gray-800 underline"
+                >
+                  Review
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {product.hunter && (
+        <p className="text-xs text-gray-500 mt-1">
+          Hunted by{' '}
+          {product.hunter.phProfileUrl ? (
+            <a href={product.hunter.phProfileUrl} target="_blank" rel="noopener noreferrer" className="hover:underline">
+              {product.hunter.name}
+            </a>
+          ) : product.hunter.name}
+        </p>
+      )}
+    </div>
+  );
+}
+
+const personShape = PropTypes.shape({
+  name: PropTypes.string.isRequired,
+  phProfileUrl: PropTypes.string,
+  headline: PropTypes.string,
+  linkedin: PropTypes.string
+});
+
+MakerList.propTypes = {
+  product: PropTypes.shape({
+    makerName: PropTypes.string,
+    makers: PropTypes.arrayOf(personShape),
+    hunter: personShape
+  }).isRequired,
+  onReview: PropTypes.func
+};
+
+export default MakerList;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Modal timeline of a product's recorded changes (GET /api/products/:id/history)
+function ProductHistory({ product, makeRequest, onClose }) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await makeRequest(`/api/products/${product.id}/history`);
+        const data = await response.json();
+
+        if (data.success) {
+          setHistory(data.history);
+        } else {
+          setError(data.error?.message || 'Failed to load history');
+        }
+      } catch (err) {
+        setError('Failed to load history');
+        console.error('Error loading product history:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, [product.id]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">History: {product.name}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close history">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="overflow-y-auto px-6 py-4">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : error ? (
+            <p className="text-red-600 text-sm">{error}</p>
+          ) : history.length === 0 ? (
+            <p className="text-gray-500 text-sm italic">No changes recorded yet.</p>
+          ) : (
+            <ol className="relative border-l border-gray-200 ml-2">
+              {history.map((entry, index) => (
+                <li key={`${entry.timestamp}-${index}`} className="mb-6 ml-4">
+                  <div className="absolute w-3 h-3 bg-orange-500 rounded-full -left-1.5 mt-1.5 border border-white"></div>
+                  <time className="text-xs text-gray-500">{new Date(entry.timestamp).toLocaleString()}</time>
+                  <p className="text-sm text-gray-900">
+                    <span className="font-semibold">{entry.actor}</span>
+                    <span className="text-gray-500"> via {entry.source}</span>
+                  </p>
+                  <ul className="mt-2 space-y-1">
+                    {entry.changes.map(change => (
+                      <li key={change.field} className="text-xs text-gray-700 break-all">
+                        <span className="font-medium">{change.field}</span>:{' '}
+                        <span className="line-through text-red-600">{formatValue(change.from)}</span>
+                        {' → '}
+                        <span className="text-green-700">{formatValue(change.to)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ProductHistory.propTypes = {
+  product: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string
+  }).isRequired,
+  makeRequest: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ProductHistory;
@@ -1,6 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
 import PropTypes from 'prop-types';
 import { useSwipeable } from 'react-swipeable';
+import SearchSnippet from './SearchSnippet';
+import Sparkline from './Sparkline';
+import ProductMetrics from './ProductMetrics';
+import WebsiteData from './WebsiteData';
+import { getAdminAuthHeaders } from '../utils/adminAuth';
+import { getProductCategories } from '../utils/productCategories';
 
 // Utility to debounce API calls
 const debounce = (func, wait) => {
@@ -13,10 +20,17 @@ const debounce = (func, wait) => {
   };
 };
 
+// Product IDs per metrics request, the server's limit
+const METRICS_BATCH_SIZE = 200;
+
 function ProductList({ products, selectedCategory, selectedStatus, selectedSort, formatDate, onEnrich, onStatusChange }) {
   const [currentCardIndex, setCurrentCardIndex] = useState(0);
   const [isMobile, setIsMobile] = useState(false);
   const [normalizedProducts, setNormalizedProducts] = useState([]);
+  const [metricsById, setMetricsById] = useState({});
+  const requestedMetricIds = useRef(new Set());
+
+  const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 
   // Check for mobile view
   useEffect(() => {
@@ -54,6 +68,33 @@ function ProductList({ products, selectedCategory, selectedStatus, selectedSort,
     setCurrentCardIndex(0);
   }, [products]);
 
+  // Upvote/rank snapshots for the cards' sparklines, one request for all products not loaded yet
+  useEffect(() => {
+    const ids = normalizedProducts
+      .filter(product => product.phLink && !requestedMetricIds.current.has(product.id))
+      .map(product => product.id);
+    if (ids.length === 0) return;
+    ids.forEach(id => requestedMetricIds.current.add(id));
+
+    const loadMetrics = async (batch) => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/products/metrics?ids=${batch.map(encodeURIComponent).join(',')}`);
+        const data = await response.json();
+        if (!data.success) {
+          throw new Error(data.error?.message || `API error: ${response.status}`);
+        }
+        setMetricsById(current => ({ ...current, ...data.metrics }));
+      } catch (error) {
+        console.error('Error loading product metrics:', error.message);
+        batch.forEach(id => requestedMetricIds.current.delete(id));
+      }
+    };
+
+    for (let start = 0; start < ids.length; start += METRICS_BATCH_SIZE) {
+      loadMetrics(ids.slice(start, start + METRICS_BATCH_SIZE));
+    }
+  }, [normalizedProducts, API_BASE_URL]);
+
   // Handle next card after swipe
   const handleNextCard = () => {
     setCurrentCardIndex(prevIndex => {
@@ -106,6 +147,7 @@ function ProductList({ products, selectedCategory, selectedStatus, selectedSort,
             >
               <ProductCard 
                 product={product} 
+                metrics={metricsById[product.id]}
                 formatDate={formatDate} 
                 onEnrich={onEnrich}
                 onStatusChange={onStatusChange}
@@ -121,16 +163,27 @@ function ProductList({ products, selectedCategory, selectedStatus, selectedSort,
   );
 }
 
-function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeComplete, isMobile, selectedStatus }) {
-  const [upvotes, setUpvotes] = useState(product.upvotes || product.phUpvotes || 'N/A');
+function ProductCard({ product, metrics: loadedMetrics, formatDate, onEnrich, onStatusChange, onSwipeComplete, isMobile, selectedStatus }) {
+  const [upvotes, setUpvotes] = useState(product.phUpvotes || 'N/A');
   const [isFetchingUpvotes, setIsFetchingUpvotes] = useState(true);
   const [fetchError, setFetchError] = useState(null);
   const [isEnriching, setIsEnriching] = useState(false);
   const [enrichError, setEnrichError] = useState(null);
+  const [statusError, setStatusError] = useState(null);
   const [enrichedData, setEnrichedData] = useState(product.linkedInData || null);
+  const [companyLinkedin, setCompanyLinkedin] = useState(product.companyLinkedin || null);
+  const [website, setWebsite] = useState({
+    websiteData: product.websiteData || null,
+    websiteCrawledAt: product.websiteCrawledAt || null,
+    websiteCrawlError: product.websiteCrawlError || null
+  });
+  const [isCrawling, setIsCrawling] = useState(false);
+  const [crawlError, setCrawlError] = useState(null);
   const [swipeDirection, setSwipeDirection] = useState(null);
   const [swipeAction, setSwipeAction] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [metrics, setMetrics] = useState(loadedMetrics || []);
+  const [showMetrics, setShowMetrics] = useState(false);
 
   const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000';
 
@@ -168,17 +221,23 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
         throw new Error(`Missing required fields: phLink=${phLink}, id=${product.id}`);
       }
 
-      // Use cached upvotes if available
-      if (product.upvotes !== undefined && product.upvotes !== null) {
-        setUpvotes(product.upvotes);
+      // Use cached upvotes if they have been fetched before
+      if (product.phUpvotesFetchedAt) {
+        setUpvotes(product.phUpvotes);
         setIsFetchingUpvotes(false);
         return;
       }
 
       const response = await fetch(`${API_BASE_URL}/api/ph-upvotes?url=${encodeURIComponent(phLink)}&productId=${encodeURIComponent(product.id)}`, {
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json', ...getAdminAuthHeaders() }
       });
 
+      // Scraping upvotes updates the product, so only admins can do it; others see the stored count
+      if (response.status === 401) {
+        setUpvotes(product.phUpvotes || 'N/A');
+        return;
+      }
+
       if (response.status === 429 && retries > 0) {
         setFetchError('Rate limit exceeded, retrying...');
         console.log(`Rate limit hit for ${product.name}, retrying after ${delay}ms (${retries} retries left)`);
@@ -195,6 +254,7 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
       if (data.success) {
         setUpvotes(data.upvotes);
         setFetchError(null);
+        reloadMetrics();
       } else {
         throw new Error(data.error?.message || 'Failed to fetch upvotes');
       }
@@ -206,7 +266,7 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
         error.message.includes('Invalid Product Hunt URL') ? 'Invalid Product Hunt URL' :
         'Failed to fetch upvotes'
       );
-      setUpvotes(product.upvotes || product.phUpvotes || 'N/A');
+      setUpvotes(product.phUpvotes || 'N/A');
     } finally {
       setIsFetchingUpvotes(false);
     }
@@ -220,68 +280,54 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
       setIsFetchingUpvotes(false);
       setUpvotes('N/A');
     }
-  }, [product.id, product.phLink, product.productHuntLink, product.name, product.upvotes]);
+  }, [product.id, product.phLink, product.productHuntLink, product.name, product.phUpvotes, product.phUpvotesFetchedAt]);
 
-  const isValidLinkedInUrl = product.linkedin &&
-    typeof product.linkedin === 'string' &&
-    product.linkedin.includes('linkedin.com/company/') &&
-    product.linkedin !== 'https://www.linkedin.com/company/producthunt';
+  // Snapshots come from the list's batch request
+  useEffect(() => {
+    if (loadedMetrics) setMetrics(loadedMetrics);
+  }, [loadedMetrics]);
+
+  // Reload this product's snapshots after a fresh upvote count has been stored
+  const reloadMetrics = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/products/${encodeURIComponent(product.id)}/metrics`);
+      const data = await response.json();
+      if (data.success) {
+        setMetrics(data.snapshots);
+      }
+    } catch (error) {
+      console.error(`Error loading metrics for ${product.name}:`, error.message);
+    }
+  };
 
+  // Without a known company page, the server looks for one before looking up the company
   const handleEnrichLinkedIn = async () => {
-    if (!isValidLinkedInUrl || isEnriching) return;
+    if (isEnriching) return;
     
     setIsEnriching(true);
     setEnrichError(null);
     
     try {
-      const response = await fetch(`${API_BASE_URL}/api/linkedin/companies`, {
+      const response = await fetch(`${API_BASE_URL}/api/cron/enrich/${encodeURIComponent(product.id)}/company`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ linkedin_url: product.linkedin })
+        headers: { ...getAdminAuthHeaders() }
       });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API error: ${response.status} - ${errorText}`);
+
+      if (response.status === 401) {
+        throw new Error('Log in to the Admin Panel to enrich products');
       }
-      
+
       const data = await response.json();
-      const companyData = data[0];
       
-      if (!companyData) {
-        throw new Error('No enrichment data returned');
+      if (!data.success) {
+        throw new Error(data.error?.message || `API error: ${response.status}`);
       }
       
-      const extracted = {
-        operating_status: companyData.operating_status,
-        regions: companyData.regions,
-        founded_year: companyData.founded_year,
-        founders: companyData.founders,
-        founder_info: companyData.founder_info,
-        founder_count: companyData.founder_count,
-        employee_count: companyData.employee_count,
-        employee_count_range: companyData.employee_count_range,
-        city: companyData.hq?.city,
-        state: companyData.hq?.state,
-        country: companyData.hq?.country,
-        phone_number: companyData.contact?.phone_number,
-        email: companyData.contact?.email,
-        growth_stage: companyData.growth_stage
-      };
-      
-      const persistResponse = await fetch(`${API_BASE_URL}/api/products/${product.id}`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ linkedInData: extracted })
-      });
-      
-      if (!persistResponse.ok) {
-        console.error('Failed to persist enriched data');
-      }
-      
-      setEnrichedData(extracted);
+      const { companyLinkedin: foundLinkedin, linkedInData } = data.product;
+      setCompanyLinkedin(foundLinkedin);
+      setEnrichedData(linkedInData);
       if (onEnrich) {
-        onEnrich(product.id, extracted);
+        onEnrich(product.id, linkedInData);
       }
       
       if (swipeDirection === 'up') {
@@ -309,16 +355,53 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
     }
   };
 
+  const handleCrawlWebsite = async () => {
+    if (!product.companyWebsite || isCrawling) return;
+
+    setIsCrawling(true);
+    setCrawlError(null);
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/cron/enrich/${encodeURIComponent(product.id)}/website`, {
+        method: 'POST',
+        headers: { ...getAdminAuthHeaders() }
+      });
+
+      if (response.status === 401) {
+        throw new Error('Log in to the Admin Panel to crawl websites');
+      }
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error?.message || `API error: ${response.status}`);
+      }
+
+      const { websiteData, websiteCrawledAt, websiteCrawlError } = data.product;
+      setWebsite({ websiteData, websiteCrawledAt, websiteCrawlError });
+    } catch (error) {
+      console.error('Website crawl error:', error);
+      setCrawlError(error.message);
+    } finally {
+      setIsCrawling(false);
+    }
+  };
+
   const updateProductStatus = async (status) => {
     if (isProcessing) return;
     setIsProcessing(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/products/${product.id}`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ status })
+      setStatusError(null);
+      const action = status === 'approved' ? 'approve' : 'reject';
+      const response = await fetch(`${API_BASE_URL}/api/makers/${product.id}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...getAdminAuthHeaders() }
       });
       
+      if (response.status === 401) {
+        throw new Error('Log in to the Admin Panel to approve or reject products');
+      }
+
       if (!response.ok) {
         const errorText = await response.text();
         throw new Error(`Failed to update product status: ${errorText}`);
@@ -338,6 +421,7 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
       }
     } catch (error) {
       console.error('Error updating product status:', error);
+      setStatusError(error.message);
     } finally {
       setIsProcessing(false);
     }
@@ -363,7 +447,7 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
       } else if (direction === 'right') {
         setSwipeDirection(direction);
         updateProductStatus('approved');
-      } else if (direction === 'up' && isValidLinkedInUrl && !isEnriching) {
+      } else if (direction === 'up' && !isEnriching) {
         setSwipeDirection(direction);
         handleEnrichLinkedIn();
       }
@@ -381,7 +465,7 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
         } else if (direction === 'right') {
           setSwipeDirection(direction);
           updateProductStatus('approved');
-        } else if (direction === 'up' && isValidLinkedInUrl && !isEnriching) {
+        } else if (direction === 'up' && !isEnriching) {
           setSwipeDirection(direction);
           handleEnrichLinkedIn();
         }
@@ -484,9 +568,11 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
           <h3 className={`text-${isMobile ? 'base' : 'lg'} font-semibold text-gray-800`}>{product.name || 'Untitled Product'}</h3>
         </div>
         <div className="flex flex-wrap gap-2">
-          <span className={`inline-block ${getCategoryBadgeClasses(product.category)} text-xs px-2 py-1 rounded-md shadow-sm`}>
-            {getCategoryDisplayName(product.category)}
-          </span>
+          {getProductCategories(product).map(category => (
+            <span key={category || 'none'} className={`inline-block ${getCategoryBadgeClasses(category)} text-xs px-2 py-1 rounded-md shadow-sm`}>
+              {getCategoryDisplayName(category)}
+            </span>
+          ))}
           {product.launchLabel && (
             <span className="inline-block bg-orange-100 text-orange-800 text-xs px-2 py-1 rounded-md shadow-sm">
               {product.launchLabel}
@@ -495,7 +581,12 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
         </div>
       </div>
       <div className="card-body space-y-2 overflow-y-auto" style={{ maxHeight: displayData ? '100px' : '150px' }}>
-        {product.description && (
+        {product.searchSnippet ? (
+          <SearchSnippet
+            segments={product.searchSnippet}
+            className={`text-gray-600 text-${isMobile ? 'xs' : 'sm'} max-h-32`}
+          />
+        ) : product.description && (
           <p className={`text-gray-600 text-${isMobile ? 'xs' : 'sm'} max-h-32`}>{product.description || 'No description available.'}</p>
         )}
         {product.phTopics && product.phTopics.length > 0 && (
@@ -584,11 +675,44 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
           </div>
         </div>
       )}
+      {product.companyWebsite && (
+        <div className="py-2 bg-gray-50 border border-gray-200 rounded-lg shadow-sm overflow-y-auto" style={{ maxHeight: '150px' }}>
+          <div className="flex items-center justify-between mb-2 px-4">
+            <h4 className={`text-${isMobile ? 'xs' : 'sm'} font-semibold text-gray-900`}>Website Signals</h4>
+            <button
+              onClick={handleCrawlWebsite}
+              disabled={isCrawling}
+              className={`px-2 py-1 text-xs font-medium rounded-md shadow-sm ${isCrawling ? 'bg-gray-200 text-gray-600 animate-pulse' : 'bg-gray-700 text-white hover:bg-gray-800'}`}
+              title="Crawl the homepage and its about, team, pricing and careers pages"
+            >
+              {isCrawling ? 'Crawling...' : website.websiteCrawledAt ? 'Recrawl' : 'Crawl website'}
+            </button>
+          </div>
+          {website.websiteData ? (
+            <WebsiteData
+              websiteData={website.websiteData}
+              crawledAt={website.websiteCrawledAt}
+              crawlError={website.websiteCrawlError}
+              isMobile={isMobile}
+            />
+          ) : (
+            <p className="px-4 text-xs text-gray-500 italic">
+              {website.websiteCrawlError ? `Crawl failed: ${website.websiteCrawlError}` : 'Not crawled yet'}
+            </p>
+          )}
+          {crawlError && <p className="px-4 text-xs text-red-500">{crawlError}</p>}
+        </div>
+      )}
       {fetchError && (
         <div className="px-4 py-1 text-xs text-red-500">
           {fetchError}
         </div>
       )}
+      {statusError && (
+        <div className="px-4 py-1 text-xs text-red-500">
+          {statusError}
+        </div>
+      )}
       <div className="px-4 py-2 flex justify-between items-center mt-2 sticky bottom-0 bg-gradient-to-t from-white to-transparent">
         <div className="flex items-center gap-4">
           <div className="flex items-center justify-center px-3 py-1 rounded-full border bg-gray-100 text-gray-700 border-gray-200 shadow-sm">
@@ -599,6 +723,15 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
               {isFetchingUpvotes ? 'Loading...' : `↑ ${upvotes}`}
             </span>
           </div>
+          {metrics.length >= 2 && (
+            <button
+              onClick={() => setShowMetrics(true)}
+              className="flex items-center hover:opacity-75"
+              title="Show upvote and rank history"
+            >
+              <Sparkline values={metrics.map(snapshot => snapshot.phUpvotes)} title="Upvotes over time" />
+            </button>
+          )}
           <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border shadow-sm ${getStatusBadgeClasses(product.status)}`}>
             {product.status ? product.status.charAt(0).toUpperCase() + product.status.slice(1) : 'Unknown'}
           </span>
@@ -635,6 +768,15 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
             >
               View on Product Hunt
             </a>
+          ) : product.sourceLink ? (
+            <a
+              href={product.sourceLink}
+              target="_blank"
+              rel="noopener noreferrer"
+              className={`text-${isMobile ? 'xs' : 'sm'} text-gray-600 hover:text-gray-900 font-medium hover:underline transition-colors duration-200 px-3 py-1 bg-gray-50 rounded-md shadow-sm`}
+            >
+              View on {product.source}
+            </a>
           ) : (
             <span className={`text-${isMobile ? 'xs' : 'sm'} text-gray-400 font-medium px-3 py-1 bg-orange-50 rounded-md shadow-sm cursor-not-allowed`}>
               No Product Hunt Link
@@ -660,30 +802,32 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
           )}
         </div>
       )}
-      {isValidLinkedInUrl && (
-        <div className="px-4 py-2 flex items-center">
-          <svg className="w-4 h-4 text-[#0077b5] mr-2" fill="currentColor" viewBox="0 0 24 24">
-            <path d="M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z"/>
-          </svg>
+      <div className="px-4 py-2 flex items-center">
+        <svg className="w-4 h-4 text-[#0077b5] mr-2" fill="currentColor" viewBox="0 0 24 24">
+          <path d="M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z"/>
+        </svg>
+        {companyLinkedin ? (
           <a
-            href={product.linkedin}
+            href={companyLinkedin}
             target="_blank"
             rel="noopener noreferrer"
             className={`text-${isMobile ? 'xs' : 'sm'} text-[#0077b5] hover:underline font-medium transition-colors duration-200`}
           >
             LinkedIn
           </a>
-          <button
-            onClick={handleEnrichLinkedIn}
-            disabled={isEnriching || !!displayData}
-            className={`ml-2 px-2 py-1 text-xs font-medium rounded-md shadow-sm ${!!displayData ? 'bg-green-100 text-green-700 cursor-default' : isEnriching ? 'bg-blue-100 text-blue-700 animate-pulse' : 'bg-blue-500 text-white hover:bg-blue-600'}`}
-            title={!!displayData ? 'Already enriched' : 'Enrich LinkedIn profile'}
-          >
-            {!!displayData ? '✓ Enriched' : isEnriching ? 'Enriching...' : 'Enrich LinkedIn'}
-          </button>
-          {enrichError && <span className="text-xs text-red-500 ml-2">{enrichError}</span>}
-        </div>
-      )}
+        ) : (
+          <span className={`text-${isMobile ? 'xs' : 'sm'} text-gray-500`}>LinkedIn page not found yet</span>
+        )}
+        <button
+          onClick={handleEnrichLinkedIn}
+          disabled={isEnriching || !!displayData}
+          className={`ml-2 px-2 py-1 text-xs font-medium rounded-md shadow-sm ${!!displayData ? 'bg-green-100 text-green-700 cursor-default' : isEnriching ? 'bg-blue-100 text-blue-700 animate-pulse' : 'bg-blue-500 text-white hover:bg-blue-600'}`}
+          title={!!displayData ? 'Already enriched' : companyLinkedin ? 'Enrich LinkedIn profile' : 'Find the LinkedIn company page and enrich it'}
+        >
+          {!!displayData ? '✓ Enriched' : isEnriching ? 'Enriching...' : 'Enrich LinkedIn'}
+        </button>
+        {enrichError && <span className="text-xs text-red-500 ml-2">{enrichError}</span>}
+      </div>
       {product.phGithub && (
         <div className="px-4 py-2 flex items-center">
           <svg className="w-4 h-4 text-gray-900 mr-2" fill="currentColor" viewBox="0 0 24 24">
@@ -699,6 +843,11 @@ function ProductCard({ product, formatDate, onEnrich, onStatusChange, onSwipeCom
           </a>
         </div>
       )}
+      {/* Portalled so the card's swipe transform and scrolling do not clip the modal */}
+      {showMetrics && createPortal(
+        <ProductMetrics product={product} snapshots={metrics} onClose={() => setShowMetrics(false)} />,
+        document.body
+      )}
     </div>
   );
 }
@@ -710,9 +859,10 @@ ProductList.propTypes = {
       name: PropTypes.string,
       description: PropTypes.string,
       category: PropTypes.string,
+      categories: PropTypes.arrayOf(PropTypes.string),
       status: PropTypes.string,
-      upvotes: PropTypes.number,
-      phUpvotes: PropTypes.number, // Backward compatibility
+      phUpvotes: PropTypes.number,
+      phUpvotesFetchedAt: PropTypes.string,
       phTopics: PropTypes.arrayOf(PropTypes.string),
       dayRank: PropTypes.string,
       companyWebsite: PropTypes.string,
@@ -720,11 +870,16 @@ ProductList.propTypes = {
       launchDate: PropTypes.string,
       accelerator: PropTypes.string,
       linkedin: PropTypes.string,
+      companyLinkedin: PropTypes.string,
+      companyLinkedinCheckedAt: PropTypes.string,
       makerName: PropTypes.string,
       phGithub: PropTypes.string,
       phLink: PropTypes.string,
+      source: PropTypes.string,
+      sourceLink: PropTypes.string,
       productHuntLink: PropTypes.string,
       linkedInData: PropTypes.object,
+      searchSnippet: PropTypes.array,
       thumbnail: PropTypes.shape({
         url: PropTypes.string
       })
@@ -744,9 +899,10 @@ ProductCard.propTypes = {
     name: PropTypes.string,
     description: PropTypes.string,
     category: PropTypes.string,
+    categories: PropTypes.arrayOf(PropTypes.string),
     status: PropTypes.string,
-    upvotes: PropTypes.number,
-    phUpvotes: PropTypes.number, // Backward compatibility
+    phUpvotes: PropTypes.number,
+    phUpvotesFetchedAt: PropTypes.string,
     phTopics: PropTypes.arrayOf(PropTypes.string),
     dayRank: PropTypes.string,
     companyWebsite: PropTypes.string,
@@ -754,15 +910,24 @@ ProductCard.propTypes = {
     launchDate: PropTypes.string,
     accelerator: PropTypes.string,
     linkedin: PropTypes.string,
+    companyLinkedin: PropTypes.string,
+    companyLinkedinCheckedAt: PropTypes.string,
     makerName: PropTypes.string,
     phGithub: PropTypes.string,
     phLink: PropTypes.string,
+    source: PropTypes.string,
+    sourceLink: PropTypes.string,
     productHuntLink: PropTypes.string,
     linkedInData: PropTypes.object,
+    websiteData: PropTypes.object,
+    websiteCrawledAt: PropTypes.string,
+    websiteCrawlError: PropTypes.string,
+    searchSnippet: PropTypes.array,
     thumbnail: PropTypes.shape({
       url: PropTypes.string
     })
   }).isRequired,
+  metrics: PropTypes.arrayOf(PropTypes.object),
   formatDate: PropTypes.func,
   onEnrich: PropTypes.func,
   onStatusChange: PropTypes.func,
@@ -0,0 +1,127 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import Sparkline from './Sparkline';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Upvotes gained in the first 24 hours of the recorded series
+const getLaunchDayGain = (snapshots) => {
+  const counted = snapshots.filter(snapshot => typeof snapshot.phUpvotes === 'number');
+  if (counted.length < 2) return null;
+
+  const start = counted[0];
+  const dayEnd = new Date(start.timestamp).getTime() + 24 * 60 * 60 * 1000;
+  const lastInDay = counted.filter(snapshot => new Date(snapshot.timestamp).getTime() <= dayEnd).pop();
+  return lastInDay.phUpvotes - start.phUpvotes;
+};
+
+// Modal with a product's upvote and day-rank time series (GET /api/products/:id/metrics)
+function ProductMetrics({ product, snapshots, onClose }) {
+  const upvotes = snapshots.map(snapshot => snapshot.phUpvotes);
+  const ranks = snapshots.map(snapshot => snapshot.phDayRank);
+  const rankedSnapshots = ranks.filter(rank => typeof rank === 'number');
+  const bestRank = rankedSnapshots.length > 0 ? Math.min(...rankedSnapshots) : null;
+  const latest = snapshots[snapshots.length - 1];
+  const launchDayGain = getLaunchDayGain(snapshots);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40 p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Momentum: {product.name}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close momentum">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="overflow-y-auto px-6 py-4">
+          {snapshots.length === 0 ? (
+            <p className="text-gray-500 text-sm italic">No snapshots recorded yet.</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-3 gap-4 mb-6 text-center">
+                <div>
+                  <p className="text-xs text-gray-500">Latest upvotes</p>
+                  <p className="text-xl font-semibold text-gray-900">{latest.phUpvotes ?? '—'}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500">First 24h gain</p>
+                  <p className="text-xl font-semibold text-gray-900">{launchDayGain === null ? '—' : `+${launchDayGain}`}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500">Best day rank</p>
+                  <p className="text-xl font-semibold text-gray-900">{bestRank === null ? '—' : `#${bestRank}`}</p>
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <p className="text-sm font-medium text-gray-700 mb-1">Upvotes</p>
+                <Sparkline values={upvotes} width={600} height={120} className="w-full text-orange-500" title="Upvotes over time" />
+              </div>
+              {rankedSnapshots.length >= 2 && (
+                <div className="mb-4">
+                  <p className="text-sm font-medium text-gray-700 mb-1">Day rank (higher is better)</p>
+                  <Sparkline values={ranks} width={600} height={60} className="w-full text-blue-500" invert title="Day rank over time" />
+                </div>
+              )}
+              <div className="flex justify-between text-xs text-gray-500 mb-6">
+                <span>{formatTime(snapshots[0].timestamp)}</span>
+                <span>{formatTime(latest.timestamp)}</span>
+              </div>
+
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                    <th className="py-1">Time</th>
+                    <th className="py-1">Upvotes</th>
+                    <th className="py-1">Votes</th>
+                    <th className="py-1">Rank</th>
+                    <th className="py-1">Source</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {snapshots.slice().reverse().map((snapshot, index) => (
+                    <tr key={`${snapshot.timestamp}-${index}`} className="border-b border-gray-100">
+                      <td className="py-1 text-gray-700">{formatTime(snapshot.timestamp)}</td>
+                      <td className="py-1 text-gray-900">{snapshot.phUpvotes ?? '—'}</td>
+                      <td className="py-1 text-gray-900">{snapshot.phVotes ?? '—'}</td>
+                      <td className="py-1 text-gray-900">{snapshot.phDayRank ? `#${snapshot.phDayRank}` : '—'}</td>
+                      <td className="py-1 text-gray-500">{snapshot.source}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ProductMetrics.propTypes = {
+  product: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string
+  }).isRequired,
+  snapshots: PropTypes.arrayOf(PropTypes.shape({
+    timestamp: PropTypes.string.isRequired,
+    phUpvotes: PropTypes.number,
+    phVotes: PropTypes.number,
+    phDayRank: PropTypes.number,
+    source: PropTypes.string
+  })).isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ProductMetrics;
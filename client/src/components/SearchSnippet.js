@@ -0,0 +1,31 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Renders a snippet from GET /api/search with matched words highlighted
+function SearchSnippet({ segments, className }) {
+  if (!segments || segments.length === 0) return null;
+
+  return (
+    <p className={className}>
+      {segments.map((segment, index) =>
+        segment.highlight ? (
+          <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">{segment.text}</mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </p>
+  );
+}
+
+SearchSnippet.propTypes = {
+  segments: PropTypes.arrayOf(
+    PropTypes.shape({
+      text: PropTypes.string,
+      highlight: PropTypes.bool
+    })
+  ),
+  className: PropTypes.string
+};
+
+export default SearchSnippet;
@@ -0,0 +1,48 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Polyline points scaled into the box; `invert` puts the smallest value on top (e.g. rank #1)
+export const toPoints = (values, width, height, padding = 2, invert = false) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const step = values.length > 1 ? (width - padding * 2) / (values.length - 1) : 0;
+
+  return values.map((value, index) => {
+    const ratio = (value - min) / range;
+    const x = padding + index * step;
+    const y = invert ? padding + ratio * (height - padding * 2) : height - padding - ratio * (height - padding * 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+};
+
+// Tiny inline trend line for product cards
+function Sparkline({ values, width = 64, height = 20, className = 'text-orange-500', invert = false, title = 'Trend' }) {
+  const points = values.filter(value => typeof value === 'number');
+  if (points.length < 2) return null;
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className={className} role="img" aria-label={title}>
+      <title>{title}</title>
+      <polyline
+        points={toPoints(points, width, height, 2, invert)}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        strokeLinejoin="round"
+        strokeLinecap="round"
+      />
+    </svg>
+  );
+}
+
+Sparkline.propTypes = {
+  values: PropTypes.arrayOf(PropTypes.number).isRequired,
+  width: PropTypes.number,
+  height: PropTypes.number,
+  className: PropTypes.string,
+  invert: PropTypes.bool,
+  title: PropTypes.string
+};
+
+export default Sparkline;
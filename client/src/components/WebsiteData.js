@@ -0,0 +1,96 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const SOCIAL_LABELS = {
+  twitter: 'X/Twitter',
+  linkedin: 'LinkedIn',
+  github: 'GitHub',
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  youtube: 'YouTube',
+  discord: 'Discord',
+  tiktok: 'TikTok'
+};
+
+const linkClass = 'text-orange-600 hover:text-orange-800 hover:underline';
+
+// Team, pricing, contact, social and tech stack signals the crawler found on a product's website
+function WebsiteData({ websiteData, crawledAt = null, crawlError = null, isMobile = false }) {
+  const {
+    team = [],
+    pricing = [],
+    contactPages = [],
+    emails = [],
+    socialLinks = {},
+    techStack = []
+  } = websiteData;
+  const socialEntries = Object.entries(socialLinks);
+  const isEmpty = team.length === 0 && pricing.length === 0 && contactPages.length === 0 &&
+    emails.length === 0 && socialEntries.length === 0 && techStack.length === 0;
+
+  return (
+    <div className={`space-y-1 px-4 text-${isMobile ? 'xs' : 'sm'} text-gray-700`}>
+      {isEmpty && <p className="italic text-gray-500">Nothing found on the website</p>}
+      {team.length > 0 && (
+        <p>Team: {team.map(member => (member.role ? `${member.name} (${member.role})` : member.name)).join(', ')}</p>
+      )}
+      {pricing.length > 0 && (
+        <p>Pricing: {pricing.map(tier => `${tier.name} ${tier.price}`).join(' · ')}</p>
+      )}
+      {(emails.length > 0 || contactPages.length > 0) && (
+        <p className="break-all">
+          Contact:{' '}
+          {emails.map(email => (
+            <a key={email} href={`mailto:${email}`} className={`${linkClass} mr-2`}>{email}</a>
+          ))}
+          {contactPages.map(url => (
+            <a key={url} href={url} target="_blank" rel="noopener noreferrer" className={`${linkClass} mr-2`}>
+              {new URL(url).pathname}
+            </a>
+          ))}
+        </p>
+      )}
+      {socialEntries.length > 0 && (
+        <p>
+          Social:{' '}
+          {socialEntries.map(([network, url]) => (
+            <a key={network} href={url} target="_blank" rel="noopener noreferrer" className={`${linkClass} mr-2`}>
+              {SOCIAL_LABELS[network] || network}
+            </a>
+          ))}
+        </p>
+      )}
+      {techStack.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {techStack.map(tech => (
+            <span key={tech.name} className="text-xs text-gray-700 bg-white border border-gray-200 px-1.5 py-0.5 rounded" title={tech.category}>
+              {tech.name}
+            </span>
+          ))}
+        </div>
+      )}
+      {crawledAt && (
+        <p className="text-xs text-gray-500">
+          Crawled {new Date(crawledAt).toLocaleDateString()}
+          {crawlError && <span className="text-red-500"> · last crawl failed: {crawlError}</span>}
+        </p>
+      )}
+    </div>
+  );
+}
+
+WebsiteData.propTypes = {
+  websiteData: PropTypes.shape({
+    team: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string.isRequired, role: PropTypes.string })),
+    pricing: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string.isRequired, price: PropTypes.string })),
+    contactPages: PropTypes.arrayOf(PropTypes.string),
+    emails: PropTypes.arrayOf(PropTypes.string),
+    socialLinks: PropTypes.objectOf(PropTypes.string),
+    techStack: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string.isRequired, category: PropTypes.string }))
+  }).isRequired,
+  crawledAt: PropTypes.string,
+  crawlError: PropTypes.string,
+  isMobile: PropTypes.bool
+};
+
+export default WebsiteData;
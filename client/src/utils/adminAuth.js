@@ -0,0 +1,15 @@
+// Admin auth headers shared between the admin panel and the dashboard, so
+// dashboard edits can use the admin's login. Kept in memory only: Basic auth
+// headers carry the password, so they are never written to browser storage.
+// Navigating within the app keeps them; reloading the page asks for the login again.
+let adminAuthHeaders = {};
+
+export const storeAdminAuthHeaders = (headers) => {
+  adminAuthHeaders = { ...headers };
+};
+
+export const getAdminAuthHeaders = () => ({ ...adminAuthHeaders });
+
+export const clearAdminAuthHeaders = () => {
+  adminAuthHeaders = {};
+};
@@ -0,0 +1,4 @@
+// Products can belong to several categories; older records only have `category`
+export const getProductCategories = (product) => (
+  product.categories && product.categories.length > 0 ? product.categories : [product.category]
+);
@@ -4,19 +4,33 @@ const cors = require('cors');
 const helmet = require('helmet');
 require('dotenv').config();
 const fetch = require('node-fetch');
-const cheerio = require('cheerio');
 
 // Import routes
 const cronRoutes = require('./routes/cron');
+const categoryRoutes = require('./routes/categories');
+const duplicateRoutes = require('./routes/duplicates');
+const scrapingRuleRoutes = require('./routes/scrapingRules');
 
 // Import services
 const dbService = require('./services/dbService');
 const googleSheetsService = require('./services/googleSheetsService');
 const scheduleService = require('./services/scheduleService');
 const cacheService = require('./services/cacheService');
+const categoryService = require('./services/categoryService');
+const sourceRegistry = require('./services/sources');
+const searchService = require('./services/searchService');
+const trendingService = require('./services/trendingService');
+const fixtureService = require('./services/fixtureService');
+const browserService = require('./services/browserService');
+const enrichmentQueue = require('./services/enrichmentQueue');
+const phEnrichmentService = require('./services/phEnrichmentService');
+const linkedinEnrichmentService = require('./services/linkedinEnrichmentService');
+const companyEnrichmentService = require('./services/companyEnrichmentService');
+const { validateProductUpdate } = require('./services/productValidation');
+const { parseProductQuery, MAX_LIMIT } = require('./services/storage/productQuery');
 
 // Import middleware
-const { auth, logAuthAttempt } = require('./middleware/auth');
+const { auth, logAuthAttempt, getAuditContext } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -54,6 +68,9 @@ if (process.env.NODE_ENV === 'production') {
 
 // API Routes
 app.use('/api/cron', cronRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/duplicates', duplicateRoutes);
+app.use('/api/scraping-rules', scrapingRuleRoutes);
 
 // OAuth callback for Product Hunt access token
 app.get('/callback', async (req, res) => {
@@ -89,8 +106,11 @@ app.get('/callback', async (req, res) => {
   }
 });
 
-// Product Hunt upvotes endpoint using web scraping
-app.get('/api/ph-upvotes', async (req, res) => {
+// Hosts /api/ph-upvotes may scrape
+const PRODUCT_HUNT_HOSTS = ['www.producthunt.com', 'producthunt.com'];
+
+// Product Hunt upvotes endpoint using web scraping; it writes to the product, so it needs auth
+app.get('/api/ph-upvotes', logAuthAttempt, auth, async (req, res) => {
   const { url, productId } = req.query;
 
   if (!url || !productId) {
@@ -100,9 +120,20 @@ app.get('/api/ph-upvotes', async (req, res) => {
     });
   }
 
+  const renderMode = browserService.resolveMode(req.query.render);
+  if (!renderMode) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid render mode', details: 'render must be static, auto or browser' }
+    });
+  }
+
   let slug;
   try {
     const urlObj = new URL(url);
+    if (urlObj.protocol !== 'https:' || !PRODUCT_HUNT_HOSTS.includes(urlObj.hostname)) {
+      throw new Error('URL must be an https://www.producthunt.com page');
+    }
     const pathParts = urlObj.pathname.split('/');
     const productIndex = pathParts.indexOf('products');
     if (productIndex !== -1 && pathParts[productIndex + 1]) {
@@ -119,34 +150,17 @@ app.get('/api/ph-upvotes', async (req, res) => {
   }
 
   try {
-    // Fetch the Product Hunt page
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const html = await response.text();
-    const $ = cheerio.load(html);
-
-    // Select the upvote count element (second button, XPath: //*[@id="root-container"]/div[4]/div/main/section/button[2]/div/p)
-    const upvoteElement = $('#root-container div main section button:nth-child(2) div p.text-14');
-    const upvotesText = upvoteElement.text().trim();
-    const upvotes = parseInt(upvotesText, 10);
-
-    if (isNaN(upvotes)) {
-      throw new Error('Unable to parse upvote count');
-    }
-
-    // Extract product name for consistency
-    const nameElement = $('h1').first();
-    const name = nameElement.text().trim() || 'Unknown Product';
+    const { upvotes, name } = await enrichmentQueue.add(
+      () => enrichmentQueue.throttle('producthunt', () => phEnrichmentService.fetchUpvotes(url, { render: renderMode })),
+      { type: 'ph', productId, priority: 'manual' }
+    );
 
     // Update database with upvotes and name
-    await dbService.updateProductFields(productId, { upvotes, name });
+    await dbService.updateProductFields(productId, {
+      phUpvotes: upvotes,
+      phUpvotesFetchedAt: new Date().toISOString(),
+      name
+    }, getAuditContext(req));
     console.log(`Updated product ${productId} with upvotes: ${upvotes}, name: ${name}`);
 
     return res.json({
@@ -203,7 +217,12 @@ app.get('/api/ph-upvotes', async (req, res) => {
       }
 
       const { votesCount, id: phId, name } = post;
-      await dbService.updateProductFields(productId, { upvotes: votesCount, phId, name });
+      await dbService.updateProductFields(productId, {
+        phUpvotes: votesCount,
+        phUpvotesFetchedAt: new Date().toISOString(),
+        phId,
+        name
+      }, getAuditContext(req));
       console.log(`Updated product ${productId} with upvotes: ${votesCount}, phId: ${phId}, name: ${name}`);
 
       return res.json({
@@ -220,16 +239,15 @@ app.get('/api/ph-upvotes', async (req, res) => {
   */
 });
 
-// LinkedIn API proxy
-app.post('/api/linkedin/companies', async (req, res) => {
+// LinkedIn API proxy: raw company data for a LinkedIn company page, subject
+// to the company enrichment quota and rate limit
+app.post('/api/linkedin/companies', logAuthAttempt, auth, async (req, res) => {
   try {
     const { linkedin_url } = req.body;
     if (!linkedin_url) {
       return res.status(400).json({ error: 'LinkedIn URL is required' });
     }
     
-    const API_KEY = process.env.SPECTER_API_KEY || 'd6c0bfe4e7dab55384f8556b7c39e45aae439ce179fbb864b96545646b3577a4';
-    
     console.log(`Enriching LinkedIn URL: ${linkedin_url}`);
     
     if (!linkedin_url.includes('linkedin.com/company/')) {
@@ -239,28 +257,14 @@ app.post('/api/linkedin/companies', async (req, res) => {
       });
     }
     
-    const response = await fetch('https://app.tryspecter.com/api/v1/companies', { 
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': API_KEY 
-      },
-      body: JSON.stringify({ linkedin_url })
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`Specter API error (${response.status}):`, errorText);
-      throw new Error(`Specter API responded with status: ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const company = await companyEnrichmentService.lookup(linkedin_url);
     console.log(`Successfully enriched: ${linkedin_url}`);
-    res.json(data);
+    res.json([company]);
   } catch (error) {
-    console.error('Specter API proxy error:', error);
-    res.status(500).json({ 
+    console.error('Company data proxy error:', error.message);
+    res.status(companyEnrichmentService.getErrorStatus(error)).json({ 
       error: 'Failed to fetch Specter data',
+      code: error.code || null,
       details: error.message 
     });
   }
@@ -269,35 +273,29 @@ app.post('/api/linkedin/companies', async (req, res) => {
 // Products API routes
 app.get('/api/products', async (req, res) => {
   try {
-    const { category, status, sort, limit } = req.query;
-    let products;
-
-    if (category) {
-      products = await dbService.getProductsByCategory(category);
-    } else if (status) {
-      products = await dbService.getProductsByStatus(status);
-    } else {
-      products = await dbService.getAllProducts();
-    }
+    const { query, errors } = parseProductQuery(req.query);
 
-    if (sort === 'upvotes') {
-      products.sort((a, b) => {
-        const votesA = a.upvotes || 0;
-        const votesB = b.upvotes || 0;
-        if (votesA !== votesB) {
-          return votesB - votesA;
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid query parameters',
+          details: errors
         }
-        return new Date(b.publishedAt) - new Date(a.publishedAt);
       });
     }
 
-    if (limit && !isNaN(limit)) {
-      products = products.slice(0, parseInt(limit));
-    }
+    const { products, total } = query.sort === 'trendingScore'
+      ? await trendingService.queryProducts(query)
+      : await dbService.queryProducts(query);
 
     res.json({
       success: true,
       count: products.length,
+      total,
+      offset: query.offset,
+      limit: query.limit || null,
+      hasMore: query.offset + products.length < total,
       products
     });
   } catch (error) {
@@ -313,11 +311,22 @@ app.get('/api/products', async (req, res) => {
 });
 
 // Update product fields
-app.patch('/api/products/:id', async (req, res) => {
+app.patch('/api/products/:id', logAuthAttempt, auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const fields = req.body;
-    const updated = await dbService.updateProductFields(id, fields);
+    const { fields, errors } = validateProductUpdate(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid product update',
+          details: errors
+        }
+      });
+    }
+
+    const updated = await dbService.updateProductFields(id, fields, getAuditContext(req));
     
     if (updated) {
       res.json({
@@ -344,6 +353,202 @@ app.patch('/api/products/:id', async (req, res) => {
   }
 });
 
+// Upvote, vote and day-rank snapshots of several products (?ids=a,b,c), for a page of cards
+app.get('/api/products/metrics', async (req, res) => {
+  try {
+    const ids = typeof req.query.ids === 'string'
+      ? [...new Set(req.query.ids.split(',').map(id => id.trim()).filter(Boolean))]
+      : [];
+
+    if (ids.length === 0 || ids.length > MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid query parameters',
+          details: [{ field: 'ids', message: `ids must list between 1 and ${MAX_LIMIT} product IDs, separated by commas` }]
+        }
+      });
+    }
+
+    const metrics = await dbService.getMetricsForProducts(ids);
+
+    res.json({
+      success: true,
+      count: ids.length,
+      metrics: Object.fromEntries(metrics)
+    });
+  } catch (error) {
+    console.error('Error fetching product metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch product metrics',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Upvote, vote and day-rank snapshots of a product
+app.get('/api/products/:id/metrics', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { since } = req.query;
+
+    if (since && isNaN(new Date(since).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid query parameters',
+          details: [{ field: 'since', message: 'since must be a date' }]
+        }
+      });
+    }
+
+    const product = await dbService.getItem(`product:${id}`);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found'
+        }
+      });
+    }
+
+    const snapshots = await dbService.getProductMetrics(id, { since });
+
+    res.json({
+      success: true,
+      productId: id,
+      count: snapshots.length,
+      snapshots
+    });
+  } catch (error) {
+    console.error('Error fetching product metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch product metrics',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Product change history (admin only)
+app.get('/api/products/:id/history', logAuthAttempt, auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const product = await dbService.getItem(`product:${id}`);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product not found'
+        }
+      });
+    }
+
+    const history = await dbService.getProductHistory(id);
+
+    res.json({
+      success: true,
+      productId: id,
+      count: history.length,
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching product history:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch product history',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Choose a maker's LinkedIn profile, or mark that none of the candidates match (admin only)
+app.put('/api/products/:id/makers/:index/linkedin', logAuthAttempt, auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const index = parseInt(req.params.index, 10);
+    const linkedin = req.body ? req.body.linkedin : undefined;
+
+    const errors = [];
+    if (!Number.isInteger(index) || index < 0 || String(index) !== req.params.index) {
+      errors.push({ field: 'index', message: 'index must be a non-negative integer' });
+    }
+    if (linkedin !== null && !(typeof linkedin === 'string' && /^https?:\/\/([a-z]+\.)?linkedin\.com\/in\//i.test(linkedin))) {
+      errors.push({ field: 'linkedin', message: 'linkedin must be a linkedin.com/in/ URL, or null for no match' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid LinkedIn decision',
+          details: errors
+        }
+      });
+    }
+
+    const product = await linkedinEnrichmentService.setMakerOverride(id, index, linkedin, getAuditContext(req));
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product or maker not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      product
+    });
+  } catch (error) {
+    console.error('Error saving LinkedIn decision:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to save LinkedIn decision',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Drop an admin LinkedIn decision so the maker is looked up again (admin only)
+app.delete('/api/products/:id/makers/:index/linkedin', logAuthAttempt, auth, async (req, res) => {
+  try {
+    const product = await linkedinEnrichmentService.clearMakerOverride(req.params.id, parseInt(req.params.index, 10), getAuditContext(req));
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Product or maker not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      product
+    });
+  } catch (error) {
+    console.error('Error clearing LinkedIn decision:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to clear LinkedIn decision',
+        details: error.message
+      }
+    });
+  }
+});
+
 // Get products by category
 app.get('/api/products/category/:category', async (req, res) => {
   try {
@@ -368,17 +573,70 @@ app.get('/api/products/category/:category', async (req, res) => {
   }
 });
 
+// Full-text search across products, makers, company info and topics
+app.get('/api/search', async (req, res) => {
+  const q = (req.query.q || '').trim();
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  if (!q) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Missing search query', details: 'The q parameter is required' }
+    });
+  }
+
+  try {
+    const { total, results } = await searchService.search(q, {
+      category: req.query.category || undefined,
+      status: req.query.status || undefined,
+      source: req.query.source || undefined,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      query: q,
+      total,
+      count: results.length,
+      offset,
+      results
+    });
+  } catch (error) {
+    console.error('Error searching products:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Search failed',
+        details: error.message
+      }
+    });
+  }
+});
+
+// List ingestion sources: Product Hunt plus the feeds in config/feedSources.js
+app.get('/api/sources', (req, res) => {
+  const sources = sourceRegistry.getSources();
+
+  res.json({
+    success: true,
+    count: sources.length,
+    sources
+  });
+});
+
 // Get database statistics
 app.get('/api/stats', async (req, res) => {
   try {
     const stats = await dbService.getStats();
-    const rssCategories = require('./config/rssCategories');
+    const categories = await categoryService.getEnabledSlugs();
     
     res.json({
       success: true,
       timestamp: new Date().toISOString(),
       configuration: {
-        categories: rssCategories
+        categories
       },
       database: stats
     });
@@ -496,7 +754,7 @@ app.post('/api/makers/:id/approve', logAuthAttempt, auth, async (req, res) => {
       });
     }
 
-    const success = await dbService.updateProductFields(id, { status: 'approved' });
+    const success = await dbService.updateProductStatus(id, 'approved', getAuditContext(req));
     
     if (!success) {
       return res.status(500).json({
@@ -512,7 +770,7 @@ app.post('/api/makers/:id/approve', logAuthAttempt, auth, async (req, res) => {
     try {
       const syncSuccess = await googleSheetsService.addApprovedMaker(product);
       if (syncSuccess) {
-        await dbService.updateProductFields(id, { sheetsSynced: true });
+        await dbService.updateProductSheetsSyncStatus(id, true, getAuditContext(req));
         sheetsResult.synced = true;
         console.log(`Successfully synced approved maker to Google Sheets: ${product.name}`);
       } else {
@@ -544,7 +802,7 @@ app.post('/api/makers/:id/approve', logAuthAttempt, auth, async (req, res) => {
 app.post('/api/makers/:id/reject', logAuthAttempt, auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const success = await dbService.updateProductFields(id, { status: 'rejected' });
+    const success = await dbService.updateProductStatus(id, 'rejected', getAuditContext(req));
     
     if (success) {
       res.json({
@@ -593,7 +851,7 @@ app.post('/api/cron/resync-sheets', logAuthAttempt, auth, async (req, res) => {
       try {
         const syncSuccess = await googleSheetsService.addApprovedMaker(product);
         if (syncSuccess) {
-          await dbService.updateProductFields(product.id, { sheetsSynced: true });
+          await dbService.updateProductSheetsSyncStatus(product.id, true, getAuditContext(req));
           
           results.push({
             productId: product.id,
@@ -690,6 +948,7 @@ app.get('/api/debug/enriched', async (req, res) => {
         name: product.name,
         category: product.category,
         makerName: product.makerName,
+        makers: product.makers || [],
         linkedin: product.linkedin,
         publishedAt: product.publishedAt,
         createdAt: product.createdAt,
@@ -720,7 +979,9 @@ app.get('/api/health', (req, res) => {
 });
 
 // API info page for development
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
+  const categories = await categoryService.getCategories().catch(() => []);
+
   res.json({
     name: 'Product Hunt Finder API',
     version: '1.0.0',
@@ -728,10 +989,29 @@ app.get('/', (req, res) => {
     timestamp: new Date().toISOString(),
     note: 'Frontend is served by Vite on a separate port (5173 in development)',
     endpoints: {
-      'POST /api/cron/fetch': 'Trigger RSS feed fetching for all categories (includes LinkedIn enrichment)',
+      'POST /api/cron/fetch': 'Trigger feed fetching for enabled sources and the Product Hunt categories that are due (?force=true ignores per-category intervals; includes LinkedIn enrichment)',
       'POST /api/cron/fetch/:category': 'Trigger RSS feed fetching for specific category',
-      'GET /api/products': 'Get all products (supports ?category and ?status filters)',
-      'PATCH /api/products/:id': 'Update product fields (e.g., linkedInData, status, upvotes)',
+      'POST /api/cron/fetch/source/:sourceId': 'Fetch every feed of one ingestion source (e.g. show-hn)',
+      'POST /api/cron/snapshot-metrics': 'Record upvote/rank snapshots for recently launched products (?force=true)',
+      'GET /api/sources': 'List ingestion sources (Product Hunt plus feeds from config/feedSources.js)',
+      'GET /api/categories': 'List RSS categories (?enabled=true for enabled ones only)',
+      'POST /api/categories': 'Add an RSS category { slug, name, enabled, fetchIntervalHours } [AUTH REQUIRED]',
+      'PATCH /api/categories/:slug': 'Rename, enable/disable or change the fetch interval of a category [AUTH REQUIRED]',
+      'DELETE /api/categories/:slug': 'Remove an RSS category [AUTH REQUIRED]',
+      'GET /api/products': 'Get products (filters: category, status, source, from, to, hasLinkedin, topic, minUpvotes; sort: publishedAt, createdAt, phUpvotes, phDayRank, trending; order; limit/offset pagination)',
+      'GET /api/search': 'Full-text search over products, makers, company info and topics (?q=, category, status, source, limit, offset)',
+      'PATCH /api/products/:id': 'Update editable product fields, e.g. linkedInData or phUpvotes (authenticated; status changes go through the maker approve/reject routes)',
+      'GET /api/products/:id/history': 'Get a product\'s change history (authenticated)',
+      'PUT /api/products/:id/makers/:index/linkedin': 'Choose a maker\'s LinkedIn profile ({ linkedin }) or mark no match ({ linkedin: null }); overrides future lookups for that maker (authenticated)',
+      'DELETE /api/products/:id/makers/:index/linkedin': 'Clear a maker\'s LinkedIn decision so it is looked up again (authenticated)',
+      'GET /api/products/metrics': 'Get upvote, vote and day-rank snapshots of several products (?ids=a,b,c)',
+      'GET /api/products/:id/metrics': 'Get a product\'s upvote, vote and day-rank snapshots, oldest first (?since=date)',
+      'GET /api/duplicates': 'List clusters of probable duplicate products (?minScore=0.6) [AUTH REQUIRED]',
+      'POST /api/duplicates/merge': 'Merge duplicates into one product { survivorId, duplicateIds } [AUTH REQUIRED]',
+      'POST /api/duplicates/dismiss': 'Mark products as not duplicates { productIds } [AUTH REQUIRED]',
+      'GET /api/scraping-rules': 'Active Product Hunt scraping rules and their version [AUTH REQUIRED]',
+      'POST /api/scraping-rules/reload': 'Reload the scraping rules file [AUTH REQUIRED]',
+      'POST /api/scraping-rules/test': 'Run the scraping rules against a stored page snapshot { productId | url | html } [AUTH REQUIRED]',
       'GET /api/products/category/:category': 'Get products by category',
       'GET /api/makers': 'Get all makers (supports ?status filter) [AUTH REQUIRED]',
       'POST /api/makers/:id/approve': 'Approve a maker (auto-syncs to Google Sheets) [AUTH REQUIRED]',
@@ -741,7 +1021,7 @@ app.get('/', (req, res) => {
       'GET /api/stats': 'Get database statistics',
       'GET /api/status': 'Get system status including cron runs and maker counts',
       'GET /api/health': 'Health check endpoint',
-      'GET /api/ph-upvotes': 'Get Product Hunt upvote count for a specific product',
+      'GET /api/ph-upvotes': 'Get Product Hunt upvote count for a specific product (?render=static|auto|browser) [AUTH REQUIRED]',
       'GET /callback': 'OAuth callback for Product Hunt access token'
     },
     authentication: {
@@ -751,7 +1031,7 @@ app.get('/', (req, res) => {
         : 'Use HTTP Basic Auth (username:password) for protected endpoints marked [AUTH REQUIRED]'
     },
     documentation: {
-      categories: require('./config/rssCategories'),
+      categories: categories.map(c => ({ slug: c.slug, name: c.name, enabled: c.enabled })),
       exampleRequests: {
         fetchAll: `POST ${req.protocol}://${req.get('host')}/api/cron/fetch`,
         fetchCategory: `POST ${req.protocol}://${req.get('host')}/api/cron/fetch/developer-tools`,
@@ -814,6 +1094,7 @@ async function validateStartup() {
   console.log('• NODE_ENV:', process.env.NODE_ENV || 'development');
   console.log('• PORT:', process.env.PORT || '5000');
   console.log('• SERPAPI_API_KEY:', !!process.env.SERPAPI_API_KEY ? '[SET]' : '[NOT SET]');
+  console.log('• PEOPLE_SEARCH_PROVIDERS:', process.env.PEOPLE_SEARCH_PROVIDERS || 'serpapi');
   console.log('• GOOGLE_SHEETS_ID:', !!process.env.GOOGLE_SHEETS_ID ? '[SET]' : '[NOT SET]');
   console.log('• GOOGLE_SERVICE_ACCOUNT_EMAIL:', !!process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL ? '[SET]' : '[NOT SET]');
   console.log('• GOOGLE_PRIVATE_KEY:', !!process.env.GOOGLE_PRIVATE_KEY ? '[SET]' : '[NOT SET]');
@@ -837,22 +1118,36 @@ async function validateStartup() {
   console.log('=== STARTUP VALIDATION COMPLETE ===\n');
 }
 
-// Start server
-app.listen(PORT, async () => {
+// Start server once pending schema migrations have run
+dbService.init().then(() => app.listen(PORT, async () => {
   console.log('=================================');
   console.log('🚀 Product Hunt Finder Server');
   console.log('=================================');
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`URL: http://localhost:${PORT}`);
+  if (fixtureService.mode) {
+    console.log(`Fixture mode: ${fixtureService.mode} (${fixtureService.dir})`);
+  }
+  if (browserService.defaultMode !== 'static') {
+    console.log(`PH render mode: ${browserService.defaultMode} (headless browser)`);
+  }
   console.log('=================================');
   
   await validateStartup();
   
   console.log('Available endpoints:');
   console.log(`• POST /api/cron/fetch - Trigger RSS fetch`);
+  console.log(`• GET /api/categories - List RSS categories`);
+  console.log(`• GET /api/sources - List ingestion sources`);
+  console.log(`• POST/PATCH/DELETE /api/categories - Manage RSS categories (admin)`);
   console.log(`• GET /api/products - Get all products`);
+  console.log(`• GET /api/search - Search products`);
   console.log(`• PATCH /api/products/:id - Update product fields`);
+  console.log(`• GET /api/products/:id/history - Get product change history`);
+  console.log(`• GET /api/products/:id/metrics - Get product upvote/rank time series`);
+  console.log(`• GET /api/duplicates - Review duplicate products (admin)`);
+  console.log(`• POST /api/scraping-rules/test - Test PH scraping rules on a snapshot (admin)`);
   console.log(`• GET /api/products/category/:category - Get products by category`);
   console.log(`• GET /api/makers - Get makers (admin)`);
   console.log(`• POST /api/makers/:id/approve - Approve a maker (admin)`);
@@ -865,6 +1160,9 @@ app.listen(PORT, async () => {
   console.log(`• GET /api/health - Health check`);
   console.log(`• GET /api/ph-upvotes - Get Product Hunt upvote count`);
   console.log(`• GET /callback - OAuth callback for Product Hunt access token`);
+})).catch(error => {
+  console.error('Error running schema migrations, not starting the server:', error.message);
+  process.exit(1);
 });
 
 module.exports = app;
@@ -0,0 +1,37 @@
+// Additional launch feeds ingested alongside Product Hunt
+// Product Hunt itself is always available; its categories are managed through
+// /api/categories. Each entry here becomes a source whose products are stored
+// with `source` set to the entry's id.
+//
+// Fields:
+// - id:       stable identifier stored on products (lowercase, hyphenated)
+// - name:     display name
+// - format:   "rss" (RSS 2.0 or Atom) or "json" (JSON Feed 1.x)
+// - url:      feed URL
+// - category: category stored on products from this feed
+// - enabled:  fetched by POST /api/cron/fetch when true
+// - fields:   optional mapping of product fields to item properties, e.g.
+//             { makerName: 'creator', description: 'contentSnippet' }.
+//             Dotted paths such as 'author.name' are supported.
+
+module.exports = [
+  {
+    id: 'show-hn',
+    name: 'Show HN',
+    format: 'rss',
+    url: 'https://hnrss.org/show',
+    category: 'show-hn',
+    enabled: false,
+    fields: {
+      makerName: 'creator',
+    },
+  },
+  {
+    id: 'betalist',
+    name: 'BetaList',
+    format: 'rss',
+    url: 'https://feeds.feedburner.com/BetaList',
+    category: 'betalist',
+    enabled: false,
+  },
+];
@@ -0,0 +1,36 @@
+const path = require('path');
+
+// People-search providers used by LinkedIn enrichment to find maker profiles
+// PEOPLE_SEARCH_PROVIDERS lists the ids to try, in order (default "serpapi").
+// A provider that is not configured, has used its daily quota, fails or finds
+// nothing hands the search on to the next one.
+//
+// Fields:
+// - id:            identifier used in PEOPLE_SEARCH_PROVIDERS and usage stats
+// - type:          "serpapi" or "mock"
+// - name:          display name
+// - dailyQuota:    searches allowed per UTC day; null for no limit
+// - costPerSearch: cost of one search in USD, added to the usage counters
+// - apiKey:        (serpapi) API key
+// - path:          (mock) JSON file of canned results, see mockPeopleSearch.json
+
+const optionalNumber = (value) => (value === undefined || value === '' ? null : Number(value));
+
+module.exports = [
+  {
+    id: 'serpapi',
+    type: 'serpapi',
+    name: 'SerpAPI',
+    apiKey: process.env.SERPAPI_API_KEY,
+    dailyQuota: optionalNumber(process.env.SERPAPI_DAILY_QUOTA),
+    costPerSearch: optionalNumber(process.env.SERPAPI_COST_PER_SEARCH) ?? 0.015,
+  },
+  {
+    id: 'mock',
+    type: 'mock',
+    name: 'Mock (local file)',
+    path: process.env.PEOPLE_SEARCH_MOCK_PATH || path.join(__dirname, 'mockPeopleSearch.json'),
+    dailyQuota: null,
+    costPerSearch: 0,
+  },
+];
@@ -1,5 +1,7 @@
 // RSS Categories Configuration for Product Hunt
-// These categories will be used to fetch RSS feeds from Product Hunt
+// Default categories seeded into the database on first start. After that the
+// list is managed at runtime through /api/categories and the admin panel, so
+// edits here only affect fresh databases.
 
 module.exports = [
   "artificial-intelligence",
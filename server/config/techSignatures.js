@@ -0,0 +1,48 @@
+// Technologies the website crawler looks for on company websites
+// A technology is reported when any of its patterns matches a crawled page.
+// Matching is case-insensitive substring matching.
+//
+// Fields:
+// - name:      display name stored in websiteData.techStack
+// - category:  rough grouping, e.g. 'analytics', 'framework', 'payments'
+// - scripts:   optional substrings of <script src> URLs
+// - generator: optional substrings of <meta name="generator"> content
+// - html:      optional substrings of the raw page HTML, for inline snippets
+//              and framework markers
+
+module.exports = [
+  { name: 'Next.js', category: 'framework', scripts: ['/_next/'], html: ['__NEXT_DATA__'] },
+  { name: 'Nuxt', category: 'framework', scripts: ['/_nuxt/'], html: ['__NUXT__'] },
+  { name: 'Gatsby', category: 'framework', generator: ['gatsby'], html: ['___gatsby'] },
+  { name: 'React', category: 'framework', scripts: ['react.production', 'react-dom'], html: ['data-reactroot'] },
+  { name: 'Vue', category: 'framework', scripts: ['vue.min.js', 'vue.global'], html: ['data-v-app'] },
+  { name: 'Angular', category: 'framework', html: ['ng-version='] },
+  { name: 'Svelte', category: 'framework', html: ['svelte-'] },
+  { name: 'Astro', category: 'framework', generator: ['astro'], html: ['astro-island'] },
+  { name: 'WordPress', category: 'cms', generator: ['wordpress'], scripts: ['/wp-content/', '/wp-includes/'] },
+  { name: 'Webflow', category: 'site builder', generator: ['webflow'], html: ['data-wf-site'] },
+  { name: 'Framer', category: 'site builder', generator: ['framer'], scripts: ['framerusercontent.com'] },
+  { name: 'Wix', category: 'site builder', generator: ['wix.com'], scripts: ['static.parastorage.com'] },
+  { name: 'Squarespace', category: 'site builder', generator: ['squarespace'], scripts: ['squarespace.com'] },
+  { name: 'Ghost', category: 'cms', generator: ['ghost'] },
+  { name: 'Shopify', category: 'ecommerce', scripts: ['cdn.shopify.com'], html: ['Shopify.theme'] },
+  { name: 'Vercel', category: 'hosting', scripts: ['/_vercel/'] },
+  { name: 'Netlify', category: 'hosting', scripts: ['netlify-identity'] },
+  { name: 'Google Analytics', category: 'analytics', scripts: ['google-analytics.com', 'googletagmanager.com/gtag/js'] },
+  { name: 'Google Tag Manager', category: 'analytics', scripts: ['googletagmanager.com/gtm.js'], html: ['GTM-'] },
+  { name: 'Plausible', category: 'analytics', scripts: ['plausible.io'] },
+  { name: 'PostHog', category: 'analytics', scripts: ['posthog'] },
+  { name: 'Mixpanel', category: 'analytics', scripts: ['mixpanel'] },
+  { name: 'Segment', category: 'analytics', scripts: ['cdn.segment.com'] },
+  { name: 'Amplitude', category: 'analytics', scripts: ['amplitude.com'] },
+  { name: 'Hotjar', category: 'analytics', scripts: ['hotjar.com'] },
+  { name: 'Intercom', category: 'support', scripts: ['widget.intercom.io', 'js.intercomcdn.com'] },
+  { name: 'Crisp', category: 'support', scripts: ['client.crisp.chat'] },
+  { name: 'HubSpot', category: 'marketing', scripts: ['js.hs-scripts.com', 'js.hsforms.net'] },
+  { name: 'Stripe', category: 'payments', scripts: ['js.stripe.com'] },
+  { name: 'Paddle', category: 'payments', scripts: ['cdn.paddle.com'] },
+  { name: 'Lemon Squeezy', category: 'payments', scripts: ['lemonsqueezy.com'] },
+  { name: 'Cloudflare', category: 'cdn', scripts: ['cdnjs.cloudflare.com', 'cloudflareinsights.com'] },
+  { name: 'Sentry', category: 'monitoring', scripts: ['sentry-cdn.com', 'browser.sentry-cdn'] },
+  { name: 'Tailwind CSS', category: 'styling', scripts: ['cdn.tailwindcss.com'] },
+];
@@ -22,6 +22,7 @@ const basicAuth = (req, res, next) => {
 
     // Verify credentials
     if (username === validUsername && password === validPassword) {
+      req.user = { name: username, method: 'basic' };
       next();
     } else {
       return sendAuthChallenge(res);
@@ -59,6 +60,7 @@ const tokenAuth = (req, res, next) => {
     });
   }
 
+  req.user = { name: 'token-admin', method: 'token' };
   next();
 };
 
@@ -100,8 +102,19 @@ const logAuthAttempt = (req, res, next) => {
   next();
 };
 
+/**
+ * Describe who is making a request and through which route, for product history entries
+ * @param {Object} req - Express request
+ * @returns {Object} - { actor, source }
+ */
+const getAuditContext = (req) => ({
+  actor: req.user ? req.user.name : 'anonymous',
+  source: `${req.method} ${req.baseUrl || ''}${req.route ? req.route.path : req.path}`
+});
+
 module.exports = {
   auth,
+  getAuditContext,
   basicAuth,
   tokenAuth,
   logAuthAttempt
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const categoryService = require('../services/categoryService');
+const { auth, logAuthAttempt } = require('../middleware/auth');
+
+/**
+ * GET /categories
+ * List RSS categories (?enabled=true for enabled ones only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const categories = req.query.enabled === 'true'
+      ? await categoryService.getEnabledCategories()
+      : await categoryService.getCategories();
+
+    res.json({
+      success: true,
+      count: categories.length,
+      categories
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to fetch categories',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * POST /categories
+ * Add an RSS category
+ */
+router.post('/', logAuthAttempt, auth, async (req, res) => {
+  try {
+    const errors = categoryService.validate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid category',
+          details: errors
+        }
+      });
+    }
+
+    const category = await categoryService.createCategory(req.body);
+    if (!category) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Category already exists: ${req.body.slug}`
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      category
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to create category',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * PATCH /categories/:slug
+ * Rename, enable/disable or change the fetch interval of a category
+ */
+router.patch('/:slug', logAuthAttempt, auth, async (req, res) => {
+  try {
+    const errors = categoryService.validate(req.body, true);
+    if (req.body && req.body.slug !== undefined && req.body.slug !== req.params.slug) {
+      errors.push({ field: 'slug', message: 'slug cannot be changed; delete and re-add the category instead' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid category update',
+          details: errors
+        }
+      });
+    }
+
+    const category = await categoryService.updateCategory(req.params.slug, req.body);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Category not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      category
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to update category',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * DELETE /categories/:slug
+ * Remove a category; products already fetched for it are kept
+ */
+router.delete('/:slug', logAuthAttempt, auth, async (req, res) => {
+  try {
+    const deleted = await categoryService.deleteCategory(req.params.slug);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Category not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Category ${req.params.slug} deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to delete category',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
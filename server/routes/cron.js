@@ -6,15 +6,35 @@ const linkedinEnrichmentService = require('../services/linkedinEnrichmentService
 const scheduleService = require('../services/scheduleService');
 const cacheService = require('../services/cacheService');
 const phEnrichmentService = require('../services/phEnrichmentService');
+const categoryService = require('../services/categoryService');
+const fixtureService = require('../services/fixtureService');
+const browserService = require('../services/browserService');
+const enrichmentQueue = require('../services/enrichmentQueue');
+const { auth, logAuthAttempt, getAuditContext } = require('../middleware/auth');
+const sourceRegistry = require('../services/sources');
+const peopleSearch = require('../services/peopleSearch');
+const companyLinkedInService = require('../services/companyLinkedInService');
+const companyEnrichmentService = require('../services/companyEnrichmentService');
+const websiteCrawlerService = require('../services/websiteCrawlerService');
 
 /**
  * POST /cron/fetch
- * Trigger RSS feed fetching for all configured categories
+ * Trigger feed fetching for all enabled sources and the Product Hunt categories that are due
+ * (?force=true also fetches categories whose own interval has not passed,
+ * ?render=static|auto|browser picks how new products' pages are scraped)
  */
 router.post('/fetch', async (req, res) => {
   const startTime = Date.now();
   const jobName = 'rss-fetch';
 
+  const render = browserService.resolveMode(req.query.render);
+  if (!render) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid render mode', details: 'render must be static, auto or browser' },
+    });
+  }
+
   console.log('=== RSS Fetch Cron Job Started ===');
   console.log('Timestamp:', new Date().toISOString());
 
@@ -34,12 +54,15 @@ router.post('/fetch', async (req, res) => {
 
     console.log(`RSS fetch allowed: ${scheduleCheck.reason}`);
 
-    const rssResults = await rssService.fetchAllCategories();
+    const rssResults = await rssService.fetchAllSources({
+      force: req.query.force === 'true',
+    });
 
     console.log('=== RSS Fetch Completed ===');
     console.log(`Total processed: ${rssResults.totalProcessed}`);
     console.log(`New products: ${rssResults.totalNew}`);
     console.log(`Duplicates: ${rssResults.totalDuplicates}`);
+    console.log(`Unchanged feeds: ${rssResults.totalUnchanged}`);
     console.log(`Errors: ${rssResults.errors.length}`);
 
     let enrichmentResults = null;
@@ -55,6 +78,9 @@ router.post('/fetch', async (req, res) => {
         totalProcessed: 0,
         successfulEnrichments: 0,
         failedEnrichments: 0,
+        makersProcessed: 0,
+        makersFound: 0,
+        companiesFound: 0,
         cacheHits: 0,
         errors: [{ error: enrichmentError.message }],
       };
@@ -64,7 +90,8 @@ router.post('/fetch', async (req, res) => {
     try {
       console.log('=== Starting Product Hunt Enrichment for New Products ===');
       phEnrichmentResults = await phEnrichmentService.enrichNewProducts(
-        rssResults.newItems || []
+        rssResults.newItems || [],
+        { render }
       );
     } catch (phError) {
       console.error(
@@ -109,10 +136,12 @@ router.post('/fetch', async (req, res) => {
       results: {
         rss: {
           categories: rssResults.categories,
+          skipped: rssResults.skipped,
           summary: {
             totalProcessed: rssResults.totalProcessed,
             totalNew: rssResults.totalNew,
             totalDuplicates: rssResults.totalDuplicates,
+            unchangedFeeds: rssResults.totalUnchanged,
             errorCount: rssResults.errors.length,
           },
           errors: rssResults.errors,
@@ -122,6 +151,9 @@ router.post('/fetch', async (req, res) => {
             totalProcessed: enrichmentResults.totalProcessed,
             successfulEnrichments: enrichmentResults.successfulEnrichments,
             failedEnrichments: enrichmentResults.failedEnrichments,
+            makersProcessed: enrichmentResults.makersProcessed,
+            makersFound: enrichmentResults.makersFound,
+            companiesFound: enrichmentResults.companiesFound,
             cacheHits: enrichmentResults.cacheHits,
             errorCount: enrichmentResults.errors.length,
           },
@@ -158,6 +190,57 @@ router.post('/fetch', async (req, res) => {
   }
 });
 
+/**
+ * POST /cron/fetch/source/:sourceId
+ * Fetch every feed of one ingestion source
+ */
+router.post('/fetch/source/:sourceId', async (req, res) => {
+  const { sourceId } = req.params;
+  const startTime = Date.now();
+
+  console.log(`=== Feed Fetch for Source: ${sourceId} ===`);
+
+  try {
+    if (!sourceRegistry.getSource(sourceId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Invalid source: ${sourceId}`,
+          validSources: sourceRegistry.getSources().map(source => source.id),
+        },
+      });
+    }
+
+    const result = await rssService.fetchSource(sourceId);
+    const duration = Date.now() - startTime;
+
+    console.log(`=== Source ${sourceId} Fetch Completed in ${duration}ms ===`);
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration: `${duration}ms`,
+      source: sourceId,
+      result,
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    console.error(`=== Source ${sourceId} Fetch Failed ===`);
+    console.error('Error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      duration: `${duration}ms`,
+      source: sourceId,
+      error: {
+        message: error.message,
+        type: error.name || 'UnknownError',
+      },
+    });
+  }
+});
+
 /**
  * POST /cron/fetch/:category
  * Trigger RSS feed fetching for a specific category
@@ -170,18 +253,19 @@ router.post('/fetch/:category', async (req, res) => {
   console.log('Timestamp:', new Date().toISOString());
 
   try {
-    const rssCategories = require('../config/rssCategories');
-    if (!rssCategories.includes(category)) {
+    if (!(await categoryService.getCategory(category))) {
+      const categories = await categoryService.getCategories();
       return res.status(400).json({
         success: false,
         error: {
           message: `Invalid category: ${category}`,
-          validCategories: rssCategories,
+          validCategories: categories.map(c => c.slug),
         },
       });
     }
 
     const result = await rssService.fetchCategory(category);
+    await categoryService.markFetched(category);
 
     const endTime = Date.now();
     const duration = endTime - startTime;
@@ -191,6 +275,7 @@ router.post('/fetch/:category', async (req, res) => {
     console.log(`Processed: ${result.processed}`);
     console.log(`New: ${result.newProducts}`);
     console.log(`Duplicates: ${result.duplicates}`);
+    console.log(`Unchanged: ${result.unchanged ? result.reason : 'no'}`);
 
     res.json({
       success: true,
@@ -227,15 +312,22 @@ router.post('/fetch/:category', async (req, res) => {
 router.get('/status', async (req, res) => {
   try {
     const stats = await dbService.getStats();
-    const rssCategories = require('../config/rssCategories');
+    const categories = await categoryService.getCategories();
 
     res.json({
       success: true,
       timestamp: new Date().toISOString(),
       status: 'healthy',
       configuration: {
-        categories: rssCategories,
+        categories: categories.map(c => ({
+          slug: c.slug,
+          enabled: c.enabled,
+          fetchIntervalHours: c.fetchIntervalHours,
+          lastFetchedAt: c.lastFetchedAt,
+        })),
         database: stats.totalProducts > 0 ? 'connected' : 'empty',
+        fixtures: fixtureService.getStatus(),
+        browser: browserService.getStatus(),
       },
       database: stats,
     });
@@ -318,6 +410,9 @@ router.post('/enrich', async (req, res) => {
           totalProcessed: results.totalProcessed,
           successfulEnrichments: results.successfulEnrichments,
           failedEnrichments: results.failedEnrichments,
+          makersProcessed: results.makersProcessed,
+          makersFound: results.makersFound,
+          companiesFound: results.companiesFound,
           cacheHits: results.cacheHits,
           errorCount: results.errors.length,
         },
@@ -345,14 +440,191 @@ router.post('/enrich', async (req, res) => {
   }
 });
 
+/**
+ * POST /cron/snapshot-metrics
+ * Record an upvote/rank snapshot for every product launched within
+ * METRICS_TRACK_HOURS (?force=true ignores METRICS_SNAPSHOT_INTERVAL_HOURS,
+ * ?render=static|auto|browser picks how pages are read)
+ */
+router.post('/snapshot-metrics', async (req, res) => {
+  const startTime = Date.now();
+  const jobName = 'metrics-snapshot';
+
+  const render = browserService.resolveMode(req.query.render);
+  if (!render) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid render mode', details: 'render must be static, auto or browser' },
+    });
+  }
+
+  try {
+    const scheduleCheck = await scheduleService.shouldJobRun(
+      jobName,
+      parseFloat(process.env.METRICS_SNAPSHOT_INTERVAL_HOURS || '1')
+    );
+    if (!scheduleCheck.shouldRun && req.query.force !== 'true') {
+      console.log(`Skipping metrics snapshot: ${scheduleCheck.reason}`);
+      return res.json({
+        success: true,
+        skipped: true,
+        reason: scheduleCheck.reason,
+        schedule: scheduleCheck,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const results = await phEnrichmentService.snapshotRecentUpvotes({ render });
+    const duration = `${Date.now() - startTime}ms`;
+    await scheduleService.recordJobRun(jobName, { ...results, duration });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration,
+      results,
+    });
+  } catch (error) {
+    console.error('Metrics snapshot failed:', error.message);
+    res.status(500).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: { message: error.message },
+    });
+  }
+});
+
+/**
+ * POST /cron/enrich-companies
+ * Refresh company data for approved and pending products whose data is missing
+ * or stale, at most every COMPANY_ENRICHMENT_INTERVAL_HOURS (?force=true
+ * ignores the interval)
+ */
+router.post('/enrich-companies', async (req, res) => {
+  const startTime = Date.now();
+  const jobName = 'company-enrichment';
+
+  try {
+    const scheduleCheck = await scheduleService.shouldJobRun(
+      jobName,
+      parseFloat(process.env.COMPANY_ENRICHMENT_INTERVAL_HOURS || '24')
+    );
+    if (!scheduleCheck.shouldRun && req.query.force !== 'true') {
+      console.log(`Skipping company enrichment: ${scheduleCheck.reason}`);
+      return res.json({
+        success: true,
+        skipped: true,
+        reason: scheduleCheck.reason,
+        schedule: scheduleCheck,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const results = await companyEnrichmentService.enrichStaleProducts();
+    const duration = `${Date.now() - startTime}ms`;
+    await scheduleService.recordJobRun(jobName, { ...results, errors: results.errors.length, duration });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration,
+      results,
+    });
+  } catch (error) {
+    console.error('Company enrichment failed:', error.message);
+    res.status(500).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: { message: error.message },
+    });
+  }
+});
+
+/**
+ * POST /cron/crawl-websites
+ * Crawl the company websites of approved and pending products that were never
+ * crawled or whose data is stale, at most every WEBSITE_CRAWL_INTERVAL_HOURS
+ * (?force=true ignores the interval)
+ */
+router.post('/crawl-websites', async (req, res) => {
+  const startTime = Date.now();
+  const jobName = 'website-crawl';
+
+  try {
+    const scheduleCheck = await scheduleService.shouldJobRun(
+      jobName,
+      parseFloat(process.env.WEBSITE_CRAWL_INTERVAL_HOURS || '24')
+    );
+    if (!scheduleCheck.shouldRun && req.query.force !== 'true') {
+      console.log(`Skipping website crawl: ${scheduleCheck.reason}`);
+      return res.json({
+        success: true,
+        skipped: true,
+        reason: scheduleCheck.reason,
+        schedule: scheduleCheck,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const results = await websiteCrawlerService.crawlStaleProducts();
+    const duration = `${Date.now() - startTime}ms`;
+    await scheduleService.recordJobRun(jobName, { ...results, errors: results.errors.length, duration });
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      duration,
+      results,
+    });
+  } catch (error) {
+    console.error('Website crawl failed:', error.message);
+    res.status(500).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: { message: error.message },
+    });
+  }
+});
+
+/**
+ * POST /cron/enrich/prioritize
+ * Move queued enrichment jobs for { productIds } (the products an admin is
+ * viewing) to the front of the queue
+ */
+router.post('/enrich/prioritize', logAuthAttempt, auth, (req, res) => {
+  const { productIds } = req.body || {};
+  if (!Array.isArray(productIds) || productIds.some(id => typeof id !== 'string')) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid request', details: 'productIds must be an array of product IDs' },
+    });
+  }
+
+  const moved = enrichmentQueue.prioritize(productIds);
+  res.json({
+    success: true,
+    moved,
+    queue: enrichmentQueue.getStatus(),
+  });
+});
+
 /**
  * POST /cron/enrich/:productId
- * Trigger PH enrichment for a specific product
+ * Trigger PH enrichment for a specific product ahead of any queued batch
+ * (?render=static|auto|browser)
  */
-router.post('/enrich/:productId', async (req, res) => {
+router.post('/enrich/:productId', logAuthAttempt, auth, async (req, res) => {
   const { productId } = req.params;
   console.log(`=== Manual PH Enrichment for Product ID: ${productId} ===`);
 
+  const render = browserService.resolveMode(req.query.render);
+  if (!render) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Invalid render mode', details: 'render must be static, auto or browser' },
+    });
+  }
+
   try {
     const product = await dbService.getItem(`product:${productId}`);
     if (!product) {
@@ -362,7 +634,10 @@ router.post('/enrich/:productId', async (req, res) => {
       });
     }
 
-    const enrichedProduct = await phEnrichmentService.enrichProduct(product);
+    const enrichedProduct = await enrichmentQueue.add(
+      () => phEnrichmentService.enrichProduct(product, { render }),
+      { type: 'ph', productId, priority: 'manual' }
+    );
     res.json({
       success: true,
       timestamp: new Date().toISOString(),
@@ -378,9 +653,124 @@ router.post('/enrich/:productId', async (req, res) => {
   }
 });
 
+/**
+ * POST /cron/enrich/:productId/company-linkedin
+ * Find the product's LinkedIn company page when it has none, ahead of any
+ * queued batch
+ */
+router.post('/enrich/:productId/company-linkedin', logAuthAttempt, auth, async (req, res) => {
+  const { productId } = req.params;
+
+  try {
+    const product = await dbService.getItem(`product:${productId}`);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: { message: `Product not found: ${productId}` },
+      });
+    }
+
+    const result = await enrichmentQueue.add(
+      () => companyLinkedInService.discover(product, getAuditContext(req)),
+      { type: 'company-linkedin', productId, priority: 'manual' }
+    );
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      companyLinkedin: result.companyLinkedin,
+      source: result.source,
+      product: result.product,
+    });
+  } catch (error) {
+    console.error(`Failed to find company LinkedIn for ${productId}:`, error.message);
+    res.status(500).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: { message: error.message },
+    });
+  }
+});
+
+/**
+ * POST /cron/enrich/:productId/company
+ * Look up company data for one product now, finding its LinkedIn company page
+ * first if needed
+ */
+router.post('/enrich/:productId/company', logAuthAttempt, auth, async (req, res) => {
+  const { productId } = req.params;
+
+  try {
+    const product = await dbService.getItem(`product:${productId}`);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: { message: `Product not found: ${productId}` },
+      });
+    }
+
+    const updated = await enrichmentQueue.add(
+      () => companyEnrichmentService.enrichProduct(product, getAuditContext(req)),
+      { type: 'company', productId, priority: 'manual' }
+    );
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      product: updated,
+    });
+  } catch (error) {
+    console.error(`Failed to enrich company of ${productId}:`, error.message);
+    res.status(companyEnrichmentService.getErrorStatus(error)).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: { message: error.message, code: error.code || null },
+    });
+  }
+});
+
+/**
+ * POST /cron/enrich/:productId/website
+ * Crawl the product's company website now
+ */
+router.post('/enrich/:productId/website', logAuthAttempt, auth, async (req, res) => {
+  const { productId } = req.params;
+
+  try {
+    const product = await dbService.getItem(`product:${productId}`);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: { message: `Product not found: ${productId}` },
+      });
+    }
+    if (!product.companyWebsite) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Product has no company website', details: 'Set companyWebsite before crawling' },
+      });
+    }
+
+    const updated = await enrichmentQueue.add(
+      () => websiteCrawlerService.crawlProduct(product, getAuditContext(req)),
+      { type: 'website', productId, priority: 'manual' }
+    );
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      product: updated,
+    });
+  } catch (error) {
+    console.error(`Failed to crawl website of ${productId}:`, error.message);
+    res.status(error.code === 'STORAGE_ERROR' ? 500 : 502).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: { message: error.message },
+    });
+  }
+});
+
 /**
  * GET /cron/enrich/status
- * Get LinkedIn enrichment cache status and statistics
+ * Get enrichment queue progress, LinkedIn cache status, people-search and company data usage, website crawl settings and statistics
  */
 router.get('/enrich/status', async (req, res) => {
   try {
@@ -391,7 +781,11 @@ router.get('/enrich/status', async (req, res) => {
       success: true,
       timestamp: new Date().toISOString(),
       enrichment: {
+        queue: enrichmentQueue.getStatus(),
         cache: cacheStats,
+        peopleSearch: await peopleSearch.getStatus(),
+        companyData: await companyEnrichmentService.getStatus(),
+        websiteCrawler: websiteCrawlerService.getStatus(),
         database: {
           totalProducts: dbStats.totalProducts,
           enrichedProducts: dbStats.enrichedProducts,
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const duplicateService = require('../services/duplicateService');
+const { auth, logAuthAttempt, getAuditContext } = require('../middleware/auth');
+
+const isIdList = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every(id => typeof id === 'string' && id);
+
+router.use(logAuthAttempt, auth);
+
+/**
+ * GET /duplicates
+ * List clusters of probable duplicate products (?minScore=0.6)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) : undefined;
+    if (minScore !== undefined && (isNaN(minScore) || minScore < 0 || minScore > 1)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid query parameters',
+          details: ['minScore must be a number between 0 and 1']
+        }
+      });
+    }
+
+    const clusters = await duplicateService.findDuplicateClusters({ minScore });
+
+    res.json({
+      success: true,
+      count: clusters.length,
+      clusters
+    });
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to find duplicates',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * POST /duplicates/merge
+ * Merge duplicates into a surviving product { survivorId, duplicateIds }
+ */
+router.post('/merge', async (req, res) => {
+  try {
+    const { survivorId, duplicateIds } = req.body || {};
+    const errors = [];
+    if (typeof survivorId !== 'string' || !survivorId) {
+      errors.push({ field: 'survivorId', message: 'survivorId must be a product id' });
+    }
+    if (!isIdList(duplicateIds)) {
+      errors.push({ field: 'duplicateIds', message: 'duplicateIds must be a non-empty array of product ids' });
+    } else if (duplicateIds.includes(survivorId) || new Set(duplicateIds).size !== duplicateIds.length) {
+      errors.push({ field: 'duplicateIds', message: 'duplicateIds must be distinct and must not include survivorId' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid merge request',
+          details: errors
+        }
+      });
+    }
+
+    const product = await duplicateService.mergeProducts(survivorId, duplicateIds, getAuditContext(req));
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'One or more products not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Merged ${duplicateIds.length} product(s) into ${product.name}`,
+      product
+    });
+  } catch (error) {
+    console.error('Error merging products:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to merge products',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * POST /duplicates/dismiss
+ * Mark products as not duplicates of each other { productIds }
+ */
+router.post('/dismiss', async (req, res) => {
+  try {
+    const { productIds } = req.body || {};
+    if (!isIdList(productIds) || productIds.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid dismiss request',
+          details: [{ field: 'productIds', message: 'productIds must be an array of at least two product ids' }]
+        }
+      });
+    }
+
+    const dismissedPairs = await duplicateService.dismiss(productIds);
+
+    res.json({
+      success: true,
+      dismissedPairs
+    });
+  } catch (error) {
+    console.error('Error dismissing duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to dismiss duplicates',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const scrapingRuleService = require('../services/scrapingRuleService');
+const fixtureService = require('../services/fixtureService');
+const dbService = require('../services/dbService');
+const { auth, logAuthAttempt } = require('../middleware/auth');
+
+router.use(logAuthAttempt, auth);
+
+/**
+ * GET /scraping-rules
+ * Active Product Hunt scraping rules, their version and the last load error
+ */
+router.get('/', (req, res) => {
+  try {
+    scrapingRuleService.getRules();
+  } catch (error) {
+    // Reported through lastError below
+  }
+
+  res.json({
+    success: true,
+    ...scrapingRuleService.getStatus()
+  });
+});
+
+/**
+ * POST /scraping-rules/reload
+ * Re-read the rules file now instead of waiting for the file watcher
+ */
+router.post('/reload', (req, res) => {
+  if (!scrapingRuleService.reload()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Rules file is invalid; the previous rules are still active',
+        details: scrapingRuleService.lastError
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    ...scrapingRuleService.getStatus()
+  });
+});
+
+/**
+ * POST /scraping-rules/test
+ * Run the active rules against a stored HTML snapshot and report, per field,
+ * the extracted value and which selector matched. The snapshot is the
+ * recorded fixture for { productId } or { url }, or raw { html }.
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const { html, url, productId } = req.body || {};
+    let snapshot = null;
+    let pageHtml = null;
+
+    if (typeof html === 'string' && html.trim()) {
+      pageHtml = html;
+      snapshot = { source: 'request' };
+    } else if ((typeof url === 'string' && url) || (typeof productId === 'string' && productId)) {
+      let pageUrl = url;
+      if (!pageUrl) {
+        const product = await dbService.getItem(`product:${productId}`);
+        if (!product) {
+          return res.status(404).json({
+            success: false,
+            error: { message: 'Product not found' }
+          });
+        }
+        pageUrl = product.phLink;
+      }
+
+      const recording = pageUrl ? await fixtureService.readRecording(pageUrl) : null;
+      if (!recording) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'No stored HTML snapshot',
+            details: `Nothing recorded for ${pageUrl || 'this product'}; fetch it once with FIXTURE_MODE=record`
+          }
+        });
+      }
+
+      pageHtml = recording.body.toString('utf8');
+      snapshot = { source: 'fixture', url: pageUrl, recordedAt: recording.meta.recordedAt };
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid test request',
+          details: [{ field: null, message: 'Provide productId, url or html' }]
+        }
+      });
+    }
+
+    const { version, report } = scrapingRuleService.extract(pageHtml);
+
+    res.json({
+      success: true,
+      version,
+      snapshot,
+      fields: report
+    });
+  } catch (error) {
+    console.error('Error testing scraping rules:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to test scraping rules',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * One-shot migration from the JSON file database to SQLite.
+ *
+ * Usage: node server/scripts/migrateJsonToSqlite.js [--source path] [--target path] [--force]
+ *
+ * Products, the product list, metadata and every cache, schedule, history,
+ * metrics and misc entry are copied, then pending schema migrations are run
+ * on the copy. The source file is left untouched.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { JsonFileAdapter, SqliteAdapter } = require('../services/storage');
+const StorageAdapter = require('../services/storage/storageAdapter');
+const { runMigrations } = require('../services/storage/migrations');
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+async function migrate() {
+  const sourcePath = path.resolve(getArg('source', process.env.JSON_DB_PATH || path.join(process.cwd(), 'data', 'products.json')));
+  const targetPath = path.resolve(getArg('target', process.env.SQLITE_DB_PATH || path.join(process.cwd(), 'data', 'products.db')));
+  const force = process.argv.includes('--force');
+
+  console.log('=== JSON → SQLite Migration ===');
+  console.log(`Source: ${sourcePath}`);
+  console.log(`Target: ${targetPath}`);
+
+  const source = new JsonFileAdapter({ dbPath: sourcePath });
+  const target = new SqliteAdapter({ dbPath: targetPath });
+  await target.init();
+
+  const existing = await target.getItem('product:list');
+  if (existing.length > 0 && !force) {
+    throw new Error(`Target already contains ${existing.length} products. Re-run with --force to overwrite it.`);
+  }
+
+  const data = await source.exportData();
+  await target.importData(data);
+
+  const migrated = await target.exportData();
+  const checks = {
+    products: [Object.keys(data.products).length, Object.keys(migrated.products).length],
+    productList: [data.productList.length, migrated.productList.length]
+  };
+
+  for (const section of StorageAdapter.KV_SECTIONS) {
+    checks[section] = [Object.keys(data[section]).length, Object.keys(migrated[section]).length];
+  }
+
+  let mismatch = false;
+  for (const [section, [expected, actual]] of Object.entries(checks)) {
+    console.log(`• ${section}: ${actual}/${expected}`);
+    if (expected !== actual) mismatch = true;
+  }
+
+  if (mismatch) {
+    throw new Error('Migrated entry counts do not match the source file');
+  }
+
+  // The copy is verified as-is; bring it to the current schema afterwards
+  await runMigrations(target);
+
+  console.log('Migration completed. Set DB_STORAGE=sqlite to use the new database.');
+}
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
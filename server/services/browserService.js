@@ -0,0 +1,233 @@
+const RENDER_MODES = ['static', 'auto', 'browser'];
+
+const POOL_SIZE = Math.max(1, parseInt(process.env.PH_BROWSER_POOL_SIZE || '2'));
+const NAVIGATION_TIMEOUT_MS = parseInt(process.env.PH_BROWSER_TIMEOUT_MS || '20000');
+// The browser is closed after this long without renders to give its memory back
+const IDLE_CLOSE_MS = parseInt(process.env.PH_BROWSER_IDLE_MS || '60000');
+// After a failed launch the browser is not retried for this long
+const LAUNCH_RETRY_MS = parseInt(process.env.PH_BROWSER_RETRY_MS || '600000');
+const BLOCKED_RESOURCES = (process.env.PH_BROWSER_BLOCK_RESOURCES || 'image,media,font,stylesheet')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+const USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+/**
+ * Renders Product Hunt pages in a pooled headless browser for data that is
+ * only present after client-side rendering (day rank, upvotes).
+ *
+ * One browser is launched on first use and shared; up to PH_BROWSER_POOL_SIZE
+ * pages are open at a time and reused between renders. Images, fonts, media and
+ * stylesheets are blocked. Callers treat any error as "browser unavailable"
+ * and fall back to static fetching.
+ */
+class BrowserService {
+  constructor() {
+    this.defaultMode = RENDER_MODES.includes(process.env.PH_RENDER_MODE) ? process.env.PH_RENDER_MODE : 'static';
+    this.browser = null;
+    this.launching = null;
+    this.launchFailedAt = null;
+    this.launchError = null;
+    this.idlePages = [];
+    this.openPages = 0;
+    this.waiting = [];
+    this.idleTimer = null;
+    // Bumped whenever the browser goes away; pages remember the generation they were opened in
+    this.generation = 0;
+    this.pageGenerations = new WeakMap();
+    this.stats = { renders: 0, failures: 0 };
+  }
+
+  /**
+   * Resolve a requested render mode, falling back to PH_RENDER_MODE
+   * @param {string} [mode] - 'static', 'auto' or 'browser'
+   * @returns {string|null} - Render mode, or null if the value is not a mode
+   */
+  resolveMode(mode) {
+    if (mode === undefined || mode === null || mode === '') return this.defaultMode;
+    return RENDER_MODES.includes(mode) ? mode : null;
+  }
+
+  /**
+   * Summary for status endpoints
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      defaultMode: this.defaultMode,
+      running: Boolean(this.browser),
+      poolSize: POOL_SIZE,
+      openPages: this.openPages,
+      idlePages: this.idlePages.length,
+      waiting: this.waiting.length,
+      lastLaunchError: this.launchError,
+      ...this.stats,
+    };
+  }
+
+  async getBrowser() {
+    if (this.browser) return this.browser;
+    if (this.launching) return this.launching;
+
+    if (this.launchFailedAt && Date.now() - this.launchFailedAt < LAUNCH_RETRY_MS) {
+      throw new Error(`Headless browser unavailable: ${this.launchError}`);
+    }
+
+    this.launching = (async () => {
+      try {
+        // Loaded lazily so static-only deployments never pay for puppeteer
+        const puppeteer = require('puppeteer');
+        const browser = await puppeteer.launch({
+          headless: true,
+          args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+        });
+        browser.on('disconnected', () => this.reset());
+        this.browser = browser;
+        this.launchFailedAt = null;
+        this.launchError = null;
+        console.log('Headless browser launched for Product Hunt rendering');
+        return browser;
+      } catch (error) {
+        this.launchFailedAt = Date.now();
+        this.launchError = error.message;
+        console.error('Failed to launch headless browser:', error.message);
+        throw new Error(`Headless browser unavailable: ${error.message}`);
+      } finally {
+        this.launching = null;
+      }
+    })();
+
+    return this.launching;
+  }
+
+  /**
+   * Take a page from the pool, opening one if below the pool size or waiting otherwise
+   */
+  async acquirePage() {
+    clearTimeout(this.idleTimer);
+    const browser = await this.getBrowser();
+    const generation = this.generation;
+
+    while (this.idlePages.length > 0) {
+      const page = this.idlePages.pop();
+      if (!page.isClosed()) return page;
+      this.openPages--;
+    }
+
+    if (this.openPages >= POOL_SIZE) {
+      return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    this.openPages++;
+    try {
+      const page = await browser.newPage();
+      this.pageGenerations.set(page, generation);
+      await page.setUserAgent(USER_AGENT);
+      page.setDefaultNavigationTimeout(NAVIGATION_TIMEOUT_MS);
+      if (BLOCKED_RESOURCES.length > 0) {
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+          if (BLOCKED_RESOURCES.includes(request.resourceType())) request.abort();
+          else request.continue();
+        });
+      }
+      return page;
+    } catch (error) {
+      if (generation === this.generation) this.openPages--;
+      throw error;
+    }
+  }
+
+  /**
+   * Return a page to the pool, or hand it to the next waiting render
+   * @param {Object} page - Puppeteer page
+   * @param {boolean} broken - Close the page instead of reusing it
+   */
+  async releasePage(page, broken = false) {
+    // Pages of a browser that has since disconnected or closed were already dropped from the count
+    if (this.pageGenerations.get(page) !== this.generation) {
+      await page.close().catch(() => {});
+      return;
+    }
+
+    if (broken || page.isClosed()) {
+      this.openPages--;
+      await page.close().catch(() => {});
+      const next = this.waiting.shift();
+      if (next) this.acquirePage().then(next, () => next(null));
+    } else {
+      const next = this.waiting.shift();
+      if (next) next(page);
+      else this.idlePages.push(page);
+    }
+
+    if (this.openPages === this.idlePages.length && this.waiting.length === 0) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = setTimeout(() => this.close(), IDLE_CLOSE_MS);
+      this.idleTimer.unref();
+    }
+  }
+
+  /**
+   * Load a page in the headless browser and return the rendered HTML
+   * @param {string} url - Page URL
+   * @param {Object} options - { waitForSelector, timeout }
+   * @returns {Promise<string>} - Rendered HTML
+   */
+  async render(url, options = {}) {
+    const timeout = options.timeout || NAVIGATION_TIMEOUT_MS;
+    const page = await this.acquirePage();
+    if (!page) {
+      throw new Error('Headless browser unavailable: no page could be opened');
+    }
+
+    let broken = false;
+    try {
+      console.log(`Rendering ${url} in headless browser`);
+      const response = await page.goto(url, { waitUntil: 'networkidle2', timeout });
+      if (response && !response.ok()) {
+        const httpError = new Error(`HTTP ${response.status()}`);
+        httpError.code = 'HTTP_ERROR';
+        throw httpError;
+      }
+      if (options.waitForSelector) {
+        // Data that never appears is not an error; the rules simply find nothing
+        await page.waitForSelector(options.waitForSelector, { timeout }).catch(() => {});
+      }
+      const html = await page.content();
+      this.stats.renders++;
+      return html;
+    } catch (error) {
+      // An error response leaves the page usable; navigation and protocol failures do not
+      broken = error.code !== 'HTTP_ERROR';
+      this.stats.failures++;
+      throw new Error(`Rendering ${url} failed: ${error.message}`);
+    } finally {
+      await this.releasePage(page, broken);
+    }
+  }
+
+  reset() {
+    this.generation++;
+    this.browser = null;
+    this.idlePages = [];
+    this.openPages = 0;
+    this.waiting.splice(0).forEach(resolve => resolve(null));
+  }
+
+  /**
+   * Close the browser and every pooled page
+   */
+  async close() {
+    clearTimeout(this.idleTimer);
+    const browser = this.browser;
+    if (!browser) return;
+    this.reset();
+    await browser.close().catch(error => console.error('Error closing headless browser:', error.message));
+    console.log('Headless browser closed');
+  }
+}
+
+module.exports = new BrowserService();
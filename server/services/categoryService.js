@@ -0,0 +1,255 @@
+const dbService = require('./dbService');
+const defaultCategories = require('../config/rssCategories');
+
+const STORAGE_KEY = 'rss_categories';
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_INTERVAL_HOURS = 24 * 7;
+
+// Names that title-casing the slug gets wrong
+const DISPLAY_NAMES = {
+  saas: 'SaaS'
+};
+
+class CategoryService {
+  /**
+   * Turn a slug such as "developer-tools" into "Developer Tools"
+   * @param {string} slug - Category slug
+   * @returns {string} - Display name
+   */
+  formatName(slug) {
+    if (DISPLAY_NAMES[slug]) {
+      return DISPLAY_NAMES[slug];
+    }
+
+    return slug
+      .split('-')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Get all categories, seeding the store from config/rssCategories.js on first use
+   * @returns {Promise<Array>} - Category records
+   */
+  async getCategories() {
+    const stored = await dbService.getItem(STORAGE_KEY);
+    if (stored) {
+      return stored;
+    }
+
+    const now = new Date().toISOString();
+    const seeded = defaultCategories.map(slug => ({
+      slug,
+      name: this.formatName(slug),
+      enabled: true,
+      fetchIntervalHours: 0,
+      lastFetchedAt: null,
+      createdAt: now,
+      updatedAt: now
+    }));
+
+    await dbService.setItem(STORAGE_KEY, seeded);
+    console.log(`Seeded ${seeded.length} RSS categories from config`);
+    return seeded;
+  }
+
+  /**
+   * Get enabled categories only
+   * @returns {Promise<Array>} - Enabled category records
+   */
+  async getEnabledCategories() {
+    const categories = await this.getCategories();
+    return categories.filter(category => category.enabled);
+  }
+
+  /**
+   * Get the slugs of enabled categories
+   * @returns {Promise<Array<string>>} - Category slugs
+   */
+  async getEnabledSlugs() {
+    const categories = await this.getEnabledCategories();
+    return categories.map(category => category.slug);
+  }
+
+  /**
+   * Get a single category
+   * @param {string} slug - Category slug
+   * @returns {Promise<Object|null>} - Category record or null if not found
+   */
+  async getCategory(slug) {
+    const categories = await this.getCategories();
+    return categories.find(category => category.slug === slug) || null;
+  }
+
+  /**
+   * Check whether a category's fetch interval has passed
+   * @param {Object} category - Category record
+   * @returns {boolean}
+   */
+  isDue(category) {
+    if (!category.fetchIntervalHours || !category.lastFetchedAt) {
+      return true;
+    }
+
+    const elapsedMs = Date.now() - new Date(category.lastFetchedAt).getTime();
+    return elapsedMs >= category.fetchIntervalHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Validate category input
+   * @param {Object} input - Request body
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {Array<Object>} - [{ field, message }]
+   */
+  validate(input, partial = false) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return [{ field: null, message: 'Request body must be a JSON object' }];
+    }
+
+    if (!partial || input.slug !== undefined) {
+      if (typeof input.slug !== 'string' || !SLUG_PATTERN.test(input.slug)) {
+        errors.push({ field: 'slug', message: 'slug must be lowercase words separated by hyphens, e.g. "design-tools"' });
+      }
+    }
+
+    if (input.name !== undefined && (typeof input.name !== 'string' || input.name.trim() === '' || input.name.length > 100)) {
+      errors.push({ field: 'name', message: 'name must be a non-empty string of at most 100 characters' });
+    }
+
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') {
+      errors.push({ field: 'enabled', message: 'enabled must be true or false' });
+    }
+
+    if (input.fetchIntervalHours !== undefined) {
+      const hours = input.fetchIntervalHours;
+      if (typeof hours !== 'number' || isNaN(hours) || hours < 0 || hours > MAX_INTERVAL_HOURS) {
+        errors.push({ field: 'fetchIntervalHours', message: `fetchIntervalHours must be a number between 0 and ${MAX_INTERVAL_HOURS}` });
+      }
+    }
+
+    const allowed = ['slug', 'name', 'enabled', 'fetchIntervalHours'];
+    for (const field of Object.keys(input)) {
+      if (!allowed.includes(field)) {
+        errors.push({ field, message: `${field} is not an editable category field` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Read-modify-write the category list as one dbService mutation
+   * @param {Function} modify - Receives the current list, returns { categories, result };
+   *   return categories as null to leave the store unchanged
+   * @returns {Promise<*>} - The result returned by modify
+   */
+  async updateStore(modify) {
+    await this.getCategories();
+
+    return dbService.mutate(async (adapter) => {
+      const current = (await adapter.getItem(STORAGE_KEY)) || [];
+      const { categories, result } = modify(current);
+      if (categories) {
+        await adapter.setItem(STORAGE_KEY, categories);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Add a category
+   * @param {Object} input - { slug, name, enabled, fetchIntervalHours }
+   * @returns {Promise<Object|null>} - Created category, or null if the slug already exists
+   */
+  async createCategory(input) {
+    const now = new Date().toISOString();
+    const category = {
+      slug: input.slug,
+      name: input.name ? input.name.trim() : this.formatName(input.slug),
+      enabled: input.enabled !== undefined ? input.enabled : true,
+      fetchIntervalHours: input.fetchIntervalHours || 0,
+      lastFetchedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const created = await this.updateStore((categories) => {
+      if (categories.some(c => c.slug === category.slug)) {
+        return { categories: null, result: null };
+      }
+      return { categories: [...categories, category], result: category };
+    });
+
+    if (created) {
+      console.log(`Added RSS category: ${category.slug}`);
+    }
+    return created;
+  }
+
+  /**
+   * Update a category's name, enabled flag or fetch interval
+   * @param {string} slug - Category slug
+   * @param {Object} changes - Fields to change (slug cannot be changed)
+   * @returns {Promise<Object|null>} - Updated category or null if not found
+   */
+  async updateCategory(slug, changes) {
+    const { slug: ignoredSlug, ...editable } = changes;
+
+    const updated = await this.updateStore((categories) => {
+      const index = categories.findIndex(c => c.slug === slug);
+      if (index === -1) {
+        return { categories: null, result: null };
+      }
+
+      const category = {
+        ...categories[index],
+        ...editable,
+        name: editable.name ? editable.name.trim() : categories[index].name,
+        updatedAt: new Date().toISOString()
+      };
+      const next = [...categories];
+      next[index] = category;
+      return { categories: next, result: category };
+    });
+
+    if (updated) {
+      console.log(`Updated RSS category: ${slug}`);
+    }
+    return updated;
+  }
+
+  /**
+   * Remove a category (products already fetched for it are kept)
+   * @param {string} slug - Category slug
+   * @returns {Promise<boolean>} - False if not found
+   */
+  async deleteCategory(slug) {
+    const deleted = await this.updateStore((categories) => {
+      const remaining = categories.filter(c => c.slug !== slug);
+      return remaining.length === categories.length
+        ? { categories: null, result: false }
+        : { categories: remaining, result: true };
+    });
+
+    if (deleted) {
+      console.log(`Deleted RSS category: ${slug}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Record a completed fetch for a category
+   * @param {string} slug - Category slug
+   * @returns {Promise<void>}
+   */
+  async markFetched(slug) {
+    await this.updateStore((categories) => ({
+      categories: categories.map(c => (c.slug === slug ? { ...c, lastFetchedAt: new Date().toISOString() } : c)),
+      result: undefined
+    }));
+  }
+}
+
+module.exports = new CategoryService();
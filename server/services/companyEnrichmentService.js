@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const dbService = require('./dbService');
+const enrichmentQueue = require('./enrichmentQueue');
+const companyLinkedInService = require('./companyLinkedInService');
+
+const SPECTER_URL = 'https://app.tryspecter.com/api/v1/companies';
+
+// 'specter' calls the Specter API; 'stub' answers from a local JSON file for offline development
+const PROVIDER = process.env.COMPANY_DATA_PROVIDER === 'stub' ? 'stub' : 'specter';
+const STUB_PATH = process.env.COMPANY_DATA_STUB_PATH || path.join(__dirname, '..', 'config', 'companyDataStub.json');
+
+// Company data older than this is fetched again
+const MAX_AGE_DAYS = parseFloat(process.env.COMPANY_DATA_MAX_AGE_DAYS || '30');
+// A lookup that failed with a provider error is retried after this many hours
+const RETRY_HOURS = parseFloat(process.env.COMPANY_DATA_RETRY_HOURS || '6');
+// Products looked up per run of the job
+const BATCH_SIZE = parseInt(process.env.COMPANY_ENRICHMENT_BATCH_SIZE || '50');
+// Lookups allowed per UTC day; unset for no limit
+const DAILY_QUOTA = process.env.COMPANY_DATA_DAILY_QUOTA ? parseInt(process.env.COMPANY_DATA_DAILY_QUOTA) : null;
+// A run stops after this many lookups fail in a row, assuming the provider is down
+const MAX_CONSECUTIVE_ERRORS = 5;
+
+const ENRICHED_STATUSES = ['approved', 'pending'];
+const USAGE_KEY = 'company_data_usage';
+
+// Errors that stop the whole run rather than a single product
+const FATAL_CODES = ['NOT_CONFIGURED', 'AUTH_FAILED', 'RATE_LIMITED', 'QUOTA_EXCEEDED'];
+
+// HTTP status used when a lookup error reaches an API response
+const ERROR_STATUS = {
+  NOT_FOUND: 404,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  AUTH_FAILED: 502,
+  PROVIDER_ERROR: 502,
+  NOT_CONFIGURED: 503,
+  STORAGE_ERROR: 500,
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Stored usage counters, or fresh ones, with today's count reset on a new UTC day
+ * @param {Object|null} stored
+ * @returns {Object} - { day, today: { lookups }, totals: { lookups, found, notFound, errors } }
+ */
+const currentUsage = (stored) => {
+  const usage = stored || {
+    day: today(),
+    today: { lookups: 0 },
+    totals: { lookups: 0, found: 0, notFound: 0, errors: 0 },
+  };
+  if (usage.day !== today()) {
+    usage.day = today();
+    usage.today = { lookups: 0 };
+  }
+  return usage;
+};
+
+function lookupError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Company data (headcount, founders, HQ, growth stage) for products with a
+ * LinkedIn company page, from Specter. Results are stored on the product as
+ * `linkedInData` with `linkedInDataFetchedAt`, `linkedInDataSource` and
+ * `linkedInDataError`, and refreshed once older than COMPANY_DATA_MAX_AGE_DAYS.
+ * Provider errors set `linkedInDataErrorAt` instead of the fetch time and are
+ * retried after COMPANY_DATA_RETRY_HOURS.
+ *
+ * Every lookup goes through lookup(), which holds Specter to its rate limit
+ * and the daily quota and turns provider failures into errors with a `code`:
+ * NOT_CONFIGURED, AUTH_FAILED, RATE_LIMITED, QUOTA_EXCEEDED, NOT_FOUND or
+ * PROVIDER_ERROR.
+ */
+class CompanyEnrichmentService {
+  constructor() {
+    this.provider = PROVIDER;
+  }
+
+  isConfigured() {
+    return this.provider === 'stub' ? fs.existsSync(STUB_PATH) : Boolean(process.env.SPECTER_API_KEY);
+  }
+
+  /**
+   * Today's lookups and running totals, reset on a new UTC day
+   * @returns {Promise<Object>} - { day, today: { lookups }, totals: { lookups, found, notFound, errors } }
+   */
+  async getUsage() {
+    return currentUsage(await dbService.getItem(USAGE_KEY));
+  }
+
+  /**
+   * Count a lookup before it starts, unless the daily quota is used. The
+   * check and the count are one mutation so concurrent lookups cannot
+   * overrun the quota.
+   * @returns {Promise<boolean>} - false when the quota is used
+   */
+  async reserveLookup() {
+    try {
+      return await dbService.mutate(async (adapter) => {
+        const usage = currentUsage(await adapter.getItem(USAGE_KEY));
+        if (DAILY_QUOTA !== null && usage.today.lookups >= DAILY_QUOTA) {
+          return false;
+        }
+
+        usage.today.lookups++;
+        usage.totals.lookups++;
+        await adapter.setItem(USAGE_KEY, usage);
+        return true;
+      });
+    } catch (error) {
+      console.error('Error saving company data usage:', error.message);
+      return true;
+    }
+  }
+
+  async recordUsage(outcome) {
+    try {
+      await dbService.mutate(async (adapter) => {
+        const usage = currentUsage(await adapter.getItem(USAGE_KEY));
+        usage.totals[outcome]++;
+        await adapter.setItem(USAGE_KEY, usage);
+      });
+    } catch (error) {
+      console.error('Error saving company data usage:', error.message);
+    }
+  }
+
+  /**
+   * Raw company record for a LinkedIn company page
+   * @param {string} linkedinUrl - linkedin.com/company/ URL
+   * @returns {Promise<Object>} - Company record in Specter's format
+   */
+  async lookup(linkedinUrl) {
+    if (!this.isConfigured()) {
+      throw lookupError(
+        this.provider === 'stub' ? `Company data stub not found: ${STUB_PATH}` : 'SPECTER_API_KEY is not set',
+        'NOT_CONFIGURED'
+      );
+    }
+
+    if (!(await this.reserveLookup())) {
+      throw lookupError(`Daily company data quota of ${DAILY_QUOTA} lookups used`, 'QUOTA_EXCEEDED');
+    }
+
+    try {
+      const company = this.provider === 'stub'
+        ? await this.lookupInStub(linkedinUrl)
+        : await enrichmentQueue.throttle('specter', () => this.lookupInSpecter(linkedinUrl));
+      await this.recordUsage(company ? 'found' : 'notFound');
+
+      if (!company) {
+        throw lookupError(`No company data for ${linkedinUrl}`, 'NOT_FOUND');
+      }
+      return company;
+    } catch (error) {
+      if (error.code !== 'NOT_FOUND') {
+        await this.recordUsage('errors');
+      }
+      throw error;
+    }
+  }
+
+  async lookupInSpecter(linkedinUrl) {
+    const response = await fetch(SPECTER_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': process.env.SPECTER_API_KEY
+      },
+      body: JSON.stringify({ linkedin_url: linkedinUrl })
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      throw lookupError(`Specter rejected the API key (${response.status})`, 'AUTH_FAILED');
+    }
+    if (response.status === 429) {
+      throw lookupError('Specter rate limit reached', 'RATE_LIMITED');
+    }
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Specter API error (${response.status}):`, errorText);
+      throw lookupError(`Specter API responded with status: ${response.status}`, 'PROVIDER_ERROR');
+    }
+
+    const data = await response.json();
+    return Array.isArray(data) && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Company record from the stub file, keyed by LinkedIn company slug
+   */
+  async lookupInStub(linkedinUrl) {
+    const companies = JSON.parse(await fs.promises.readFile(STUB_PATH, 'utf8'));
+    const normalized = companyLinkedInService.normalizeCompanyUrl(linkedinUrl);
+    const slug = normalized ? normalized.split('/company/')[1] : null;
+    return (slug && companies[slug]) || null;
+  }
+
+  /**
+   * The fields of a company record kept on products
+   * @param {Object} company - Company record in Specter's format
+   * @returns {Object} - linkedInData
+   */
+  extract(company) {
+    return {
+      operating_status: company.operating_status,
+      regions: company.regions,
+      founded_year: company.founded_year,
+      founders: company.founders,
+      founder_info: company.founder_info,
+      founder_count: company.founder_count,
+      employee_count: company.employee_count,
+      employee_count_range: company.employee_count_range,
+      city: company.hq?.city,
+      state: company.hq?.state,
+      country: company.hq?.country,
+      phone_number: company.contact?.phone_number,
+      email: company.contact?.email,
+      growth_stage: company.growth_stage
+    };
+  }
+
+  /**
+   * Look up and store company data for one product. Products without a
+   * company page get one discovered first. Lookups that find nothing are
+   * stored too, so the product waits until the data is stale to be retried.
+   * Throws STORAGE_ERROR when the result cannot be saved.
+   * @param {Object} product - Product record
+   * @param {Object} context - History context ({ actor, source })
+   * @returns {Promise<Object>} - Updated product
+   */
+  async enrichProduct(product, context = {}) {
+    let companyLinkedin = product.companyLinkedin;
+    if (!companyLinkedin) {
+      ({ companyLinkedin } = await companyLinkedInService.discover(product, context));
+    }
+    if (!companyLinkedin) {
+      throw lookupError(`No LinkedIn company page for ${product.name}`, 'NOT_FOUND');
+    }
+
+    let linkedInData;
+    try {
+      linkedInData = this.extract(await this.lookup(companyLinkedin));
+    } catch (error) {
+      // Provider-wide failures say nothing about this product
+      if (FATAL_CODES.includes(error.code)) throw error;
+
+      await dbService.updateCompanyData(product.id, error.code === 'NOT_FOUND'
+        ? { source: this.provider, error: 'not-found' }
+        : { source: this.provider, error: error.message, failed: true },
+      { source: 'company-enrichment', ...context });
+      throw error;
+    }
+
+    const updated = await dbService.updateCompanyData(product.id, {
+      linkedInData,
+      source: this.provider
+    }, { source: 'company-enrichment', ...context });
+    if (!updated) {
+      throw lookupError(`Could not save company data for ${product.name}`, 'STORAGE_ERROR');
+    }
+    return updated;
+  }
+
+  /**
+   * Approved and pending products with a company page whose data is missing
+   * or older than COMPANY_DATA_MAX_AGE_DAYS, skipping those whose last lookup
+   * failed less than COMPANY_DATA_RETRY_HOURS ago; approved and least
+   * recently fetched first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getStaleProducts() {
+    const cutoff = Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const retryCutoff = Date.now() - RETRY_HOURS * 60 * 60 * 1000;
+    const fetchedAt = (product) => (product.linkedInDataFetchedAt ? new Date(product.linkedInDataFetchedAt).getTime() : 0);
+    const erroredAt = (product) => (product.linkedInDataErrorAt ? new Date(product.linkedInDataErrorAt).getTime() : 0);
+
+    return (await dbService.getAllProducts())
+      .filter(product =>
+        ENRICHED_STATUSES.includes(product.status) &&
+        product.companyLinkedin &&
+        fetchedAt(product) < cutoff &&
+        erroredAt(product) < retryCutoff
+      )
+      .sort((a, b) =>
+        ENRICHED_STATUSES.indexOf(a.status) - ENRICHED_STATUSES.indexOf(b.status) ||
+        fetchedAt(a) - fetchedAt(b)
+      );
+  }
+
+  /**
+   * Refresh company data for up to COMPANY_ENRICHMENT_BATCH_SIZE stale
+   * products through the shared enrichment queue. The run stops early when
+   * the provider is unavailable, out of quota, or failing repeatedly.
+   * @returns {Promise<Object>} - { stale, processed, enriched, notFound, failed, stoppedBy, errors }
+   */
+  async enrichStaleProducts() {
+    const stale = await this.getStaleProducts();
+    const batch = stale.slice(0, BATCH_SIZE);
+    console.log(`=== Company Enrichment Started: ${batch.length} of ${stale.length} stale products ===`);
+
+    const results = { stale: stale.length, processed: 0, enriched: 0, notFound: 0, failed: 0, stoppedBy: null, errors: [] };
+    let consecutiveErrors = 0;
+
+    await Promise.all(batch.map(product => enrichmentQueue.add(async () => {
+      if (results.stoppedBy) return;
+
+      try {
+        results.processed++;
+        await this.enrichProduct(product);
+        results.enriched++;
+        consecutiveErrors = 0;
+      } catch (error) {
+        if (error.code === 'NOT_FOUND') {
+          results.notFound++;
+          return;
+        }
+
+        results.failed++;
+        results.errors.push({ productId: product.id, productName: product.name, code: error.code || null, error: error.message });
+        consecutiveErrors++;
+        if (FATAL_CODES.includes(error.code)) {
+          results.stoppedBy = error.code;
+        } else if (consecutiveErrors >= MAX_CONSECUTIVE_ERRORS) {
+          results.stoppedBy = 'REPEATED_ERRORS';
+        }
+        if (results.stoppedBy) {
+          console.error(`Stopping company enrichment: ${error.message}`);
+        }
+      }
+    }, { type: 'company', productId: product.id })));
+
+    console.log(`=== Company Enrichment Completed: ${results.enriched} enriched, ${results.notFound} not found, ${results.failed} failed ===`);
+    return results;
+  }
+
+  /**
+   * @param {Error} error - Error thrown by lookup() or enrichProduct()
+   * @returns {number} - HTTP status for API responses
+   */
+  getErrorStatus(error) {
+    return ERROR_STATUS[error.code] || 500;
+  }
+
+  /**
+   * Provider, quota and usage for status endpoints
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    return {
+      provider: this.provider,
+      configured: this.isConfigured(),
+      dailyQuota: DAILY_QUOTA,
+      maxAgeDays: MAX_AGE_DAYS,
+      retryHours: RETRY_HOURS,
+      batchSize: BATCH_SIZE,
+      usage: await this.getUsage()
+    };
+  }
+}
+
+module.exports = new CompanyEnrichmentService();
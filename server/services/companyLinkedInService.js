@@ -0,0 +1,174 @@
+const cheerio = require('cheerio');
+const dbService = require('./dbService');
+const fixtureService = require('./fixtureService');
+const enrichmentQueue = require('./enrichmentQueue');
+const { publicAgent } = require('./publicHosts');
+const peopleSearch = require('./peopleSearch');
+
+// Company pages that show up on product pages without belonging to the product
+const IGNORED_SLUGS = ['producthunt', 'linkedin'];
+
+// Website areas where a company's own social links usually sit, tried in order
+const WEBSITE_LINK_AREAS = ['footer', '[class*="social"], [id*="social"]', 'header, nav', 'body'];
+
+const WEBSITE_TIMEOUT_MS = 10000;
+
+/**
+ * Finds a product's company page on LinkedIn (linkedin.com/company/...),
+ * which company enrichment needs, and stores it as `companyLinkedin` with
+ * `companyLinkedinSource` ('producthunt', 'website', 'search' or 'admin') and
+ * `companyLinkedinCheckedAt`.
+ *
+ * Product Hunt enrichment stores the company link on the product page when
+ * there is one. For products without it, discover() tries the LinkedIn link
+ * older enrichment kept in `linkedin`, the social links on the company
+ * website, then a company search through the people-search providers.
+ */
+class CompanyLinkedInService {
+  /**
+   * Canonical form of a LinkedIn company URL
+   * @param {string} url - Any URL
+   * @returns {string|null} - https://www.linkedin.com/company/<slug>, or null if it is not a usable company page
+   */
+  normalizeCompanyUrl(url) {
+    const match = typeof url === 'string' && url.match(/linkedin\.com\/company\/([^/?#\s]+)/i);
+    if (!match) return null;
+
+    const slug = match[1].toLowerCase();
+    if (IGNORED_SLUGS.includes(slug)) return null;
+    return `https://www.linkedin.com/company/${slug}`;
+  }
+
+  /**
+   * Find and store the company page of a product that has none yet
+   * @param {Object} product - Product record
+   * @param {Object} context - History context ({ actor, source })
+   * @returns {Promise<Object>} - { companyLinkedin, source, product }
+   */
+  async discover(product, context = {}) {
+    if (product.companyLinkedin) {
+      return { companyLinkedin: product.companyLinkedin, source: product.companyLinkedinSource || null, product };
+    }
+
+    const found = this.fromProductHunt(product) ||
+      await this.fromWebsite(product) ||
+      await this.fromSearch(product);
+
+    if (found) {
+      console.log(`Found company LinkedIn for ${product.name}: ${found.companyLinkedin} (${found.source})`);
+    } else {
+      console.log(`No company LinkedIn found for: ${product.name}`);
+    }
+
+    const updated = await dbService.updateCompanyLinkedIn(product.id, found || {}, {
+      source: 'company-linkedin',
+      ...context
+    });
+    return {
+      companyLinkedin: found ? found.companyLinkedin : null,
+      source: found ? found.source : null,
+      product: updated
+    };
+  }
+
+  /**
+   * Company page in `linkedin`, where Product Hunt enrichment stored any
+   * LinkedIn link it found before company pages had their own field
+   * @param {Object} product - Product record
+   * @returns {Object|null} - { companyLinkedin, source }
+   */
+  fromProductHunt(product) {
+    const companyLinkedin = this.normalizeCompanyUrl(product.linkedin);
+    return companyLinkedin ? { companyLinkedin, source: 'producthunt' } : null;
+  }
+
+  /**
+   * Company page linked from the company website's homepage, preferring the
+   * footer and social-link areas
+   * @param {Object} product - Product with a companyWebsite
+   * @returns {Promise<Object|null>} - { companyLinkedin, source }
+   */
+  async fromWebsite(product) {
+    if (!product.companyWebsite) return null;
+
+    try {
+      const response = await enrichmentQueue.throttle('website', () => fixtureService.fetch(product.companyWebsite, {
+        agent: publicAgent,
+        timeout: WEBSITE_TIMEOUT_MS,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          'Accept-Language': 'en-US,en;q=0.9'
+        }
+      }));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const $ = cheerio.load(await response.text());
+      for (const area of WEBSITE_LINK_AREAS) {
+        const links = $(area).find('a[href*="linkedin.com/company/"]').toArray();
+        for (const link of links) {
+          const companyLinkedin = this.normalizeCompanyUrl($(link).attr('href'));
+          if (companyLinkedin) return { companyLinkedin, source: 'website' };
+        }
+      }
+    } catch (error) {
+      console.error(`Error reading company website of ${product.name}:`, error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Company page found by searching for the product name. Only a result whose
+   * page name or title matches the product or its domain is accepted.
+   * @param {Object} product - Product record
+   * @returns {Promise<Object|null>} - { companyLinkedin, source }
+   */
+  async fromSearch(product) {
+    const names = this.getCompanyNames(product);
+    if (names.length === 0) return null;
+
+    const { results } = await peopleSearch.search(product.name, {
+      productName: product.name,
+      companyWebsite: product.companyWebsite || null
+    }, { type: 'company' });
+
+    const compact = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+    for (const result of results) {
+      const companyLinkedin = this.normalizeCompanyUrl(result.link);
+      if (!companyLinkedin) continue;
+
+      const slug = compact(companyLinkedin.split('/company/')[1]);
+      const title = compact((result.title || '').split(/[|\-–]/)[0]);
+      if (names.some(name => slug === name || slug.startsWith(name) || title === name)) {
+        return { companyLinkedin, source: 'search' };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Compact lowercase names a product's company page could go by: the
+   * product name and its website's domain label
+   * @param {Object} product - Product record
+   * @returns {Array<string>}
+   */
+  getCompanyNames(product) {
+    const names = [];
+    const productName = (product.name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (productName.length > 2) names.push(productName);
+
+    if (product.companyWebsite) {
+      try {
+        const [domain] = new URL(product.companyWebsite).hostname.replace(/^www\./, '').split('.');
+        const compactDomain = domain.replace(/[^a-z0-9]/g, '');
+        if (compactDomain.length > 2 && !names.includes(compactDomain)) names.push(compactDomain);
+      } catch (error) {
+        // Not a URL; ignore it
+      }
+    }
+    return names;
+  }
+}
+
+module.exports = new CompanyLinkedInService();
@@ -1,94 +1,272 @@
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs').promises;
-const path = require('path');
+const { createStorageAdapter } = require('./storage');
+const WriteQueue = require('./storage/writeQueue');
+const { runMigrations } = require('./storage/migrations');
+const { getProductCategories, addCategories, resolveCategoryUpdate } = require('./productCategories');
+const { getProductMakers, isSameMaker } = require('./productMakers');
+
+// Oldest entries are dropped once a product's history grows past this
+const MAX_HISTORY_ENTRIES = parseInt(process.env.MAX_HISTORY_ENTRIES || '200');
+
+// Upvote/rank snapshots kept per product, and the minimum gap between two
+// snapshots with unchanged values
+const MAX_METRIC_SNAPSHOTS = parseInt(process.env.MAX_METRIC_SNAPSHOTS || '500');
+const METRICS_MIN_INTERVAL_MS = parseInt(process.env.METRICS_MIN_INTERVAL_MINUTES || '10') * 60 * 1000;
+
+// Products without a company LinkedIn page are searched again after this many days
+const COMPANY_LINKEDIN_MAX_AGE_DAYS = parseFloat(process.env.COMPANY_LINKEDIN_MAX_AGE_DAYS || '30');
+
+// Bookkeeping fields that change on every write and are not worth recording
+const UNTRACKED_FIELDS = new Set(['updatedAt']);
 
 class DatabaseService {
   constructor() {
-    this.storage = 'local';
-    this.dbPath = path.join(process.cwd(), 'data', 'products.json');
-    this.initLocalStorage();
+    this.adapter = createStorageAdapter();
+    this.storage = this.adapter.name;
+    this.ready = this.adapter.init();
+    this.initialized = null;
+    this.writeQueue = new WriteQueue();
+    // Bumped on every product write so in-memory indexes know when to rebuild
+    this.productRevision = 0;
   }
 
-  async initLocalStorage() {
-    try {
-      const dir = path.dirname(this.dbPath);
-      await fs.mkdir(dir, { recursive: true });
-      
-      try {
-        await fs.access(this.dbPath);
-      } catch {
-        await fs.writeFile(this.dbPath, JSON.stringify({
-          products: {},
-          productList: [],
-          metadata: {
-            lastUpdated: null,
-            totalCount: 0
-          },
-          cache: {},
-          schedule: {},
-          misc: {}
-        }, null, 2));
-        console.log(`Initialized database at ${this.dbPath}`);
+  /**
+   * Bring stored data up to the current schema version. Called once by the
+   * server before it starts handling requests (and by scripts that need
+   * migrated data), not on require, so loading this module never rewrites the
+   * database. Later calls return the same promise, which rejects when a
+   * migration fails so callers never run on data in the old shape.
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.initialized) {
+      this.initialized = this.mutate(async (adapter) => {
+        const { applied } = await runMigrations(adapter);
+        if (applied > 0) this.productRevision++;
+      });
+    }
+    return this.initialized;
+  }
+
+  /**
+   * Run a mutation exclusively so concurrent read-modify-write cycles
+   * (cron fetch, enrichment, dashboard edits) never overwrite each other.
+   * Inside the task use the adapter directly; calling setItem/deleteItem
+   * from within a mutation would wait on itself.
+   * @param {Function} task - Receives the storage adapter
+   * @returns {Promise<*>} - The task's result
+   */
+  mutate(task) {
+    return this.writeQueue.run(async () => {
+      await this.ready;
+      return task(this.adapter);
+    });
+  }
+
+  /**
+   * Read a product, apply a change and write it back as one mutation,
+   * appending the changed fields to the product's history
+   * @param {string} productId - Product ID
+   * @param {Function} modify - Receives the current product, returns the updated one
+   * @param {Object} context - { actor, source } recorded in the history entry
+   * @returns {Promise<Object|null>} - Updated product or null if not found
+   */
+  async modifyProduct(productId, modify, context = {}) {
+    return this.mutate(async (adapter) => {
+      const product = await adapter.getItem(`product:${productId}`);
+      if (!product) {
+        return null;
       }
-    } catch (error) {
-      console.error('Error initializing local storage:', error.message);
+
+      const updated = modify(product);
+      await this.writeProductChange(adapter, product, updated, context);
+      return updated;
+    });
+  }
+
+  /**
+   * Write an updated product and append its changed fields to the history.
+   * Only call from inside a mutation.
+   * @param {Object} adapter - Storage adapter passed to the mutation
+   * @param {Object} product - Stored product before the change
+   * @param {Object} updated - Product to write
+   * @param {Object} context - { actor, source } recorded in the history entry
+   */
+  async writeProductChange(adapter, product, updated, context = {}) {
+    await adapter.setItem(`product:${product.id}`, updated);
+    this.productRevision++;
+
+    const changes = this.diffProducts(product, updated);
+    if (changes.length > 0) {
+      const history = (await adapter.getItem(`history:${product.id}`)) || [];
+      history.push({
+        timestamp: updated.updatedAt || new Date().toISOString(),
+        actor: context.actor || 'system',
+        source: context.source || 'unknown',
+        changes
+      });
+      await adapter.setItem(`history:${product.id}`, history.slice(-MAX_HISTORY_ENTRIES));
+    }
+
+    // Every upvote scrape, enrichment run and new feed vote count is a point in the product's time series
+    if (
+      updated.phUpvotesFetchedAt !== product.phUpvotesFetchedAt ||
+      updated.phEnrichedAt !== product.phEnrichedAt ||
+      updated.phVotes !== product.phVotes
+    ) {
+      await this.appendMetricsSnapshot(adapter, updated, context);
     }
   }
 
-  async readLocalData() {
-    try {
-      const data = await fs.readFile(this.dbPath, 'utf8');
-      const parsed = JSON.parse(data);
-      
-      if (!parsed.cache) parsed.cache = {};
-      if (!parsed.schedule) parsed.schedule = {};
-      if (!parsed.misc) parsed.misc = {};
-      
-      return parsed;
-    } catch (error) {
-      console.error('Error reading local data:', error.message);
-      return { 
-        products: {}, 
-        productList: [],
-        metadata: { lastUpdated: null, totalCount: 0 },
-        cache: {},
-        schedule: {},
-        misc: {}
-      };
+  /**
+   * Record the product's current upvotes, feed vote count and day rank. Only
+   * call from inside a mutation.
+   * @param {Object} adapter - Storage adapter passed to the mutation
+   * @param {Object} product - Product as just written
+   * @param {Object} context - { source } recorded with the snapshot
+   */
+  async appendMetricsSnapshot(adapter, product, context = {}) {
+    const snapshots = (await adapter.getItem(`metrics:${product.id}`)) || [];
+    const snapshot = {
+      timestamp: new Date().toISOString(),
+      phUpvotes: typeof product.phUpvotes === 'number' ? product.phUpvotes : null,
+      phVotes: typeof product.phVotes === 'number' ? product.phVotes : null,
+      phDayRank: product.phDayRank || null,
+      source: context.source || 'unknown'
+    };
+
+    const last = snapshots[snapshots.length - 1];
+    if (
+      last &&
+      last.phUpvotes === snapshot.phUpvotes &&
+      (last.phVotes ?? null) === snapshot.phVotes &&
+      last.phDayRank === snapshot.phDayRank &&
+      new Date(snapshot.timestamp) - new Date(last.timestamp) < METRICS_MIN_INTERVAL_MS
+    ) {
+      return;
+    }
+
+    snapshots.push(snapshot);
+    await adapter.setItem(`metrics:${product.id}`, snapshots.slice(-MAX_METRIC_SNAPSHOTS));
+  }
+
+  /**
+   * Merge duplicate products into a surviving record in one mutation. The
+   * duplicates' history and metrics snapshots are folded into the survivor's,
+   * followed by a history entry describing the merge, and the duplicates are deleted.
+   * @param {string} survivorId - Product to keep
+   * @param {Array<string>} duplicateIds - Products to merge and delete
+   * @param {Function} combine - (survivor, duplicates) => merged record
+   * @param {Object} context - Audit context { actor, source }
+   * @returns {Promise<Object|null>} - Merged product, or null if any product is missing
+   */
+  async mergeProducts(survivorId, duplicateIds, combine, context = {}) {
+    return this.mutate(async (adapter) => {
+      const survivor = await adapter.getItem(`product:${survivorId}`);
+      const duplicates = [];
+      for (const id of duplicateIds) {
+        duplicates.push(await adapter.getItem(`product:${id}`));
+      }
+      if (!survivor || duplicates.some(duplicate => !duplicate)) {
+        return null;
+      }
+
+      const merged = combine(survivor, duplicates);
+      await adapter.setItem(`product:${survivorId}`, merged);
+
+      const history = (await adapter.getItem(`history:${survivorId}`)) || [];
+      const metrics = (await adapter.getItem(`metrics:${survivorId}`)) || [];
+      for (const id of duplicateIds) {
+        const duplicateHistory = (await adapter.getItem(`history:${id}`)) || [];
+        history.push(...duplicateHistory.map(entry => ({ ...entry, mergedFrom: id })));
+        metrics.push(...((await adapter.getItem(`metrics:${id}`)) || []));
+        await adapter.deleteItem(`product:${id}`);
+        await adapter.deleteItem(`history:${id}`);
+        await adapter.deleteItem(`metrics:${id}`);
+      }
+      metrics.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      await adapter.setItem(`metrics:${survivorId}`, metrics.slice(-MAX_METRIC_SNAPSHOTS));
+      history.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      history.push({
+        timestamp: merged.updatedAt || new Date().toISOString(),
+        actor: context.actor || 'system',
+        source: context.source || 'unknown',
+        changes: this.diffProducts(survivor, merged)
+      });
+      await adapter.setItem(`history:${survivorId}`, history.slice(-MAX_HISTORY_ENTRIES));
+      this.productRevision++;
+
+      return merged;
+    });
+  }
+
+  /**
+   * List fields that differ between two versions of a product
+   * @param {Object} before - Previous product
+   * @param {Object} after - Updated product
+   * @returns {Array<Object>} - [{ field, from, to }]
+   */
+  diffProducts(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    for (const field of fields) {
+      if (UNTRACKED_FIELDS.has(field)) continue;
+      const from = before[field] === undefined ? null : before[field];
+      const to = after[field] === undefined ? null : after[field];
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ field, from, to });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Get a product's change history, newest first
+   * @param {string} productId - Product ID
+   * @returns {Promise<Array>} - History entries
+   */
+  async getProductHistory(productId) {
+    const history = await this.getItem(`history:${productId}`);
+    return (history || []).slice().reverse();
+  }
+
+  /**
+   * Get a product's upvote, vote and day-rank snapshots, oldest first
+   * @param {string} productId - Product ID
+   * @param {Object} options - { since } ISO date; only later snapshots are returned
+   * @returns {Promise<Array>} - [{ timestamp, phUpvotes, phVotes, phDayRank, source }]
+   */
+  async getProductMetrics(productId, options = {}) {
+    const snapshots = (await this.getItem(`metrics:${productId}`)) || [];
+    if (!options.since) {
+      return snapshots;
     }
+    const since = new Date(options.since).getTime();
+    return snapshots.filter(snapshot => new Date(snapshot.timestamp).getTime() >= since);
   }
 
-  async writeLocalData(data) {
+  /**
+   * Snapshots of several products in one storage read
+   * @param {Array<string>} productIds - Product IDs
+   * @returns {Promise<Map>} - product ID -> snapshots, oldest first
+   */
+  async getMetricsForProducts(productIds) {
     try {
-      await fs.writeFile(this.dbPath, JSON.stringify(data, null, 2));
-      console.log('Database updated successfully');
+      await this.ready;
+      const values = await this.adapter.getItems(productIds.map(id => `metrics:${id}`));
+      return new Map(productIds.map((id, index) => [id, values[index] || []]));
     } catch (error) {
-      console.error('Error writing local data:', error.message);
+      console.error('Error getting product metrics:', error.message);
+      return new Map();
     }
   }
 
   async getItem(key) {
     try {
-      const data = await this.readLocalData();
-      
-      if (!data.cache) data.cache = {};
-      if (!data.schedule) data.schedule = {};
-      if (!data.misc) data.misc = {};
-      
-      if (key === 'product:list') {
-        return data.productList;
-      } else if (key.startsWith('product:')) {
-        const productId = key.replace('product:', '');
-        return data.products[productId] || null;
-      } else if (key === 'metadata') {
-        return data.metadata;
-      } else if (key.startsWith('linkedin_cache:') || key.startsWith('ph_enrichment_cache:')) {
-        return data.cache[key] || null;
-      } else if (key.startsWith('schedule:')) {
-        return data.schedule[key] || null;
-      } else {
-        return data.misc[key] || null;
-      }
+      await this.ready;
+      return await this.adapter.getItem(key);
     } catch (error) {
       console.error(`Error getting item ${key}:`, error.message);
       return null;
@@ -97,31 +275,9 @@ class DatabaseService {
 
   async setItem(key, value) {
     try {
-      const data = await this.readLocalData();
-      
-      if (!data.cache) data.cache = {};
-      if (!data.schedule) data.schedule = {};
-      if (!data.misc) data.misc = {};
-      
-      if (key === 'product:list') {
-        data.productList = value;
-      } else if (key.startsWith('product:')) {
-        const productId = key.replace('product:', '');
-        data.products[productId] = value;
-        data.metadata.totalCount = Object.keys(data.products).length;
-        data.metadata.lastUpdated = new Date().toISOString();
-      } else if (key === 'metadata') {
-        data.metadata = value;
-      } else if (key.startsWith('linkedin_cache:') || key.startsWith('ph_enrichment_cache:')) {
-        data.cache[key] = value;
-      } else if (key.startsWith('schedule:')) {
-        data.schedule[key] = value;
-      } else {
-        data.misc[key] = value;
-      }
-      
-      await this.writeLocalData(data);
-      return true;
+      const result = await this.mutate(adapter => adapter.setItem(key, value));
+      if (key.startsWith('product:')) this.productRevision++;
+      return result;
     } catch (error) {
       console.error(`Error setting item ${key}:`, error.message);
       return false;
@@ -134,57 +290,85 @@ class DatabaseService {
   }
 
   async addToProductList(productId) {
-    const list = await this.getProductList();
-    if (!list.includes(productId)) {
-      list.push(productId);
-      await this.setItem('product:list', list);
-    }
+    await this.mutate(async (adapter) => {
+      const list = (await adapter.getItem('product:list')) || [];
+      if (!list.includes(productId)) {
+        list.push(productId);
+        await adapter.setItem('product:list', list);
+      }
+    });
   }
 
   async saveProduct(productData) {
     try {
-      const existingProduct = await this.findProductByLink(productData.phLink);
-      if (existingProduct) {
-        if (existingProduct.status === 'rejected') {
-          console.log(`Skipping previously rejected product: ${productData.name}`);
-          return existingProduct;
+      return await this.mutate(async (adapter) => {
+        // Product Hunt launches are matched on their PH link, other sources on their own item link
+        let existingProduct = null;
+        if (productData.phLink) {
+          existingProduct = await adapter.findProductByLink(this.normalizeProductHuntLink(productData.phLink));
+        } else if (productData.sourceLink) {
+          existingProduct = await adapter.findProductBySourceLink(productData.source, productData.sourceLink);
         }
+        if (existingProduct) {
+          if (existingProduct.status === 'rejected') {
+            console.log(`Skipping previously rejected product: ${productData.name}`);
+            return existingProduct;
+          }
         
-        console.log(`Product already exists: ${productData.name} (${productData.phLink})`);
-        return existingProduct;
-      }
+          // The same launch listed in another category's feed joins that category too
+          if (productData.category && !getProductCategories(existingProduct).includes(productData.category)) {
+            const updated = {
+              ...addCategories(existingProduct, [productData.category]),
+              updatedAt: new Date().toISOString()
+            };
+            await this.writeProductChange(adapter, existingProduct, updated, { source: 'rss-fetch' });
+            console.log(`Product already exists: ${productData.name}, added category ${productData.category}`);
+            return updated;
+          }
 
-      const product = {
-        id: uuidv4(),
-        name: productData.name,
-        description: productData.description,
-        category: productData.category,
-        publishedAt: productData.publishedAt,
-        phLink: productData.phLink,
-        makerName: productData.makerName || null,
-        linkedin: productData.linkedin || null,
-        phUpvotes: productData.phUpvotes || 0, // Use phUpvotes instead of upvotes
-        phVotes: productData.phVotes || 0,
-        phDayRank: productData.phDayRank || null,
-        phTopics: productData.phTopics || [],
-        companyWebsite: productData.companyWebsite || null,
-        companyInfo: productData.companyInfo || null,
-        launchDate: productData.launchDate || null,
-        accelerator: productData.accelerator || null,
-        phGithub: productData.phGithub || null,
-        thumbnail: productData.thumbnail || null,
-        status: 'pending',
-        syncedToSheets: false,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+          console.log(`Product already exists: ${productData.name} (${productData.phLink || productData.sourceLink})`);
+          return existingProduct;
+        }
 
-      const key = `product:${product.id}`;
-      await this.setItem(key, product);
-      await this.addToProductList(product.id);
+        const product = {
+          id: uuidv4(),
+          name: productData.name,
+          description: productData.description,
+          category: productData.category,
+          categories: getProductCategories(productData),
+          source: productData.source || 'producthunt',
+          sourceLink: productData.sourceLink || productData.phLink || null,
+          publishedAt: productData.publishedAt,
+          phLink: productData.phLink || null,
+          makerName: productData.makerName || null,
+          makers: getProductMakers(productData),
+          hunter: productData.hunter || null,
+          linkedin: productData.linkedin || null,
+          phUpvotes: productData.phUpvotes || 0, // Use phUpvotes instead of upvotes
+          phVotes: productData.phVotes || 0,
+          phDayRank: productData.phDayRank || null,
+          phTopics: productData.phTopics || [],
+          companyWebsite: productData.companyWebsite || null,
+          companyInfo: productData.companyInfo || null,
+          launchDate: productData.launchDate || null,
+          accelerator: productData.accelerator || null,
+          phGithub: productData.phGithub || null,
+          thumbnail: productData.thumbnail || null,
+          status: 'pending',
+          syncedToSheets: false,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        };
 
-      console.log(`Product saved: ${product.name} [${product.category}]`);
-      return product;
+        await adapter.setItem(`product:${product.id}`, product);
+        const list = (await adapter.getItem('product:list')) || [];
+        list.push(product.id);
+        await adapter.setItem('product:list', list);
+        this.productRevision++;
+
+        console.log(`Product saved: ${product.name} [${product.category}]`);
+        return product;
+      });
     } catch (error) {
       console.error('Error saving product:', error.message);
       throw error;
@@ -197,18 +381,9 @@ class DatabaseService {
         console.warn('Cannot find product with empty link');
         return null;
       }
-      
-      const normalizedLink = this.normalizeProductHuntLink(phLink);
-      const productIds = await this.getProductList();
-      
-      for (const id of productIds) {
-        const product = await this.getItem(`product:${id}`);
-        if (product && this.normalizeProductHuntLink(product.phLink) === normalizedLink) {
-          return product;
-        }
-      }
-      
-      return null;
+
+      await this.ready;
+      return await this.adapter.findProductByLink(this.normalizeProductHuntLink(phLink));
     } catch (error) {
       console.error('Error finding product by link:', error.message);
       return null;
@@ -228,17 +403,9 @@ class DatabaseService {
 
   async getAllProducts() {
     try {
-      const productIds = await this.getProductList();
-      const products = [];
-
-      for (const id of productIds) {
-        const product = await this.getItem(`product:${id}`);
-        if (product) {
-          products.push(product);
-        }
-      }
-
-      return products.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+      await this.ready;
+      const products = await this.adapter.getAllProducts();
+      return this.sortByPublishedAt(products);
     } catch (error) {
       console.error('Error getting all products:', error.message);
       return [];
@@ -247,8 +414,9 @@ class DatabaseService {
 
   async getProductsByCategory(category) {
     try {
-      const allProducts = await this.getAllProducts();
-      return allProducts.filter(product => product.category === category);
+      await this.ready;
+      const products = await this.adapter.findProducts({ category });
+      return this.sortByPublishedAt(products);
     } catch (error) {
       console.error('Error getting products by category:', error.message);
       return [];
@@ -257,27 +425,41 @@ class DatabaseService {
 
   async getProductsByStatus(status) {
     try {
-      const allProducts = await this.getAllProducts();
-      return allProducts.filter(product => product.status === status);
+      await this.ready;
+      const products = await this.adapter.findProducts({ status });
+      return this.sortByPublishedAt(products);
     } catch (error) {
       console.error('Error getting products by status:', error.message);
       return [];
     }
   }
 
-  async updateProductLinkedIn(productId, linkedin) {
+  /**
+   * Filter, sort and paginate products in the storage backend
+   * @param {Object} query - Parsed query from productQuery.parseProductQuery
+   * @returns {Promise<Object>} - { products, total }
+   */
+  async queryProducts(query) {
+    await this.ready;
+    return this.adapter.queryProducts(query);
+  }
+
+  sortByPublishedAt(products) {
+    return products.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+  }
+
+  async updateProductLinkedIn(productId, linkedin, context = {}) {
     try {
-      const product = await this.getItem(`product:${productId}`);
+      const product = await this.modifyProduct(productId, current => ({
+        ...current,
+        linkedin,
+        updatedAt: new Date().toISOString()
+      }), context);
       if (!product) {
         console.error(`Product not found: ${productId}`);
         return null;
       }
 
-      product.linkedin = linkedin;
-      product.updatedAt = new Date().toISOString();
-
-      await this.setItem(`product:${productId}`, product);
-      
       console.log(`Updated LinkedIn for product: ${product.name} -> ${linkedin || 'null'}`);
       return product;
     } catch (error) {
@@ -286,23 +468,166 @@ class DatabaseService {
     }
   }
 
-  async updateProductStatus(productId, status) {
+  /**
+   * Record the LinkedIn lookup for one of a product's makers. The product's
+   * `linkedin` follows the first maker profile unless it was set separately.
+   * @param {string} productId - Product ID
+   * @param {Object} maker - Maker as returned by getProductMakers
+   * @param {Object} match - { linkedin, confidence, candidates, override }; candidates
+   *   already stored are kept when none are given
+   * @param {Object} context - History context
+   * @returns {Promise<Object|null>} - Updated product
+   */
+  async updateMakerLinkedIn(productId, maker, match, context = {}) {
+    const { linkedin = null, confidence = null, reasons = [], candidates = [], override = null } = match;
+
     try {
-      const product = await this.getItem(`product:${productId}`);
+      const product = await this.modifyProduct(productId, current => {
+        const previous = getProductMakers(current).find(existing => isSameMaker(existing, maker));
+        const makers = getProductMakers(current).map(existing => (existing === previous ? {
+          ...existing,
+          linkedin,
+          linkedinConfidence: confidence,
+          linkedinReasons: reasons,
+          linkedinCandidates: candidates.length > 0 ? candidates : (existing.linkedinCandidates || []),
+          linkedinOverride: override,
+          linkedinCheckedAt: new Date().toISOString()
+        } : existing));
+
+        const ownLinkedin = current.linkedin && current.linkedin !== previous?.linkedin;
+        return {
+          ...current,
+          makers,
+          makerName: makers.length > 0 ? makers[0].name : current.makerName,
+          linkedin: ownLinkedin ? current.linkedin : (makers.find(existing => existing.linkedin)?.linkedin || null),
+          updatedAt: new Date().toISOString()
+        };
+      }, context);
       if (!product) {
         console.error(`Product not found: ${productId}`);
-        return false;
+        return null;
       }
 
-      product.status = status;
-      product.updatedAt = new Date().toISOString();
-      
-      if (status === 'approved') {
-        product.approvedAt = new Date().toISOString();
+      console.log(`Updated LinkedIn for maker ${maker.name} of ${product.name} -> ${linkedin || 'null'}`);
+      return product;
+    } catch (error) {
+      console.error('Error updating maker LinkedIn:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record the outcome of company LinkedIn discovery. A page already stored
+   * is kept when nothing was found.
+   * @param {string} productId - Product ID
+   * @param {Object} found - { companyLinkedin, source }, empty when nothing was found
+   * @param {Object} context - History context ({ actor, source })
+   * @returns {Promise<Object|null>} - Updated product
+   */
+  async updateCompanyLinkedIn(productId, found, context = {}) {
+    try {
+      const product = await this.modifyProduct(productId, current => ({
+        ...current,
+        ...(found.companyLinkedin ? {
+          companyLinkedin: found.companyLinkedin,
+          companyLinkedinSource: found.source
+        } : {}),
+        companyLinkedinCheckedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }), context);
+      if (!product) {
+        console.error(`Product not found: ${productId}`);
+        return null;
+      }
+      return product;
+    } catch (error) {
+      console.error('Error updating company LinkedIn:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a company data lookup. A lookup that found nothing keeps the data
+   * already stored and records the error. A lookup that `failed` (provider
+   * error rather than an unknown company) also keeps the fetch time and sets
+   * `linkedInDataErrorAt` instead, so it is retried sooner.
+   * @param {string} productId - Product ID
+   * @param {Object} result - { linkedInData, source, error, failed }
+   * @param {Object} context - History context ({ actor, source })
+   * @returns {Promise<Object|null>} - Updated product
+   */
+  async updateCompanyData(productId, result, context = {}) {
+    try {
+      const product = await this.modifyProduct(productId, current => ({
+        ...current,
+        ...(result.linkedInData ? { linkedInData: result.linkedInData } : {}),
+        ...(result.failed ? {
+          linkedInDataErrorAt: new Date().toISOString()
+        } : {
+          linkedInDataFetchedAt: new Date().toISOString(),
+          linkedInDataSource: result.source,
+          linkedInDataErrorAt: null
+        }),
+        linkedInDataError: result.error || null,
+        updatedAt: new Date().toISOString()
+      }), context);
+      if (!product) {
+        console.error(`Product not found: ${productId}`);
+        return null;
+      }
+      return product;
+    } catch (error) {
+      console.error('Error updating company data:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record a website crawl. A failed crawl keeps the data and crawl time
+   * already stored, and records the error with `websiteCrawlErrorAt`.
+   * @param {string} productId - Product ID
+   * @param {Object} result - { websiteData, error }
+   * @param {Object} context - History context ({ actor, source })
+   * @returns {Promise<Object|null>} - Updated product
+   */
+  async updateWebsiteData(productId, result, context = {}) {
+    try {
+      const product = await this.modifyProduct(productId, current => ({
+        ...current,
+        ...(result.error ? {
+          websiteCrawlErrorAt: new Date().toISOString()
+        } : {
+          websiteData: result.websiteData,
+          websiteCrawledAt: new Date().toISOString(),
+          websiteCrawlErrorAt: null
+        }),
+        websiteCrawlError: result.error || null,
+        updatedAt: new Date().toISOString()
+      }), context);
+      if (!product) {
+        console.error(`Product not found: ${productId}`);
+        return null;
+      }
+      return product;
+    } catch (error) {
+      console.error('Error updating website data:', error.message);
+      return null;
+    }
+  }
+
+  async updateProductStatus(productId, status, context = {}) {
+    try {
+      const product = await this.modifyProduct(productId, current => ({
+        ...current,
+        status,
+        updatedAt: new Date().toISOString(),
+        ...(status === 'approved' ? { approvedAt: new Date().toISOString() } : {})
+      }), context);
+      if (!product) {
+        console.error(`Product not found: ${productId}`);
+        return false;
       }
 
-      await this.setItem(`product:${productId}`, product);
-      
       console.log(`Updated status for product: ${product.name} -> ${status}`);
       return true;
     } catch (error) {
@@ -311,13 +636,25 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Whether automated enrichment should look for a product's company page:
+   * it has none and was not searched in the last COMPANY_LINKEDIN_MAX_AGE_DAYS
+   * @param {Object} product
+   * @returns {boolean}
+   */
+  needsCompanyLinkedinCheck(product) {
+    if (product.companyLinkedin) return false;
+    if (!product.companyLinkedinCheckedAt) return true;
+    const cutoff = Date.now() - COMPANY_LINKEDIN_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    return new Date(product.companyLinkedinCheckedAt).getTime() < cutoff;
+  }
+
   async getProductsNeedingEnrichment() {
     try {
       const allProducts = await this.getAllProducts();
-      return allProducts.filter(product => 
-        product.status === 'pending' && 
-        (product.linkedin === null || product.linkedin === undefined) && 
-        product.makerName !== null
+      return allProducts.filter(product =>
+        product.status === 'pending' &&
+        (getProductMakers(product).some(maker => !maker.linkedin) || this.needsCompanyLinkedinCheck(product))
       );
     } catch (error) {
       console.error('Error getting products needing enrichment:', error.message);
@@ -325,23 +662,19 @@ class DatabaseService {
     }
   }
 
-  async updateProductSheetsSyncStatus(productId, synced) {
+  async updateProductSheetsSyncStatus(productId, synced, context = {}) {
     try {
-      const product = await this.getItem(`product:${productId}`);
+      const product = await this.modifyProduct(productId, current => ({
+        ...current,
+        syncedToSheets: synced,
+        updatedAt: new Date().toISOString(),
+        ...(synced ? { syncedToSheetsAt: new Date().toISOString() } : {})
+      }), context);
       if (!product) {
         console.error(`Product not found: ${productId}`);
         return false;
       }
 
-      product.syncedToSheets = synced;
-      product.updatedAt = new Date().toISOString();
-      
-      if (synced) {
-        product.syncedToSheetsAt = new Date().toISOString();
-      }
-
-      await this.setItem(`product:${productId}`, product);
-      
       console.log(`Updated sheets sync status for product: ${product.name} -> ${synced}`);
       return true;
     } catch (error) {
@@ -383,14 +716,17 @@ class DatabaseService {
         approvedProducts: products.filter(p => p.status === 'approved').length,
         syncedToSheets: products.filter(p => p.syncedToSheets === true).length,
         needingSheetsSync: products.filter(p => p.status === 'approved' && !p.syncedToSheets).length,
-        totalUpvotes: products.reduce((sum, p) => sum + (p.phUpvotes || p.upvotes || 0), 0), // Use phUpvotes, fallback to upvotes
+        totalUpvotes: products.reduce((sum, p) => sum + (p.phUpvotes || 0), 0),
         byCategory: {},
         byStatus: {},
         lastUpdated: products.length > 0 ? products[0].createdAt : null
       };
 
       products.forEach(product => {
-        stats.byCategory[product.category] = (stats.byCategory[product.category] || 0) + 1;
+        // Products in several categories count towards each of them
+        getProductCategories(product).forEach(category => {
+          stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
+        });
         stats.byStatus[product.status] = (stats.byStatus[product.status] || 0) + 1;
       });
 
@@ -403,34 +739,14 @@ class DatabaseService {
 
   async deleteItem(key) {
     try {
-      const data = await this.readLocalData();
-      
-      if (key === 'product:list') {
-        data.productList = [];
-      } else if (key.startsWith('product:')) {
-        const productId = key.replace('product:', '');
-        if (data.products[productId]) {
-          delete data.products[productId];
-          const index = data.productList.indexOf(productId);
-          if (index > -1) {
-            data.productList.splice(index, 1);
-          }
+      await this.mutate(async (adapter) => {
+        await adapter.deleteItem(key);
+        if (key.startsWith('product:') && key !== 'product:list') {
+          await adapter.deleteItem(`history:${key.replace('product:', '')}`);
+          await adapter.deleteItem(`metrics:${key.replace('product:', '')}`);
         }
-      } else if (key.startsWith('linkedin_cache:') || key.startsWith('ph_enrichment_cache:')) {
-        if (data.cache[key]) {
-          delete data.cache[key];
-        }
-      } else if (key.startsWith('schedule:')) {
-        if (data.schedule[key]) {
-          delete data.schedule[key];
-        }
-      } else {
-        if (data.misc[key]) {
-          delete data.misc[key];
-        }
-      }
-      
-      await this.writeLocalData(data);
+      });
+      if (key.startsWith('product:')) this.productRevision++;
       console.log(`Deleted item: ${key}`);
       return true;
     } catch (error) {
@@ -441,33 +757,8 @@ class DatabaseService {
 
   async getKeysByPattern(pattern) {
     try {
-      const data = await this.readLocalData();
-      const keys = [];
-      
-      if (pattern.startsWith('product:')) {
-        if (pattern === 'product:*') {
-          data.productList.forEach(id => keys.push(`product:${id}`));
-        }
-      } else if (pattern.startsWith('linkedin_cache:') || key.startsWith('ph_enrichment_cache:')) {
-        Object.keys(data.cache).forEach(key => {
-          if (this.matchPattern(key, pattern)) {
-            keys.push(key);
-          }
-        });
-      } else if (pattern.startsWith('schedule:')) {
-        Object.keys(data.schedule).forEach(key => {
-          if (this.matchPattern(key, pattern)) {
-            keys.push(key);
-          }
-        });
-      } else {
-        Object.keys(data.misc).forEach(key => {
-          if (this.matchPattern(key, pattern)) {
-            keys.push(key);
-          }
-        });
-      }
-      
+      await this.ready;
+      const keys = await this.adapter.getKeysByPattern(pattern);
       console.log(`Found ${keys.length} keys for pattern: ${pattern}`);
       return keys;
     } catch (error) {
@@ -476,20 +767,19 @@ class DatabaseService {
     }
   }
 
-  matchPattern(key, pattern) {
-    if (!pattern.includes('*')) {
-      return key === pattern;
-    }
-    
-    const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-    return regex.test(key);
-  }
-
-  async updateProductPhDetails(productId, phDetails) {
+  async updateProductPhDetails(productId, phDetails, context = {}) {
     try {
-      const data = await this.readLocalData();
+      // Categories found through PH topics add to the product's memberships
+      const { categories = [], ...details } = phDetails;
+      const updated = await this.modifyProduct(productId, current => ({
+        ...addCategories(current, categories),
+        ...details,
+        phGithub: details.phGithub,
+        thumbnail: details.thumbnail || current.thumbnail,
+        updatedAt: new Date().toISOString()
+      }), context);
 
-      if (!data.products[productId]) {
+      if (!updated) {
         console.error(`Product not found: ${productId}`);
         return {
           success: false,
@@ -497,20 +787,10 @@ class DatabaseService {
         };
       }
 
-      data.products[productId] = {
-        ...data.products[productId],
-        ...phDetails,
-        phGithub: phDetails.phGithub,
-        thumbnail: phDetails.thumbnail || data.products[productId].thumbnail,
-        updatedAt: new Date().toISOString()
-      };
-
-      await this.writeLocalData(data);
-
-      console.log(`Updated PH details for product: ${data.products[productId].name}`);
+      console.log(`Updated PH details for product: ${updated.name}`);
       return {
         success: true,
-        product: data.products[productId]
+        product: updated
       };
     } catch (error) {
       console.error(`Error updating PH details for product ${productId}:`, error.message);
@@ -521,16 +801,25 @@ class DatabaseService {
     }
   }
 
-  async updateProductFields(productId, fields) {
+  async updateProductFields(productId, fields, context = {}) {
     try {
-      const product = await this.getItem(`product:${productId}`);
-      if (!product) {
+      const updated = await this.modifyProduct(productId, current => ({
+        ...current,
+        ...fields,
+        ...(fields.category !== undefined || fields.categories !== undefined
+          ? resolveCategoryUpdate(current, fields)
+          : {}),
+        // A company page set by hand is kept by later discovery runs
+        ...(fields.companyLinkedin !== undefined
+          ? { companyLinkedinSource: fields.companyLinkedin ? 'admin' : null }
+          : {}),
+        updatedAt: new Date().toISOString()
+      }), context);
+      if (!updated) {
         console.error(`Product not found: ${productId}`);
         return null;
       }
-      const updated = { ...product, ...fields, updatedAt: new Date().toISOString() };
-      await this.setItem(`product:${productId}`, updated);
-      console.log(`Updated fields for product: ${product.name}`);
+      console.log(`Updated fields for product: ${updated.name}`);
       return updated;
     } catch (error) {
       console.error('Error updating product fields:', error.message);
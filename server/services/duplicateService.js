@@ -0,0 +1,408 @@
+const crypto = require('crypto');
+const dbService = require('./dbService');
+const { getProductCategories, addCategories } = require('./productCategories');
+const { getProductMakers, isSameMaker } = require('./productMakers');
+
+const DISMISSALS_KEY = 'duplicate_dismissals';
+const DEFAULT_MIN_SCORE = 0.6;
+
+// Products sharing one of these blocking keys are compared; larger blocks are
+// too generic to be useful (e.g. a maker with dozens of launches) and are skipped
+const MAX_BLOCK_SIZE = 50;
+
+// Words that vary between listings of the same product
+const NAME_STOPWORDS = new Set(['the', 'app', 'ai', 'hq', 'io', 'inc', 'labs', 'beta']);
+
+// Hosts that many unrelated products share, so a match says nothing
+const SHARED_DOMAINS = new Set([
+  'producthunt.com',
+  'github.com',
+  'apps.apple.com',
+  'play.google.com',
+  'chrome.google.com',
+  'chromewebstore.google.com',
+  'linkedin.com',
+  'twitter.com',
+  'x.com',
+  'medium.com',
+  'youtube.com',
+  'notion.site',
+  'linktr.ee',
+]);
+
+// Fields that keep the highest / lowest value when products are merged
+const MAX_FIELDS = ['phUpvotes', 'phVotes'];
+const MIN_FIELDS = ['phDayRank'];
+
+const STATUS_PRIORITY = { approved: 2, pending: 1, rejected: 0 };
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+class DuplicateService {
+  /**
+   * Normalise a product name for comparison: lowercase, no accents,
+   * taglines after " - " / ":" dropped, punctuation and filler words removed
+   * @param {string} name - Product name
+   * @returns {string} - Normalised name (space separated tokens)
+   */
+  normalizeName(name) {
+    if (!name) return '';
+
+    return name
+      .split(/\s+[-–—|:]\s+|:\s/)[0]
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .split(' ')
+      .filter(token => token && !NAME_STOPWORDS.has(token))
+      .join(' ');
+  }
+
+  /**
+   * Registrable-looking host of a product's website, ignoring shared hosts
+   * @param {string} url - Company website
+   * @returns {string|null} - Host without "www." or null
+   */
+  normalizeDomain(url) {
+    if (!url) return null;
+
+    try {
+      const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+      return SHARED_DOMAINS.has(host) ? null : host;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} makerName - Maker name
+   * @returns {string|null} - Lowercase maker name with collapsed whitespace
+   */
+  normalizeMaker(makerName) {
+    if (!makerName) return null;
+    const maker = makerName.toLowerCase().replace(/\s+/g, ' ').trim();
+    return maker || null;
+  }
+
+  /**
+   * Dice coefficient over character bigrams
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Similarity between 0 and 1
+   */
+  similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+      const bigram = a.slice(i, i + 2);
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+      const bigram = b.slice(i, i + 2);
+      const count = bigrams.get(bigram) || 0;
+      if (count > 0) {
+        bigrams.set(bigram, count - 1);
+        overlap++;
+      }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+  }
+
+  /**
+   * Precompute the comparison keys of a product
+   * @param {Object} product - Product record
+   * @returns {Object} - { product, name, nameKey, domain, makers } with makers a Set of normalised maker names
+   */
+  fingerprint(product) {
+    const name = this.normalizeName(product.name);
+    return {
+      product,
+      name,
+      nameKey: name.replace(/ /g, ''),
+      domain: this.normalizeDomain(product.companyWebsite),
+      makers: new Set(getProductMakers(product).map(maker => this.normalizeMaker(maker.name)).filter(Boolean)),
+    };
+  }
+
+  /**
+   * Score how likely two products are the same
+   * @param {Object} a - Fingerprint
+   * @param {Object} b - Fingerprint
+   * @returns {Object} - { score, reasons }
+   */
+  scorePair(a, b) {
+    const reasons = [];
+    let score = 0;
+
+    if (a.nameKey && a.nameKey === b.nameKey) {
+      score += 0.6;
+      reasons.push('same name');
+    } else {
+      const nameSimilarity = this.similarity(a.nameKey, b.nameKey);
+      if (nameSimilarity >= 0.8) {
+        score += 0.4;
+        reasons.push(`similar name (${Math.round(nameSimilarity * 100)}%)`);
+      }
+    }
+
+    if (a.domain && a.domain === b.domain) {
+      score += 0.5;
+      reasons.push(`same website (${a.domain})`);
+    }
+
+    if ([...a.makers].some(maker => b.makers.has(maker))) {
+      score += 0.2;
+      reasons.push('same maker');
+    }
+
+    return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+  }
+
+  /**
+   * @param {Array<string>} ids - Two product IDs
+   * @returns {string} - Order-independent pair key
+   */
+  pairKey(ids) {
+    return ids.slice().sort().join('|');
+  }
+
+  /**
+   * Find clusters of products that are probably the same
+   * @param {Object} options - { minScore } (default 0.6)
+   * @returns {Promise<Array<Object>>} - Clusters, most likely first:
+   *   { id, score, products, pairs: [{ ids, score, reasons }], suggestedSurvivorId }
+   */
+  async findDuplicateClusters(options = {}) {
+    const minScore = options.minScore !== undefined ? options.minScore : DEFAULT_MIN_SCORE;
+    const products = await dbService.getAllProducts();
+    const dismissed = new Set((await dbService.getItem(DISMISSALS_KEY)) || []);
+    const fingerprints = products.map(product => this.fingerprint(product));
+
+    // Only compare products that share a name, a name prefix, a website or a maker
+    const blocks = new Map();
+    const addToBlock = (key, fingerprint) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(fingerprint);
+    };
+    for (const fingerprint of fingerprints) {
+      if (fingerprint.nameKey) {
+        addToBlock(`name:${fingerprint.nameKey}`, fingerprint);
+        addToBlock(`prefix:${fingerprint.nameKey.slice(0, 4)}`, fingerprint);
+      }
+      if (fingerprint.domain) addToBlock(`domain:${fingerprint.domain}`, fingerprint);
+      for (const maker of fingerprint.makers) addToBlock(`maker:${maker}`, fingerprint);
+    }
+
+    const pairs = new Map();
+    for (const block of blocks.values()) {
+      if (block.length < 2 || block.length > MAX_BLOCK_SIZE) continue;
+
+      for (let i = 0; i < block.length; i++) {
+        for (let j = i + 1; j < block.length; j++) {
+          const ids = [block[i].product.id, block[j].product.id];
+          const key = this.pairKey(ids);
+          if (pairs.has(key) || dismissed.has(key)) continue;
+
+          const { score, reasons } = this.scorePair(block[i], block[j]);
+          if (score >= minScore) {
+            pairs.set(key, { ids, score, reasons });
+          }
+        }
+      }
+    }
+
+    return this.buildClusters(products, Array.from(pairs.values()));
+  }
+
+  /**
+   * Group matching pairs into clusters (connected components)
+   * @param {Array<Object>} products - All products
+   * @param {Array<Object>} pairs - [{ ids, score, reasons }]
+   * @returns {Array<Object>} - Clusters
+   */
+  buildClusters(products, pairs) {
+    const parent = new Map();
+    const find = (id) => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+
+    for (const { ids } of pairs) {
+      for (const id of ids) {
+        if (!parent.has(id)) parent.set(id, id);
+      }
+      parent.set(find(ids[0]), find(ids[1]));
+    }
+
+    const productsById = new Map(products.map(product => [product.id, product]));
+    const clusters = new Map();
+    for (const pair of pairs) {
+      const root = find(pair.ids[0]);
+      if (!clusters.has(root)) clusters.set(root, { productIds: new Set(), pairs: [] });
+      const cluster = clusters.get(root);
+      pair.ids.forEach(id => cluster.productIds.add(id));
+      cluster.pairs.push(pair);
+    }
+
+    return Array.from(clusters.values())
+      .map(({ productIds, pairs: clusterPairs }) => {
+        const ids = Array.from(productIds).sort();
+        const clusterProducts = ids.map(id => productsById.get(id));
+        return {
+          id: crypto.createHash('sha1').update(ids.join('|')).digest('hex').slice(0, 12),
+          score: Math.max(...clusterPairs.map(pair => pair.score)),
+          products: clusterProducts,
+          pairs: clusterPairs.sort((a, b) => b.score - a.score),
+          suggestedSurvivorId: this.pickSurvivor(clusterProducts).id,
+        };
+      })
+      .sort((a, b) => b.score - a.score || b.products.length - a.products.length);
+  }
+
+  /**
+   * Suggest which product of a cluster should survive a merge: approved
+   * records first, then the most complete, then the oldest
+   * @param {Array<Object>} products - Cluster products
+   * @returns {Object} - Suggested survivor
+   */
+  pickSurvivor(products) {
+    const completeness = (product) => Object.values(product).filter(value => !isEmpty(value)).length;
+
+    return products.slice().sort((a, b) =>
+      (STATUS_PRIORITY[b.status] || 0) - (STATUS_PRIORITY[a.status] || 0) ||
+      completeness(b) - completeness(a) ||
+      new Date(a.createdAt) - new Date(b.createdAt)
+    )[0];
+  }
+
+  /**
+   * Combine duplicates into the surviving record. Empty survivor fields are
+   * filled from the duplicates, topics and makers are unioned, vote counts
+   * keep the highest value and an approval on any record is kept.
+   * @param {Object} survivor - Record that is kept
+   * @param {Array<Object>} duplicates - Records merged into it
+   * @returns {Object} - Merged record
+   */
+  combineProducts(survivor, duplicates) {
+    const merged = { ...survivor };
+    const mergedAt = new Date().toISOString();
+
+    for (const duplicate of duplicates) {
+      for (const [field, value] of Object.entries(duplicate)) {
+        if (isEmpty(merged[field]) && !isEmpty(value) && field !== 'mergedFrom') {
+          merged[field] = value;
+        }
+      }
+
+      for (const field of MAX_FIELDS) {
+        if (typeof duplicate[field] === 'number' && duplicate[field] > (merged[field] || 0)) {
+          merged[field] = duplicate[field];
+        }
+      }
+
+      for (const field of MIN_FIELDS) {
+        if (typeof duplicate[field] === 'number' && (merged[field] == null || duplicate[field] < merged[field])) {
+          merged[field] = duplicate[field];
+        }
+      }
+
+      const topics = new Map();
+      [...(merged.phTopics || []), ...(duplicate.phTopics || [])].forEach(topic => {
+        if (!topics.has(topic.toLowerCase())) topics.set(topic.toLowerCase(), topic);
+      });
+      merged.phTopics = Array.from(topics.values());
+
+      const makers = getProductMakers(merged).map(maker => ({ ...maker }));
+      for (const maker of getProductMakers(duplicate)) {
+        const known = makers.find(existing => isSameMaker(existing, maker));
+        if (!known) {
+          makers.push(maker);
+        } else if (!known.linkedin && maker.linkedin) {
+          known.linkedin = maker.linkedin;
+        }
+      }
+      merged.makers = makers;
+      Object.assign(merged, addCategories(merged, getProductCategories(duplicate)));
+
+      if (duplicate.status === 'approved' && merged.status !== 'approved') {
+        merged.status = 'approved';
+        merged.approvedAt = merged.approvedAt || duplicate.approvedAt || null;
+      }
+      merged.syncedToSheets = Boolean(merged.syncedToSheets || duplicate.syncedToSheets);
+
+      if (new Date(duplicate.createdAt) < new Date(merged.createdAt)) {
+        merged.createdAt = duplicate.createdAt;
+      }
+
+      // Keep the links of merged records so future fetches match the survivor
+      merged.mergedFrom = [
+        ...(merged.mergedFrom || []),
+        ...(duplicate.mergedFrom || []),
+        {
+          id: duplicate.id,
+          name: duplicate.name,
+          category: duplicate.category,
+          source: duplicate.source || null,
+          phLink: duplicate.phLink || null,
+          sourceLink: duplicate.sourceLink || null,
+          mergedAt,
+        },
+      ];
+    }
+
+    merged.id = survivor.id;
+    merged.updatedAt = mergedAt;
+    return merged;
+  }
+
+  /**
+   * Merge duplicates into a surviving product
+   * @param {string} survivorId - Product to keep
+   * @param {Array<string>} duplicateIds - Products to merge and delete
+   * @param {Object} context - Audit context { actor, source }
+   * @returns {Promise<Object|null>} - Merged product, or null if any product is missing
+   */
+  async mergeProducts(survivorId, duplicateIds, context = {}) {
+    return dbService.mergeProducts(
+      survivorId,
+      duplicateIds,
+      (survivor, duplicates) => this.combineProducts(survivor, duplicates),
+      context
+    );
+  }
+
+  /**
+   * Record that the given products are not duplicates of each other
+   * @param {Array<string>} productIds - Products reviewed together
+   * @returns {Promise<number>} - Number of pairs dismissed
+   */
+  async dismiss(productIds) {
+    const keys = [];
+    for (let i = 0; i < productIds.length; i++) {
+      for (let j = i + 1; j < productIds.length; j++) {
+        keys.push(this.pairKey([productIds[i], productIds[j]]));
+      }
+    }
+
+    await dbService.mutate(async (adapter) => {
+      const dismissed = new Set((await adapter.getItem(DISMISSALS_KEY)) || []);
+      keys.forEach(key => dismissed.add(key));
+      await adapter.setItem(DISMISSALS_KEY, Array.from(dismissed));
+    });
+
+    return keys.length;
+  }
+}
+
+module.exports = new DuplicateService();
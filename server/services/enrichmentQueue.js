@@ -0,0 +1,212 @@
+const PRIORITY = { normal: 0, viewing: 10, manual: 20 };
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.ENRICHMENT_CONCURRENCY || '4'));
+
+// Requests per minute and simultaneous requests allowed against each external host
+const HOST_LIMITS = {
+  producthunt: {
+    perMinute: parseInt(process.env.PH_RATE_LIMIT_PER_MINUTE || '30'),
+    concurrency: 2,
+  },
+  search: {
+    perMinute: parseInt(process.env.SEARCH_RATE_LIMIT_PER_MINUTE || '60'),
+    concurrency: 2,
+  },
+  specter: {
+    perMinute: parseInt(process.env.SPECTER_RATE_LIMIT_PER_MINUTE || '20'),
+    concurrency: 1,
+  },
+  website: {
+    perMinute: parseInt(process.env.WEBSITE_RATE_LIMIT_PER_MINUTE || '30'),
+    concurrency: 2,
+  },
+};
+
+function emptyCounts() {
+  return { queued: 0, running: 0, completed: 0, failed: 0 };
+}
+
+/**
+ * Shared queue for Product Hunt and LinkedIn enrichment jobs.
+ *
+ * Up to ENRICHMENT_CONCURRENCY products are enriched at once. Requests to
+ * external hosts go through throttle(), which holds each host to its own
+ * per-minute limit however many jobs are running. Jobs for products an admin
+ * is looking at can be moved to the front with prioritize().
+ *
+ * p-queue is ESM-only, so it is loaded with import() on first use.
+ */
+class EnrichmentQueue {
+  constructor() {
+    this.queue = null;
+    this.hostQueues = {};
+    this.loading = null;
+    this.jobs = new Map();
+    this.viewing = new Set();
+    this.nextJobId = 1;
+    this.counts = {};
+    this.hostStats = {};
+    this.lastError = null;
+  }
+
+  async load() {
+    if (this.queue) return;
+    if (!this.loading) {
+      this.loading = import('p-queue').then(({ default: PQueue }) => {
+        this.queue = new PQueue({ concurrency: CONCURRENCY });
+        for (const [host, limit] of Object.entries(HOST_LIMITS)) {
+          this.hostQueues[host] = new PQueue({
+            concurrency: limit.concurrency,
+            intervalCap: limit.perMinute,
+            interval: 60 * 1000,
+          });
+        }
+      });
+    }
+    await this.loading;
+  }
+
+  getCounts(type) {
+    if (!this.counts[type]) this.counts[type] = emptyCounts();
+    return this.counts[type];
+  }
+
+  /**
+   * Queue an enrichment job
+   * @param {Function} task - Async function doing the work
+   * @param {Object} options - { type: 'ph' | 'linkedin' | 'company-linkedin' | 'company' | 'website', productId, priority: 'normal' | 'viewing' | 'manual' }
+   * @returns {Promise<*>} - The task's result
+   */
+  async add(task, options = {}) {
+    await this.load();
+
+    const type = options.type || 'other';
+    const id = `job-${this.nextJobId++}`;
+    const job = {
+      id,
+      type,
+      productId: options.productId || null,
+      priority: PRIORITY[options.priority] ?? PRIORITY.normal,
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+    };
+    const counts = this.getCounts(type);
+
+    // Products already on screen go first even when queued after the batch
+    if (this.viewing.has(job.productId)) {
+      job.priority = Math.max(job.priority, PRIORITY.viewing);
+    }
+
+    this.jobs.set(id, job);
+    counts.queued++;
+
+    return this.queue.add(async () => {
+      counts.queued--;
+      counts.running++;
+      job.startedAt = new Date().toISOString();
+      try {
+        const result = await task();
+        counts.completed++;
+        return result;
+      } catch (error) {
+        counts.failed++;
+        this.lastError = { type, productId: job.productId, message: error.message, at: new Date().toISOString() };
+        throw error;
+      } finally {
+        counts.running--;
+        this.jobs.delete(id);
+      }
+    }, { id, priority: job.priority });
+  }
+
+  /**
+   * Run a request against an external host within that host's rate limit
+   * @param {string} host - 'producthunt', 'search', 'specter' or 'website'
+   * @param {Function} request - Async function making the request
+   * @returns {Promise<*>} - The request's result
+   */
+  async throttle(host, request) {
+    await this.load();
+    const hostQueue = this.hostQueues[host];
+    if (!hostQueue) {
+      throw new Error(`Unknown rate-limited host: ${host}`);
+    }
+
+    if (!this.hostStats[host]) this.hostStats[host] = { requests: 0, failures: 0 };
+    const stats = this.hostStats[host];
+
+    return hostQueue.add(async () => {
+      stats.requests++;
+      try {
+        return await request();
+      } catch (error) {
+        stats.failures++;
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Move queued jobs for these products ahead of the rest. The set replaces
+   * the previous one, so products the admin has scrolled away from drop back.
+   * @param {Array<string>} productIds - Products currently on screen
+   * @returns {number} - Number of queued jobs that were moved
+   */
+  prioritize(productIds) {
+    this.viewing = new Set(productIds);
+    if (!this.queue) return 0;
+
+    let moved = 0;
+    for (const job of this.jobs.values()) {
+      if (job.startedAt || job.priority === PRIORITY.manual) continue;
+
+      const priority = this.viewing.has(job.productId) ? PRIORITY.viewing : PRIORITY.normal;
+      if (priority !== job.priority) {
+        this.queue.setPriority(job.id, priority);
+        job.priority = priority;
+        if (priority === PRIORITY.viewing) moved++;
+      }
+    }
+    return moved;
+  }
+
+  /**
+   * Progress summary for the enrichment status route
+   * @returns {Object}
+   */
+  getStatus() {
+    const active = [];
+    const prioritized = [];
+    for (const job of this.jobs.values()) {
+      if (job.startedAt) {
+        active.push({ type: job.type, productId: job.productId, startedAt: job.startedAt });
+      } else if (job.priority > PRIORITY.normal) {
+        prioritized.push(job.productId);
+      }
+    }
+
+    const hosts = {};
+    for (const [host, limit] of Object.entries(HOST_LIMITS)) {
+      const hostQueue = this.hostQueues[host];
+      hosts[host] = {
+        ...limit,
+        waiting: hostQueue ? hostQueue.size : 0,
+        running: hostQueue ? hostQueue.pending : 0,
+        ...(this.hostStats[host] || { requests: 0, failures: 0 }),
+      };
+    }
+
+    return {
+      concurrency: CONCURRENCY,
+      waiting: this.queue ? this.queue.size : 0,
+      running: this.queue ? this.queue.pending : 0,
+      jobs: this.counts,
+      active,
+      prioritized,
+      hosts,
+      lastError: this.lastError,
+    };
+  }
+}
+
+module.exports = new EnrichmentQueue();
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const MODES = ['record', 'replay'];
+
+// Response headers kept with a recording; the rest vary per request and are not needed
+const RECORDED_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+const EXTENSIONS = [
+  [/json/, 'json'],
+  [/xml|rss|atom/, 'xml'],
+  [/html/, 'html'],
+];
+
+/**
+ * Records raw feed, product-page and company-website responses to a fixtures
+ * directory and replays them instead of the network, so fetching and
+ * enrichment can run offline.
+ *
+ * FIXTURE_MODE=record  fetch from the network and save every successful response
+ * FIXTURE_MODE=replay  serve saved responses only; unrecorded URLs fail
+ * FIXTURES_DIR         where fixtures live (default data/fixtures)
+ *
+ * Each URL is stored as a raw body file (.xml, .html or .json) next to a
+ * .meta.json file holding the URL, status and caching headers.
+ */
+class FixtureService {
+  constructor() {
+    this.mode = MODES.includes(process.env.FIXTURE_MODE) ? process.env.FIXTURE_MODE : null;
+    this.dir = path.resolve(process.env.FIXTURES_DIR || path.join(process.cwd(), 'data', 'fixtures'));
+
+    if (process.env.FIXTURE_MODE && !this.mode) {
+      console.warn(`Ignoring unknown FIXTURE_MODE "${process.env.FIXTURE_MODE}" (expected record or replay)`);
+    }
+  }
+
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  /**
+   * Summary for status endpoints
+   * @returns {Object} - { mode, dir }
+   */
+  getStatus() {
+    return { mode: this.mode || 'off', dir: this.mode ? this.dir : null };
+  }
+
+  /**
+   * Fixture file location for a URL: <dir>/<host>/<path-slug>-<hash>
+   * @param {string} url - Requested URL
+   * @returns {string} - Path without extension
+   */
+  getBasePath(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex').substring(0, 10);
+    let host = 'unknown';
+    let slug = '';
+
+    try {
+      const parsedUrl = new URL(url);
+      host = parsedUrl.hostname;
+      slug = `${parsedUrl.pathname}${parsedUrl.search}`;
+    } catch (error) {
+      slug = url;
+    }
+
+    slug = slug.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 80) || 'index';
+    return path.join(this.dir, host, `${slug}-${hash}`);
+  }
+
+  /**
+   * Drop-in replacement for node-fetch used by the feed, product-page and company-website scrapers
+   * @param {string} url - URL to fetch
+   * @param {Object} options - node-fetch options
+   * @returns {Promise<Response>} - Network or recorded response
+   */
+  async fetch(url, options = {}) {
+    if (this.isReplaying()) {
+      return this.replay(url, options);
+    }
+    if (this.isRecording()) {
+      return this.record(url, options);
+    }
+    return fetch(url, options);
+  }
+
+  /**
+   * Read a recording regardless of the current mode
+   * @param {string} url - Recorded URL
+   * @returns {Promise<Object|null>} - { meta, body } or null if never recorded
+   */
+  async readRecording(url) {
+    const basePath = this.getBasePath(url);
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(`${basePath}.meta.json`, 'utf8'));
+      const body = await fs.promises.readFile(path.join(path.dirname(basePath), meta.bodyFile));
+      return { meta, body };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Serve a recorded response. A conditional request whose validator matches
+   * the recording gets a 304, like the live server would send.
+   */
+  async replay(url, options) {
+    const recording = await this.readRecording(url);
+    if (!recording) {
+      const missing = new Error(`No fixture recorded for ${url} (FIXTURE_MODE=replay)`);
+      missing.code = 'FIXTURE_MISSING';
+      throw missing;
+    }
+    const { meta, body } = recording;
+
+    const requestHeaders = new fetch.Headers(options.headers || {});
+    const ifNoneMatch = requestHeaders.get('if-none-match');
+    const ifModifiedSince = requestHeaders.get('if-modified-since');
+    const etagMatches = ifNoneMatch && ifNoneMatch === meta.headers.etag;
+    const dateMatches = !ifNoneMatch && ifModifiedSince && ifModifiedSince === meta.headers['last-modified'];
+    if (etagMatches || dateMatches) {
+      return new fetch.Response(null, { url, status: 304, statusText: 'Not Modified', headers: meta.headers });
+    }
+
+    console.log(`Replaying fixture for ${url}`);
+    return new fetch.Response(body, { url, status: meta.status, statusText: meta.statusText, headers: meta.headers });
+  }
+
+  /**
+   * Fetch from the network and save successful responses. Conditional headers
+   * are dropped so every recording holds a full body.
+   */
+  async record(url, options) {
+    const headers = new fetch.Headers(options.headers || {});
+    headers.delete('if-none-match');
+    headers.delete('if-modified-since');
+
+    const response = await fetch(url, { ...options, headers });
+    const body = await response.buffer();
+
+    if (response.ok) {
+      try {
+        await this.save(url, response, body);
+      } catch (error) {
+        console.error(`Failed to record fixture for ${url}:`, error.message);
+      }
+    } else {
+      console.warn(`Not recording ${url}: HTTP ${response.status}`);
+    }
+
+    return new fetch.Response(body, {
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    });
+  }
+
+  async save(url, response, body) {
+    const basePath = this.getBasePath(url);
+    const contentType = response.headers.get('content-type') || '';
+    const match = EXTENSIONS.find(([pattern]) => pattern.test(contentType));
+    const bodyFile = `${path.basename(basePath)}.${match ? match[1] : 'txt'}`;
+
+    const headers = {};
+    for (const name of RECORDED_HEADERS) {
+      if (response.headers.get(name)) headers[name] = response.headers.get(name);
+    }
+
+    await fs.promises.mkdir(path.dirname(basePath), { recursive: true });
+    await fs.promises.writeFile(path.join(path.dirname(basePath), bodyFile), body);
+    await fs.promises.writeFile(`${basePath}.meta.json`, JSON.stringify({
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      bodyFile,
+      recordedAt: new Date().toISOString(),
+    }, null, 2));
+
+    console.log(`Recorded fixture for ${url} -> ${path.relative(this.dir, path.join(path.dirname(basePath), bodyFile))}`);
+  }
+}
+
+module.exports = new FixtureService();
@@ -1,5 +1,7 @@
 const { google } = require('googleapis');
 const path = require('path');
+const { getProductCategories } = require('./productCategories');
+const { getProductMakers } = require('./productMakers');
 
 class GoogleSheetsService {
   constructor() {
@@ -162,27 +164,43 @@ class GoogleSheetsService {
         'Phone',
         'Email',
         'Growth Stage',
-        'Founder Info'
+        'Founder Info',
+        'Website Team',
+        'Pricing Tiers',
+        'Contact Pages',
+        'Social Links',
+        'Tech Stack'
       ];
 
       // Check if sheet exists and has headers
       try {
         const response = await this.sheets.spreadsheets.values.get({
           spreadsheetId: this.spreadsheetId,
-          range: `${this.sheetName}!A1:W1` // Updated to A:W for 23 columns
+          range: `${this.sheetName}!A1:AD1` // 30 columns
         });
 
         if (!response.data.values || response.data.values.length === 0) {
           // No headers exist, add them
           await this.sheets.spreadsheets.values.update({
             spreadsheetId: this.spreadsheetId,
-            range: `${this.sheetName}!A1:W1`,
+            range: `${this.sheetName}!A1:AD1`,
             valueInputOption: 'RAW',
             resource: {
               values: [headers]
             }
           });
           console.log('Added header row to Google Sheet');
+        } else if (response.data.values[0].length < headers.length) {
+          // Sheets created before newer columns were added get the missing headers
+          await this.sheets.spreadsheets.values.update({
+            spreadsheetId: this.spreadsheetId,
+            range: `${this.sheetName}!A1:AD1`,
+            valueInputOption: 'RAW',
+            resource: {
+              values: [headers]
+            }
+          });
+          console.log('Extended header row in Google Sheet');
         }
       } catch (sheetError) {
         // Sheet might not exist, try to create it
@@ -191,7 +209,7 @@ class GoogleSheetsService {
           // Add headers to the new sheet
           await this.sheets.spreadsheets.values.update({
             spreadsheetId: this.spreadsheetId,
-            range: `${this.sheetName}!A1:W1`,
+            range: `${this.sheetName}!A1:AD1`,
             valueInputOption: 'RAW',
             resource: {
               values: [headers]
@@ -260,7 +278,7 @@ class GoogleSheetsService {
       // Get all data from the sheet
       const response = await this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A:W` // Updated to A:W for 23 columns
+        range: `${this.sheetName}!A:AD` // 30 columns
       });
 
       if (!response.data.values || response.data.values.length <= 1) {
@@ -322,7 +340,7 @@ class GoogleSheetsService {
   }
 
   /**
-   * Add a new approved maker to the Google Sheet
+   * Add an approved product to the Google Sheet, one row per maker
    */
   async addApprovedMaker(productData) {
     try {
@@ -337,15 +355,19 @@ class GoogleSheetsService {
       // Ensure headers exist
       await this.ensureHeaderRow();
 
+      // Products without a known maker still get one row
+      const makers = getProductMakers(productData);
+      const rowMakers = makers.length > 0 ? makers : [{ name: 'Unknown', linkedin: null }];
+
       // Check for duplicates using both name and Product Hunt link
       const isDuplicate = await this.checkForDuplicate(
         productData.name, 
-        productData.makerName,
+        rowMakers[0].name,
         productData.phLink
       );
       
       if (isDuplicate) {
-        console.log(`Skipping duplicate entry: ${productData.name} by ${productData.makerName}`);
+        console.log(`Skipping duplicate entry: ${productData.name} by ${rowMakers[0].name}`);
         return true; // Return success to avoid retries
       }
 
@@ -360,17 +382,27 @@ class GoogleSheetsService {
             .join(', ')
         : '';
 
+      // Website crawler results, one cell per kind of signal
+      const websiteData = productData.websiteData || {};
+      const websiteTeam = (websiteData.team || [])
+        .map(member => (member.role ? `${member.name}: ${member.role}` : member.name))
+        .join(', ');
+      const pricingTiers = (websiteData.pricing || []).map(tier => `${tier.name}: ${tier.price}`).join(', ');
+      const contactPages = [...(websiteData.emails || []), ...(websiteData.contactPages || [])].join(', ');
+      const socialLinks = Object.values(websiteData.socialLinks || {}).join(', ');
+      const techStack = (websiteData.techStack || []).map(tech => tech.name).join(', ');
+
       // Prepare the row data to match headers
-      const rowData = [
+      const rows = rowMakers.map((maker, index) => [
         new Date().toISOString().split('T')[0], // Date Approved (YYYY-MM-DD)
-        productData.makerName || 'Unknown',
-        productData.linkedin || '',
+        maker.name,
+        maker.linkedin || (index === 0 && productData.linkedin) || '',
         productData.name || '',
-        productData.category || '',
+        getProductCategories(productData).join(', '),
         productData.phLink || '',
         productData.description || '',
         productData.phGithub || '',
-        productData.upvotes?.toString() || '0',
+        productData.phUpvotes?.toString() || '0',
         productData.status || '',
         companyDescription,
         productData.linkedInData?.operating_status || 'N/A',
@@ -386,21 +418,26 @@ class GoogleSheetsService {
         productData.linkedInData?.phone_number || 'N/A',
         productData.linkedInData?.email || 'N/A',
         productData.linkedInData?.growth_stage || 'N/A',
-        founderInfo
-      ];
-
-      // Append the row to the sheet
+        founderInfo,
+        websiteTeam,
+        pricingTiers,
+        contactPages,
+        socialLinks,
+        techStack
+      ]);
+
+      // Append the rows to the sheet
       await this.sheets.spreadsheets.values.append({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A:W`, // Updated to A:W for 23 columns
+        range: `${this.sheetName}!A:AD`, // 30 columns
         valueInputOption: 'RAW',
         insertDataOption: 'INSERT_ROWS',
         resource: {
-          values: [rowData]
+          values: rows
         }
       });
 
-      console.log(`Added approved maker to Google Sheet: ${productData.name} by ${productData.makerName}`);
+      console.log(`Added approved maker to Google Sheet: ${productData.name} by ${rowMakers.map(maker => maker.name).join(', ')}`);
       return true;
     } catch (error) {
       console.error('Error adding approved maker to Google Sheet:', error.message || error);
@@ -425,7 +462,7 @@ class GoogleSheetsService {
 
       const response = await this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: `${this.sheetName}!A:W` // Updated to A:W for 23 columns
+        range: `${this.sheetName}!A:AD` // 30 columns
       });
 
       const totalRows = response.data.values ? response.data.values.length - 1 : 0; // Subtract header row
@@ -1,16 +1,42 @@
-const { GoogleSearch } = require('google-search-results-nodejs');
 const dbService = require('./dbService');
 const cacheService = require('./cacheService');
+const enrichmentQueue = require('./enrichmentQueue');
+const peopleSearch = require('./peopleSearch');
+const companyLinkedInService = require('./companyLinkedInService');
+const { getProductMakers } = require('./productMakers');
+
+// Candidates kept per maker for admin review
+const MAX_CANDIDATES = 5;
+
+// Points a search result earns for each kind of evidence
+const SCORES = {
+  fullName: 10,
+  nameWordInTitle: 2,
+  nameWordInSnippet: 1,
+  company: 5,
+  role: 3,
+  topic: 2,
+};
+
+// Roles typical of people who launch products, looked for in result titles and snippets
+const ROLE_KEYWORDS = ['founder', 'co-founder', 'cofounder', 'ceo', 'cto', 'chief executive', 'maker', 'indie hacker', 'builder'];
+
+// A high-confidence match scores at least `high` and beats the runner-up by `margin`
+const CONFIDENCE = { high: 15, medium: 10, margin: 5 };
+
+// Admin decisions (misc storage) that replace automated lookups for a maker
+const OVERRIDE_PREFIX = 'linkedin_override:';
 
 class LinkedInEnrichmentService {
   constructor() {
-    this.serpApiKey = process.env.SERPAPI_API_KEY;
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1 second
   }
 
   /**
-   * Enrich products with LinkedIn profiles
+   * Find LinkedIn profiles for every maker of each product, and the company
+   * page of products that have none, through the shared enrichment queue.
+   * Makers whose profile is already known are skipped.
    * @param {Array} products - Array of products to enrich (optional, will fetch if not provided)
    * @returns {Promise<Object>} - Enrichment results
    */
@@ -30,56 +56,69 @@ class LinkedInEnrichmentService {
         totalProcessed: 0,
         successfulEnrichments: 0,
         failedEnrichments: 0,
+        makersProcessed: 0,
+        makersFound: 0,
+        companiesFound: 0,
         cacheHits: 0,
         errors: [],
       };
 
-      // Process each product
-      for (const product of products) {
-        try {
-          console.log(`Processing: ${product.name} (Maker: ${product.makerName})`);
-
-          const linkedinUrl = await this.findLinkedInProfile(product.makerName);
+      // Products run concurrently; searches are rate-limited by the queue
+      await Promise.all(products.map(product => enrichmentQueue.add(async () => {
+        // Makers with a profile or an admin decision are left alone
+        const makers = getProductMakers(product).filter(maker => !maker.linkedin && !maker.linkedinOverride);
+        console.log(`Processing: ${product.name} (Makers: ${makers.map(maker => maker.name).join(', ')})`);
+        results.totalProcessed++;
+        let profilesFound = 0;
 
-          // Update product with LinkedIn information
-          await dbService.updateProductLinkedIn(product.id, linkedinUrl);
+        // Each maker is searched separately; one failure does not stop the others
+        for (const maker of makers) {
+          try {
+            const match = await this.findLinkedInProfile(maker.name, this.getSearchContext(product, maker));
+            await dbService.updateMakerLinkedIn(product.id, maker, match, { source: 'linkedin-enrichment' });
 
-          results.totalProcessed++;
-          if (linkedinUrl) {
-            results.successfulEnrichments++;
-          } else {
-            results.failedEnrichments++;
+            results.makersProcessed++;
+            if (match.linkedin) {
+              results.makersFound++;
+              profilesFound++;
+            }
+            if (match.fromCache) {
+              results.cacheHits++;
+            }
+          } catch (error) {
+            console.error(`Error enriching maker ${maker.name} of ${product.name}:`, error.message);
+            results.errors.push({
+              productId: product.id,
+              productName: product.name,
+              makerName: maker.name,
+              error: error.message,
+            });
           }
+        }
 
-          // Check if this was a cache hit
-          let cacheHit = false;
+        // Products recently checked for a company page are not searched again
+        if (dbService.needsCompanyLinkedinCheck(product)) {
           try {
-            const cachedResult = await cacheService.getLinkedInCache?.(product.makerName);
-            if (cachedResult !== null && cachedResult === linkedinUrl) {
-              cacheHit = true;
-              results.cacheHits++;
+            const company = await companyLinkedInService.discover(product, { source: 'linkedin-enrichment' });
+            if (company.companyLinkedin) {
+              results.companiesFound++;
             }
-          } catch (cacheError) {
-            console.warn(
-              `Cache error for ${product.name}: ${
-                cacheError.message
-              }. Proceeding without cache.`
-            );
+          } catch (error) {
+            console.error(`Error finding company LinkedIn of ${product.name}:`, error.message);
+            results.errors.push({
+              productId: product.id,
+              productName: product.name,
+              error: error.message,
+            });
           }
+        }
 
-          // Add delay between requests to be respectful
-          await this.delay(500);
-        } catch (error) {
-          console.error(`Error enriching product ${product.name}:`, error.message);
-          results.errors.push({
-            productId: product.id,
-            productName: product.name,
-            makerName: product.makerName,
-            error: error.message,
-          });
+        if (profilesFound > 0) {
+          results.successfulEnrichments++;
+        } else {
           results.failedEnrichments++;
         }
-      }
+      }, { type: 'linkedin', productId: product.id })));
 
       const endTime = Date.now();
       const duration = endTime - startTime;
@@ -89,6 +128,8 @@ class LinkedInEnrichmentService {
       console.log(`Total processed: ${results.totalProcessed}`);
       console.log(`Successful: ${results.successfulEnrichments}`);
       console.log(`Failed: ${results.failedEnrichments}`);
+      console.log(`Makers found: ${results.makersFound}/${results.makersProcessed}`);
+      console.log(`Company pages found: ${results.companiesFound}`);
       console.log(`Cache hits: ${results.cacheHits}`);
 
       return results;
@@ -99,225 +140,352 @@ class LinkedInEnrichmentService {
   }
 
   /**
-   * Find LinkedIn profile for a maker
+   * What a product tells us about its maker, for searching and ranking
+   * @param {Object} product - Product record
+   * @param {Object} maker - One of its makers
+   * @returns {Object} - { phProfileUrl, productName, companyWebsite, topics }
+   */
+  getSearchContext(product, maker) {
+    return {
+      phProfileUrl: maker.phProfileUrl || null,
+      productName: product.name,
+      companyWebsite: product.companyWebsite || null,
+      topics: product.phTopics || [],
+    };
+  }
+
+  /**
+   * Find the LinkedIn profile for a maker. An admin decision for the maker
+   * (see setMakerOverride) is returned as is; otherwise search results are
+   * ranked and the best one is chosen when it scores above zero.
    * @param {string} makerName - Name of the maker
-   * @returns {Promise<string|null>} - LinkedIn profile URL or null
+   * @param {Object} context - { phProfileUrl, productName, companyWebsite, topics } from getSearchContext
+   * @returns {Promise<Object>} - { linkedin, confidence, reasons, candidates, override, fromCache }
    */
-  async findLinkedInProfile(makerName) {
+  async findLinkedInProfile(makerName, context = {}) {
     if (!makerName || makerName.trim().length === 0) {
-      return null;
+      return { linkedin: null, confidence: null, reasons: [], candidates: [], override: null, fromCache: false };
+    }
+
+    const override = await this.getOverride({ name: makerName, phProfileUrl: context.phProfileUrl });
+    if (override) {
+      return {
+        linkedin: override.linkedin,
+        confidence: override.linkedin ? 'confirmed' : null,
+        reasons: [],
+        candidates: [],
+        override: override.decision,
+        fromCache: false
+      };
+    }
+
+    const { results, fromCache } = await this.searchProfiles(makerName, context);
+    const candidates = this.rankLinkedInCandidates(results, makerName, context);
+    const best = candidates.length > 0 && candidates[0].score > 0 ? candidates[0] : null;
+
+    if (best) {
+      console.log(`Found LinkedIn profile for ${makerName}: ${best.url} (score ${best.score}: ${best.reasons.join('; ')})`);
+    } else {
+      console.log(`No LinkedIn profile found for: ${makerName}`);
+    }
+
+    return {
+      linkedin: best ? best.url : null,
+      confidence: best ? this.getConfidence(candidates) : null,
+      reasons: best ? best.reasons : [],
+      candidates,
+      override: null,
+      fromCache
+    };
+  }
+
+  /**
+   * LinkedIn search results for a maker. The name is searched together with
+   * the product and company names first, which singles out the right person
+   * when the name is common; when that finds nothing, the name alone is
+   * searched.
+   * @param {string} makerName - Maker name
+   * @param {Object} context - { phProfileUrl, productName, companyWebsite, topics }
+   * @returns {Promise<Object>} - { results: [{ link, title, snippet }], fromCache }
+   */
+  async searchProfiles(makerName, context = {}) {
+    const companyTerms = this.getCompanyTerms(context);
+
+    if (companyTerms.length > 0) {
+      const contextual = await this.runSearch(
+        `${makerName} ${companyTerms.join(' ')}`,
+        makerName,
+        { ...context, companyTerms }
+      );
+      if (contextual.results.length > 0) {
+        return contextual;
+      }
     }
 
+    return this.runSearch(makerName, makerName, { ...context, companyTerms: [] });
+  }
+
+  /**
+   * Search the people-search provider chain, cached per name and search
+   * terms. Results are cached rather than the chosen profile because ranking
+   * depends on the product.
+   * @param {string} cacheKey - Name plus any company terms in the search
+   * @param {string} makerName - Maker name
+   * @param {Object} context - Search context passed to providers, with companyTerms
+   * @returns {Promise<Object>} - { results: [{ link, title, snippet }], fromCache }
+   */
+  async runSearch(cacheKey, makerName, context) {
     // Check cache first
     let cachedResult = null;
     try {
-      if (typeof cacheService.getLinkedInCache === 'function') {
-        cachedResult = await cacheService.getLinkedInCache(makerName);
-      } else {
-        console.warn(
-          `cacheService.getLinkedInCache is not available. Skipping cache check for ${makerName}.`
-        );
-      }
+      cachedResult = await cacheService.getLinkedInCache(cacheKey);
     } catch (cacheError) {
       console.warn(
-        `Cache error for ${makerName}: ${cacheError.message}. Proceeding without cache.`
+        `Cache error for ${cacheKey}: ${cacheError.message}. Proceeding without cache.`
       );
     }
 
     if (cachedResult !== null) {
-      return cachedResult;
+      // Entries written before candidates were kept hold just the chosen URL
+      const results = Array.isArray(cachedResult)
+        ? cachedResult
+        : cachedResult ? [{ link: cachedResult, title: '', snippet: '' }] : [];
+      return { results, fromCache: true };
     }
 
-    try {
-      let linkedinUrl = null;
-
-      // Try SerpAPI first if available
-      if (this.serpApiKey) {
-        linkedinUrl = await this.searchWithSerpAPI(makerName);
-      } else {
-        console.log('No SerpAPI key found, using fallback search method');
-        linkedinUrl = await this.searchWithFallback(makerName);
-      }
-
-      // Cache the result
-      try {
-        if (typeof cacheService.setLinkedInCache === 'function') {
-          await cacheService.setLinkedInCache(makerName, linkedinUrl);
-        } else {
-          console.warn(
-            `cacheService.setLinkedInCache is not available. Skipping cache set for ${makerName}.`
-          );
-        }
-      } catch (cacheError) {
-        console.warn(
-          `Cache set error for ${makerName}: ${cacheError.message}.`
-        );
-      }
-
-      return linkedinUrl;
-    } catch (error) {
-      console.error(
-        `Error searching for LinkedIn profile of ${makerName}:`,
-        error.message
-      );
+    const { results, provider, searched } = await peopleSearch.search(makerName, context);
+    if (provider) {
+      console.log(`People search for ${cacheKey} answered by ${provider}`);
+    }
 
-      // Cache null result to avoid repeated failed searches
+    // Cache the results, including empty ones to avoid repeated failed searches.
+    // When every provider failed or was unavailable, nothing is cached so the
+    // maker is searched again on the next run.
+    if (searched) {
       try {
-        if (typeof cacheService.setLinkedInCache === 'function') {
-          await cacheService.setLinkedInCache(makerName, null);
-        }
+        await cacheService.setLinkedInCache(cacheKey, results);
       } catch (cacheError) {
         console.warn(
-          `Cache set error for ${makerName}: ${cacheError.message}.`
+          `Cache set error for ${cacheKey}: ${cacheError.message}.`
         );
       }
-      return null;
     }
+
+    return { results, fromCache: false };
   }
 
   /**
-   * Search using SerpAPI
-   * @param {string} makerName - Maker name
-   * @returns {Promise<string|null>} - LinkedIn profile URL or null
+   * Score LinkedIn search results for a maker, best first. Each candidate
+   * lists the reasons behind its score: the name matching the result title,
+   * the product or company being mentioned, a founder or CEO role, and the
+   * product's topics.
+   * @param {Array} results - Search results ({ link, title, snippet })
+   * @param {string} makerName - Original maker name
+   * @param {Object} context - { productName, companyWebsite, topics }
+   * @returns {Array<Object>} - Top MAX_CANDIDATES as { url, title, snippet, score, reasons }
    */
-  async searchWithSerpAPI(makerName) {
-    try {
-      console.log('DEBUG: GoogleSearch type:', typeof GoogleSearch);
-      console.log('DEBUG: SerpAPI key available:', !!this.serpApiKey);
+  rankLinkedInCandidates(results, makerName, context = {}) {
+    const makerNameLower = makerName.toLowerCase();
+    const nameWords = makerNameLower.split(/\s+/).filter(word => word.length > 2);
+    const companyTerms = this.getCompanyTerms(context);
+    const topicTerms = this.getTopicTerms(context);
+
+    const candidates = (results || [])
+      .filter(result => result.link && result.link.includes('linkedin.com/in/'))
+      .map(result => {
+        const title = (result.title || '').toLowerCase();
+        const snippet = (result.snippet || '').toLowerCase();
+        const text = `${title} ${snippet}`;
+        const reasons = [];
+        let score = 0;
+
+        if (title.includes(makerNameLower)) {
+          score += SCORES.fullName;
+          reasons.push('full name in title');
+        } else {
+          const matched = nameWords.filter(word => title.includes(word) || snippet.includes(word));
+          if (matched.length > 0) {
+            score += matched.reduce((sum, word) => sum + (title.includes(word) ? SCORES.nameWordInTitle : SCORES.nameWordInSnippet), 0);
+            reasons.push(`name words: ${matched.join(', ')}`);
+          }
+        }
 
-      if (!GoogleSearch) {
-        throw new Error('GoogleSearch is not properly imported');
-      }
+        const company = companyTerms.find(term => text.includes(term));
+        if (company) {
+          score += SCORES.company;
+          reasons.push(`mentions ${company}`);
+        }
 
-      if (typeof GoogleSearch !== 'function') {
-        throw new Error(
-          `GoogleSearch is not a constructor. Type: ${typeof GoogleSearch}`
-        );
-      }
+        const roles = ROLE_KEYWORDS.filter(keyword => new RegExp(`\\b${keyword}\\b`).test(text));
+        if (roles.length > 0) {
+          score += SCORES.role;
+          reasons.push(`role: ${roles.join(', ')}`);
+        }
 
-      const search = new GoogleSearch(this.serpApiKey);
-      const cleanMakerName = this.cleanMakerName(makerName);
-      const searchQuery = `"${cleanMakerName}" site:linkedin.com/in`;
-
-      console.log(`SerpAPI search: ${searchQuery}`);
-
-      return new Promise((resolve, reject) => {
-        search.json(
-          {
-            q: searchQuery,
-            num: 5,
-            safe: 'active',
-          },
-          (result) => {
-            try {
-              if (result.error) {
-                console.error('SerpAPI error:', result.error);
-                return resolve(null);
-              }
-
-              const organicResults = result.organic_results || [];
-
-              const linkedinProfile = this.findBestLinkedInMatch(
-                organicResults,
-                makerName
-              );
-
-              if (linkedinProfile) {
-                console.log(`Found LinkedIn profile: ${linkedinProfile}`);
-              } else {
-                console.log(`No LinkedIn profile found for: ${makerName}`);
-              }
-
-              resolve(linkedinProfile);
-            } catch (error) {
-              console.error('Error processing SerpAPI results:', error.message);
-              resolve(null);
-            }
-          }
-        );
+        const topic = topicTerms.find(term => new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+        if (topic) {
+          score += SCORES.topic;
+          reasons.push(`topic: ${topic}`);
+        }
+
+        return { url: result.link, title: result.title || '', snippet: result.snippet || '', score, reasons };
       });
-    } catch (error) {
-      console.error(`Error in searchWithSerpAPI for ${makerName}:`, error.message);
-      console.error('Stack trace:', error.stack);
-      return null;
+
+    // The same profile can appear under several URL variants; keep its best entry
+    const unique = [];
+    for (const candidate of candidates.sort((a, b) => b.score - a.score)) {
+      const key = candidate.url.split('?')[0].replace(/\/$/, '').toLowerCase();
+      if (!unique.some(existing => existing.url.split('?')[0].replace(/\/$/, '').toLowerCase() === key)) {
+        unique.push(candidate);
+      }
     }
+
+    return unique.slice(0, MAX_CANDIDATES);
   }
 
   /**
-   * Fallback search method (limited functionality)
-   * @param {string} makerName - Maker name
-   * @returns {Promise<string|null>} - LinkedIn profile URL or null
+   * Lowercase product and company names that a maker's profile might mention
+   * @param {Object} context - { productName, companyWebsite }
+   * @returns {Array<string>}
    */
-  async searchWithFallback(makerName) {
-    const cleanMakerName = this.cleanMakerName(makerName);
-    console.log(`Fallback search for: ${cleanMakerName}`);
-    return null;
+  getCompanyTerms(context) {
+    const terms = [];
+    if (context.productName && context.productName.trim().length > 2) {
+      terms.push(context.productName.trim().toLowerCase());
+    }
+    if (context.companyWebsite) {
+      try {
+        // acme.io -> acme
+        const [domain] = new URL(context.companyWebsite).hostname.replace(/^www\./, '').split('.');
+        if (domain.length > 2 && !terms.includes(domain)) terms.push(domain);
+      } catch (error) {
+        // Not a URL; ignore it
+      }
+    }
+    return terms;
   }
 
   /**
-   * Find the best LinkedIn profile match from search results
-   * @param {Array} results - Search results
-   * @param {string} makerName - Original maker name
-   * @returns {string|null} - Best LinkedIn profile URL or null
+   * Lowercase phrases from the product's Product Hunt topics, e.g.
+   * '3D & Animation' -> ['3d', 'animation']
+   * @param {Object} context - { topics }
+   * @returns {Array<string>}
    */
-  findBestLinkedInMatch(results, makerName) {
-    if (!results || results.length === 0) {
-      return null;
-    }
+  getTopicTerms(context) {
+    const terms = (context.topics || [])
+      .flatMap(topic => String(topic).toLowerCase().split(/\s*[&,/]\s*/))
+      .map(term => term.trim())
+      .filter(term => term.length > 2);
+    return [...new Set(terms)];
+  }
 
-    const linkedinResults = results.filter((result) =>
-      result.link && result.link.includes('linkedin.com/in/')
-    );
+  /**
+   * How sure we are of the top candidate: high when it scores well and clearly
+   * beats the runner-up, medium when it scores well, low otherwise
+   * @param {Array<Object>} candidates - Ranked candidates
+   * @returns {string|null} - 'high', 'medium', 'low' or null without candidates
+   */
+  getConfidence(candidates) {
+    const [best, runnerUp] = candidates;
+    if (!best || best.score <= 0) return null;
+
+    const margin = runnerUp ? best.score - runnerUp.score : best.score;
+    if (best.score >= CONFIDENCE.high && margin >= CONFIDENCE.margin) return 'high';
+    if (best.score >= CONFIDENCE.medium) return 'medium';
+    return 'low';
+  }
 
-    if (linkedinResults.length === 0) {
-      return null;
+  /**
+   * Storage key for an admin decision about a maker: their Product Hunt
+   * handle when known, otherwise their name
+   * @param {Object} maker - { name, phProfileUrl }
+   * @returns {Array<string>} - Keys to check, most specific first
+   */
+  getOverrideKeys(maker) {
+    const keys = [];
+    const handle = maker.phProfileUrl && maker.phProfileUrl.match(/\/@([^/?#]+)/);
+    if (handle) {
+      keys.push(`${OVERRIDE_PREFIX}ph:${handle[1].toLowerCase()}`);
     }
+    if (maker.name) {
+      keys.push(`${OVERRIDE_PREFIX}name:${cacheService.cleanKey(maker.name)}`);
+    }
+    return keys;
+  }
 
-    const scoredResults = linkedinResults.map((result) => {
-      const title = (result.title || '').toLowerCase();
-      const snippet = (result.snippet || '').toLowerCase();
-      const makerNameLower = makerName.toLowerCase();
-
-      let score = 0;
-
-      if (title.includes(makerNameLower)) {
-        score += 10;
-      }
-
-      const nameWords = makerNameLower.split(/\s+/);
-      nameWords.forEach((word) => {
-        if (word.length > 2) {
-          if (title.includes(word)) score += 2;
-          if (snippet.includes(word)) score += 1;
-        }
-      });
-
-      return {
-        ...result,
-        score,
-      };
-    });
-
-    scoredResults.sort((a, b) => b.score - a.score);
+  /**
+   * Admin decision recorded for a maker, if any
+   * @param {Object} maker - { name, phProfileUrl }
+   * @returns {Promise<Object|null>} - { linkedin, decision, decidedAt, actor }
+   */
+  async getOverride(maker) {
+    for (const key of this.getOverrideKeys(maker)) {
+      const override = await dbService.getItem(key);
+      if (override) return override;
+    }
+    return null;
+  }
 
-    if (scoredResults[0].score > 0) {
-      return scoredResults[0].link;
+  /**
+   * Record an admin's choice for one of a product's makers: a LinkedIn
+   * profile, or null for "no match". The decision is stored on the product
+   * and replaces automated lookups for the same maker on any product.
+   * @param {string} productId - Product ID
+   * @param {number} makerIndex - Position in the product's makers
+   * @param {string|null} linkedin - Chosen profile URL, or null for no match
+   * @param {Object} context - History context ({ actor, source })
+   * @returns {Promise<Object|null>} - Updated product, or null if the product or maker does not exist
+   */
+  async setMakerOverride(productId, makerIndex, linkedin, context = {}) {
+    const product = await dbService.getItem(`product:${productId}`);
+    const maker = getProductMakers(product)[makerIndex];
+    if (!maker) return null;
+
+    const decision = linkedin ? 'selected' : 'no-match';
+    const updated = await dbService.updateMakerLinkedIn(productId, maker, {
+      linkedin,
+      confidence: linkedin ? 'confirmed' : null,
+      override: decision
+    }, context);
+
+    // Stored under every key so the decision applies wherever the maker
+    // appears with only a name or only a Product Hunt profile
+    const override = {
+      name: maker.name,
+      phProfileUrl: maker.phProfileUrl || null,
+      linkedin,
+      decision,
+      decidedAt: new Date().toISOString(),
+      actor: context.actor || 'system'
+    };
+    for (const key of this.getOverrideKeys(maker)) {
+      await dbService.setItem(key, override);
     }
 
-    return null;
+    return updated;
   }
 
   /**
-   * Clean maker name for searching
-   * @param {string} makerName - Raw maker name
-   * @returns {string} - Cleaned maker name
+   * Forget the admin decision for a maker so automated lookups run again
+   * @param {string} productId - Product ID
+   * @param {number} makerIndex - Position in the product's makers
+   * @param {Object} context - History context ({ actor, source })
+   * @returns {Promise<Object|null>} - Updated product, or null if the product or maker does not exist
    */
-  cleanMakerName(makerName) {
-    return makerName
-      .replace(/[^\w\s\-\.]/g, '')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .substring(0, 50);
+  async clearMakerOverride(productId, makerIndex, context = {}) {
+    const product = await dbService.getItem(`product:${productId}`);
+    const maker = getProductMakers(product)[makerIndex];
+    if (!maker) return null;
+
+    for (const key of this.getOverrideKeys(maker)) {
+      await dbService.deleteItem(key);
+    }
+    return dbService.updateMakerLinkedIn(productId, maker, {
+      linkedin: null,
+      confidence: null,
+      candidates: maker.linkedinCandidates || [],
+      override: null
+    }, context);
   }
 
   /**
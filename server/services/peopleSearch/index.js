@@ -0,0 +1,210 @@
+const SerpApiProvider = require('./serpApiProvider');
+const MockProvider = require('./mockProvider');
+const dbService = require('../dbService');
+const enrichmentQueue = require('../enrichmentQueue');
+const providerConfigs = require('../../config/peopleSearchProviders');
+
+const PROVIDER_TYPES = {
+  serpapi: SerpApiProvider,
+  mock: MockProvider,
+};
+
+// Usage counters per provider (misc storage), so quotas survive restarts
+const USAGE_PREFIX = 'people_search_usage:';
+
+const today = () => new Date().toISOString().slice(0, 10);
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Stored usage counters, or fresh ones, with today's counts reset on a new UTC day
+ * @param {Object|null} stored
+ * @returns {Object} - { day, today: { searches, cost }, totals: { searches, hits, empty, errors, cost } }
+ */
+const currentUsage = (stored) => {
+  const usage = stored || {
+    day: today(),
+    today: { searches: 0, cost: 0 },
+    totals: { searches: 0, hits: 0, empty: 0, errors: 0, cost: 0 },
+  };
+  if (usage.day !== today()) {
+    usage.day = today();
+    usage.today = { searches: 0, cost: 0 };
+  }
+  return usage;
+};
+
+/**
+ * Ordered chain of people-search providers from config/peopleSearchProviders.js.
+ * PEOPLE_SEARCH_PROVIDERS picks and orders them. A search goes to each
+ * provider in turn until one returns results; providers that are not
+ * configured or have used their daily quota are skipped, and errors or empty
+ * results fall through to the next. Every search is counted against the
+ * provider with its cost. Invalid entries are logged and skipped.
+ */
+class PeopleSearchChain {
+  constructor() {
+    this.providers = new Map();
+    for (const config of providerConfigs) {
+      try {
+        const Provider = PROVIDER_TYPES[config.type];
+        if (!Provider) {
+          throw new Error(`People-search provider ${config.id} has unsupported type: ${config.type}`);
+        }
+        const provider = new Provider(config);
+        if (this.providers.has(provider.id)) {
+          throw new Error(`Duplicate people-search provider id: ${provider.id}`);
+        }
+        this.providers.set(provider.id, provider);
+      } catch (error) {
+        console.error('Skipping people-search provider from config/peopleSearchProviders.js:', error.message);
+      }
+    }
+
+    this.order = (process.env.PEOPLE_SEARCH_PROVIDERS || 'serpapi')
+      .split(',')
+      .map(id => id.trim())
+      .filter(id => {
+        if (id && !this.providers.has(id)) {
+          console.error(`Unknown people-search provider in PEOPLE_SEARCH_PROVIDERS: ${id}`);
+        }
+        return this.providers.has(id);
+      });
+  }
+
+  /**
+   * @returns {Array<PeopleSearchProvider>} - Providers in the order they are tried
+   */
+  getChain() {
+    return this.order.map(id => this.providers.get(id));
+  }
+
+  /**
+   * A provider's usage counters, with today's counts reset on a new UTC day
+   * @param {PeopleSearchProvider} provider
+   * @returns {Promise<Object>} - { day, today: { searches, cost }, totals: { searches, hits, empty, errors, cost } }
+   */
+  async getUsage(provider) {
+    return currentUsage(await dbService.getItem(`${USAGE_PREFIX}${provider.id}`));
+  }
+
+  /**
+   * Count a search against a provider before it starts, unless the provider
+   * has used its daily quota. The check and the count are one mutation so
+   * concurrent searches cannot overrun the quota.
+   * @param {PeopleSearchProvider} provider
+   * @returns {Promise<boolean>} - false when the quota is used
+   */
+  async reserveSearch(provider) {
+    try {
+      return await dbService.mutate(async (adapter) => {
+        const key = `${USAGE_PREFIX}${provider.id}`;
+        const usage = currentUsage(await adapter.getItem(key));
+        if (provider.dailyQuota !== null && usage.today.searches >= provider.dailyQuota) {
+          return false;
+        }
+
+        usage.today.searches++;
+        usage.today.cost = roundCost(usage.today.cost + provider.costPerSearch);
+        usage.totals.searches++;
+        usage.totals.cost = roundCost(usage.totals.cost + provider.costPerSearch);
+        await adapter.setItem(key, usage);
+        return true;
+      });
+    } catch (error) {
+      console.error(`Error saving people-search usage for ${provider.id}:`, error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Record how a reserved search ended
+   * @param {PeopleSearchProvider} provider
+   * @param {string} outcome - 'hits', 'empty' or 'errors'
+   */
+  async recordOutcome(provider, outcome) {
+    try {
+      await dbService.mutate(async (adapter) => {
+        const key = `${USAGE_PREFIX}${provider.id}`;
+        const usage = currentUsage(await adapter.getItem(key));
+        usage.totals[outcome]++;
+        await adapter.setItem(key, usage);
+      });
+    } catch (error) {
+      console.error(`Error saving people-search usage for ${provider.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Search the chain for a person's LinkedIn profiles, or with
+   * { type: 'company' } for a company's LinkedIn pages. Providers that do not
+   * support the type are skipped.
+   * @param {string} name - Person's name, or product/company name for company searches
+   * @param {Object} context - { phProfileUrl, productName, companyWebsite, topics, companyTerms }
+   * @param {Object} options - { type: 'people' | 'company' }, default 'people'
+   * @returns {Promise<Object>} - { results, provider, searched, attempts }; `provider` is the id that
+   *   returned the results and `searched` is false when no provider completed a search
+   */
+  async search(name, context = {}, options = {}) {
+    const type = options.type || 'people';
+    const attempts = [];
+    let searched = false;
+
+    for (const provider of this.getChain()) {
+      if (!provider.searchTypes.includes(type)) {
+        attempts.push({ provider: provider.id, outcome: 'unsupported' });
+        continue;
+      }
+      if (!provider.isConfigured()) {
+        attempts.push({ provider: provider.id, outcome: 'not-configured' });
+        continue;
+      }
+
+      if (!(await this.reserveSearch(provider))) {
+        attempts.push({ provider: provider.id, outcome: 'quota-exceeded' });
+        continue;
+      }
+
+      try {
+        const run = () => (type === 'company' ? provider.searchCompanies(name, context) : provider.search(name, context));
+        const results = provider.host ? await enrichmentQueue.throttle(provider.host, run) : await run();
+        searched = true;
+
+        await this.recordOutcome(provider, results.length > 0 ? 'hits' : 'empty');
+        if (results.length > 0) {
+          attempts.push({ provider: provider.id, outcome: 'results', count: results.length });
+          return { results, provider: provider.id, searched, attempts };
+        }
+        attempts.push({ provider: provider.id, outcome: 'empty' });
+      } catch (error) {
+        console.error(`${type === 'company' ? 'Company' : 'People'} search with ${provider.name} failed for ${name}:`, error.message);
+        await this.recordOutcome(provider, 'errors');
+        attempts.push({ provider: provider.id, outcome: 'error', error: error.message });
+      }
+    }
+
+    return { results: [], provider: null, searched, attempts };
+  }
+
+  /**
+   * Providers in chain order with their configuration and usage
+   * @returns {Promise<Object>} - { order, providers }
+   */
+  async getStatus() {
+    const providers = [];
+    for (const provider of this.providers.values()) {
+      providers.push({
+        id: provider.id,
+        name: provider.name,
+        type: provider.type,
+        inChain: this.order.includes(provider.id),
+        configured: provider.isConfigured(),
+        dailyQuota: provider.dailyQuota,
+        costPerSearch: provider.costPerSearch,
+        usage: await this.getUsage(provider),
+      });
+    }
+    return { order: this.order, providers };
+  }
+}
+
+module.exports = new PeopleSearchChain();
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const PeopleSearchProvider = require('./peopleSearchProvider');
+
+/**
+ * Canned results from a local JSON file, for development and tests. The file
+ * maps lowercase names to arrays of { link, title, snippet }, with company
+ * searches under "company:<name>"; an entry of { error } makes the search
+ * fail. It is re-read on every search so it can be edited while the server
+ * runs.
+ */
+class MockProvider extends PeopleSearchProvider {
+  /**
+   * @param {Object} config - Provider config plus { path }
+   */
+  constructor(config) {
+    super(config);
+    this.path = config.path || null;
+    this.searchTypes = ['people', 'company'];
+  }
+
+  isConfigured() {
+    return Boolean(this.path) && fs.existsSync(this.path);
+  }
+
+  async search(name) {
+    return this.lookup(this.cleanName(name).toLowerCase());
+  }
+
+  async searchCompanies(name) {
+    return this.lookup(`company:${this.cleanName(name).toLowerCase()}`);
+  }
+
+  /**
+   * @param {string} key - Entry in the mock file
+   * @returns {Promise<Array<Object>>} - Its results; [] when absent
+   */
+  async lookup(key) {
+    const entries = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    const entry = entries[key];
+
+    if (entry && entry.error) {
+      throw new Error(entry.error);
+    }
+    return Array.isArray(entry) ? entry : [];
+  }
+}
+
+module.exports = MockProvider;
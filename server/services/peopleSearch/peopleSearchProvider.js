@@ -0,0 +1,80 @@
+const PROVIDER_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * A service that finds LinkedIn profiles for a person's name. Subclasses
+ * implement search(), and searchCompanies() when they can also find company
+ * pages; the chain in ./index.js tracks quotas and costs and falls through to
+ * the next provider when one fails or finds nothing.
+ */
+class PeopleSearchProvider {
+  /**
+   * @param {Object} config - { id, name, dailyQuota, costPerSearch }
+   */
+  constructor(config) {
+    if (!config || !PROVIDER_ID_PATTERN.test(config.id || '')) {
+      throw new Error(`Invalid people-search provider id: ${config && config.id}`);
+    }
+    if (config.dailyQuota != null && !(config.dailyQuota >= 0)) {
+      throw new Error(`People-search provider ${config.id} has an invalid dailyQuota: ${config.dailyQuota}`);
+    }
+    if (config.costPerSearch != null && !(config.costPerSearch >= 0)) {
+      throw new Error(`People-search provider ${config.id} has an invalid costPerSearch: ${config.costPerSearch}`);
+    }
+
+    this.id = config.id;
+    this.type = config.type;
+    this.name = config.name || config.id;
+    this.dailyQuota = config.dailyQuota ?? null;
+    this.costPerSearch = config.costPerSearch || 0;
+    // enrichmentQueue host whose rate limit applies to this provider's requests
+    this.host = null;
+    // Kinds of search supported: 'people' (search) and 'company' (searchCompanies)
+    this.searchTypes = ['people'];
+  }
+
+  /**
+   * Whether the provider has what it needs (keys, files) to search
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Find LinkedIn profiles for a person. Providers that support it narrow the
+   * search to profiles mentioning one of `context.companyTerms`. Throws when
+   * the provider fails.
+   * @param {string} name - Person's name
+   * @param {Object} context - { phProfileUrl, productName, companyWebsite, topics, companyTerms }
+   * @returns {Promise<Array<Object>>} - Results as { link, title, snippet }
+   */
+  async search(name, context) {
+    throw new Error(`People-search provider ${this.id} does not implement search`);
+  }
+
+  /**
+   * Find LinkedIn company pages (linkedin.com/company/...) for a product or
+   * company name. Throws when the provider fails.
+   * @param {string} name - Product or company name
+   * @param {Object} context - { productName, companyWebsite }
+   * @returns {Promise<Array<Object>>} - Results as { link, title, snippet }
+   */
+  async searchCompanies(name, context) {
+    throw new Error(`People-search provider ${this.id} does not implement searchCompanies`);
+  }
+
+  /**
+   * Clean a name for searching
+   * @param {string} name - Raw name
+   * @returns {string} - Cleaned name
+   */
+  cleanName(name) {
+    return name
+      .replace(/[^\w\s\-\.]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .substring(0, 50);
+  }
+}
+
+module.exports = PeopleSearchProvider;
@@ -0,0 +1,71 @@
+const { GoogleSearch } = require('google-search-results-nodejs');
+const PeopleSearchProvider = require('./peopleSearchProvider');
+
+/**
+ * Google results restricted to linkedin.com/in (people) or
+ * linkedin.com/company (companies), through SerpAPI
+ */
+class SerpApiProvider extends PeopleSearchProvider {
+  /**
+   * @param {Object} config - Provider config plus { apiKey }
+   */
+  constructor(config) {
+    super(config);
+    this.apiKey = config.apiKey || null;
+    this.host = 'search';
+    this.searchTypes = ['people', 'company'];
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async search(name, context = {}) {
+    // Any of the company terms must appear alongside the name
+    const companyTerms = (context.companyTerms || []).map(term => `"${this.cleanName(term)}"`);
+    const searchQuery = companyTerms.length > 0
+      ? `"${this.cleanName(name)}" (${companyTerms.join(' OR ')}) site:linkedin.com/in`
+      : `"${this.cleanName(name)}" site:linkedin.com/in`;
+    return this.query(searchQuery, 'linkedin.com/in/');
+  }
+
+  async searchCompanies(name) {
+    return this.query(`"${this.cleanName(name)}" site:linkedin.com/company`, 'linkedin.com/company/');
+  }
+
+  /**
+   * Run a Google search through SerpAPI
+   * @param {string} searchQuery - Google query
+   * @param {string} linkPattern - Only results whose link contains this are kept
+   * @returns {Promise<Array<Object>>} - Results as { link, title, snippet }
+   */
+  async query(searchQuery, linkPattern) {
+    if (typeof GoogleSearch !== 'function') {
+      throw new Error(`GoogleSearch is not a constructor. Type: ${typeof GoogleSearch}`);
+    }
+
+    const search = new GoogleSearch(this.apiKey);
+    console.log(`SerpAPI search: ${searchQuery}`);
+
+    return new Promise((resolve, reject) => {
+      search.json(
+        {
+          q: searchQuery,
+          num: 10,
+          safe: 'active',
+        },
+        (result) => {
+          if (result.error) {
+            return reject(new Error(`SerpAPI error: ${result.error}`));
+          }
+
+          resolve((result.organic_results || [])
+            .filter(item => item.link && item.link.includes(linkPattern))
+            .map(item => ({ link: item.link, title: item.title || '', snippet: item.snippet || '' })));
+        }
+      );
+    });
+  }
+}
+
+module.exports = SerpApiProvider;
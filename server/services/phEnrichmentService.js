@@ -1,15 +1,29 @@
-const fetch = require('node-fetch');
-const { parse } = require('node-html-parser');
+const cheerio = require('cheerio');
 const dbService = require('./dbService');
 const cacheService = require('./cacheService');
+const fixtureService = require('./fixtureService');
+const scrapingRuleService = require('./scrapingRuleService');
+const browserService = require('./browserService');
+const enrichmentQueue = require('./enrichmentQueue');
+const categoryService = require('./categoryService');
+const companyLinkedInService = require('./companyLinkedInService');
+const { addCategories, categoriesFromTopics } = require('./productCategories');
+const { createMaker, getProductMakers, mergeMakers } = require('./productMakers');
 
 class PhEnrichmentService {
   constructor() {
     this.cacheKeyPrefix = 'ph_enrichment_cache:';
     this.cacheExpiry = parseInt(process.env.PH_ENRICHMENT_CACHE_EXPIRY_HOURS || '24') * 60 * 60 * 1000; // Default 24 hours
+    this.metricsTrackingWindow = parseInt(process.env.METRICS_TRACK_HOURS || '72') * 60 * 60 * 1000; // Default 3 days
   }
 
-  async enrichProduct(product) {
+  /**
+   * Scrape a product's Product Hunt page and store the details
+   * @param {Object} product - Product record
+   * @param {Object} options - { render: 'static' | 'auto' | 'browser' }, defaults to PH_RENDER_MODE
+   * @returns {Promise<Object|null>} - Enriched product
+   */
+  async enrichProduct(product, options = {}) {
     if (!product || !product.phLink) {
       console.log(`Skipping enrichment for product: ${product?.name || 'unknown'} (No phLink)`);
       return null;
@@ -34,230 +48,34 @@ class PhEnrichmentService {
 
     console.log(`Fetching PH details for: ${product.name} from ${product.phLink}`);
     try {
-      const response = await this.fetchWithRetry(product.phLink, 5);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const html = await response.text();
-      const root = parse(html);
-
-      // Extract day rank
-      let phDayRank = null;
-      const rankSelectors = [
-        '[data-sentry-component="CategoryTags"] a[href*="/categories/"]',
-        '[data-test="header"] div:contains("#")',
-        '[data-test="product-rank"]',
-        '.styles_rankNumber__3m4Vq',
-        '.daily-rank',
-        '[class*="rank"]'
-      ];
-      for (const selector of rankSelectors) {
-        const rankElement = root.querySelector(selector);
-        if (rankElement) {
-          const rankText = rankElement.textContent.trim();
-          const rankMatch = rankText.match(/#(\d+)/);
-          if (rankMatch) {
-            phDayRank = parseInt(rankMatch[1], 10);
-            console.log(`Found rank for ${product.name}: ${phDayRank} (Selector: ${selector})`);
-            break;
-          }
-        }
-      }
-
-      // Extract topics
-      const phTopics = [];
-      const topicSelectors = [
-        '[data-sentry-component="CategoryTags"] a[href*="/categories/"]',
-        '[data-test="topic-tag"]',
-        '.styles_topic__3qmXI',
-        '.tag-link',
-        '.category-tag',
-        'a[href*="/topics/"]'
-      ];
-      for (const selector of topicSelectors) {
-        const topicElements = root.querySelectorAll(selector);
-        for (const element of topicElements) {
-          const topicText = element.textContent.trim();
-          if (topicText && !phTopics.includes(topicText)) {
-            phTopics.push(topicText);
-          }
-          if (phTopics.length >= 5) break;
-        }
-        if (phTopics.length > 0) {
-          console.log(`Found topics for ${product.name}: ${phTopics.join(', ')} (Selector: ${selector})`);
-          break;
+      const { version: rulesVersion, values, report } = await this.extractPage(product, browserService.resolveMode(options.render) || 'static');
+      for (const [field, result] of Object.entries(report)) {
+        if (result.matchedSelector) {
+          console.log(`Found ${field} for ${product.name}: ${JSON.stringify(result.value).substring(0, 80)} (Selector: ${result.matchedSelector})`);
         }
       }
 
-      // Extract company website
-      let companyWebsite = null;
-      const websiteSelectors = [
-        'a[data-test="visit-website-button"][href*="?ref=producthunt"]',
-        'a[href^="http"]:not([href*="producthunt.com"])',
-        '.website-link a',
-        '[data-sentry-component="Status"] a[href*="?ref=producthunt"]'
-      ];
-      for (const selector of websiteSelectors) {
-        const websiteElement = root.querySelector(selector);
-        if (websiteElement) {
-          const href = websiteElement.getAttribute('href');
-          if (href && href.startsWith('http') && !href.includes('producthunt.com')) {
-            companyWebsite = href.split('?')[0];
-            console.log(`Found company website for ${product.name}: ${companyWebsite} (Selector: ${selector})`);
-            break;
-          }
-        }
-      }
+      const {
+        phDayRank,
+        phTopics = [],
+        companyWebsite,
+        companyInfo,
+        launchDate,
+        accelerator,
+        linkedin: linkedinUrl,
+        companyLinkedin: scrapedCompanyLinkedin,
+        phGithub,
+        thumbnail,
+        makers: scrapedMakers = [],
+        hunter: scrapedHunter = []
+      } = values;
 
-      // Extract company info
-      let companyInfo = null;
-      const companyInfoSelectors = [
-        '[data-sentry-component="Description"]',
-        '.styles_madeBy__2QhJN',
-        '[data-test="company-info"]',
-        '.post-body',
-        '.product-description',
-        '[class*="description"]'
-      ];
-      for (const selector of companyInfoSelectors) {
-        const infoElement = root.querySelector(selector);
-        if (infoElement) {
-          const infoText = infoElement.textContent.trim();
-          if (infoText.length > 0) {
-            companyInfo = infoText.substring(0, 500);
-            console.log(`Found company info for ${product.name}: ${companyInfo.substring(0, 50)}... (Selector: ${selector})`);
-            break;
-          }
-        }
-      }
-      if (!companyInfo) {
-        const metaDesc = root.querySelector('meta[name="description"]')?.getAttribute('content')?.trim();
-        if (metaDesc && metaDesc.length > 0) {
-          companyInfo = metaDesc.substring(0, 500);
-          console.log(`Found meta description for ${product.name}: ${companyInfo.substring(0, 50)}...`);
-        }
-      }
-
-      // Extract launch date
-      let launchDate = null;
-      const launchSelectors = [
-        '[data-sentry-component="Status"] div:contains("Launched in")',
-        '[data-test="header"] div:contains("Launched this")',
-        '[data-sentry-component="Status"]',
-        '[class*="launched"]'
-      ];
-      for (const selector of launchSelectors) {
-        const launchElement = root.querySelector(selector);
-        if (launchElement) {
-          const launchText = launchElement.textContent.trim();
-          const launchMatch = launchText.match(/Launched in (\d{4})/i) || launchText.match(/Launched this/i);
-          if (launchMatch && launchMatch[1]) {
-            launchDate = launchMatch[1];
-            console.log(`Found launch date for ${product.name}: ${launchDate} (Selector: ${selector})`);
-          } else if (launchText.includes('Launched this')) {
-            launchDate = new Date().getFullYear().toString();
-            console.log(`Found launch date for ${product.name}: ${launchDate} (Inferred from "Launched this week")`);
-          }
-          break;
-        }
-      }
-
-      // Extract accelerator
-      let accelerator = null;
-      const acceleratorSelectors = [
-        '[data-sentry-component="Description"]',
-        '[data-sentry-component="Status"]',
-        '.company-info',
-        '[class*="accelerator"]'
-      ];
-      for (const selector of acceleratorSelectors) {
-        const infoElement = root.querySelector(selector);
-        if (infoElement) {
-          const infoText = infoElement.textContent.trim();
-          if (infoText.includes('Y Combinator') || infoText.includes('YC')) {
-            accelerator = 'Y Combinator';
-            console.log(`Found accelerator for ${product.name}: ${accelerator} (Selector: ${selector})`);
-            break;
-          }
-        }
-      }
-
-      // Extract LinkedIn URL with validation
-      let linkedinUrl = null;
-      const linkedinSelectors = [
-        '[data-sentry-component="SocialLinks"] a[href*="linkedin.com/in/"]',
-        '.social-link--linkedin',
-        '[data-test="linkedin-link"]',
-        'a[href*="linkedin.com/in/"]'
-      ];
-      for (const selector of linkedinSelectors) {
-        const linkedinElement = root.querySelector(selector);
-        if (linkedinElement) {
-          const href = linkedinElement.getAttribute('href');
-          if (href && href.includes('linkedin.com') && !href.includes('producthunt.com')) {
-            linkedinUrl = href;
-            console.log(`Found LinkedIn for ${product.name}: ${linkedinUrl} (Selector: ${selector})`);
-            break;
-          }
-        }
-      }
-
-      // Extract GitHub URL
-      let phGithub = null;
-      const githubSelectors = [
-        '[data-sentry-component="Status"] a[href*="github.com"]',
-        '.social-link--github',
-        '[data-test="github-link"]',
-        'a[href*="github.com"]'
-      ];
-      for (const selector of githubSelectors) {
-        const githubElement = root.querySelector(selector);
-        if (githubElement) {
-          const href = githubElement.getAttribute('href');
-          if (href && href.includes('github.com') && !href.includes('login') && !href.includes('producthunt.com')) {
-            phGithub = href.split('?')[0];
-            console.log(`Found GitHub for ${product.name}: ${phGithub} (Selector: ${selector})`);
-            break;
-          }
-        }
-      }
-
-      // Extract product thumbnail image
-      let thumbnail = null;
-      const thumbnailSelectors = [
-        'meta[property="og:image"]',
-        'meta[name="twitter:image"]',
-        '[data-test="thumbnail"] img',
-        '[data-sentry-component="Header"] img',
-        '.styles_thumbnail__1Pg2J img',
-        '.thumbnail img',
-        '[class*="thumbnail"] img',
-        '[class*="logo"] img',
-        'img[src*="ph-files.imgix.net"]',
-        'img[src*="producthunt"][src*="image"]'
-      ];
-      for (const selector of thumbnailSelectors) {
-        const thumbnailElement = root.querySelector(selector);
-        if (thumbnailElement) {
-          let src = thumbnailElement.getAttribute('content') || thumbnailElement.getAttribute('src');
-          if (src && src.startsWith('http')) {
-            // Prefer the highest resolution from srcset if available
-            const srcset = thumbnailElement.getAttribute('srcset');
-            if (srcset) {
-              const sources = srcset.split(',').map(s => s.trim().split(' '));
-              const highestRes = sources.reduce((max, [url, res]) => {
-                const resNum = parseInt(res) || 1;
-                return resNum > max.res ? {url, res: resNum} : max;
-              }, {url: src, res: 1});
-              src = highestRes.url;
-            }
-            thumbnail = { url: src };
-            console.log(`Found thumbnail for ${product.name}: ${src} (Selector: ${selector})`);
-            break;
-          }
-        }
-      }
+      // Page makers replace the RSS creator, keeping LinkedIn profiles already found
+      const makers = mergeMakers(getProductMakers(product), scrapedMakers);
+      // A company page set by an admin wins over the one linked from the page
+      const companyLinkedin = product.companyLinkedinSource === 'admin'
+        ? null
+        : companyLinkedInService.normalizeCompanyUrl(scrapedCompanyLinkedin);
 
       const enrichedData = {
         phDayRank: phDayRank > 0 ? phDayRank : (product.phDayRank || null),
@@ -267,28 +85,91 @@ class PhEnrichmentService {
         launchDate: launchDate || product.launchDate || null,
         accelerator: accelerator || product.accelerator || null,
         linkedin: linkedinUrl || product.linkedin || null,
+        companyLinkedin: companyLinkedin || product.companyLinkedin || null,
+        companyLinkedinSource: companyLinkedin ? 'producthunt' : (product.companyLinkedinSource || null),
         phGithub: phGithub || product.phGithub || null,
         thumbnail: thumbnail || product.thumbnail || null,
+        makers,
+        hunter: createMaker(scrapedHunter[0]) || product.hunter || null,
+        makerName: makers.length > 0 ? makers[0].name : (product.makerName || null),
+        phRulesVersion: rulesVersion,
         phEnrichedAt: new Date().toISOString()
       };
 
-      console.log(`Saving enriched data for ${product.name}:`, JSON.stringify(enrichedData, null, 2));
+      console.log(`Saving enriched data for ${product.name}`);
       await cacheService.setItem(cacheKey, enrichedData, this.cacheExpiry);
-      await dbService.updateProductPhDetails(product.id, enrichedData);
+      // Topics matching a known category (e.g. "SaaS") add the product to that category
+      const topicCategories = categoriesFromTopics(phTopics, await categoryService.getCategories());
+      await dbService.updateProductPhDetails(product.id, { ...enrichedData, categories: topicCategories }, { source: 'ph-enrichment' });
 
-      return { ...product, ...enrichedData };
+      return addCategories({ ...product, ...enrichedData }, topicCategories);
     } catch (error) {
       console.error(`Error enriching PH details for ${product.name}:`, error.message);
       return product;
     }
   }
 
-  async enrichNewProducts(products) {
+  /**
+   * Run the scraping rules against a product page. In 'auto' mode fields whose
+   * rules set "render": "browser" are read from the browser-rendered page; in
+   * 'browser' mode every field is. If the browser is unavailable the static
+   * page is used instead.
+   * @param {Object} product - Product with a phLink
+   * @param {string} mode - 'static', 'auto' or 'browser'
+   * @returns {Promise<Object>} - { version, values, report }
+   */
+  async extractPage(product, mode) {
+    const browserFields = mode === 'browser' ? null : mode === 'auto' ? scrapingRuleService.getBrowserFields() : [];
+    // Recorded fixtures hold static HTML only
+    const useBrowser = (browserFields === null || browserFields.length > 0) && !fixtureService.isReplaying();
+
+    let rendered = null;
+    if (useBrowser) {
+      try {
+        const html = await enrichmentQueue.throttle('producthunt', () => browserService.render(product.phLink));
+        rendered = scrapingRuleService.extract(html, browserFields ? { fields: browserFields } : {});
+      } catch (error) {
+        console.warn(`Falling back to static HTML for ${product.name}: ${error.message}`);
+      }
+    }
+
+    if (rendered && browserFields === null) {
+      return rendered;
+    }
+
+    const response = await this.fetchWithRetry(product.phLink, 5);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const extracted = scrapingRuleService.extract(await response.text());
+
+    // Rendered values win for the fields that asked for them, unless rendering found nothing
+    if (rendered) {
+      for (const [field, result] of Object.entries(rendered.report)) {
+        const empty = result.value === null || (Array.isArray(result.value) && result.value.length === 0);
+        if (!empty) {
+          extracted.values[field] = result.value;
+          extracted.report[field] = { ...result, rendered: true };
+        }
+      }
+    }
+
+    return extracted;
+  }
+
+  /**
+   * Enrich a batch through the shared enrichment queue; page requests are
+   * rate-limited per host there instead of with a fixed delay
+   * @param {Array} products - Products to enrich
+   * @param {Object} options - Passed to enrichProduct
+   * @returns {Promise<Object>} - { totalEnriched, errors }
+   */
+  async enrichNewProducts(products, options = {}) {
     console.log(`Starting enrichNewProducts for ${products.length} products...`);
     let enrichedCount = 0;
     const errors = [];
 
-    for (const product of products) {
+    const pending = products.filter(product => {
       // Skip products that are already enriched and have a recent phEnrichedAt timestamp
       if (product.phEnrichedAt) {
         const enrichedTime = new Date(product.phEnrichedAt).getTime();
@@ -296,12 +177,15 @@ class PhEnrichmentService {
         const age = now - enrichedTime;
         if (age < this.cacheExpiry) {
           console.log(`Skipping already enriched product: ${product.name} (Enriched ${age / 1000 / 60} minutes ago)`);
-          continue;
+          return false;
         }
       }
+      return true;
+    });
 
+    await Promise.all(pending.map(product => enrichmentQueue.add(async () => {
       console.log(`Processing new or unenriched product: ${product.name} (ID: ${product.id})`);
-      const updatedProduct = await this.enrichProduct(product);
+      const updatedProduct = await this.enrichProduct(product, options);
       if (updatedProduct && (
         updatedProduct.phDayRank !== product.phDayRank ||
         updatedProduct.phTopics.length !== product.phTopics.length ||
@@ -310,31 +194,125 @@ class PhEnrichmentService {
         updatedProduct.launchDate !== product.launchDate ||
         updatedProduct.accelerator !== product.accelerator ||
         updatedProduct.linkedin !== product.linkedin ||
+        updatedProduct.companyLinkedin !== product.companyLinkedin ||
         updatedProduct.phGithub !== product.phGithub ||
-        (updatedProduct.thumbnail?.url !== product.thumbnail?.url)
+        (updatedProduct.thumbnail?.url !== product.thumbnail?.url) ||
+        getProductMakers(updatedProduct).length !== getProductMakers(product).length ||
+        updatedProduct.hunter?.name !== product.hunter?.name
       )) {
         enrichedCount++;
         console.log(`Product updated: ${product.name}`);
       } else {
         console.log(`No updates needed for: ${product.name}`);
       }
-      await new Promise(resolve => setTimeout(resolve, 2000)); // Rate limiting
-    }
+    }, { type: 'ph', productId: product.id }).catch(error => {
+      errors.push({ productId: product.id, productName: product.name, error: error.message });
+    })));
 
     console.log(`New products enrichment completed. ${enrichedCount} products updated. ${errors.length} errors.`);
     return { totalEnriched: enrichedCount, errors };
   }
 
+  /**
+   * Read the upvote count and product name from a Product Hunt page. In
+   * 'auto' mode the page is rendered only when the static HTML has no count.
+   * @param {string} url - Product Hunt page URL
+   * @param {Object} options - { render: 'static' | 'auto' | 'browser' }
+   * @returns {Promise<Object>} - { upvotes, name }
+   */
+  async fetchUpvotes(url, options = {}) {
+    const mode = browserService.resolveMode(options.render) || 'static';
+
+    const parsePage = (html) => {
+      const $ = cheerio.load(html);
+
+      // Select the upvote count element (second button, XPath: //*[@id="root-container"]/div[4]/div/main/section/button[2]/div/p)
+      const upvoteElement = $('#root-container div main section button:nth-child(2) div p.text-14');
+      const upvotesText = upvoteElement.text().trim();
+
+      // Extract product name for consistency
+      const nameElement = $('h1').first();
+      return { upvotes: parseInt(upvotesText, 10), name: nameElement.text().trim() || 'Unknown Product' };
+    };
+
+    // Rendered page, or null when the browser is unavailable (static HTML is used instead)
+    const renderPage = async () => {
+      if (fixtureService.isReplaying()) return null;
+      try {
+        return parsePage(await browserService.render(url));
+      } catch (error) {
+        console.warn(`Falling back to static HTML for upvotes of ${url}: ${error.message}`);
+        return null;
+      }
+    };
+
+    let page = mode === 'browser' ? await renderPage() : null;
+
+    if (!page || isNaN(page.upvotes)) {
+      // Served from fixtures when FIXTURE_MODE=replay
+      const response = await fixtureService.fetch(url, {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      page = parsePage(await response.text());
+    }
+
+    // The count is rendered client-side on some pages
+    if (mode === 'auto' && isNaN(page.upvotes)) {
+      page = (await renderPage()) || page;
+    }
+
+    if (isNaN(page.upvotes)) {
+      throw new Error('Unable to parse upvote count');
+    }
+    return page;
+  }
+
+  /**
+   * Re-read upvotes for products launched within METRICS_TRACK_HOURS so each
+   * gets a fresh point in its upvote/rank time series
+   * @param {Object} options - { render } passed to fetchUpvotes
+   * @returns {Promise<Object>} - { tracked, updated, errors }
+   */
+  async snapshotRecentUpvotes(options = {}) {
+    const cutoff = Date.now() - this.metricsTrackingWindow;
+    const products = (await dbService.getAllProducts()).filter(product =>
+      product.phLink && new Date(product.publishedAt || product.createdAt).getTime() >= cutoff
+    );
+    console.log(`Snapshotting upvotes for ${products.length} recent products...`);
+
+    let updated = 0;
+    const errors = [];
+    await Promise.all(products.map(product => enrichmentQueue.add(async () => {
+      const { upvotes } = await enrichmentQueue.throttle('producthunt', () => this.fetchUpvotes(product.phLink, options));
+      await dbService.updateProductFields(product.id, {
+        phUpvotes: upvotes,
+        phUpvotesFetchedAt: new Date().toISOString()
+      }, { source: 'metrics-snapshot' });
+      updated++;
+    }, { type: 'metrics', productId: product.id }).catch(error => {
+      console.error(`Failed to snapshot upvotes for ${product.name}:`, error.message);
+      errors.push({ productId: product.id, productName: product.name, error: error.message });
+    })));
+
+    console.log(`Upvote snapshot completed. ${updated} products updated. ${errors.length} errors.`);
+    return { tracked: products.length, updated, errors };
+  }
+
   async fetchWithRetry(url, retries = 5) {
     for (let i = 0; i < retries; i++) {
       try {
         console.log(`Fetching ${url} (Attempt ${i + 1}/${retries})`);
-        const response = await fetch(url, {
+        const response = await enrichmentQueue.throttle('producthunt', () => fixtureService.fetch(url, {
           headers: {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
             'Accept-Language': 'en-US,en;q=0.9'
           }
-        });
+        }));
         if (!response.ok) {
           console.error(`Fetch failed for ${url}: HTTP ${response.status} ${response.statusText}`);
           throw new Error(`HTTP error: ${response.status}`);
@@ -343,7 +321,8 @@ class PhEnrichmentService {
         return response;
       } catch (error) {
         console.error(`Fetch attempt ${i + 1} failed for ${url}: ${error.message}`);
-        if (i === retries - 1) throw error;
+        // Retrying cannot produce a fixture that was never recorded
+        if (i === retries - 1 || error.code === 'FIXTURE_MISSING') throw error;
         await new Promise(resolve => setTimeout(resolve, 3000 * (i + 1)));
       }
     }
@@ -0,0 +1,89 @@
+/**
+ * Category membership of products. A product belongs to every category in
+ * `categories`; `category` holds its primary (first) one for consumers that
+ * only show a single category, such as the Google Sheets export.
+ */
+
+const unique = (values) => Array.from(new Set(values.filter(value => typeof value === 'string' && value !== '')));
+
+/**
+ * Categories a product belongs to, primary first
+ * @param {Object} product - Product record
+ * @returns {Array<string>} - Category slugs
+ */
+function getProductCategories(product) {
+  if (!product) return [];
+  return unique([product.category, ...(Array.isArray(product.categories) ? product.categories : [])]);
+}
+
+/**
+ * Whether a product belongs to a category
+ * @param {Object} product - Product record
+ * @param {string} category - Category slug
+ * @returns {boolean}
+ */
+function inCategory(product, category) {
+  return getProductCategories(product).includes(category);
+}
+
+/**
+ * Add categories to a product, keeping its primary category
+ * @param {Object} product - Product record
+ * @param {Array<string>} slugs - Categories to add
+ * @returns {Object} - Product copy with `category` and `categories` set
+ */
+function addCategories(product, slugs) {
+  const categories = unique([...getProductCategories(product), ...slugs]);
+  return { ...product, category: categories[0] || null, categories };
+}
+
+/**
+ * Resolve `category` and `categories` after an edit. Setting `categories`
+ * replaces the membership list; setting only `category` swaps the primary
+ * category and keeps the other memberships.
+ * @param {Object} current - Stored product
+ * @param {Object} fields - Validated update fields
+ * @returns {Object} - { category, categories }
+ */
+function resolveCategoryUpdate(current, fields) {
+  let categories = getProductCategories(current);
+  let category = categories[0];
+
+  if (fields.categories !== undefined) {
+    categories = unique(fields.categories);
+    category = categories.includes(current.category) ? current.category : categories[0];
+  }
+  if (fields.category !== undefined) {
+    if (fields.categories === undefined) {
+      categories = categories.filter(slug => slug !== category);
+    }
+    category = fields.category;
+  }
+
+  categories = unique([category, ...categories]);
+  return { category: categories[0] || null, categories };
+}
+
+/**
+ * Map Product Hunt topics onto known categories, e.g. the topic
+ * "Artificial Intelligence" onto the `artificial-intelligence` category
+ * @param {Array<string>} topics - Topic names
+ * @param {Array<Object>} categories - Known categories ({ slug, name })
+ * @returns {Array<string>} - Matching category slugs
+ */
+function categoriesFromTopics(topics, categories) {
+  const slugify = (text) => String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const wanted = new Set((topics || []).map(slugify));
+
+  return categories
+    .filter(category => wanted.has(category.slug) || wanted.has(slugify(category.name)))
+    .map(category => category.slug);
+}
+
+module.exports = {
+  getProductCategories,
+  inCategory,
+  addCategories,
+  resolveCategoryUpdate,
+  categoriesFromTopics
+};
@@ -0,0 +1,93 @@
+/**
+ * Makers of products. `makers` lists everyone Product Hunt credits as a maker
+ * ({ name, phProfileUrl, headline, linkedin }) and `hunter` the person who
+ * posted the launch. `makerName` and `linkedin` mirror the first maker for
+ * consumers that only show one person.
+ *
+ * LinkedIn enrichment adds `linkedinConfidence`, `linkedinReasons` (why the
+ * chosen profile matched), `linkedinCandidates` and `linkedinCheckedAt` to
+ * each maker, and `linkedinOverride` ('selected' or 'no-match') once an admin
+ * has decided.
+ *
+ * Until a product's page has been enriched, its only maker is the RSS
+ * `creator`, which is often the hunter rather than a founder.
+ */
+
+const cleanText = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+/**
+ * Build a maker record, dropping anything that is not a usable string
+ * @param {Object} fields - { name, phProfileUrl, headline, linkedin }
+ * @returns {Object|null} - Maker, or null without a name
+ */
+function createMaker(fields = {}) {
+  const name = cleanText(fields.name);
+  if (!name) return null;
+
+  return {
+    name,
+    phProfileUrl: cleanText(fields.phProfileUrl),
+    headline: cleanText(fields.headline),
+    linkedin: cleanText(fields.linkedin)
+  };
+}
+
+/**
+ * A product's makers, falling back to `makerName` for products stored
+ * before makers were extracted
+ * @param {Object} product - Product record
+ * @returns {Array<Object>} - Makers, primary first
+ */
+function getProductMakers(product) {
+  if (!product) return [];
+  if (Array.isArray(product.makers) && product.makers.length > 0) {
+    return product.makers;
+  }
+
+  const legacy = createMaker({
+    name: product.makerName,
+    // Older LinkedIn enrichment stored the maker's profile on the product
+    linkedin: typeof product.linkedin === 'string' && product.linkedin.includes('linkedin.com/in/') ? product.linkedin : null
+  });
+  return legacy ? [legacy] : [];
+}
+
+/**
+ * Whether two maker records describe the same person: same PH profile when
+ * both have one, otherwise the same name
+ */
+function isSameMaker(a, b) {
+  if (a.phProfileUrl && b.phProfileUrl) {
+    return a.phProfileUrl.toLowerCase() === b.phProfileUrl.toLowerCase();
+  }
+  return a.name.toLowerCase() === b.name.toLowerCase();
+}
+
+/**
+ * Replace a product's makers with freshly scraped ones, keeping the LinkedIn
+ * profiles, candidates and admin decisions of people who are still listed
+ * @param {Array<Object>} current - Stored makers
+ * @param {Array<Object>} scraped - Makers read from the page
+ * @returns {Array<Object>} - Merged makers; `current` when nothing was scraped
+ */
+function mergeMakers(current, scraped) {
+  const found = (scraped || []).map(createMaker).filter(Boolean);
+  if (found.length === 0) return current;
+
+  return found.map(maker => {
+    const known = current.find(existing => isSameMaker(existing, maker));
+    return {
+      ...known,
+      ...maker,
+      headline: maker.headline || known?.headline || null,
+      linkedin: maker.linkedin || known?.linkedin || null
+    };
+  });
+}
+
+module.exports = {
+  createMaker,
+  getProductMakers,
+  isSameMaker,
+  mergeMakers
+};
@@ -0,0 +1,154 @@
+/**
+ * Declared schema for product fields that may be edited through
+ * PATCH /api/products/:id, and validation of incoming updates.
+ */
+
+const isUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Validators return an error message, or null when the value is valid
+const validators = {
+  string: (value, rules) => {
+    if (typeof value !== 'string') return 'must be a string';
+    if (rules.maxLength && value.length > rules.maxLength) return `must be at most ${rules.maxLength} characters`;
+    if (rules.required && value.trim() === '') return 'must not be empty';
+    return null;
+  },
+  url: (value, rules) => {
+    if (typeof value !== 'string' || !isUrl(value)) return 'must be an http(s) URL';
+    if (rules.host) {
+      const { hostname } = new URL(value);
+      if (hostname !== rules.host && !hostname.endsWith(`.${rules.host}`)) return `must be a ${rules.host} URL`;
+    }
+    if (rules.pathPrefix && !new URL(value).pathname.startsWith(rules.pathPrefix)) {
+      return `must be a ${rules.host || ''}${rules.pathPrefix} URL`;
+    }
+    return null;
+  },
+  integer: (value, rules) => {
+    if (!Number.isInteger(value)) return 'must be an integer';
+    if (rules.min !== undefined && value < rules.min) return `must be at least ${rules.min}`;
+    return null;
+  },
+  date: (value) => {
+    if (typeof value !== 'string' || isNaN(new Date(value).getTime())) return 'must be a date string';
+    return null;
+  },
+  stringArray: (value, rules) => {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return 'must be an array of strings';
+    if (rules.minItems && value.length < rules.minItems) return `must have at least ${rules.minItems} item${rules.minItems === 1 ? '' : 's'}`;
+    if (rules.maxItems && value.length > rules.maxItems) return `must have at most ${rules.maxItems} items`;
+    return null;
+  },
+  object: (value) => (isPlainObject(value) ? null : 'must be an object')
+};
+
+const EDITABLE_FIELDS = {
+  name: { type: 'string', maxLength: 200, required: true },
+  description: { type: 'string', maxLength: 5000, nullable: true },
+  category: { type: 'string', maxLength: 100, required: true },
+  categories: { type: 'stringArray', minItems: 1, maxItems: 20 },
+  makerName: { type: 'string', maxLength: 200, nullable: true },
+  linkedin: { type: 'url', host: 'linkedin.com', nullable: true },
+  companyLinkedin: { type: 'url', host: 'linkedin.com', pathPrefix: '/company/', nullable: true },
+  linkedInData: { type: 'object', nullable: true },
+  companyWebsite: { type: 'url', nullable: true },
+  companyInfo: { type: 'string', maxLength: 5000, nullable: true },
+  accelerator: { type: 'string', maxLength: 200, nullable: true },
+  launchDate: { type: 'date', nullable: true },
+  phTopics: { type: 'stringArray', maxItems: 50 },
+  phUpvotes: { type: 'integer', min: 0 },
+  phVotes: { type: 'integer', min: 0 },
+  phDayRank: { type: 'integer', min: 1, nullable: true },
+  phGithub: { type: 'url', nullable: true },
+  thumbnail: { type: 'object', nullable: true }
+};
+
+// Fields that exist on products but are managed by the server
+const PROTECTED_FIELDS = {
+  id: 'is assigned by the server',
+  status: 'can only be changed through POST /api/makers/:id/approve or /api/makers/:id/reject',
+  phLink: 'identifies the product and cannot be changed',
+  source: 'is set when the product is ingested',
+  sourceLink: 'identifies the product and cannot be changed',
+  mergedFrom: 'is managed by duplicate merging',
+  createdAt: 'is managed by the server',
+  updatedAt: 'is managed by the server',
+  approvedAt: 'is managed by the server',
+  syncedToSheets: 'is managed by the Google Sheets sync',
+  syncedToSheetsAt: 'is managed by the Google Sheets sync',
+  phEnrichedAt: 'is managed by Product Hunt enrichment',
+  phRulesVersion: 'is managed by Product Hunt enrichment',
+  phUpvotesFetchedAt: 'is managed by the server',
+  companyLinkedinSource: 'is managed by company LinkedIn discovery',
+  companyLinkedinCheckedAt: 'is managed by company LinkedIn discovery',
+  linkedInDataFetchedAt: 'is managed by company enrichment',
+  linkedInDataSource: 'is managed by company enrichment',
+  linkedInDataError: 'is managed by company enrichment',
+  linkedInDataErrorAt: 'is managed by company enrichment',
+  websiteData: 'is managed by the website crawler',
+  websiteCrawledAt: 'is managed by the website crawler',
+  websiteCrawlError: 'is managed by the website crawler',
+  websiteCrawlErrorAt: 'is managed by the website crawler'
+};
+
+/**
+ * Validate a PATCH body against the editable field schema
+ * @param {Object} body - Request body
+ * @returns {Object} - { fields, errors } where errors is [{ field, message }]
+ */
+function validateProductUpdate(body) {
+  if (!isPlainObject(body)) {
+    return { fields: {}, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+  }
+
+  const fields = {};
+  const errors = [];
+
+  for (const [field, value] of Object.entries(body)) {
+    if (hasOwn(PROTECTED_FIELDS, field)) {
+      errors.push({ field, message: `${field} ${PROTECTED_FIELDS[field]}` });
+      continue;
+    }
+
+    const rules = hasOwn(EDITABLE_FIELDS, field) ? EDITABLE_FIELDS[field] : null;
+    if (!rules) {
+      errors.push({ field, message: `${field} is not an editable product field` });
+      continue;
+    }
+
+    if (value === null) {
+      if (!rules.nullable) errors.push({ field, message: `${field} cannot be null` });
+      else fields[field] = null;
+      continue;
+    }
+
+    const problem = validators[rules.type](value, rules);
+    if (problem) {
+      errors.push({ field, message: `${field} ${problem}` });
+    } else {
+      fields[field] = value;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(fields).length === 0) {
+    errors.push({ field: null, message: 'No fields to update' });
+  }
+
+  return { fields, errors };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  PROTECTED_FIELDS,
+  validateProductUpdate
+};
@@ -0,0 +1,84 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Keeps requests to admin-supplied URLs (company websites) on the public
+ * internet. Pass `agent: publicAgent` to node-fetch: it runs for the first
+ * request and every redirect, allows only http(s), and refuses loopback,
+ * private, link-local and other non-public addresses, whether the URL names
+ * them directly or a hostname resolves to them when the connection is made.
+ */
+
+// IPv4 subnets also match their IPv4-mapped IPv6 forms (::ffff:a.b.c.d)
+const blockList = new net.BlockList();
+blockList.addSubnet('0.0.0.0', 8, 'ipv4');
+blockList.addSubnet('10.0.0.0', 8, 'ipv4');
+blockList.addSubnet('100.64.0.0', 10, 'ipv4');
+blockList.addSubnet('127.0.0.0', 8, 'ipv4');
+blockList.addSubnet('169.254.0.0', 16, 'ipv4');
+blockList.addSubnet('172.16.0.0', 12, 'ipv4');
+blockList.addSubnet('192.168.0.0', 16, 'ipv4');
+blockList.addSubnet('224.0.0.0', 3, 'ipv4');
+blockList.addAddress('::', 'ipv6');
+blockList.addAddress('::1', 'ipv6');
+blockList.addSubnet('fc00::', 7, 'ipv6');
+blockList.addSubnet('fe80::', 10, 'ipv6');
+blockList.addSubnet('ff00::', 8, 'ipv6');
+
+function unsafeUrlError(message) {
+  const error = new Error(message);
+  error.code = 'UNSAFE_URL';
+  return error;
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - true unless the address is publicly routable
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that fails when a hostname resolves to a non-public address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(unsafeUrlError(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * node-fetch agent option for requests that must stay on public hosts
+ * @param {URL} parsedURL - URL of the request or redirect
+ * @returns {http.Agent} - Agent whose connections refuse non-public addresses
+ */
+function publicAgent(parsedURL) {
+  if (parsedURL.protocol !== 'http:' && parsedURL.protocol !== 'https:') {
+    throw unsafeUrlError(`Only http and https URLs can be fetched: ${parsedURL.href}`);
+  }
+
+  // IP literals skip the DNS lookup, so they are checked here
+  const host = parsedURL.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw unsafeUrlError(`Refusing to fetch non-public address ${host}`);
+  }
+  return parsedURL.protocol === 'https:' ? httpsAgent : httpAgent;
+}
+
+module.exports = {
+  isPrivateAddress,
+  publicAgent,
+};
@@ -1,65 +1,157 @@
-const Parser = require('rss-parser');
-const rssCategories = require('../config/rssCategories');
+const crypto = require('crypto');
 const dbService = require('./dbService');
-
+const categoryService = require('./categoryService');
+const fixtureService = require('./fixtureService');
+const sourceRegistry = require('./sources');
+const productHuntSource = require('./sources/productHuntSource');
+const { parseFeed } = require('./sources/feedParser');
+
+const FEED_STATE_PREFIX = 'rss_feed_state:';
+const FEED_TIMEOUT_MS = 30000;
+
+const FEED_HEADERS = {
+  'User-Agent':
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+  Accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml',
+};
+
+/**
+ * Ingests launch feeds. Each source (see services/sources) declares its feed
+ * URLs, format and item mapping; this service handles fetching, change
+ * detection and saving products.
+ */
 class RSSService {
-  constructor() {
-    this.parser = new Parser({
-      customFields: {
-        item: [
-          ['content:encoded', 'content'],
-          ['description', 'rawDescription'],
-          ['creator', 'creator'],
-          ['author', 'author'],
-        ],
-      },
-      headers: {
-        'User-Agent':
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        Accept: 'application/rss+xml, application/xml, text/xml',
-      },
-    });
-    this.baseUrl = 'https://www.producthunt.com/feed';
+  /**
+   * Fetch Product Hunt categories that are due plus every other enabled source
+   * @param {Object} options - { force: true } ignores per-category intervals
+   * @returns {Promise<Object>} - Summary of processing results
+   */
+  async fetchAllSources(options = {}) {
+    const results = await this.fetchAllCategories(options);
+
+    for (const source of sourceRegistry.getEnabledSources()) {
+      if (source.id === productHuntSource.id) continue;
+
+      try {
+        for (const feed of await source.getFeeds()) {
+          this.addFeedResult(results, source, feed, await this.fetchFeed(source, feed));
+        }
+      } catch (error) {
+        console.error(`Error processing source ${source.id}:`, error.message);
+        results.errors.push({ source: source.id, error: error.message });
+      }
+    }
+
+    return results;
   }
 
   /**
-   * Fetch and process RSS feeds for all configured categories
+   * Fetch every feed of a single source
+   * @param {string} sourceId - Source id
    * @returns {Promise<Object>} - Summary of processing results
    */
-  async fetchAllCategories() {
-    const results = {
+  async fetchSource(sourceId) {
+    const source = sourceRegistry.getSource(sourceId);
+    if (!source) {
+      throw new Error(`Unknown source: ${sourceId}`);
+    }
+
+    const results = this.emptyResults();
+    for (const feed of await source.getFeeds()) {
+      try {
+        this.addFeedResult(results, source, feed, await this.fetchFeed(source, feed));
+        if (source.id === productHuntSource.id) {
+          await categoryService.markFetched(feed.category);
+        }
+      } catch (error) {
+        results.errors.push({ source: source.id, category: feed.category, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * @returns {Object} - Empty fetch summary
+   */
+  emptyResults() {
+    return {
       categories: [],
+      skipped: [],
       totalProcessed: 0,
+      totalUnchanged: 0,
       totalNew: 0,
       totalDuplicates: 0,
       errors: [],
       newItems: [], // Add newItems to collect new products
     };
+  }
 
-    console.log(`Starting RSS fetch for ${rssCategories.length} categories...`);
+  /**
+   * Add one feed's results to a fetch summary
+   * @param {Object} results - Summary from emptyResults()
+   * @param {FeedSource} source - Source the feed belongs to
+   * @param {Object} feed - Feed descriptor
+   * @param {Object} feedResult - Result of fetchFeed
+   */
+  addFeedResult(results, source, feed, feedResult) {
+    results.categories.push({
+      source: source.id,
+      category: feed.category,
+      unchanged: feedResult.unchanged,
+      processed: feedResult.processed,
+      newProducts: feedResult.newProducts,
+      duplicates: feedResult.duplicates,
+      failed: feedResult.failed,
+    });
 
-    for (const category of rssCategories) {
-      try {
-        console.log(`Processing category: ${category}`);
-        const categoryResult = await this.fetchCategory(category);
+    if (feedResult.unchanged) {
+      results.totalUnchanged++;
+    }
+    results.totalProcessed += feedResult.processed;
+    results.totalNew += feedResult.newProducts;
+    results.totalDuplicates += feedResult.duplicates;
+    results.newItems.push(...(feedResult.newItems || []));
+  }
 
-        results.categories.push({
-          category,
-          processed: categoryResult.processed,
-          newProducts: categoryResult.newProducts,
-          duplicates: categoryResult.duplicates,
+  /**
+   * Fetch and process RSS feeds for all enabled categories whose fetch interval has passed
+   * @param {Object} options - { force: true } ignores per-category intervals
+   * @returns {Promise<Object>} - Summary of processing results
+   */
+  async fetchAllCategories(options = {}) {
+    const results = this.emptyResults();
+
+    const enabledCategories = await categoryService.getEnabledCategories();
+    const dueCategories = [];
+    for (const category of enabledCategories) {
+      if (options.force || categoryService.isDue(category)) {
+        dueCategories.push(category.slug);
+      } else {
+        results.skipped.push({
+          category: category.slug,
+          reason: `Fetched less than ${category.fetchIntervalHours}h ago`,
+          lastFetchedAt: category.lastFetchedAt,
         });
+      }
+    }
+
+    console.log(
+      `Starting RSS fetch for ${dueCategories.length} categories (${results.skipped.length} not due yet)...`
+    );
 
-        results.totalProcessed += categoryResult.processed;
-        results.totalNew += categoryResult.newProducts;
-        results.totalDuplicates += categoryResult.duplicates;
-        results.newItems.push(...(categoryResult.newItems || []));
+    for (const category of dueCategories) {
+      try {
+        console.log(`Processing category: ${category}`);
+        const categoryResult = await this.fetchCategory(category);
+        this.addFeedResult(results, productHuntSource, productHuntSource.getFeed(category), categoryResult);
+        await categoryService.markFetched(category);
       } catch (error) {
         const errorMessage = error.message.includes('403')
           ? `Failed to fetch RSS feed for ${category}: Status code 403 (Possible authentication required or rate limit)`
           : error.message;
         console.error(`Error processing category ${category}:`, errorMessage);
         results.errors.push({
+          source: productHuntSource.id,
           category,
           error: errorMessage,
         });
@@ -67,40 +159,81 @@ class RSSService {
     }
 
     console.log(
-      `RSS fetch completed. Total: ${results.totalProcessed} processed, ${results.totalNew} new, ${results.totalDuplicates} duplicates`
+      `RSS fetch completed. Total: ${results.totalProcessed} processed, ${results.totalNew} new, ${results.totalDuplicates} duplicates, ${results.totalUnchanged} unchanged feeds`
     );
     return results;
   }
 
   /**
-   * Fetch and process RSS feed for a specific category
+   * Fetch and process the Product Hunt RSS feed for a specific category
    * @param {string} category - Product Hunt category
    * @returns {Promise<Object>} - Processing results for the category
    */
   async fetchCategory(category) {
-    const url = `${this.baseUrl}?category=${category}`;
-    console.log(`Fetching RSS feed: ${url}`);
+    return this.fetchFeed(productHuntSource, productHuntSource.getFeed(category));
+  }
+
+  /**
+   * Fetch and process one feed of a source.
+   * Sends a conditional request using the feed's stored ETag/Last-Modified, and
+   * skips item processing when the server answers 304 or the feed's GUIDs are
+   * the same as on the last successful fetch.
+   * @param {FeedSource} source - Source the feed belongs to
+   * @param {Object} feed - { url, category, label }
+   * @returns {Promise<Object>} - Processing results for the feed
+   */
+  async fetchFeed(source, feed) {
+    const { url, label } = feed;
+    console.log(`Fetching ${source.name} feed: ${url}`);
 
     try {
-      const feed = await this.parser.parseURL(url);
-      console.log(`Found ${feed.items.length} items in ${category} feed`);
+      const state = await this.getFeedState(url);
+      const { notModified, body, etag, lastModified } = await this.requestFeed(url, state);
+      const checkedAt = new Date().toISOString();
+
+      if (notModified) {
+        console.log(`Feed for ${label} not modified since last fetch`);
+        await this.saveFeedState(url, { ...state, lastCheckedAt: checkedAt });
+        return this.unchangedResult('not-modified');
+      }
+
+      const parsed = await parseFeed(source.format, body);
+      console.log(`Found ${parsed.items.length} items in ${label} feed`);
+
+      const itemsHash = this.hashFeedItems(parsed.items);
+      const nextState = {
+        ...state,
+        etag,
+        lastModified,
+        itemsHash,
+        itemCount: parsed.items.length,
+        lastCheckedAt: checkedAt,
+      };
+
+      if (state.itemsHash === itemsHash) {
+        console.log(`Feed for ${label} has the same items as last fetch, skipping`);
+        await this.saveFeedState(url, nextState);
+        return this.unchangedResult('same-items');
+      }
 
       const results = {
+        unchanged: false,
         processed: 0,
         newProducts: 0,
         duplicates: 0,
+        failed: 0,
         newItems: [], // Track new products
       };
 
-      for (const item of feed.items) {
+      for (const item of parsed.items) {
         try {
-          const productData = this.extractProductData(item, category);
+          const productData = source.mapItem(item, feed);
 
           if (productData) {
             const savedProduct = await dbService.saveProduct(productData);
             results.processed++;
 
-            // Enrich with Product Hunt specific details
+            // Enrich with Product Hunt specific details (skipped for products without a phLink)
             try {
               const phEnrichmentService = await import('./phEnrichmentService.js');
               await phEnrichmentService.default.enrichProduct(savedProduct);
@@ -120,192 +253,107 @@ class RSSService {
             }
           }
         } catch (error) {
-          console.error(`Error processing item in ${category}:`, error.message);
+          results.failed++;
+          console.error(`Error processing item in ${label}:`, error.message);
           console.error('Item data:', JSON.stringify(item, null, 2));
         }
       }
 
+      // Only remember the feed once every item has been processed; otherwise keep the
+      // previous validators so the next fetch reads the feed again and retries the failures
+      if (results.failed > 0) {
+        console.warn(`${results.failed} items in ${label} failed, keeping the previous feed state`);
+        await this.saveFeedState(url, { ...state, lastCheckedAt: checkedAt });
+      } else {
+        await this.saveFeedState(url, { ...nextState, lastChangedAt: checkedAt });
+      }
+
       return results;
     } catch (error) {
       const errorMessage = error.message.includes('403')
-        ? `Failed to fetch RSS feed for ${category}: Status code 403 (Possible authentication required or rate limit)`
+        ? `Failed to fetch feed for ${label}: Status code 403 (Possible authentication required or rate limit)`
         : error.message;
-      console.error(`Failed to fetch RSS feed for ${category}:`, errorMessage);
+      console.error(`Failed to fetch feed for ${label}:`, errorMessage);
       throw new Error(errorMessage);
     }
   }
 
   /**
-   * Extract product data from RSS item
-   * @param {Object} item - RSS feed item
-   * @param {string} category - Product category
-   * @returns {Object|null} - Extracted product data or null if invalid
+   * Request a feed, sending validators from the previous fetch
+   * @param {string} url - Feed URL
+   * @param {Object} state - Stored feed state ({ etag, lastModified })
+   * @returns {Promise<Object>} - { notModified, body, etag, lastModified }
    */
-  extractProductData(item, category) {
-    try {
-      // Basic validation
-      if (!item.title || !item.link) {
-        console.warn('Skipping item: missing title or link');
-        return null;
-      }
-
-      // Normalize the Product Hunt link to prevent duplicates
-      const normalizedLink = this.normalizeLink(item.link);
-
-      // Extract description from various possible fields
-      let description = '';
-      if (item.content) {
-        description = item.content;
-      } else if (item.description) {
-        description = item.description;
-      } else if (item.rawDescription) {
-        description = item.rawDescription;
-      }
-
-      // Extract maker name from various possible fields
-      let makerName = null;
-      if (item.creator) {
-        makerName = item.creator;
-      } else if (item.author) {
-        makerName = item.author;
-      } else if (description) {
-        makerName = this.extractMakerFromContent(description);
-      }
-
-      // Clean and format the data
-      const productData = {
-        name: this.cleanTitle(item.title),
-        description: this.cleanDescription(description),
-        category: category,
-        publishedAt: item.pubDate
-          ? new Date(item.pubDate).toISOString()
-          : new Date().toISOString(),
-        phLink: normalizedLink,
-        originalLink: item.link,
-        makerName: makerName ? this.cleanMakerName(makerName) : null,
-        upvotes: 0,
-        phTopics: [],
-        companyWebsite: null,
-        companyInfo: null,
-        launchDate: null,
-        accelerator: null,
-        linkedin: null,
-      };
+  async requestFeed(url, state) {
+    const headers = { ...FEED_HEADERS };
+    if (state.etag) {
+      headers['If-None-Match'] = state.etag;
+    }
+    if (state.lastModified) {
+      headers['If-Modified-Since'] = state.lastModified;
+    }
 
-      // Validate that we have meaningful data
-      if (productData.name.length < 3) {
-        console.warn('Skipping item: title too short');
-        return null;
-      }
+    const response = await fixtureService.fetch(url, { headers, timeout: FEED_TIMEOUT_MS });
 
-      return productData;
-    } catch (error) {
-      console.error('Error extracting product data:', error.message);
-      return null;
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    if (!response.ok) {
+      throw new Error(`Status code ${response.status}`);
     }
-  }
 
-  /**
-   * Clean and format product title
-   * @param {string} title - Raw title from RSS
-   * @returns {string} - Cleaned title
-   */
-  cleanTitle(title) {
-    return title
-      .replace(/^Product Hunt:\s*/i, '')
-      .replace(/\s*-\s*Product Hunt$/i, '')
-      .trim()
-      .substring(0, 200);
+    return {
+      notModified: false,
+      body: await response.text(),
+      etag: response.headers.get('etag') || null,
+      lastModified: response.headers.get('last-modified') || null,
+    };
   }
 
   /**
-   * Normalize a URL to prevent duplicates with different formats
-   * @param {string} url - URL to normalize
-   * @returns {string} - Normalized URL
+   * Hash the GUIDs of a feed's items so unchanged feeds can be recognised
+   * @param {Array} items - Parsed feed items
+   * @returns {string} - SHA-1 hex digest
    */
-  normalizeLink(url) {
-    if (!url) return '';
-
-    try {
-      const parsedUrl = new URL(url);
-      return parsedUrl.origin + parsedUrl.pathname.replace(/\/$/, '');
-    } catch (error) {
-      console.warn(`Failed to normalize URL: ${url}`, error.message);
-      return url;
-    }
+  hashFeedItems(items) {
+    const guids = items.map((item) => item.guid || item.id || item.link || '').sort();
+    return crypto.createHash('sha1').update(guids.join('\n')).digest('hex');
   }
 
   /**
-   * Clean and format product description
-   * @param {string} description - Raw description from RSS
-   * @returns {string} - Cleaned description
+   * Result reported for a feed that did not need processing
+   * @param {string} reason - 'not-modified' (HTTP 304) or 'same-items'
+   * @returns {Object} - Processing results
    */
-  cleanDescription(description) {
-    if (!description) return '';
-
-    let cleaned = description
-      .replace(/<[^>]*>/g, '')
-      .replace(/&quot;/g, '"')
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&nbsp;/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-
-    cleaned = cleaned
-      .replace(/Discussion\s*\|\s*Link\s*$/i, '')
-      .replace(/Discussion\s*$/i, '')
-      .replace(/\|\s*Link\s*$/i, '')
-      .trim();
-
-    if (
-      cleaned.length < 10 ||
-      cleaned.toLowerCase() === 'no description' ||
-      cleaned === '|'
-    ) {
-      return '';
-    }
-
-    return cleaned.substring(0, 500);
+  unchangedResult(reason) {
+    return {
+      unchanged: true,
+      reason,
+      processed: 0,
+      newProducts: 0,
+      duplicates: 0,
+      failed: 0,
+      newItems: [],
+    };
   }
 
   /**
-   * Extract maker name from content
-   * @param {string} content - Content to search
-   * @returns {string|null} - Extracted maker name or null
+   * Get the stored conditional-request state for a feed
+   * @param {string} url - Feed URL
+   * @returns {Promise<Object>} - { etag, lastModified, itemsHash, itemCount, lastCheckedAt, lastChangedAt }
    */
-  extractMakerFromContent(content) {
-    if (!content) return null;
-
-    const patterns = [
-      /by\s+([^<>\n,]+)/i,
-      /maker[:\s]+([^<>\n,]+)/i,
-      /created by\s+([^<>\n,]+)/i,
-      /from\s+([^<>\n,]+)/i,
-    ];
-
-    for (const pattern of patterns) {
-      const match = content.match(pattern);
-      if (match && match[1]) {
-        return this.cleanMakerName(match[1]);
-      }
-    }
-
-    return null;
+  async getFeedState(url) {
+    return (await dbService.getItem(`${FEED_STATE_PREFIX}${url}`)) || {};
   }
 
   /**
-   * Clean and format maker name
-   * @param {string} maker - Raw maker name
-   * @returns {string} - Cleaned maker name
+   * Store the conditional-request state for a feed
+   * @param {string} url - Feed URL
+   * @param {Object} state - Feed state
+   * @returns {Promise<void>}
    */
-  cleanMakerName(maker) {
-    return maker
-      .replace(/<[^>]*>/g, '')
-      .replace(/[@#]/g, '')
-      .trim()
-      .substring(0, 100);
+  async saveFeedState(url, state) {
+    await dbService.setItem(`${FEED_STATE_PREFIX}${url}`, state);
   }
 
   /**
@@ -314,7 +362,7 @@ class RSSService {
    * @returns {string} - Full RSS URL
    */
   getFeedUrl(category) {
-    return `${this.baseUrl}?category=${category}`;
+    return productHuntSource.getFeedUrl(category);
   }
 
   /**
@@ -327,7 +375,8 @@ class RSSService {
 
     try {
       const url = this.getFeedUrl(category);
-      const feed = await this.parser.parseURL(url);
+      const { body } = await this.requestFeed(url, {});
+      const feed = await parseFeed(productHuntSource.format, body);
 
       const testResult = {
         category,
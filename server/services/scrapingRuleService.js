@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('node-html-parser');
+
+const RULES_PATH = path.resolve(process.env.PH_SCRAPING_RULES_PATH || path.join(__dirname, '..', 'config', 'phScrapingRules.json'));
+const FIELD_TYPES = ['string', 'integer', 'list', 'image', 'people'];
+const RENDER_OPTIONS = ['static', 'browser'];
+const WATCH_INTERVAL_MS = 2000;
+
+/**
+ * Turn a rule value template into a string; {currentYear} is the only token
+ * @param {string} template - e.g. "{currentYear}"
+ * @returns {string}
+ */
+function renderValue(template) {
+  return template.replace(/\{currentYear\}/g, String(new Date().getFullYear()));
+}
+
+/**
+ * Pick the highest-resolution candidate from an img srcset attribute
+ * @param {string} srcset - e.g. "a.png 1x, b.png 2x"
+ * @param {string} fallback - URL to use when no candidate beats 1x
+ * @returns {string}
+ */
+function pickFromSrcset(srcset, fallback) {
+  const sources = srcset.split(',').map(source => source.trim().split(' '));
+  return sources.reduce((max, [url, res]) => {
+    const resNum = parseInt(res) || 1;
+    return resNum > max.res ? { url, res: resNum } : max;
+  }, { url: fallback, res: 1 }).url;
+}
+
+/**
+ * Declarative extraction rules for Product Hunt product pages, loaded from
+ * config/phScrapingRules.json (or PH_SCRAPING_RULES_PATH) and reloaded when
+ * the file changes. A file that fails validation is logged and ignored; the
+ * previously loaded rules stay active.
+ *
+ * Each field lists selectors tried in order. A selector entry can read an
+ * attribute instead of the text, require a regex match (capture group 1 is the
+ * value when present), skip values containing `exclude` substrings, drop the
+ * query string, replace the match with a fixed `value`, prefer `srcset`, or
+ * resolve relative links against `baseUrl`.
+ * A field whose data only exists in the client-rendered page sets
+ * "render": "browser" (see browserService).
+ *
+ * A "people" field matches one element per person and reads each of its
+ * `properties` (name, phProfileUrl, headline) with a selector entry applied
+ * inside that element; an entry without a selector reads the element itself.
+ * People without a name are skipped.
+ */
+class ScrapingRuleService {
+  constructor() {
+    this.rulesPath = RULES_PATH;
+    this.rules = null;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watching = false;
+  }
+
+  /**
+   * Current rules, loading them on first use
+   * @returns {Object} - { version, description, fields }
+   */
+  getRules() {
+    if (!this.rules) {
+      this.reload();
+      if (!this.rules) {
+        throw new Error(`No valid scraping rules loaded: ${this.lastError}`);
+      }
+      this.watch();
+    }
+    return this.rules;
+  }
+
+  /**
+   * Summary for the admin endpoint
+   * @returns {Object} - { path, version, loadedAt, lastError, rules }
+   */
+  getStatus() {
+    return {
+      path: this.rulesPath,
+      version: this.rules ? this.rules.version : null,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      rules: this.rules,
+    };
+  }
+
+  /**
+   * Read and validate the rules file
+   * @returns {boolean} - Whether new rules were loaded
+   */
+  reload() {
+    try {
+      const rules = JSON.parse(fs.readFileSync(this.rulesPath, 'utf8'));
+      this.validate(rules);
+
+      const previousVersion = this.rules ? this.rules.version : null;
+      this.rules = rules;
+      this.loadedAt = new Date().toISOString();
+      this.lastError = null;
+
+      if (previousVersion !== null && previousVersion === rules.version) {
+        console.warn(`Scraping rules changed but version is still ${rules.version}; bump it so enriched products can be told apart`);
+      }
+      console.log(`Loaded PH scraping rules version ${rules.version} from ${this.rulesPath}`);
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error(`Invalid PH scraping rules in ${this.rulesPath}, keeping ${this.rules ? `version ${this.rules.version}` : 'none'}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Reload the rules whenever the file changes. Polling survives editors that
+   * replace the file instead of writing it in place.
+   */
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+
+    const watcher = fs.watchFile(this.rulesPath, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    });
+    // Do not keep scripts alive just to watch the rules
+    watcher.unref();
+  }
+
+  /**
+   * Throw if the rules file is malformed
+   * @param {Object} rules - Parsed rules file
+   */
+  validate(rules) {
+    if (!rules || !Number.isInteger(rules.version) || rules.version < 1) {
+      throw new Error('version must be a positive integer');
+    }
+    if (!rules.fields || typeof rules.fields !== 'object' || Array.isArray(rules.fields)) {
+      throw new Error('fields must be an object');
+    }
+
+    for (const [field, rule] of Object.entries(rules.fields)) {
+      if (rule.type && !FIELD_TYPES.includes(rule.type)) {
+        throw new Error(`${field}.type must be one of: ${FIELD_TYPES.join(', ')}`);
+      }
+      if (rule.render && !RENDER_OPTIONS.includes(rule.render)) {
+        throw new Error(`${field}.render must be one of: ${RENDER_OPTIONS.join(', ')}`);
+      }
+      if (!Array.isArray(rule.selectors) || rule.selectors.length === 0) {
+        throw new Error(`${field}.selectors must be a non-empty array`);
+      }
+
+      rule.selectors.forEach((entry, index) => {
+        const where = `${field}.selectors[${index}]`;
+        if (!entry || typeof entry.selector !== 'string' || entry.selector.trim() === '') {
+          throw new Error(`${where}.selector must be a non-empty string`);
+        }
+        if (entry.pattern !== undefined) {
+          try {
+            new RegExp(entry.pattern, 'i');
+          } catch (error) {
+            throw new Error(`${where}.pattern is not a valid regular expression: ${error.message}`);
+          }
+        }
+        if (entry.exclude !== undefined && (!Array.isArray(entry.exclude) || entry.exclude.some(item => typeof item !== 'string'))) {
+          throw new Error(`${where}.exclude must be an array of strings`);
+        }
+        if (rule.type === 'people') {
+          this.validateProperties(entry.properties, where);
+        }
+      });
+    }
+  }
+
+  /**
+   * Throw if a people selector's properties are malformed
+   * @param {Object} properties - Property name -> selector entry
+   * @param {string} where - Location for error messages
+   */
+  validateProperties(properties, where) {
+    if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+      throw new Error(`${where}.properties must be an object`);
+    }
+    if (!properties.name) {
+      throw new Error(`${where}.properties.name is required`);
+    }
+
+    for (const [property, entry] of Object.entries(properties)) {
+      if (!entry || typeof entry !== 'object' || (entry.selector !== undefined && typeof entry.selector !== 'string')) {
+        throw new Error(`${where}.properties.${property} must be an object with an optional selector string`);
+      }
+      if (entry.pattern !== undefined) {
+        try {
+          new RegExp(entry.pattern, 'i');
+        } catch (error) {
+          throw new Error(`${where}.properties.${property}.pattern is not a valid regular expression: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fields whose rules ask for the browser-rendered page ("render": "browser")
+   * @returns {Array<string>}
+   */
+  getBrowserFields() {
+    return Object.entries(this.getRules().fields)
+      .filter(([, rule]) => rule.render === 'browser')
+      .map(([field]) => field);
+  }
+
+  /**
+   * Run field rules against a product page
+   * @param {string} html - Page HTML
+   * @param {Object} options - { fields } limits extraction to these fields
+   * @returns {Object} - { version, values, report } where report lists, per
+   *   field, the selector that matched and every selector tried
+   */
+  extract(html, options = {}) {
+    const rules = this.getRules();
+    const root = parse(html);
+    const values = {};
+    const report = {};
+
+    for (const [field, rule] of Object.entries(rules.fields)) {
+      if (options.fields && !options.fields.includes(field)) continue;
+      const result = this.extractField(root, rule);
+      values[field] = result.value;
+      report[field] = result;
+    }
+
+    return { version: rules.version, values, report };
+  }
+
+  /**
+   * Try a field's selectors in order until one yields a value
+   * @param {Object} root - Parsed page
+   * @param {Object} rule - Field rule
+   * @returns {Object} - { value, matchedSelector, matchedIndex, attempts }
+   */
+  extractField(root, rule) {
+    const type = rule.type || 'string';
+    const attempts = [];
+
+    for (const [index, entry] of rule.selectors.entries()) {
+      let elements;
+      try {
+        elements = root.querySelectorAll(entry.selector);
+      } catch (error) {
+        attempts.push({ selector: entry.selector, elements: 0, error: error.message });
+        continue;
+      }
+
+      if (type === 'people') {
+        const people = this.readPeople(elements, entry, rule.limit);
+        attempts.push({ selector: entry.selector, elements: elements.length, matched: people.length > 0 });
+        if (people.length > 0) {
+          return { value: people, matchedSelector: entry.selector, matchedIndex: index, attempts };
+        }
+        continue;
+      }
+
+      const found = [];
+      for (const element of elements) {
+        const value = this.readValue(element, entry);
+        if (value !== null && !found.includes(value)) {
+          found.push(value);
+        }
+        if (found.length > 0 && (type !== 'list' || found.length >= (rule.limit || Infinity))) {
+          break;
+        }
+      }
+
+      attempts.push({ selector: entry.selector, elements: elements.length, matched: found.length > 0 });
+      if (found.length > 0) {
+        return { value: this.coerce(found, type, rule), matchedSelector: entry.selector, matchedIndex: index, attempts };
+      }
+    }
+
+    return { value: type === 'list' || type === 'people' ? [] : null, matchedSelector: null, matchedIndex: null, attempts };
+  }
+
+  /**
+   * Read one person from each matched element
+   * @param {Array} elements - Elements matched by the selector entry
+   * @param {Object} entry - Selector entry with `properties`
+   * @param {number} limit - Maximum number of people
+   * @returns {Array<Object>} - People, without duplicates
+   */
+  readPeople(elements, entry, limit = Infinity) {
+    const people = [];
+
+    for (const element of elements) {
+      const person = {};
+      for (const [property, propertyEntry] of Object.entries(entry.properties)) {
+        let target = element;
+        if (propertyEntry.selector) {
+          try {
+            target = element.querySelector(propertyEntry.selector);
+          } catch (error) {
+            target = null;
+          }
+        }
+        person[property] = target ? this.readValue(target, propertyEntry) : null;
+      }
+
+      const key = person.phProfileUrl || person.name;
+      if (person.name && !people.some(existing => (existing.phProfileUrl || existing.name) === key)) {
+        people.push(person);
+      }
+      if (people.length >= limit) break;
+    }
+
+    return people;
+  }
+
+  /**
+   * Apply one selector entry to an element
+   * @param {Object} element - Matched element
+   * @param {Object} entry - Selector entry
+   * @returns {string|null} - Extracted value or null if the element does not qualify
+   */
+  readValue(element, entry) {
+    let raw = entry.attribute ? element.getAttribute(entry.attribute) : element.textContent;
+    raw = (raw || '').trim();
+    if (!raw) return null;
+
+    if (entry.exclude && entry.exclude.some(excluded => raw.includes(excluded))) {
+      return null;
+    }
+
+    let value = raw;
+    if (entry.pattern) {
+      const match = raw.match(new RegExp(entry.pattern, 'i'));
+      if (!match) return null;
+      value = match[1] !== undefined ? match[1] : raw;
+    }
+
+    if (entry.value !== undefined) {
+      value = renderValue(entry.value);
+    }
+    if (entry.srcset && element.getAttribute('srcset')) {
+      value = pickFromSrcset(element.getAttribute('srcset'), value);
+    }
+    if (entry.stripQuery) {
+      value = value.split('?')[0];
+    }
+    if (entry.baseUrl) {
+      try {
+        value = new URL(value, entry.baseUrl).href;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Convert collected strings into the field's type
+   */
+  coerce(found, type, rule) {
+    switch (type) {
+      case 'list':
+        return rule.limit ? found.slice(0, rule.limit) : found;
+      case 'integer': {
+        const number = parseInt(found[0], 10);
+        return Number.isNaN(number) ? null : number;
+      }
+      case 'image':
+        return { url: found[0] };
+      default:
+        return rule.maxLength ? found[0].substring(0, rule.maxLength) : found[0];
+    }
+  }
+}
+
+module.exports = new ScrapingRuleService();
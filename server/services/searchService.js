@@ -0,0 +1,248 @@
+const dbService = require('./dbService');
+const { inCategory } = require('./productCategories');
+const { getProductMakers } = require('./productMakers');
+
+// Field weights used when scoring matches
+const FIELD_WEIGHTS = {
+  name: 5,
+  makers: 3,
+  phTopics: 3,
+  description: 1,
+  companyInfo: 1
+};
+
+// Fields searched for a snippet, in order of preference
+const SNIPPET_FIELDS = ['description', 'companyInfo', 'makers', 'phTopics', 'name'];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'to', 'with', 'your', 'you'
+]);
+
+const PREFIX_MATCH_WEIGHT = 0.5;
+const SNIPPET_LENGTH = 160;
+
+class SearchService {
+  constructor() {
+    this.index = null;
+    this.indexRevision = null;
+  }
+
+  /**
+   * Split text into lowercase, accent-free search terms
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} - Terms
+   */
+  tokenize(text) {
+    if (!text) return [];
+
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+  }
+
+  getFieldText(product, field) {
+    // Makers are searched by name and headline
+    if (field === 'makers') {
+      return getProductMakers(product).map(maker => [maker.name, maker.headline].filter(Boolean).join(' ')).join(', ');
+    }
+
+    const value = product[field];
+    if (Array.isArray(value)) return value.join(', ');
+    if (value && typeof value === 'object') return Object.values(value).filter(v => typeof v === 'string').join(' ');
+    return value ? String(value) : '';
+  }
+
+  /**
+   * Build an inverted index (term -> product ID -> weighted term frequency)
+   * @param {Array} products - Products to index
+   * @returns {Object} - Index structure
+   */
+  buildIndex(products) {
+    const postings = new Map();
+    const documents = new Map();
+
+    for (const product of products) {
+      documents.set(product.id, product);
+
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        for (const term of this.tokenize(this.getFieldText(product, field))) {
+          if (!postings.has(term)) postings.set(term, new Map());
+          const docs = postings.get(term);
+          docs.set(product.id, (docs.get(product.id) || 0) + weight);
+        }
+      }
+    }
+
+    return {
+      postings,
+      documents,
+      terms: Array.from(postings.keys()).sort()
+    };
+  }
+
+  /**
+   * Rebuild the index if products changed since it was last built
+   * @returns {Promise<Object>} - Current index
+   */
+  async ensureIndex() {
+    const revision = dbService.productRevision;
+    if (!this.index || this.indexRevision !== revision) {
+      const products = await dbService.getAllProducts();
+      this.index = this.buildIndex(products);
+      this.indexRevision = revision;
+      console.log(`Search index built: ${products.length} products, ${this.index.terms.length} terms`);
+    }
+    return this.index;
+  }
+
+  /**
+   * Find indexed terms equal to or starting with a query term
+   * @param {Object} index - Search index
+   * @param {string} queryTerm - Query term
+   * @returns {Array<Object>} - [{ term, weight }]
+   */
+  expandTerm(index, queryTerm) {
+    const matches = [];
+    let low = 0;
+    let high = index.terms.length;
+
+    // Binary search for the first term >= queryTerm
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (index.terms[mid] < queryTerm) low = mid + 1;
+      else high = mid;
+    }
+
+    for (let i = low; i < index.terms.length && index.terms[i].startsWith(queryTerm); i++) {
+      matches.push({
+        term: index.terms[i],
+        weight: index.terms[i] === queryTerm ? 1 : PREFIX_MATCH_WEIGHT
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Split a field into plain and highlighted segments around the first match
+   * @param {string} text - Field text
+   * @param {Array<string>} queryTerms - Query terms (matched as word prefixes)
+   * @returns {Array<Object>|null} - [{ text, highlight }] or null if nothing matched
+   */
+  buildSnippet(text, queryTerms) {
+    const escaped = queryTerms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`\\b(?:${escaped.join('|')})[a-z0-9]*`, 'gi');
+    const first = pattern.exec(text);
+    if (!first) return null;
+
+    let start = Math.max(0, first.index - Math.floor(SNIPPET_LENGTH / 3));
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space > -1 && space < first.index ? space + 1 : start;
+    }
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+    const segments = [];
+    if (start > 0) segments.push({ text: '…', highlight: false });
+
+    let cursor = start;
+    pattern.lastIndex = start;
+    let match;
+    while ((match = pattern.exec(text)) && match.index < end) {
+      if (match.index > cursor) {
+        segments.push({ text: text.slice(cursor, match.index), highlight: false });
+      }
+      const matchEnd = Math.min(match.index + match[0].length, end);
+      segments.push({ text: text.slice(match.index, matchEnd), highlight: true });
+      cursor = matchEnd;
+    }
+
+    if (cursor < end) segments.push({ text: text.slice(cursor, end), highlight: false });
+    if (end < text.length) segments.push({ text: '…', highlight: false });
+
+    return segments;
+  }
+
+  /**
+   * Search products by name, description, maker, company info and topics
+   * @param {string} query - Free-text query; every term must match (as a word or word prefix)
+   * @param {Object} options - { category, status, source, limit, offset }
+   * @returns {Promise<Object>} - { total, results: [{ product, score, matchedFields, snippet }] }
+   */
+  async search(query, options = {}) {
+    const { category, status, source, limit = 20, offset = 0 } = options;
+    const queryTerms = Array.from(new Set(this.tokenize(query)));
+
+    if (queryTerms.length === 0) {
+      return { total: 0, results: [] };
+    }
+
+    const index = await this.ensureIndex();
+    const documentCount = index.documents.size || 1;
+    let scores = null;
+
+    for (const queryTerm of queryTerms) {
+      const termScores = new Map();
+
+      for (const { term, weight } of this.expandTerm(index, queryTerm)) {
+        const docs = index.postings.get(term);
+        const idf = Math.log(1 + documentCount / docs.size);
+        for (const [productId, frequency] of docs) {
+          const score = idf * frequency * weight;
+          termScores.set(productId, Math.max(termScores.get(productId) || 0, score));
+        }
+      }
+
+      // Every query term has to match somewhere in the product
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        for (const [productId, score] of scores) {
+          if (termScores.has(productId)) scores.set(productId, score + termScores.get(productId));
+          else scores.delete(productId);
+        }
+      }
+    }
+
+    const ranked = Array.from(scores.entries())
+      .map(([productId, score]) => ({ product: index.documents.get(productId), score }))
+      .filter(({ product }) =>
+        (!category || inCategory(product, category)) &&
+        (!status || product.status === status) &&
+        (!source || product.source === source)
+      )
+      .sort((a, b) => b.score - a.score || new Date(b.product.publishedAt) - new Date(a.product.publishedAt));
+
+    const results = ranked.slice(offset, offset + limit).map(({ product, score }) => {
+      const matchedFields = Object.keys(FIELD_WEIGHTS).filter(field => {
+        const terms = this.tokenize(this.getFieldText(product, field));
+        return queryTerms.some(queryTerm => terms.some(term => term.startsWith(queryTerm)));
+      });
+
+      let snippet = null;
+      for (const field of SNIPPET_FIELDS) {
+        const text = this.getFieldText(product, field);
+        snippet = text ? this.buildSnippet(text, queryTerms) : null;
+        if (snippet) break;
+      }
+
+      return {
+        product,
+        score: Math.round(score * 100) / 100,
+        matchedFields,
+        snippet
+      };
+    });
+
+    return {
+      total: ranked.length,
+      results
+    };
+  }
+}
+
+module.exports = new SearchService();
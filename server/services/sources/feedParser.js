@@ -0,0 +1,62 @@
+const Parser = require('rss-parser');
+
+const rssParser = new Parser({
+  customFields: {
+    item: [
+      ['content:encoded', 'content'],
+      ['description', 'rawDescription'],
+      ['creator', 'creator'],
+      ['author', 'author'],
+    ],
+  },
+});
+
+/**
+ * Convert a JSON Feed 1.x item into the item shape rss-parser produces,
+ * so sources can map items the same way regardless of format
+ * @param {Object} item - JSON Feed item
+ * @returns {Object} - Normalized item
+ */
+function normalizeJsonFeedItem(item) {
+  const author = (item.authors && item.authors[0]) || item.author || {};
+
+  return {
+    ...item,
+    guid: item.id,
+    title: item.title || '',
+    link: item.url || item.external_url || '',
+    content: item.content_html || item.content_text || '',
+    contentSnippet: item.summary || item.content_text || '',
+    isoDate: item.date_published,
+    pubDate: item.date_published,
+    creator: author.name || null,
+    categories: Array.isArray(item.tags) ? item.tags : [],
+  };
+}
+
+/**
+ * Parse a feed body
+ * @param {string} format - 'rss' (RSS 2.0 / Atom) or 'json' (JSON Feed)
+ * @param {string} body - Raw response body
+ * @returns {Promise<Object>} - { title, items }
+ */
+async function parseFeed(format, body) {
+  if (format === 'json') {
+    const feed = JSON.parse(body);
+    if (!Array.isArray(feed.items)) {
+      throw new Error('JSON Feed has no items array');
+    }
+    return {
+      title: feed.title || '',
+      items: feed.items.map(normalizeJsonFeedItem),
+    };
+  }
+
+  return rssParser.parseString(body);
+}
+
+module.exports = {
+  FEED_FORMATS: ['rss', 'json'],
+  rssParser,
+  parseFeed,
+};
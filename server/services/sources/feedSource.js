@@ -0,0 +1,216 @@
+const { FEED_FORMATS } = require('./feedParser');
+
+const SOURCE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Item properties tried, in order, for each product field when a source does not map it
+const DEFAULT_FIELDS = {
+  name: ['title'],
+  link: ['link', 'guid'],
+  description: ['contentSnippet', 'content', 'summary', 'rawDescription'],
+  makerName: ['creator', 'author'],
+  publishedAt: ['isoDate', 'pubDate'],
+  topics: ['categories'],
+  companyWebsite: [],
+};
+
+/**
+ * Read a dotted path such as 'author.name' from an object
+ * @param {Object} object - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} - Value or undefined
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * A feed of product launches. Declares where the feed lives, how it is parsed
+ * and how its items map onto product records. Generic sources are created from
+ * config/feedSources.js; Product Hunt subclasses this with its own mapping.
+ */
+class FeedSource {
+  /**
+   * @param {Object} config - { id, name, format, url, category, enabled, fields }
+   */
+  constructor(config) {
+    if (!config || !SOURCE_ID_PATTERN.test(config.id || '')) {
+      throw new Error(`Invalid feed source id: ${config && config.id}`);
+    }
+    if (!FEED_FORMATS.includes(config.format)) {
+      throw new Error(`Feed source ${config.id} has unsupported format: ${config.format}`);
+    }
+
+    this.id = config.id;
+    this.name = config.name || config.id;
+    this.format = config.format;
+    this.url = config.url || null;
+    this.category = config.category || config.id;
+    this.enabled = config.enabled !== false;
+    this.fields = config.fields || {};
+  }
+
+  /**
+   * Feeds to fetch for this source
+   * @returns {Promise<Array<Object>>} - [{ url, category, label }]
+   */
+  async getFeeds() {
+    if (!this.url) {
+      throw new Error(`Feed source ${this.id} has no url`);
+    }
+    return [{ url: this.url, category: this.category, label: this.id }];
+  }
+
+  /**
+   * Summary for API responses
+   * @returns {Object} - { id, name, format, url, category, enabled }
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      format: this.format,
+      url: this.url,
+      category: this.category,
+      enabled: this.enabled,
+    };
+  }
+
+  /**
+   * Read a product field from an item using the source's mapping, falling
+   * back to the default item properties
+   * @param {Object} item - Parsed feed item
+   * @param {string} field - Product field
+   * @returns {*} - First non-empty value, or undefined
+   */
+  pick(item, field) {
+    const paths = this.fields[field] ? [this.fields[field]] : DEFAULT_FIELDS[field] || [];
+    for (const path of paths) {
+      const value = getPath(item, path);
+      if (value !== undefined && value !== null && value !== '') {
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Map a feed item onto a product record
+   * @param {Object} item - Parsed feed item
+   * @param {Object} feed - Feed the item came from ({ url, category })
+   * @returns {Object|null} - Product data or null if the item is unusable
+   */
+  mapItem(item, feed) {
+    const name = this.pick(item, 'name');
+    const link = this.pick(item, 'link');
+    if (!name || !link) {
+      console.warn(`Skipping ${this.id} item: missing title or link`);
+      return null;
+    }
+
+    const publishedAt = new Date(this.pick(item, 'publishedAt') || Date.now());
+    const makerName = this.pick(item, 'makerName');
+    const topics = this.pick(item, 'topics');
+    const companyWebsite = this.pick(item, 'companyWebsite');
+
+    const productData = {
+      name: this.cleanText(String(name)).substring(0, 200),
+      description: this.cleanDescription(this.pick(item, 'description')),
+      category: feed.category,
+      source: this.id,
+      sourceLink: this.normalizeLink(link),
+      phLink: null,
+      publishedAt: isNaN(publishedAt.getTime()) ? new Date().toISOString() : publishedAt.toISOString(),
+      originalLink: link,
+      makerName: typeof makerName === 'string' ? this.cleanMakerName(makerName) : null,
+      phUpvotes: 0,
+      phTopics: Array.isArray(topics) ? topics.filter(topic => typeof topic === 'string') : [],
+      companyWebsite: typeof companyWebsite === 'string' ? companyWebsite : null,
+      companyInfo: null,
+      launchDate: null,
+      accelerator: null,
+      linkedin: null,
+    };
+
+    if (productData.name.length < 3) {
+      console.warn(`Skipping ${this.id} item: title too short`);
+      return null;
+    }
+
+    return productData;
+  }
+
+  /**
+   * Strip tags and decode the common HTML entities
+   * @param {string} text - Raw text
+   * @returns {string} - Plain text
+   */
+  cleanText(text) {
+    return text
+      .replace(/<[^>]*>/g, '')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Clean and format product description
+   * @param {string} description - Raw description from the feed
+   * @returns {string} - Cleaned description
+   */
+  cleanDescription(description) {
+    if (!description || typeof description !== 'string') return '';
+
+    const cleaned = this.cleanText(description)
+      .replace(/Discussion\s*\|\s*Link\s*$/i, '')
+      .replace(/Discussion\s*$/i, '')
+      .replace(/\|\s*Link\s*$/i, '')
+      .trim();
+
+    if (
+      cleaned.length < 10 ||
+      cleaned.toLowerCase() === 'no description' ||
+      cleaned === '|'
+    ) {
+      return '';
+    }
+
+    return cleaned.substring(0, 500);
+  }
+
+  /**
+   * Normalize a URL to prevent duplicates with different formats. The query
+   * string is kept because some feeds identify items by it (e.g. ?id=123).
+   * @param {string} url - URL to normalize
+   * @returns {string} - Normalized URL
+   */
+  normalizeLink(url) {
+    if (!url) return '';
+
+    try {
+      const parsedUrl = new URL(url);
+      return parsedUrl.origin + parsedUrl.pathname.replace(/\/$/, '') + parsedUrl.search;
+    } catch (error) {
+      console.warn(`Failed to normalize URL: ${url}`, error.message);
+      return url;
+    }
+  }
+
+  /**
+   * Clean and format maker name
+   * @param {string} maker - Raw maker name
+   * @returns {string} - Cleaned maker name
+   */
+  cleanMakerName(maker) {
+    return maker
+      .replace(/<[^>]*>/g, '')
+      .replace(/[@#]/g, '')
+      .trim()
+      .substring(0, 100);
+  }
+}
+
+module.exports = FeedSource;
@@ -0,0 +1,49 @@
+const FeedSource = require('./feedSource');
+const productHuntSource = require('./productHuntSource');
+const feedSourceConfigs = require('../../config/feedSources');
+
+/**
+ * Registry of launch sources: Product Hunt plus the feeds declared in
+ * config/feedSources.js. Invalid entries are logged and skipped.
+ */
+class SourceRegistry {
+  constructor() {
+    this.sources = new Map([[productHuntSource.id, productHuntSource]]);
+
+    for (const config of feedSourceConfigs) {
+      try {
+        const source = new FeedSource(config);
+        if (this.sources.has(source.id)) {
+          throw new Error(`Duplicate feed source id: ${source.id}`);
+        }
+        this.sources.set(source.id, source);
+      } catch (error) {
+        console.error('Skipping feed source from config/feedSources.js:', error.message);
+      }
+    }
+  }
+
+  /**
+   * @returns {Array<FeedSource>} - All registered sources
+   */
+  getSources() {
+    return Array.from(this.sources.values());
+  }
+
+  /**
+   * @returns {Array<FeedSource>} - Sources fetched by the cron job
+   */
+  getEnabledSources() {
+    return this.getSources().filter(source => source.enabled);
+  }
+
+  /**
+   * @param {string} id - Source id
+   * @returns {FeedSource|null}
+   */
+  getSource(id) {
+    return this.sources.get(id) || null;
+  }
+}
+
+module.exports = new SourceRegistry();
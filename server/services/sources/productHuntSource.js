@@ -0,0 +1,175 @@
+const FeedSource = require('./feedSource');
+const categoryService = require('../categoryService');
+
+/**
+ * Product Hunt RSS feeds, one per enabled category
+ */
+class ProductHuntSource extends FeedSource {
+  constructor() {
+    super({
+      id: 'producthunt',
+      name: 'Product Hunt',
+      format: 'rss',
+      enabled: true,
+    });
+    this.baseUrl = 'https://www.producthunt.com/feed';
+    this.url = this.baseUrl;
+    this.category = null; // one feed per category, see getFeeds()
+  }
+
+  /**
+   * Get RSS feed URL for a category
+   * @param {string} category - Product Hunt category
+   * @returns {string} - Full RSS URL
+   */
+  getFeedUrl(category) {
+    return `${this.baseUrl}?category=${category}`;
+  }
+
+  /**
+   * Feed descriptor for a category
+   * @param {string} category - Product Hunt category
+   * @returns {Object} - { url, category, label }
+   */
+  getFeed(category) {
+    return { url: this.getFeedUrl(category), category, label: category };
+  }
+
+  /**
+   * Feeds for all enabled categories
+   * @returns {Promise<Array<Object>>} - [{ url, category, label }]
+   */
+  async getFeeds() {
+    const slugs = await categoryService.getEnabledSlugs();
+    return slugs.map(slug => this.getFeed(slug));
+  }
+
+  /**
+   * Extract product data from a Product Hunt RSS item
+   * @param {Object} item - RSS feed item
+   * @param {Object} feed - Feed the item came from ({ url, category })
+   * @returns {Object|null} - Extracted product data or null if invalid
+   */
+  mapItem(item, feed) {
+    try {
+      // Basic validation
+      if (!item.title || !item.link) {
+        console.warn('Skipping item: missing title or link');
+        return null;
+      }
+
+      // Normalize the Product Hunt link to prevent duplicates
+      const normalizedLink = this.normalizeLink(item.link);
+
+      // Extract description from various possible fields
+      let description = '';
+      if (item.content) {
+        description = item.content;
+      } else if (item.description) {
+        description = item.description;
+      } else if (item.rawDescription) {
+        description = item.rawDescription;
+      }
+
+      // Extract maker name from various possible fields
+      let makerName = null;
+      if (item.creator) {
+        makerName = item.creator;
+      } else if (item.author) {
+        makerName = item.author;
+      } else if (description) {
+        makerName = this.extractMakerFromContent(description);
+      }
+
+      // Clean and format the data
+      const productData = {
+        name: this.cleanTitle(item.title),
+        description: this.cleanDescription(description),
+        category: feed.category,
+        source: this.id,
+        sourceLink: normalizedLink,
+        publishedAt: item.pubDate
+          ? new Date(item.pubDate).toISOString()
+          : new Date().toISOString(),
+        phLink: normalizedLink,
+        originalLink: item.link,
+        makerName: makerName ? this.cleanMakerName(makerName) : null,
+        phUpvotes: 0,
+        phTopics: [],
+        companyWebsite: null,
+        companyInfo: null,
+        launchDate: null,
+        accelerator: null,
+        linkedin: null,
+      };
+
+      // Validate that we have meaningful data
+      if (productData.name.length < 3) {
+        console.warn('Skipping item: title too short');
+        return null;
+      }
+
+      return productData;
+    } catch (error) {
+      console.error('Error extracting product data:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Clean and format product title
+   * @param {string} title - Raw title from RSS
+   * @returns {string} - Cleaned title
+   */
+  cleanTitle(title) {
+    return title
+      .replace(/^Product Hunt:\s*/i, '')
+      .replace(/\s*-\s*Product Hunt$/i, '')
+      .trim()
+      .substring(0, 200);
+  }
+
+  /**
+   * Normalize a Product Hunt URL; tracking query parameters are dropped
+   * @param {string} url - URL to normalize
+   * @returns {string} - Normalized URL
+   */
+  normalizeLink(url) {
+    if (!url) return '';
+
+    try {
+      const parsedUrl = new URL(url);
+      return parsedUrl.origin + parsedUrl.pathname.replace(/\/$/, '');
+    } catch (error) {
+      console.warn(`Failed to normalize URL: ${url}`, error.message);
+      return url;
+    }
+  }
+
+  /**
+   * Extract maker name from content
+   * @param {string} content - Content to search
+   * @returns {string|null} - Extracted maker name or null
+   */
+  extractMakerFromContent(content) {
+    if (!content) return null;
+
+    const patterns = [
+      /by\s+([^<>\n,]+)/i,
+      /maker[:\s]+([^<>\n,]+)/i,
+      /created by\s+([^<>\n,]+)/i,
+      /from\s+([^<>\n,]+)/i,
+    ];
+
+    for (const pattern of patterns) {
+      const match = content.match(pattern);
+      if (match && match[1]) {
+        return this.cleanMakerName(match[1]);
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new ProductHuntSource();
@@ -0,0 +1,37 @@
+const path = require('path');
+const JsonFileAdapter = require('./jsonFileAdapter');
+const SqliteAdapter = require('./sqliteAdapter');
+
+const adapters = {
+  json: JsonFileAdapter,
+  sqlite: SqliteAdapter
+};
+
+/**
+ * Create the storage adapter selected by the DB_STORAGE environment variable
+ * @param {string} type - Adapter name override ('json' or 'sqlite')
+ * @returns {StorageAdapter} - Uninitialized adapter instance
+ */
+function createStorageAdapter(type = process.env.DB_STORAGE || 'json') {
+  const Adapter = adapters[type.toLowerCase()];
+
+  if (!Adapter) {
+    throw new Error(`Unknown DB_STORAGE "${type}". Valid options: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  if (Adapter === SqliteAdapter) {
+    return new SqliteAdapter({
+      dbPath: process.env.SQLITE_DB_PATH || path.join(process.cwd(), 'data', 'products.db')
+    });
+  }
+
+  return new JsonFileAdapter({
+    dbPath: process.env.JSON_DB_PATH || path.join(process.cwd(), 'data', 'products.json')
+  });
+}
+
+module.exports = {
+  createStorageAdapter,
+  JsonFileAdapter,
+  SqliteAdapter
+};
@@ -0,0 +1,256 @@
+const fs = require('fs').promises;
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+
+/**
+ * Stores the whole database in a single JSON file (data/products.json by default)
+ */
+class JsonFileAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('json');
+    this.dbPath = options.dbPath || path.join(process.cwd(), 'data', 'products.json');
+    this.backupPath = `${this.dbPath}.bak`;
+    this.recovery = null;
+    this.tempCounter = 0;
+  }
+
+  createEmptyData() {
+    return {
+      products: {},
+      productList: [],
+      metadata: {
+        lastUpdated: null,
+        totalCount: 0
+      },
+      cache: {},
+      schedule: {},
+      history: {},
+      metrics: {},
+      misc: {}
+    };
+  }
+
+  async init() {
+    try {
+      const dir = path.dirname(this.dbPath);
+      await fs.mkdir(dir, { recursive: true });
+
+      try {
+        await fs.access(this.dbPath);
+      } catch {
+        await this.writeAtomic(this.createEmptyData());
+        console.log(`Initialized database at ${this.dbPath}`);
+      }
+    } catch (error) {
+      console.error('Error initializing local storage:', error.message);
+    }
+  }
+
+  normalizeData(parsed) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Database root is not an object');
+    }
+
+    if (!parsed.products) parsed.products = {};
+    if (!parsed.productList) parsed.productList = [];
+    if (!parsed.metadata) parsed.metadata = { lastUpdated: null, totalCount: 0 };
+    for (const section of StorageAdapter.KV_SECTIONS) {
+      if (!parsed[section]) parsed[section] = {};
+    }
+
+    return parsed;
+  }
+
+  async readLocalData() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.dbPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.createEmptyData();
+      }
+      throw error;
+    }
+
+    try {
+      return this.normalizeData(JSON.parse(raw));
+    } catch (error) {
+      console.error(`Database file ${this.dbPath} is corrupt (${error.message}), attempting recovery from backup`);
+      if (!this.recovery) {
+        this.recovery = this.recoverFromBackup().finally(() => {
+          this.recovery = null;
+        });
+      }
+      return this.recovery;
+    }
+  }
+
+  /**
+   * Restore the last good copy written before the most recent update.
+   * The corrupt file is kept next to the database for inspection.
+   * @returns {Promise<Object>} - Recovered data
+   */
+  async recoverFromBackup() {
+    let backup;
+    try {
+      backup = this.normalizeData(JSON.parse(await fs.readFile(this.backupPath, 'utf8')));
+    } catch (error) {
+      throw new Error(`Database file ${this.dbPath} is corrupt and no usable backup was found at ${this.backupPath}: ${error.message}`);
+    }
+
+    const corruptPath = `${this.dbPath}.corrupt-${Date.now()}`;
+    await fs.rename(this.dbPath, corruptPath);
+    await this.writeAtomic(backup);
+
+    console.warn(`Recovered database from ${this.backupPath} (corrupt file moved to ${corruptPath})`);
+    return backup;
+  }
+
+  /**
+   * Write to a temp file, flush it, then rename it over the database so a
+   * crash mid-write never leaves a truncated file behind. Each write gets its
+   * own temp file, so a recovery racing a queued write cannot share one.
+   * @param {Object} data - Full database contents
+   */
+  async writeAtomic(data) {
+    this.tempCounter += 1;
+    const tempPath = `${this.dbPath}.${process.pid}-${this.tempCounter}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.rename(tempPath, this.dbPath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  async writeLocalData(data) {
+    try {
+      await fs.copyFile(this.dbPath, this.backupPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not refresh database backup: ${error.message}`);
+      }
+    }
+
+    await this.writeAtomic(data);
+    console.log('Database updated successfully');
+  }
+
+  async getItem(key) {
+    return this.readKey(await this.readLocalData(), key);
+  }
+
+  async getItems(keys) {
+    const data = await this.readLocalData();
+    return keys.map(key => this.readKey(data, key));
+  }
+
+  readKey(data, key) {
+    switch (StorageAdapter.getNamespace(key)) {
+      case 'productList':
+        return data.productList;
+      case 'product':
+        return data.products[key.replace('product:', '')] || null;
+      case 'metadata':
+        return data.metadata;
+      default:
+        return data[StorageAdapter.getNamespace(key)][key] || null;
+    }
+  }
+
+  async setItem(key, value) {
+    const data = await this.readLocalData();
+
+    switch (StorageAdapter.getNamespace(key)) {
+      case 'productList':
+        data.productList = value;
+        break;
+      case 'product':
+        data.products[key.replace('product:', '')] = value;
+        data.metadata.totalCount = Object.keys(data.products).length;
+        data.metadata.lastUpdated = new Date().toISOString();
+        break;
+      case 'metadata':
+        data.metadata = value;
+        break;
+      default:
+        data[StorageAdapter.getNamespace(key)][key] = value;
+    }
+
+    await this.writeLocalData(data);
+    return true;
+  }
+
+  async deleteItem(key) {
+    const data = await this.readLocalData();
+
+    switch (StorageAdapter.getNamespace(key)) {
+      case 'productList':
+        data.productList = [];
+        break;
+      case 'product': {
+        const productId = key.replace('product:', '');
+        if (data.products[productId]) {
+          delete data.products[productId];
+          const index = data.productList.indexOf(productId);
+          if (index > -1) {
+            data.productList.splice(index, 1);
+          }
+          data.metadata.totalCount = Object.keys(data.products).length;
+        }
+        break;
+      }
+      case 'metadata':
+        data.metadata = { lastUpdated: null, totalCount: 0 };
+        break;
+      default:
+        delete data[StorageAdapter.getNamespace(key)][key];
+    }
+
+    await this.writeLocalData(data);
+    return true;
+  }
+
+  async getKeysByPattern(pattern) {
+    const data = await this.readLocalData();
+    const namespace = StorageAdapter.getNamespace(pattern);
+
+    if (namespace === 'product') {
+      return data.productList
+        .map(id => `product:${id}`)
+        .filter(key => StorageAdapter.matchPattern(key, pattern));
+    }
+
+    if (namespace === 'productList' || namespace === 'metadata') {
+      return [pattern];
+    }
+
+    return Object.keys(data[namespace]).filter(key => StorageAdapter.matchPattern(key, pattern));
+  }
+
+  async getAllProducts() {
+    const data = await this.readLocalData();
+    return data.productList
+      .map(id => data.products[id])
+      .filter(Boolean);
+  }
+
+  async exportData() {
+    return this.readLocalData();
+  }
+
+  async importData(data) {
+    await this.writeLocalData({ ...this.createEmptyData(), ...data });
+  }
+}
+
+module.exports = JsonFileAdapter;
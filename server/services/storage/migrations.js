@@ -0,0 +1,165 @@
+/**
+ * Ordered schema migrations for stored data. Each migration receives the full
+ * exported dataset ({ products, productList, metadata, cache, schedule, history, metrics, misc })
+ * and mutates it in place. runMigrations() applies every migration whose
+ * version is above metadata.schemaVersion, then records the new version; the
+ * server calls it through dbService.init() at startup.
+ *
+ * Never edit a migration that has shipped; add a new one with the next version.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Store Product Hunt vote counts in phUpvotes only',
+    up(data) {
+      for (const product of Object.values(data.products)) {
+        if (product.upvotes !== undefined) {
+          // upvotes was written by the /api/ph-upvotes scraper, so it is the fresher value
+          if (typeof product.upvotes === 'number') {
+            product.phUpvotes = product.upvotes;
+            product.phUpvotesFetchedAt = product.phUpvotesFetchedAt || product.updatedAt || null;
+          }
+          delete product.upvotes;
+        }
+
+        if (typeof product.phUpvotes !== 'number') {
+          product.phUpvotes = Number(product.phUpvotes) || 0;
+        }
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Store Google Sheets sync state in syncedToSheets only',
+    up(data) {
+      for (const product of Object.values(data.products)) {
+        if (product.sheetsSynced !== undefined) {
+          product.syncedToSheets = Boolean(product.syncedToSheets || product.sheetsSynced);
+          if (product.syncedToSheets && !product.syncedToSheetsAt) {
+            product.syncedToSheetsAt = product.updatedAt || null;
+          }
+          delete product.sheetsSynced;
+        }
+
+        if (typeof product.syncedToSheets !== 'boolean') {
+          product.syncedToSheets = Boolean(product.syncedToSheets);
+        }
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Record the ingestion source of every product',
+    up(data) {
+      for (const product of Object.values(data.products)) {
+        // Everything stored before multi-source ingestion came from Product Hunt RSS
+        if (!product.source) {
+          product.source = 'producthunt';
+        }
+        if (product.sourceLink === undefined) {
+          product.sourceLink = product.phLink || null;
+        }
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Store category membership as a list',
+    up(data) {
+      for (const product of Object.values(data.products)) {
+        if (!Array.isArray(product.categories)) {
+          product.categories = product.category ? [product.category] : [];
+        } else if (product.category && !product.categories.includes(product.category)) {
+          product.categories.unshift(product.category);
+        }
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Store makers as a list',
+    up(data) {
+      for (const product of Object.values(data.products)) {
+        if (!Array.isArray(product.makers)) {
+          // Until enrichment finds the real makers, the RSS creator is the only one known
+          product.makers = product.makerName ? [{
+            name: product.makerName,
+            phProfileUrl: null,
+            headline: null,
+            linkedin: typeof product.linkedin === 'string' && product.linkedin.includes('linkedin.com/in/') ? product.linkedin : null
+          }] : [];
+        }
+        if (product.hunter === undefined) {
+          product.hunter = null;
+        }
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Store company LinkedIn pages in companyLinkedin',
+    up(data) {
+      for (const product of Object.values(data.products)) {
+        if (product.companyLinkedin !== undefined) continue;
+
+        // Product Hunt enrichment kept any LinkedIn link in `linkedin`; its own page is not the product's
+        const match = typeof product.linkedin === 'string' && product.linkedin.match(/linkedin\.com\/company\/([^/?#\s]+)/i);
+        const slug = match ? match[1].toLowerCase() : null;
+        product.companyLinkedin = slug && slug !== 'producthunt' ? `https://www.linkedin.com/company/${slug}` : null;
+        product.companyLinkedinSource = product.companyLinkedin ? 'producthunt' : null;
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Use the RSS vote count as phUpvotes until upvotes are scraped',
+    up(data) {
+      for (const product of Object.values(data.products)) {
+        // Migration 1 left phUpvotes at 0 for products only the RSS feed had counted.
+        // phVotes itself stays: it is the feed's count, recorded separately in metrics.
+        if (!product.phUpvotes && typeof product.phVotes === 'number' && product.phVotes > 0) {
+          product.phUpvotes = product.phVotes;
+        }
+      }
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Bring the data in a storage adapter up to CURRENT_SCHEMA_VERSION
+ * @param {StorageAdapter} adapter - Initialized storage adapter
+ * @returns {Promise<Object>} - { fromVersion, toVersion, applied } where applied is the number of migrations run
+ */
+async function runMigrations(adapter) {
+  const metadata = (await adapter.getItem('metadata')) || {};
+  const fromVersion = metadata.schemaVersion || 0;
+  const pending = migrations.filter(migration => migration.version > fromVersion);
+
+  if (pending.length === 0) {
+    return { fromVersion, toVersion: fromVersion, applied: 0 };
+  }
+
+  const data = await adapter.exportData();
+  for (const migration of pending) {
+    console.log(`Running schema migration ${migration.version}: ${migration.description}`);
+    migration.up(data);
+  }
+
+  data.metadata = {
+    ...data.metadata,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    migratedAt: new Date().toISOString()
+  };
+  await adapter.importData(data);
+
+  console.log(`Database schema migrated from version ${fromVersion} to ${CURRENT_SCHEMA_VERSION}`);
+  return { fromVersion, toVersion: CURRENT_SCHEMA_VERSION, applied: pending.length };
+}
+
+module.exports = {
+  migrations,
+  CURRENT_SCHEMA_VERSION,
+  runMigrations
+};
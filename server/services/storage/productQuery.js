@@ -0,0 +1,169 @@
+/**
+ * Parsing and in-memory evaluation of product list queries
+ * (filters, sort and offset pagination) shared by the storage adapters.
+ */
+
+const { inCategory } = require('../productCategories');
+
+const SORT_FIELDS = {
+  publishedAt: 'desc',
+  createdAt: 'desc',
+  phUpvotes: 'desc',
+  phDayRank: 'asc',
+  // Computed by trendingService rather than stored, so the adapters never sort on it
+  trendingScore: 'desc'
+};
+
+// Older clients send sort=upvotes
+const SORT_ALIASES = {
+  upvotes: 'phUpvotes',
+  trending: 'trendingScore'
+};
+
+const MAX_LIMIT = 200;
+
+// Product Hunt's own company page, which scraped product pages link to; not the maker's LinkedIn
+const PRODUCT_HUNT_LINKEDIN = 'https://www.linkedin.com/company/producthunt';
+
+const QUERY_PARAMS = ['category', 'status', 'source', 'topic', 'from', 'to', 'hasLinkedin', 'minUpvotes', 'sort', 'order', 'limit', 'offset'];
+
+function parseBoolean(value) {
+  if (value === undefined || value === '') return undefined;
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  return null;
+}
+
+function parseDate(value, endOfDay = false) {
+  if (!value) return undefined;
+  // A bare YYYY-MM-DD upper bound should include that whole day
+  const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseInteger(value) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Validate raw query-string parameters into a product query
+ * @param {Object} params - Raw parameters (e.g. req.query)
+ * @returns {Object} - { query, errors } where errors lists invalid parameters
+ */
+function parseProductQuery(params = {}) {
+  const errors = [];
+
+  // Repeated parameters (?category=a&category=b) arrive as arrays
+  const invalid = QUERY_PARAMS.filter(name => params[name] !== undefined && typeof params[name] !== 'string');
+  if (invalid.length > 0) {
+    return { query: null, errors: invalid.map(name => `${name} must be given once, as a single value`) };
+  }
+
+  const sort = (Object.hasOwn(SORT_ALIASES, params.sort) && SORT_ALIASES[params.sort]) || params.sort || 'publishedAt';
+
+  if (!Object.hasOwn(SORT_FIELDS, sort)) {
+    errors.push(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+
+  const order = params.order || (Object.hasOwn(SORT_FIELDS, sort) && SORT_FIELDS[sort]) || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    errors.push('order must be asc or desc');
+  }
+
+  const query = {
+    category: params.category || undefined,
+    status: params.status || undefined,
+    source: params.source || undefined,
+    topic: params.topic || undefined,
+    publishedFrom: parseDate(params.from),
+    publishedTo: parseDate(params.to, true),
+    hasLinkedin: parseBoolean(params.hasLinkedin),
+    minUpvotes: parseInteger(params.minUpvotes),
+    sort,
+    order,
+    limit: parseInteger(params.limit),
+    offset: parseInteger(params.offset) || 0
+  };
+
+  if (query.publishedFrom === null) errors.push('from must be a valid date');
+  if (query.publishedTo === null) errors.push('to must be a valid date');
+  if (query.hasLinkedin === null) errors.push('hasLinkedin must be true or false');
+  if (query.minUpvotes === null) errors.push('minUpvotes must be a non-negative integer');
+  if (query.limit === null || query.limit === 0) errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  if (parseInteger(params.offset) === null) errors.push('offset must be a non-negative integer');
+
+  if (query.limit > MAX_LIMIT) {
+    query.limit = MAX_LIMIT;
+  }
+
+  return { query, errors };
+}
+
+function hasLinkedin(product) {
+  return typeof product.linkedin === 'string' &&
+    product.linkedin.includes('linkedin.com') &&
+    product.linkedin !== PRODUCT_HUNT_LINKEDIN;
+}
+
+function matchesProductQuery(product, query) {
+  if (query.category && !inCategory(product, query.category)) return false;
+  if (query.status && product.status !== query.status) return false;
+  if (query.source && product.source !== query.source) return false;
+  if (query.publishedFrom && !(product.publishedAt >= query.publishedFrom)) return false;
+  if (query.publishedTo && !(product.publishedAt <= query.publishedTo)) return false;
+  if (query.hasLinkedin !== undefined && hasLinkedin(product) !== query.hasLinkedin) return false;
+  if (query.minUpvotes !== undefined && (product.phUpvotes || 0) < query.minUpvotes) return false;
+
+  if (query.topic) {
+    const topic = query.topic.toLowerCase();
+    if (!(product.phTopics || []).some(t => String(t).toLowerCase() === topic)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Compare two products for a sort field; missing values always sort last
+ */
+function compareProducts(a, b, sort, order) {
+  const valueA = a[sort] === undefined ? null : a[sort];
+  const valueB = b[sort] === undefined ? null : b[sort];
+
+  if (valueA !== valueB) {
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    const diff = valueA < valueB ? -1 : 1;
+    return order === 'asc' ? diff : -diff;
+  }
+
+  return new Date(b.publishedAt) - new Date(a.publishedAt);
+}
+
+/**
+ * Filter, sort and paginate an in-memory product list
+ * @param {Array} products - All products
+ * @param {Object} query - Parsed query from parseProductQuery
+ * @returns {Object} - { products, total }
+ */
+function applyProductQuery(products, query) {
+  const matches = products
+    .filter(product => matchesProductQuery(product, query))
+    .sort((a, b) => compareProducts(a, b, query.sort, query.order));
+
+  const end = query.limit ? query.offset + query.limit : undefined;
+
+  return {
+    products: matches.slice(query.offset, end),
+    total: matches.length
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  PRODUCT_HUNT_LINKEDIN,
+  parseProductQuery,
+  applyProductQuery
+};
@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storageAdapter');
+const { PRODUCT_HUNT_LINKEDIN } = require('./productQuery');
+
+// The category column holds the primary category; membership lives in data.categories
+const CATEGORY_CONDITION = "EXISTS (SELECT 1 FROM json_each(p.data, '$.categories') AS category WHERE category.value = ?)";
+
+/**
+ * Stores products and key/value entries in an embedded SQLite database.
+ * Products live in their own table with indexed lookup columns; the product
+ * list, metadata, cache, schedule, history, metrics and misc entries live in a key/value table.
+ */
+class SqliteAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super('sqlite');
+    this.dbPath = options.dbPath || path.join(process.cwd(), 'data', 'products.db');
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) return;
+
+    // Loaded lazily so the JSON backend works without the native module installed
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS products (
+        id TEXT PRIMARY KEY,
+        ph_link TEXT,
+        category TEXT,
+        status TEXT,
+        published_at TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_products_ph_link ON products (ph_link);
+      CREATE INDEX IF NOT EXISTS idx_products_category ON products (category);
+      CREATE INDEX IF NOT EXISTS idx_products_status ON products (status);
+
+      CREATE TABLE IF NOT EXISTS kv (
+        key TEXT PRIMARY KEY,
+        namespace TEXT NOT NULL,
+        value TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_kv_namespace ON kv (namespace);
+    `);
+
+    this.statements = {
+      getKv: this.db.prepare('SELECT value FROM kv WHERE key = ?'),
+      setKv: this.db.prepare(`
+        INSERT INTO kv (key, namespace, value) VALUES (@key, @namespace, @value)
+        ON CONFLICT(key) DO UPDATE SET namespace = excluded.namespace, value = excluded.value
+      `),
+      deleteKv: this.db.prepare('DELETE FROM kv WHERE key = ?'),
+      keysInNamespace: this.db.prepare('SELECT key FROM kv WHERE namespace = ?'),
+      getProduct: this.db.prepare('SELECT data FROM products WHERE id = ?'),
+      setProduct: this.db.prepare(`
+        INSERT INTO products (id, ph_link, category, status, published_at, data)
+        VALUES (@id, @ph_link, @category, @status, @published_at, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          ph_link = excluded.ph_link,
+          category = excluded.category,
+          status = excluded.status,
+          published_at = excluded.published_at,
+          data = excluded.data
+      `),
+      deleteProduct: this.db.prepare('DELETE FROM products WHERE id = ?'),
+      countProducts: this.db.prepare('SELECT COUNT(*) AS count FROM products'),
+      findByLink: this.db.prepare('SELECT data FROM products WHERE ph_link = ? LIMIT 1'),
+      findBySourceLink: this.db.prepare(`
+        SELECT data FROM products
+        WHERE json_extract(data, '$.source') = ? AND json_extract(data, '$.sourceLink') = ?
+        LIMIT 1
+      `),
+      // Records merged into a product keep their links in mergedFrom
+      findMergedByLink: this.db.prepare(`
+        SELECT p.data FROM products AS p, json_each(p.data, '$.mergedFrom') AS merged
+        WHERE json_extract(merged.value, '$.phLink') = ?
+        LIMIT 1
+      `),
+      findMergedBySourceLink: this.db.prepare(`
+        SELECT p.data FROM products AS p, json_each(p.data, '$.mergedFrom') AS merged
+        WHERE json_extract(merged.value, '$.source') = ? AND json_extract(merged.value, '$.sourceLink') = ?
+        LIMIT 1
+      `)
+    };
+
+    if (!this.readKv('metadata')) {
+      this.writeKv('metadata', { lastUpdated: null, totalCount: 0 });
+    }
+
+    console.log(`Initialized SQLite database at ${this.dbPath}`);
+  }
+
+  readKv(key) {
+    const row = this.statements.getKv.get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  writeKv(key, value) {
+    this.statements.setKv.run({
+      key,
+      namespace: StorageAdapter.getNamespace(key),
+      value: JSON.stringify(value)
+    });
+  }
+
+  writeProduct(id, product) {
+    this.statements.setProduct.run({
+      id,
+      ph_link: StorageAdapter.normalizeLink(product.phLink) || null,
+      category: product.category || null,
+      status: product.status || null,
+      published_at: product.publishedAt || null,
+      data: JSON.stringify(product)
+    });
+  }
+
+  touchMetadata() {
+    const metadata = this.readKv('metadata') || {};
+    metadata.totalCount = this.statements.countProducts.get().count;
+    metadata.lastUpdated = new Date().toISOString();
+    this.writeKv('metadata', metadata);
+  }
+
+  async getItem(key) {
+    await this.init();
+
+    switch (StorageAdapter.getNamespace(key)) {
+      case 'productList':
+        return this.readKv(key) || [];
+      case 'product': {
+        const row = this.statements.getProduct.get(key.replace('product:', ''));
+        return row ? JSON.parse(row.data) : null;
+      }
+      default:
+        return this.readKv(key);
+    }
+  }
+
+  async setItem(key, value) {
+    await this.init();
+
+    if (StorageAdapter.getNamespace(key) === 'product') {
+      this.db.transaction(() => {
+        this.writeProduct(key.replace('product:', ''), value);
+        this.touchMetadata();
+      })();
+    } else {
+      this.writeKv(key, value);
+    }
+
+    return true;
+  }
+
+  async deleteItem(key) {
+    await this.init();
+
+    switch (StorageAdapter.getNamespace(key)) {
+      case 'productList':
+        this.writeKv(key, []);
+        break;
+      case 'product': {
+        const productId = key.replace('product:', '');
+        this.db.transaction(() => {
+          this.statements.deleteProduct.run(productId);
+          const list = this.readKv('product:list') || [];
+          this.writeKv('product:list', list.filter(id => id !== productId));
+          this.touchMetadata();
+        })();
+        break;
+      }
+      case 'metadata':
+        this.writeKv(key, { lastUpdated: null, totalCount: 0 });
+        break;
+      default:
+        this.statements.deleteKv.run(key);
+    }
+
+    return true;
+  }
+
+  async getKeysByPattern(pattern) {
+    await this.init();
+    const namespace = StorageAdapter.getNamespace(pattern);
+
+    if (namespace === 'product') {
+      const list = this.readKv('product:list') || [];
+      return list
+        .map(id => `product:${id}`)
+        .filter(key => StorageAdapter.matchPattern(key, pattern));
+    }
+
+    if (namespace === 'productList' || namespace === 'metadata') {
+      return [pattern];
+    }
+
+    return this.statements.keysInNamespace
+      .all(namespace)
+      .map(row => row.key)
+      .filter(key => StorageAdapter.matchPattern(key, pattern));
+  }
+
+  async getAllProducts() {
+    return this.findProducts();
+  }
+
+  async findProducts(filter = {}) {
+    await this.init();
+
+    const columns = { status: 'status', publishedAt: 'published_at' };
+    const conditions = [];
+    const params = [];
+
+    for (const [field, value] of Object.entries(filter)) {
+      if (value === undefined) continue;
+      if (field === 'category') {
+        conditions.push(CATEGORY_CONDITION);
+      } else if (columns[field]) {
+        conditions.push(`p.${columns[field]} = ?`);
+      } else {
+        conditions.push(`json_extract(p.data, '$.' || ?) = ?`);
+        params.push(field);
+      }
+      params.push(typeof value === 'boolean' ? Number(value) : value);
+    }
+
+    const rows = this.db.prepare(`
+      SELECT p.data FROM kv, json_each(kv.value) AS list
+      JOIN products AS p ON p.id = list.value
+      WHERE kv.key = 'product:list'${conditions.length > 0 ? ` AND ${conditions.join(' AND ')}` : ''}
+      ORDER BY list.key
+    `).all(...params);
+
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async queryProducts(query) {
+    await this.init();
+
+    const conditions = [];
+    const params = [];
+
+    if (query.category) {
+      conditions.push(CATEGORY_CONDITION);
+      params.push(query.category);
+    }
+    if (query.status) {
+      conditions.push('p.status = ?');
+      params.push(query.status);
+    }
+    if (query.source) {
+      conditions.push("json_extract(p.data, '$.source') = ?");
+      params.push(query.source);
+    }
+    if (query.publishedFrom) {
+      conditions.push('p.published_at >= ?');
+      params.push(query.publishedFrom);
+    }
+    if (query.publishedTo) {
+      conditions.push('p.published_at <= ?');
+      params.push(query.publishedTo);
+    }
+    if (query.hasLinkedin !== undefined) {
+      conditions.push(`${query.hasLinkedin ? '' : 'NOT '}COALESCE(instr(json_extract(p.data, '$.linkedin'), 'linkedin.com') > 0 AND json_extract(p.data, '$.linkedin') != ?, 0)`);
+      params.push(PRODUCT_HUNT_LINKEDIN);
+    }
+    if (query.minUpvotes !== undefined) {
+      conditions.push("COALESCE(json_extract(p.data, '$.phUpvotes'), 0) >= ?");
+      params.push(query.minUpvotes);
+    }
+    if (query.topic) {
+      conditions.push("EXISTS (SELECT 1 FROM json_each(p.data, '$.phTopics') AS topic WHERE lower(topic.value) = lower(?))");
+      params.push(query.topic);
+    }
+
+    const sortColumn = query.sort === 'publishedAt' ? 'p.published_at' : `json_extract(p.data, '$.${query.sort}')`;
+    const from = `
+      FROM kv, json_each(kv.value) AS list
+      JOIN products AS p ON p.id = list.value
+      WHERE kv.key = 'product:list'${conditions.length > 0 ? ` AND ${conditions.join(' AND ')}` : ''}
+    `;
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total ${from}`).get(...params);
+    const rows = this.db.prepare(`
+      SELECT p.data ${from}
+      ORDER BY ${sortColumn} IS NULL, ${sortColumn} ${query.order === 'asc' ? 'ASC' : 'DESC'}, p.published_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, query.limit || -1, query.offset);
+
+    return {
+      products: rows.map(row => JSON.parse(row.data)),
+      total
+    };
+  }
+
+  async findProductByLink(phLink) {
+    await this.init();
+    const normalizedLink = StorageAdapter.normalizeLink(phLink);
+    const row = this.statements.findByLink.get(normalizedLink) || this.statements.findMergedByLink.get(normalizedLink);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findProductBySourceLink(source, sourceLink) {
+    await this.init();
+    const row = this.statements.findBySourceLink.get(source, sourceLink) ||
+      this.statements.findMergedBySourceLink.get(source, sourceLink);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async exportData() {
+    await this.init();
+
+    const data = {
+      products: {},
+      productList: this.readKv('product:list') || [],
+      metadata: this.readKv('metadata') || { lastUpdated: null, totalCount: 0 }
+    };
+
+    for (const section of StorageAdapter.KV_SECTIONS) {
+      data[section] = {};
+    }
+
+    for (const row of this.db.prepare('SELECT id, data FROM products').all()) {
+      data.products[row.id] = JSON.parse(row.data);
+    }
+
+    const placeholders = StorageAdapter.KV_SECTIONS.map(() => '?').join(', ');
+    for (const row of this.db.prepare(`SELECT key, namespace, value FROM kv WHERE namespace IN (${placeholders})`).all(...StorageAdapter.KV_SECTIONS)) {
+      data[row.namespace][row.key] = JSON.parse(row.value);
+    }
+
+    return data;
+  }
+
+  async importData(data) {
+    await this.init();
+
+    this.db.transaction(() => {
+      this.db.exec('DELETE FROM products; DELETE FROM kv;');
+
+      for (const [id, product] of Object.entries(data.products || {})) {
+        this.writeProduct(id, product);
+      }
+
+      this.writeKv('product:list', data.productList || []);
+      this.writeKv('metadata', data.metadata || { lastUpdated: null, totalCount: 0 });
+
+      for (const section of StorageAdapter.KV_SECTIONS) {
+        for (const [key, value] of Object.entries(data[section] || {})) {
+          this.statements.setKv.run({ key, namespace: section, value: JSON.stringify(value) });
+        }
+      }
+    })();
+  }
+}
+
+module.exports = SqliteAdapter;
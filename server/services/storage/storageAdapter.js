@@ -0,0 +1,186 @@
+const { applyProductQuery } = require('./productQuery');
+const { inCategory } = require('../productCategories');
+
+/**
+ * Base class for dbService storage backends.
+ *
+ * Keys follow the same layout as the original products.json file:
+ * - `product:list`   ordered array of product IDs
+ * - `product:<id>`   a product record
+ * - `metadata`       { lastUpdated, totalCount }
+ * - `linkedin_cache:*` / `ph_enrichment_cache:*`  cache entries
+ * - `schedule:*`     cron job run records
+ * - `history:<id>`   a product's change history
+ * - `metrics:<id>`   a product's upvote and rank snapshots
+ * - anything else    misc entries
+ */
+class StorageAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Resolve which section of the database a key belongs to
+   * @param {string} key - Storage key
+   * @returns {string} - One of productList, product, metadata, cache, schedule, history, metrics, misc
+   */
+  static getNamespace(key) {
+    if (key === 'product:list') return 'productList';
+    if (key.startsWith('product:')) return 'product';
+    if (key === 'metadata') return 'metadata';
+    if (key.startsWith('linkedin_cache:') || key.startsWith('ph_enrichment_cache:')) return 'cache';
+    if (key.startsWith('schedule:')) return 'schedule';
+    if (key.startsWith('history:')) return 'history';
+    if (key.startsWith('metrics:')) return 'metrics';
+    return 'misc';
+  }
+
+  /**
+   * Check whether a key matches a glob-style pattern (only `*` is supported)
+   * @param {string} key - Key to test
+   * @param {string} pattern - Pattern such as `linkedin_cache:*`
+   * @returns {boolean}
+   */
+  static matchPattern(key, pattern) {
+    if (!pattern.includes('*')) {
+      return key === pattern;
+    }
+
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp('^' + escaped.replace(/\*/g, '.*') + '$');
+    return regex.test(key);
+  }
+
+  /**
+   * Normalize a Product Hunt link so the same product always maps to one key
+   * @param {string} link - Product Hunt URL
+   * @returns {string} - Origin and path without trailing slash
+   */
+  static normalizeLink(link) {
+    if (!link) return '';
+
+    try {
+      const url = new URL(link);
+      return url.origin + url.pathname.replace(/\/$/, '');
+    } catch (error) {
+      return link;
+    }
+  }
+
+  async init() {
+    throw new Error(`${this.name} adapter does not implement init()`);
+  }
+
+  async getItem(key) {
+    throw new Error(`${this.name} adapter does not implement getItem()`);
+  }
+
+  async setItem(key, value) {
+    throw new Error(`${this.name} adapter does not implement setItem()`);
+  }
+
+  async deleteItem(key) {
+    throw new Error(`${this.name} adapter does not implement deleteItem()`);
+  }
+
+  async getKeysByPattern(pattern) {
+    throw new Error(`${this.name} adapter does not implement getKeysByPattern()`);
+  }
+
+  /**
+   * Get several keys in one call; adapters that read a whole file per call
+   * override this to read it once
+   * @param {Array<string>} keys - Keys to read
+   * @returns {Promise<Array>} - Values in key order, null for missing keys
+   */
+  async getItems(keys) {
+    const values = [];
+    for (const key of keys) {
+      values.push(await this.getItem(key));
+    }
+    return values;
+  }
+
+  /**
+   * Get every listed product in one call
+   * @returns {Promise<Array>} - Product records in product list order
+   */
+  async getAllProducts() {
+    throw new Error(`${this.name} adapter does not implement getAllProducts()`);
+  }
+
+  /**
+   * Get products matching simple equality filters; `category` matches any
+   * category the product belongs to
+   * @param {Object} filter - e.g. { category: 'saas', status: 'pending' }
+   * @returns {Promise<Array>} - Matching product records
+   */
+  async findProducts(filter = {}) {
+    const products = await this.getAllProducts();
+    return products.filter(product =>
+      Object.entries(filter).every(([field, value]) => {
+        if (value === undefined) return true;
+        return field === 'category' ? inCategory(product, value) : product[field] === value;
+      })
+    );
+  }
+
+  /**
+   * Filter, sort and paginate products
+   * @param {Object} query - Parsed query from productQuery.parseProductQuery
+   * @returns {Promise<Object>} - { products, total }
+   */
+  async queryProducts(query) {
+    return applyProductQuery(await this.getAllProducts(), query);
+  }
+
+  /**
+   * Find a product by its Product Hunt link, including links of records merged into it
+   * @param {string} phLink - Product Hunt URL (normalized before comparison)
+   * @returns {Promise<Object|null>} - Product record or null
+   */
+  async findProductByLink(phLink) {
+    const normalizedLink = StorageAdapter.normalizeLink(phLink);
+    const products = await this.getAllProducts();
+    return products.find(product =>
+      StorageAdapter.normalizeLink(product.phLink) === normalizedLink ||
+      (product.mergedFrom || []).some(merged => StorageAdapter.normalizeLink(merged.phLink) === normalizedLink)
+    ) || null;
+  }
+
+  /**
+   * Find a product by the item link of a non-Product Hunt source
+   * @param {string} source - Source id
+   * @param {string} sourceLink - Item link as normalized by the source
+   * @returns {Promise<Object|null>} - Product record or null
+   */
+  async findProductBySourceLink(source, sourceLink) {
+    const products = await this.getAllProducts();
+    return products.find(product =>
+      (product.source === source && product.sourceLink === sourceLink) ||
+      (product.mergedFrom || []).some(merged => merged.source === source && merged.sourceLink === sourceLink)
+    ) || null;
+  }
+
+  /**
+   * Dump the whole database in the products.json layout
+   * @returns {Promise<Object>} - { products, productList, metadata, cache, schedule, history, metrics, misc }
+   */
+  async exportData() {
+    throw new Error(`${this.name} adapter does not implement exportData()`);
+  }
+
+  /**
+   * Replace the whole database with data in the products.json layout
+   * @param {Object} data - { products, productList, metadata, cache, schedule, history, metrics, misc }
+   * @returns {Promise<void>}
+   */
+  async importData(data) {
+    throw new Error(`${this.name} adapter does not implement importData()`);
+  }
+}
+
+// Sections stored as plain key/value maps in the products.json layout
+StorageAdapter.KV_SECTIONS = ['cache', 'schedule', 'history', 'metrics', 'misc'];
+
+module.exports = StorageAdapter;
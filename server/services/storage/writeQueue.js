@@ -0,0 +1,29 @@
+/**
+ * Serialises async tasks so read-modify-write cycles never interleave.
+ * Tasks run one at a time in the order they were queued; a failing task
+ * rejects its own caller without blocking the ones queued after it.
+ */
+class WriteQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+    this.pending = 0;
+  }
+
+  /**
+   * Queue a task and wait for it to finish
+   * @param {Function} task - Async function to run exclusively
+   * @returns {Promise<*>} - The task's result
+   */
+  run(task) {
+    this.pending++;
+    const result = this.tail.then(() => task());
+    this.tail = result
+      .catch(() => {})
+      .finally(() => {
+        this.pending--;
+      });
+    return result;
+  }
+}
+
+module.exports = WriteQueue;
@@ -0,0 +1,135 @@
+const dbService = require('./dbService');
+const { applyProductQuery } = require('./storage/productQuery');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Velocity is measured over a product's first WINDOW_HOURS after launch
+const WINDOW_HOURS = parseFloat(process.env.TRENDING_WINDOW_HOURS || '24');
+// Only launches this recent are scored; older products have no trending score
+const LOOKBACK_DAYS = parseFloat(process.env.TRENDING_LOOKBACK_DAYS || '7');
+// A category with fewer scored launches than this is compared against all recent launches
+const MIN_PEERS = 3;
+// Floor for the peer baseline so a quiet category does not inflate every score
+const MIN_BASELINE = 1;
+// Scores are recomputed at least this often, since launches age out of the lookback without any write
+const SCORES_MAX_AGE_MS = HOUR_MS;
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Scores recent launches by how fast they gather upvotes. A product's
+ * velocity is upvotes per hour over its first WINDOW_HOURS, and its trending
+ * score is that velocity divided by the median velocity of recent launches in
+ * the same primary category: 1 is a typical pace, 3 is three times faster.
+ *
+ * Scores are computed for every recent product at once and cached until the
+ * next product write, like the search index, or for at most an hour.
+ */
+class TrendingService {
+  constructor() {
+    this.scores = null;
+    this.scoresRevision = null;
+    this.scoresComputedAt = 0;
+  }
+
+  /**
+   * Upvotes per hour since launch at the latest reading inside the window.
+   * Readings are the product's snapshots plus its stored upvote count.
+   * @param {Object} product - Product
+   * @param {Array} snapshots - Its metrics snapshots
+   * @returns {number|null} - Velocity, or null without a reading in the window
+   */
+  getVelocity(product, snapshots) {
+    const launchedAt = new Date(product.publishedAt || product.createdAt).getTime();
+    if (isNaN(launchedAt)) return null;
+
+    const readings = snapshots.map(snapshot => ({ time: new Date(snapshot.timestamp).getTime(), upvotes: snapshot.phUpvotes }));
+    if (product.phUpvotesFetchedAt) {
+      readings.push({ time: new Date(product.phUpvotesFetchedAt).getTime(), upvotes: product.phUpvotes });
+    }
+
+    const windowEnd = launchedAt + WINDOW_HOURS * HOUR_MS;
+    const latest = readings
+      .filter(reading => typeof reading.upvotes === 'number' && reading.time >= launchedAt && reading.time <= windowEnd)
+      .reduce((best, reading) => (!best || reading.time > best.time ? reading : best), null);
+    if (!latest) return null;
+
+    // At least an hour, so a reading taken minutes after launch does not explode
+    const hours = Math.max((latest.time - launchedAt) / HOUR_MS, 1);
+    return latest.upvotes / hours;
+  }
+
+  /**
+   * Trending scores of recent launches, recomputed when products change or
+   * the cached scores are over an hour old
+   * @returns {Promise<Map>} - product ID -> { trendingScore, upvotesPerHour }
+   */
+  async getScores() {
+    const revision = dbService.productRevision;
+    if (this.scores && this.scoresRevision === revision && Date.now() - this.scoresComputedAt < SCORES_MAX_AGE_MS) {
+      return this.scores;
+    }
+
+    const computedAt = Date.now();
+    const cutoff = computedAt - LOOKBACK_DAYS * 24 * HOUR_MS;
+    const recent = (await dbService.getAllProducts()).filter(product =>
+      new Date(product.publishedAt || product.createdAt).getTime() >= cutoff
+    );
+    const metrics = await dbService.getMetricsForProducts(recent.map(product => product.id));
+
+    const measured = [];
+    for (const product of recent) {
+      const velocity = this.getVelocity(product, metrics.get(product.id) || []);
+      if (velocity !== null) {
+        measured.push({ product, velocity });
+      }
+    }
+
+    const byCategory = new Map();
+    for (const { product, velocity } of measured) {
+      const category = product.category || 'uncategorized';
+      if (!byCategory.has(category)) byCategory.set(category, []);
+      byCategory.get(category).push(velocity);
+    }
+    const overall = measured.length > 0 ? median(measured.map(entry => entry.velocity)) : 0;
+
+    const scores = new Map();
+    for (const { product, velocity } of measured) {
+      const peers = byCategory.get(product.category || 'uncategorized');
+      const baseline = Math.max(peers.length >= MIN_PEERS ? median(peers) : overall, MIN_BASELINE);
+      scores.set(product.id, {
+        trendingScore: round(velocity / baseline),
+        upvotesPerHour: round(velocity)
+      });
+    }
+
+    this.scores = scores;
+    this.scoresRevision = revision;
+    this.scoresComputedAt = computedAt;
+    return scores;
+  }
+
+  /**
+   * Run a product query sorted by trending score. Each product carries its
+   * trendingScore and upvotesPerHour; unscored products sort last.
+   * @param {Object} query - Parsed query from parseProductQuery
+   * @returns {Promise<Object>} - { products, total }
+   */
+  async queryProducts(query) {
+    const scores = await this.getScores();
+    const products = (await dbService.getAllProducts()).map(product =>
+      scores.has(product.id) ? { ...product, ...scores.get(product.id) } : product
+    );
+    return applyProductQuery(products, query);
+  }
+}
+
+module.exports = new TrendingService();
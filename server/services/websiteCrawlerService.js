@@ -0,0 +1,434 @@
+const cheerio = require('cheerio');
+const dbService = require('./dbService');
+const fixtureService = require('./fixtureService');
+const enrichmentQueue = require('./enrichmentQueue');
+const { publicAgent } = require('./publicHosts');
+const techSignatures = require('../config/techSignatures');
+
+// Pages crawled besides the homepage. A page linked from the homepage is
+// preferred; otherwise the first path is tried.
+const PAGES = {
+  about: { paths: ['/about', '/about-us', '/company'], text: /^about( us)?$/i },
+  team: { paths: ['/team', '/our-team', '/about/team', '/people'], text: /^(our |the |meet the )?team$/i },
+  pricing: { paths: ['/pricing', '/plans'], text: /^(pricing|plans)$/i },
+  careers: { paths: ['/careers', '/jobs', '/join-us'], text: /^(careers|jobs|we're hiring|join us)$/i },
+};
+
+// Areas that hold team member cards, and the plan cards on pricing pages
+const TEAM_AREAS = '[class*="team"], [class*="member"], [class*="founder"], [class*="people"], [class*="person"]';
+const PRICING_CARDS = '[class*="plan"], [class*="tier"], [class*="pricing-card"], [class*="price-card"], [class*="package"]';
+
+const PERSON_NAME = /^\p{Lu}[\p{L}'’-]+(?: \p{Lu}[\p{L}'’.-]*){1,3}$/u;
+// Headings in team areas that look like names but are not
+const NOT_A_NAME = /\b(team|our|meet|the|about|join|founders?|people|careers|us|story|mission|values)\b/i;
+const PRICE = /[$€£]\s?\d[\d,]*(?:\.\d{1,2})?(?:\s*(?:\/|per)\s*(?:mo|month|yr|year|user|seat)\b)?|\bfree\b|\bcontact (?:us|sales)\b|\bcustom\b/i;
+const CONTACT_LINK = /contact|support|get-in-touch|talk-to-sales/i;
+
+const SOCIAL_PATTERNS = {
+  twitter: /^https?:\/\/(www\.)?(twitter|x)\.com\/(?!intent|share|home)[A-Za-z0-9_]+\/?$/i,
+  linkedin: /^https?:\/\/([a-z]+\.)?linkedin\.com\/(company|in|school)\/[^/?#]+/i,
+  github: /^https?:\/\/(www\.)?github\.com\/[^/?#]+\/?$/i,
+  facebook: /^https?:\/\/(www\.)?facebook\.com\/(?!sharer)[^/?#]+/i,
+  instagram: /^https?:\/\/(www\.)?instagram\.com\/[^/?#]+/i,
+  youtube: /^https?:\/\/(www\.)?youtube\.com\/(@|c\/|channel\/|user\/)[^/?#]+/i,
+  discord: /^https?:\/\/(www\.)?(discord\.gg|discord\.com\/invite)\/[^/?#]+/i,
+  tiktok: /^https?:\/\/(www\.)?tiktok\.com\/@[^/?#]+/i,
+};
+
+const MAX_TEAM = 25;
+const MAX_PRICING_TIERS = 8;
+const MAX_CONTACT = 5;
+
+const WEBSITE_TIMEOUT_MS = 10000;
+// Pages larger than this are not read
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+// Website data older than this is crawled again
+const MAX_AGE_DAYS = parseFloat(process.env.WEBSITE_DATA_MAX_AGE_DAYS || '30');
+// A failed crawl is retried after this many hours
+const RETRY_HOURS = parseFloat(process.env.WEBSITE_CRAWL_RETRY_HOURS || '6');
+// Products crawled per run of the job
+const BATCH_SIZE = parseInt(process.env.WEBSITE_CRAWL_BATCH_SIZE || '25');
+
+const CRAWLED_STATUSES = ['approved', 'pending'];
+
+const cleanText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// Text of an element with its text nodes spaced apart, so "<h3>Pro</h3><p>Free</p>" reads "Pro Free"
+const spacedText = ($, element) => cleanText($(element).find('*').addBack().contents().toArray()
+  .filter(node => node.type === 'text')
+  .map(node => node.data)
+  .join(' '));
+
+/**
+ * Crawls a product's company website - the homepage plus its about, team,
+ * pricing and careers pages - and stores what it finds as `websiteData`
+ * with `websiteCrawledAt` and `websiteCrawlError`:
+ *
+ *   {
+ *     pages:        { home, about, team, pricing, careers } - URLs read, null when missing
+ *     team:         [{ name, role }]
+ *     pricing:      [{ name, price }]
+ *     contactPages: [url]
+ *     emails:       [address]
+ *     socialLinks:  { twitter, linkedin, github, ... }
+ *     techStack:    [{ name, category }] - from config/techSignatures.js
+ *   }
+ *
+ * A failed crawl keeps the earlier data and crawl time, sets
+ * `websiteCrawlErrorAt` and is retried after WEBSITE_CRAWL_RETRY_HOURS.
+ *
+ * Requests share the 'website' rate limit with company LinkedIn discovery
+ * and go through fixtureService, so crawls can be recorded and replayed.
+ */
+class WebsiteCrawlerService {
+  /**
+   * Crawl and store website data for one product. Throws with code
+   * STORAGE_ERROR when the result cannot be saved.
+   * @param {Object} product - Product with a companyWebsite
+   * @param {Object} context - History context ({ actor, source })
+   * @returns {Promise<Object>} - Updated product
+   */
+  async crawlProduct(product, context = {}) {
+    if (!product.companyWebsite) {
+      throw new Error(`No company website for ${product.name}`);
+    }
+
+    let websiteData;
+    try {
+      websiteData = await this.crawl(product.companyWebsite);
+      console.log(`Crawled ${product.companyWebsite} for ${product.name}: ${Object.values(websiteData.pages).filter(Boolean).length} pages`);
+    } catch (error) {
+      console.error(`Error crawling website of ${product.name}:`, error.message);
+      await dbService.updateWebsiteData(product.id, { error: error.message }, { source: 'website-crawler', ...context });
+      throw error;
+    }
+
+    const updated = await dbService.updateWebsiteData(product.id, { websiteData }, { source: 'website-crawler', ...context });
+    if (!updated) {
+      const error = new Error(`Could not save website data for ${product.name}`);
+      error.code = 'STORAGE_ERROR';
+      throw error;
+    }
+    return updated;
+  }
+
+  /**
+   * Crawl a website. Fails only when the homepage cannot be read.
+   * @param {string} websiteUrl - Company homepage
+   * @returns {Promise<Object>} - websiteData
+   */
+  async crawl(websiteUrl) {
+    const home = await this.fetchPage(websiteUrl);
+    if (!home) {
+      throw new Error(`Homepage could not be read: ${websiteUrl}`);
+    }
+
+    const crawled = { home };
+    const fetched = new Map([[home.url, home]]);
+    for (const [type, page] of Object.entries(PAGES)) {
+      const url = this.findPageUrl(home, page);
+      if (!fetched.has(url)) fetched.set(url, await this.fetchPage(url));
+      const result = fetched.get(url);
+      // Sites often redirect unknown paths to the homepage
+      crawled[type] = result && result.url !== home.url ? result : null;
+    }
+    const pages = Object.values(crawled).filter(Boolean);
+
+    return {
+      pages: Object.fromEntries(Object.entries(crawled).map(([type, page]) => [type, page ? page.url : null])),
+      team: this.extractTeam([crawled.team, crawled.about].filter(Boolean)),
+      pricing: crawled.pricing ? this.extractPricing(crawled.pricing) : [],
+      ...this.extractContact(pages),
+      socialLinks: this.extractSocialLinks(pages),
+      techStack: this.detectTechStack(pages),
+    };
+  }
+
+  /**
+   * Fetch and parse one page. Missing pages, errors and non-HTML responses
+   * return null; URLs or redirects to non-public hosts throw UNSAFE_URL.
+   * @param {string} url
+   * @returns {Promise<Object|null>} - { url, html, $ } with the final URL after redirects
+   */
+  async fetchPage(url) {
+    try {
+      const response = await enrichmentQueue.throttle('website', () => fixtureService.fetch(url, {
+        agent: publicAgent,
+        timeout: WEBSITE_TIMEOUT_MS,
+        size: MAX_PAGE_BYTES,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          'Accept-Language': 'en-US,en;q=0.9'
+        }
+      }));
+      if (!response.ok) {
+        if (response.status !== 404) console.error(`Error fetching ${url}: HTTP ${response.status}`);
+        return null;
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType && !contentType.includes('html')) return null;
+
+      const html = await response.text();
+      return { url: response.url || url, html, $: cheerio.load(html) };
+    } catch (error) {
+      // A site pointing at internal addresses fails the whole crawl
+      if (error.code === 'UNSAFE_URL') throw error;
+      console.error(`Error fetching ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * URL of a page on the same site: a homepage link whose path or text
+   * matches the page, or else the page's first well-known path
+   * @param {Object} home - Homepage from fetchPage()
+   * @param {Object} page - Entry of PAGES
+   * @returns {string|null}
+   */
+  findPageUrl(home, page) {
+    const origin = new URL(home.url).origin;
+    let found = null;
+
+    home.$('a[href]').each((i, link) => {
+      const url = this.resolveUrl(home.$(link).attr('href'), home.url);
+      if (!url || new URL(url).origin !== origin) return;
+
+      const path = new URL(url).pathname.replace(/\/$/, '').toLowerCase();
+      if (page.paths.includes(path) || page.text.test(cleanText(home.$(link).text()))) {
+        found = url;
+        return false;
+      }
+    });
+
+    return found || `${origin}${page.paths[0]}`;
+  }
+
+  /**
+   * Absolute http(s) URL without its fragment
+   * @returns {string|null}
+   */
+  resolveUrl(href, baseUrl) {
+    try {
+      const url = new URL(href, baseUrl);
+      if (!['http:', 'https:'].includes(url.protocol)) return null;
+      url.hash = '';
+      return url.toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Team members from schema.org Person data and from name headings in
+   * team areas of the team and about pages
+   * @param {Array<Object>} pages - Pages from fetchPage()
+   * @returns {Array<Object>} - [{ name, role }]
+   */
+  extractTeam(pages) {
+    const members = new Map();
+    const add = (name, role) => {
+      const cleanName = cleanText(name);
+      const key = cleanName.toLowerCase();
+      if (!PERSON_NAME.test(cleanName) || NOT_A_NAME.test(cleanName) || members.has(key) || members.size >= MAX_TEAM) return;
+      members.set(key, { name: cleanName, role: cleanText(role).slice(0, 100) || null });
+    };
+
+    for (const page of pages) {
+      for (const person of this.getStructuredData(page, 'Person')) {
+        add(person.name, person.jobTitle);
+      }
+
+      const { $ } = page;
+      $(TEAM_AREAS).find('h2, h3, h4, h5, strong').each((i, heading) => {
+        const role = $(heading).nextAll('p, span, div').first().text();
+        add($(heading).text(), role);
+      });
+    }
+    return [...members.values()];
+  }
+
+  /**
+   * Objects of a schema.org type from a page's JSON-LD, including founders
+   * and employees nested in Organization data
+   * @returns {Array<Object>}
+   */
+  getStructuredData(page, type) {
+    const found = [];
+    const visit = (value) => {
+      if (Array.isArray(value)) return value.forEach(visit);
+      if (!value || typeof value !== 'object') return;
+      if (value['@type'] === type) found.push(value);
+      ['@graph', 'founder', 'founders', 'employee', 'employees', 'member'].forEach(key => visit(value[key]));
+    };
+
+    page.$('script[type="application/ld+json"]').each((i, script) => {
+      try {
+        visit(JSON.parse(page.$(script).contents().text()));
+      } catch (error) {
+        // Invalid JSON-LD; ignore it
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Plans on a pricing page: cards with a heading and a price, skipping
+   * wrappers that contain other cards
+   * @param {Object} page - Pricing page from fetchPage()
+   * @returns {Array<Object>} - [{ name, price }]
+   */
+  extractPricing(page) {
+    const { $ } = page;
+    const tiers = new Map();
+
+    $(PRICING_CARDS).each((i, card) => {
+      if (tiers.size >= MAX_PRICING_TIERS || $(card).find(PRICING_CARDS).length > 0) return;
+
+      const name = cleanText($(card).find('h2, h3, h4').first().text());
+      const price = spacedText($, card).match(PRICE);
+      if (name && name.length <= 50 && price && !tiers.has(name.toLowerCase())) {
+        tiers.set(name.toLowerCase(), { name, price: price[0] });
+      }
+    });
+    return [...tiers.values()];
+  }
+
+  /**
+   * Contact and support pages on the same site, and mailto addresses
+   * @param {Array<Object>} pages - Pages from fetchPage()
+   * @returns {Object} - { contactPages, emails }
+   */
+  extractContact(pages) {
+    const contactPages = new Set();
+    const emails = new Set();
+    const origin = new URL(pages[0].url).origin;
+
+    for (const { $, url: pageUrl } of pages) {
+      $('a[href]').each((i, link) => {
+        const href = $(link).attr('href').trim();
+        if (href.toLowerCase().startsWith('mailto:')) {
+          const email = href.slice(7).split('?')[0].trim().toLowerCase();
+          if (email.includes('@') && emails.size < MAX_CONTACT) emails.add(email);
+          return;
+        }
+
+        const url = this.resolveUrl(href, pageUrl);
+        if (!url || new URL(url).origin !== origin || contactPages.size >= MAX_CONTACT) return;
+        if (CONTACT_LINK.test(new URL(url).pathname) || CONTACT_LINK.test(cleanText($(link).text()))) {
+          contactPages.add(url);
+        }
+      });
+    }
+    return { contactPages: [...contactPages], emails: [...emails] };
+  }
+
+  /**
+   * First link to each social network found on the pages
+   * @param {Array<Object>} pages - Pages from fetchPage()
+   * @returns {Object} - { twitter, linkedin, ... } for the networks found
+   */
+  extractSocialLinks(pages) {
+    const socialLinks = {};
+    for (const { $, url: pageUrl } of pages) {
+      $('a[href]').each((i, link) => {
+        const url = this.resolveUrl($(link).attr('href'), pageUrl);
+        if (!url) return;
+        for (const [network, pattern] of Object.entries(SOCIAL_PATTERNS)) {
+          if (!socialLinks[network] && pattern.test(url)) socialLinks[network] = url;
+        }
+      });
+    }
+    return socialLinks;
+  }
+
+  /**
+   * Technologies from config/techSignatures.js whose script, generator or
+   * HTML patterns match any page
+   * @param {Array<Object>} pages - Pages from fetchPage()
+   * @returns {Array<Object>} - [{ name, category }]
+   */
+  detectTechStack(pages) {
+    const scripts = [];
+    const generators = [];
+    for (const { $ } of pages) {
+      $('script[src]').each((i, script) => scripts.push($(script).attr('src').toLowerCase()));
+      $('meta[name="generator" i]').each((i, meta) => generators.push(($(meta).attr('content') || '').toLowerCase()));
+    }
+    const html = pages.map(page => page.html.toLowerCase()).join('\n');
+    const matches = (values, patterns = []) => patterns.some(pattern => values.some(value => value.includes(pattern.toLowerCase())));
+
+    return techSignatures
+      .filter(tech => matches(scripts, tech.scripts) || matches(generators, tech.generator) || matches([html], tech.html))
+      .map(tech => ({ name: tech.name, category: tech.category }));
+  }
+
+  /**
+   * Approved and pending products with a website that was never crawled or
+   * was crawled more than WEBSITE_DATA_MAX_AGE_DAYS ago, skipping those whose
+   * last crawl failed less than WEBSITE_CRAWL_RETRY_HOURS ago; approved and
+   * least recently crawled first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getStaleProducts() {
+    const cutoff = Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    const retryCutoff = Date.now() - RETRY_HOURS * 60 * 60 * 1000;
+    const crawledAt = (product) => (product.websiteCrawledAt ? new Date(product.websiteCrawledAt).getTime() : 0);
+    const erroredAt = (product) => (product.websiteCrawlErrorAt ? new Date(product.websiteCrawlErrorAt).getTime() : 0);
+
+    return (await dbService.getAllProducts())
+      .filter(product =>
+        CRAWLED_STATUSES.includes(product.status) &&
+        product.companyWebsite &&
+        crawledAt(product) < cutoff &&
+        erroredAt(product) < retryCutoff
+      )
+      .sort((a, b) =>
+        CRAWLED_STATUSES.indexOf(a.status) - CRAWLED_STATUSES.indexOf(b.status) ||
+        crawledAt(a) - crawledAt(b)
+      );
+  }
+
+  /**
+   * Crawl up to WEBSITE_CRAWL_BATCH_SIZE stale products through the shared
+   * enrichment queue
+   * @returns {Promise<Object>} - { stale, processed, crawled, failed, errors }
+   */
+  async crawlStaleProducts() {
+    const stale = await this.getStaleProducts();
+    const batch = stale.slice(0, BATCH_SIZE);
+    console.log(`=== Website Crawl Started: ${batch.length} of ${stale.length} stale products ===`);
+
+    const results = { stale: stale.length, processed: 0, crawled: 0, failed: 0, errors: [] };
+    await Promise.all(batch.map(product => enrichmentQueue.add(async () => {
+      results.processed++;
+      try {
+        await this.crawlProduct(product);
+        results.crawled++;
+      } catch (error) {
+        results.failed++;
+        results.errors.push({ productId: product.id, productName: product.name, error: error.message });
+      }
+    }, { type: 'website', productId: product.id })));
+
+    console.log(`=== Website Crawl Completed: ${results.crawled} crawled, ${results.failed} failed ===`);
+    return results;
+  }
+
+  /**
+   * Crawl settings for status endpoints
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      maxAgeDays: MAX_AGE_DAYS,
+      retryHours: RETRY_HOURS,
+      batchSize: BATCH_SIZE,
+      pages: Object.keys(PAGES),
+      techSignatures: techSignatures.length,
+    };
+  }
+}
+
+module.exports = new WebsiteCrawlerService();
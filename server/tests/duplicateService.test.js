@@ -0,0 +1,182 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-test-'));
+process.env.DB_STORAGE = 'json';
+process.env.JSON_DB_PATH = path.join(tempDir, 'products.json');
+
+const dbService = require('../services/dbService');
+const duplicateService = require('../services/duplicateService');
+
+before(() => dbService.init());
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function product(fields) {
+  return {
+    id: fields.id,
+    name: fields.name,
+    status: 'pending',
+    createdAt: '2024-05-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+function score(a, b) {
+  return duplicateService.scorePair(duplicateService.fingerprint(a), duplicateService.fingerprint(b));
+}
+
+test('normalizeName drops taglines, accents, punctuation and filler words', () => {
+  assert.equal(duplicateService.normalizeName('The Notéwise AI - Smarter notes for teams'), 'notewise');
+  assert.equal(duplicateService.normalizeName('Launch.io: ship faster'), 'launch');
+  assert.equal(duplicateService.normalizeName(''), '');
+});
+
+test('normalizeDomain ignores hosts shared by unrelated products', () => {
+  assert.equal(duplicateService.normalizeDomain('https://www.Notewise.app/pricing'), 'notewise.app');
+  assert.equal(duplicateService.normalizeDomain('https://github.com/notewise/notewise'), null);
+  assert.equal(duplicateService.normalizeDomain('not a url'), null);
+});
+
+test('similarity is a Dice coefficient over character bigrams', () => {
+  assert.equal(duplicateService.similarity('notewise', 'notewise'), 1);
+  assert.equal(duplicateService.similarity('night', 'nacht'), 0.25);
+  assert.equal(duplicateService.similarity('a', 'ab'), 0);
+  assert.equal(duplicateService.similarity('', 'ab'), 0);
+});
+
+test('scorePair adds up name, website and maker evidence', () => {
+  const a = { name: 'Notewise', companyWebsite: 'https://notewise.app', makerName: 'Ada Lovelace' };
+
+  assert.deepEqual(score(a, { name: 'Notewise AI', companyWebsite: 'https://www.notewise.app', makerName: 'ada  lovelace' }), {
+    score: 1,
+    reasons: ['same name', 'same website (notewise.app)', 'same maker']
+  });
+  assert.deepEqual(score(a, { name: 'Notewiser' }), { score: 0.4, reasons: ['similar name (93%)'] });
+  assert.deepEqual(score(a, { name: 'Calendly', companyWebsite: 'https://notewise.app' }), { score: 0.5, reasons: ['same website (notewise.app)'] });
+  assert.deepEqual(score(a, { name: 'Calendly', makerName: 'Grace Hopper' }), { score: 0, reasons: [] });
+});
+
+test('pickSurvivor prefers approved, then more complete, then older records', () => {
+  const approved = product({ id: 'a', name: 'Notewise', status: 'approved' });
+  const complete = product({ id: 'b', name: 'Notewise', companyWebsite: 'https://notewise.app', phTopics: ['Productivity'] });
+  const older = product({ id: 'c', name: 'Notewise', companyWebsite: 'https://notewise.app', phTopics: ['Productivity'], createdAt: '2024-01-01T00:00:00.000Z' });
+
+  assert.equal(duplicateService.pickSurvivor([complete, approved]).id, 'a');
+  assert.equal(duplicateService.pickSurvivor([approved, complete].map(p => ({ ...p, status: 'pending' }))).id, 'b');
+  assert.equal(duplicateService.pickSurvivor([complete, older]).id, 'c');
+});
+
+test('combineProducts fills gaps, keeps the best counts and unions lists', () => {
+  const survivor = product({
+    id: 'a',
+    name: 'Notewise',
+    category: 'ai',
+    categories: ['ai'],
+    phUpvotes: 40,
+    phDayRank: 5,
+    phTopics: ['Productivity'],
+    makers: [{ name: 'Ada Lovelace', phProfileUrl: null, headline: null, linkedin: null }],
+    companyWebsite: null
+  });
+  const duplicate = product({
+    id: 'b',
+    name: 'Notewise AI',
+    category: 'devtools',
+    categories: ['devtools'],
+    status: 'approved',
+    approvedAt: '2024-05-03T00:00:00.000Z',
+    phUpvotes: 90,
+    phDayRank: 2,
+    phTopics: ['productivity', 'Note Taking'],
+    makers: [
+      { name: 'Ada Lovelace', phProfileUrl: null, headline: null, linkedin: 'https://www.linkedin.com/in/ada' },
+      { name: 'Grace Hopper', phProfileUrl: null, headline: null, linkedin: null }
+    ],
+    companyWebsite: 'https://notewise.app',
+    phLink: 'https://www.producthunt.com/posts/notewise-ai',
+    source: 'producthunt',
+    createdAt: '2024-04-01T00:00:00.000Z'
+  });
+
+  const merged = duplicateService.combineProducts(survivor, [duplicate]);
+
+  assert.equal(merged.id, 'a');
+  assert.equal(merged.name, 'Notewise');
+  assert.equal(merged.companyWebsite, 'https://notewise.app');
+  assert.equal(merged.phUpvotes, 90);
+  assert.equal(merged.phDayRank, 2);
+  assert.deepEqual(merged.phTopics, ['Productivity', 'Note Taking']);
+  assert.deepEqual(merged.makers.map(maker => [maker.name, maker.linkedin]), [
+    ['Ada Lovelace', 'https://www.linkedin.com/in/ada'],
+    ['Grace Hopper', null]
+  ]);
+  assert.deepEqual(merged.categories, ['ai', 'devtools']);
+  assert.equal(merged.status, 'approved');
+  assert.equal(merged.approvedAt, '2024-05-03T00:00:00.000Z');
+  assert.equal(merged.createdAt, '2024-04-01T00:00:00.000Z');
+  assert.equal(merged.mergedFrom.length, 1);
+  assert.equal(merged.mergedFrom[0].id, 'b');
+  assert.equal(merged.mergedFrom[0].phLink, 'https://www.producthunt.com/posts/notewise-ai');
+});
+
+test('duplicates are found, dismissed and merged through the database', async () => {
+  const first = await dbService.saveProduct({
+    name: 'Notewise',
+    category: 'ai',
+    phLink: 'https://www.producthunt.com/posts/notewise',
+    companyWebsite: 'https://notewise.app',
+    phUpvotes: 40,
+    publishedAt: '2024-05-01T00:00:00.000Z'
+  });
+  const second = await dbService.saveProduct({
+    name: 'Notewise AI - Smarter notes',
+    category: 'devtools',
+    phLink: 'https://www.producthunt.com/posts/notewise-ai',
+    companyWebsite: 'https://www.notewise.app',
+    phUpvotes: 90,
+    publishedAt: '2024-05-02T00:00:00.000Z'
+  });
+  const unrelated = await dbService.saveProduct({
+    name: 'Calendly',
+    category: 'ai',
+    phLink: 'https://www.producthunt.com/posts/calendly',
+    publishedAt: '2024-05-02T00:00:00.000Z'
+  });
+  await dbService.updateProductStatus(second.id, 'approved', { actor: 'admin', source: 'test' });
+
+  const clusters = await duplicateService.findDuplicateClusters();
+  assert.equal(clusters.length, 1);
+  assert.deepEqual(clusters[0].products.map(p => p.id).sort(), [first.id, second.id].sort());
+  assert.equal(clusters[0].score, 1);
+  assert.equal(clusters[0].suggestedSurvivorId, second.id);
+
+  const merged = await duplicateService.mergeProducts(second.id, [first.id], { actor: 'admin', source: 'test' });
+  assert.equal(merged.phUpvotes, 90);
+  assert.deepEqual(merged.categories, ['devtools', 'ai']);
+  assert.equal(await dbService.getItem(`product:${first.id}`), null);
+  assert.deepEqual((await dbService.getAllProducts()).map(p => p.id).sort(), [second.id, unrelated.id].sort());
+
+  const history = await dbService.getProductHistory(second.id);
+  const [mergeEntry] = history;
+  assert.equal(mergeEntry.source, 'test');
+  assert.ok(mergeEntry.changes.some(change => change.field === 'mergedFrom'));
+  assert.ok(history.some(entry => entry.changes.some(change => change.field === 'status' && change.to === 'approved')));
+  assert.deepEqual(await duplicateService.findDuplicateClusters(), []);
+
+  assert.equal(await duplicateService.mergeProducts(second.id, [first.id]), null);
+});
+
+test('dismissed pairs are no longer reported', async () => {
+  const a = await dbService.saveProduct({ name: 'Shipyard', category: 'ai', phLink: 'https://www.producthunt.com/posts/shipyard', publishedAt: '2024-05-01T00:00:00.000Z' });
+  const b = await dbService.saveProduct({ name: 'Shipyard', category: 'ai', phLink: 'https://www.producthunt.com/posts/shipyard-2', publishedAt: '2024-05-02T00:00:00.000Z' });
+
+  const [cluster] = await duplicateService.findDuplicateClusters();
+  assert.deepEqual(cluster.products.map(p => p.id).sort(), [a.id, b.id].sort());
+  assert.deepEqual(cluster.pairs[0].reasons, ['same name']);
+
+  assert.equal(await duplicateService.dismiss([a.id, b.id]), 1);
+  assert.deepEqual(await duplicateService.findDuplicateClusters(), []);
+});
@@ -0,0 +1,108 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonFileAdapter = require('../services/storage/jsonFileAdapter');
+const { migrations, CURRENT_SCHEMA_VERSION, runMigrations } = require('../services/storage/migrations');
+
+const tempDirs = [];
+after(() => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+async function createAdapter(data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-test-'));
+  tempDirs.push(dir);
+  const adapter = new JsonFileAdapter({ dbPath: path.join(dir, 'products.json') });
+  await adapter.init();
+  if (data) {
+    await adapter.importData(data);
+  }
+  return adapter;
+}
+
+function legacyProduct(fields) {
+  return {
+    id: fields.id,
+    name: `Product ${fields.id}`,
+    phLink: `https://www.producthunt.com/posts/${fields.id}`,
+    updatedAt: '2024-01-02T00:00:00.000Z',
+    ...fields
+  };
+}
+
+test('migration versions are consecutive from 1', () => {
+  migrations.forEach((migration, index) => {
+    assert.equal(migration.version, index + 1);
+  });
+  assert.equal(CURRENT_SCHEMA_VERSION, migrations.length);
+});
+
+test('runMigrations upgrades legacy products and records the schema version', async () => {
+  const adapter = await createAdapter({
+    products: {
+      a: legacyProduct({ id: 'a', upvotes: 42, sheetsSynced: true, category: 'AI', makerName: 'Ada', linkedin: 'https://www.linkedin.com/company/Acme/' }),
+      b: legacyProduct({ id: 'b', phUpvotes: '7', categories: ['Dev Tools'], category: 'SaaS' }),
+      c: legacyProduct({ id: 'c', phVotes: 12, linkedin: 'https://www.linkedin.com/company/producthunt' })
+    },
+    productList: ['a', 'b', 'c'],
+    metadata: { lastUpdated: null, totalCount: 3 }
+  });
+
+  const result = await runMigrations(adapter);
+  assert.deepEqual(result, { fromVersion: 0, toVersion: CURRENT_SCHEMA_VERSION, applied: migrations.length });
+
+  const a = await adapter.getItem('product:a');
+  assert.equal(a.phUpvotes, 42);
+  assert.equal(a.upvotes, undefined);
+  assert.equal(a.phUpvotesFetchedAt, '2024-01-02T00:00:00.000Z');
+  assert.equal(a.syncedToSheets, true);
+  assert.equal(a.sheetsSynced, undefined);
+  assert.equal(a.source, 'producthunt');
+  assert.equal(a.sourceLink, a.phLink);
+  assert.deepEqual(a.categories, ['AI']);
+  assert.deepEqual(a.makers, [{ name: 'Ada', phProfileUrl: null, headline: null, linkedin: null }]);
+  assert.equal(a.hunter, null);
+  assert.equal(a.companyLinkedin, 'https://www.linkedin.com/company/acme');
+  assert.equal(a.companyLinkedinSource, 'producthunt');
+
+  const b = await adapter.getItem('product:b');
+  assert.equal(b.phUpvotes, 7);
+  assert.deepEqual(b.categories, ['SaaS', 'Dev Tools']);
+  assert.deepEqual(b.makers, []);
+
+  const c = await adapter.getItem('product:c');
+  assert.equal(c.phUpvotes, 12);
+  assert.equal(c.phVotes, 12);
+  assert.equal(c.companyLinkedin, null);
+
+  const metadata = await adapter.getItem('metadata');
+  assert.equal(metadata.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.ok(metadata.migratedAt);
+});
+
+test('runMigrations keeps scraped upvotes over the RSS vote count', async () => {
+  const adapter = await createAdapter({
+    products: { a: legacyProduct({ id: 'a', phUpvotes: 90, phVotes: 12 }) },
+    productList: ['a'],
+    metadata: { lastUpdated: null, totalCount: 1, schemaVersion: 6 }
+  });
+
+  const result = await runMigrations(adapter);
+  assert.equal(result.applied, 1);
+
+  const a = await adapter.getItem('product:a');
+  assert.equal(a.phUpvotes, 90);
+  assert.equal(a.phVotes, 12);
+});
+
+test('runMigrations does nothing on an up-to-date database', async () => {
+  const adapter = await createAdapter();
+  await runMigrations(adapter);
+  const migratedAt = (await adapter.getItem('metadata')).migratedAt;
+
+  const result = await runMigrations(adapter);
+  assert.deepEqual(result, { fromVersion: CURRENT_SCHEMA_VERSION, toVersion: CURRENT_SCHEMA_VERSION, applied: 0 });
+  assert.equal((await adapter.getItem('metadata')).migratedAt, migratedAt);
+});
@@ -0,0 +1,115 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'people-search-test-'));
+const mockPath = path.join(tempDir, 'mockPeopleSearch.json');
+fs.writeFileSync(mockPath, JSON.stringify({
+  'ada lovelace': [{ link: 'https://www.linkedin.com/in/ada', title: 'Ada Lovelace - Founder', snippet: '' }],
+  'grace hopper': { error: 'Upstream timeout' }
+}));
+
+process.env.DB_STORAGE = 'json';
+process.env.JSON_DB_PATH = path.join(tempDir, 'products.json');
+process.env.PEOPLE_SEARCH_PROVIDERS = 'serpapi,mock';
+process.env.PEOPLE_SEARCH_MOCK_PATH = mockPath;
+delete process.env.SERPAPI_API_KEY;
+
+const dbService = require('../services/dbService');
+const peopleSearch = require('../services/peopleSearch');
+
+const mock = peopleSearch.providers.get('mock');
+
+before(() => dbService.init());
+beforeEach(async () => {
+  mock.dailyQuota = null;
+  mock.costPerSearch = 0;
+  await dbService.deleteItem('people_search_usage:mock');
+});
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+test('search skips unconfigured providers and returns the first results', async () => {
+  const result = await peopleSearch.search('Ada Lovelace');
+
+  assert.equal(result.provider, 'mock');
+  assert.equal(result.searched, true);
+  assert.deepEqual(result.results.map(r => r.link), ['https://www.linkedin.com/in/ada']);
+  assert.deepEqual(result.attempts, [
+    { provider: 'serpapi', outcome: 'not-configured' },
+    { provider: 'mock', outcome: 'results', count: 1 }
+  ]);
+});
+
+test('every search is counted with its cost and outcome', async () => {
+  mock.costPerSearch = 0.015;
+
+  await peopleSearch.search('Ada Lovelace');
+  await peopleSearch.search('Nobody Known');
+  const failed = await peopleSearch.search('Grace Hopper');
+
+  assert.equal(failed.searched, false);
+  assert.deepEqual(failed.attempts[1], { provider: 'mock', outcome: 'error', error: 'Upstream timeout' });
+
+  const usage = await peopleSearch.getUsage(mock);
+  assert.deepEqual(usage.today, { searches: 3, cost: 0.045 });
+  assert.deepEqual(usage.totals, { searches: 3, hits: 1, empty: 1, errors: 1, cost: 0.045 });
+});
+
+test('a provider that has used its daily quota is skipped', async () => {
+  mock.dailyQuota = 2;
+
+  await peopleSearch.search('Ada Lovelace');
+  await peopleSearch.search('Ada Lovelace');
+  const result = await peopleSearch.search('Ada Lovelace');
+
+  assert.deepEqual(result, {
+    results: [],
+    provider: null,
+    searched: false,
+    attempts: [
+      { provider: 'serpapi', outcome: 'not-configured' },
+      { provider: 'mock', outcome: 'quota-exceeded' }
+    ]
+  });
+  assert.equal((await peopleSearch.getUsage(mock)).today.searches, 2);
+});
+
+test('concurrent searches cannot overrun the daily quota', async () => {
+  mock.dailyQuota = 3;
+
+  const results = await Promise.all(Array.from({ length: 8 }, () => peopleSearch.search('Ada Lovelace')));
+
+  assert.equal(results.filter(result => result.provider === 'mock').length, 3);
+  const usage = await peopleSearch.getUsage(mock);
+  assert.equal(usage.today.searches, 3);
+  assert.equal(usage.totals.hits, 3);
+});
+
+test('daily counts reset on a new UTC day and totals carry over', async () => {
+  mock.dailyQuota = 1;
+  await dbService.setItem('people_search_usage:mock', {
+    day: '2000-01-01',
+    today: { searches: 1, cost: 0.015 },
+    totals: { searches: 40, hits: 30, empty: 8, errors: 2, cost: 0.6 }
+  });
+
+  const result = await peopleSearch.search('Ada Lovelace');
+
+  assert.equal(result.provider, 'mock');
+  const usage = await peopleSearch.getUsage(mock);
+  assert.equal(usage.day, new Date().toISOString().slice(0, 10));
+  assert.deepEqual(usage.today, { searches: 1, cost: 0 });
+  assert.deepEqual(usage.totals, { searches: 41, hits: 31, empty: 8, errors: 2, cost: 0.6 });
+});
+
+test('getStatus lists providers in chain order with their usage', async () => {
+  const status = await peopleSearch.getStatus();
+
+  assert.deepEqual(status.order, ['serpapi', 'mock']);
+  const mockStatus = status.providers.find(provider => provider.id === 'mock');
+  assert.equal(mockStatus.inChain, true);
+  assert.equal(mockStatus.configured, true);
+  assert.equal(status.providers.find(provider => provider.id === 'serpapi').configured, false);
+});
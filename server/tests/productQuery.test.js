@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_LIMIT, PRODUCT_HUNT_LINKEDIN, parseProductQuery, applyProductQuery } = require('../services/storage/productQuery');
+
+const products = [
+  { id: 'a', status: 'approved', source: 'producthunt', categories: ['ai'], phTopics: ['Artificial Intelligence'], phUpvotes: 120, phDayRank: 2, publishedAt: '2024-05-01T09:00:00.000Z', linkedin: 'https://www.linkedin.com/in/ada' },
+  { id: 'b', status: 'pending', source: 'hackernews', categories: ['devtools'], phTopics: [], phUpvotes: 30, phDayRank: null, publishedAt: '2024-05-02T09:00:00.000Z', linkedin: PRODUCT_HUNT_LINKEDIN },
+  { id: 'c', status: 'approved', source: 'producthunt', categories: ['ai', 'devtools'], phTopics: ['Developer Tools'], phUpvotes: 75, phDayRank: 1, publishedAt: '2024-05-03T23:30:00.000Z', linkedin: null },
+  { id: 'd', status: 'approved', source: 'producthunt', categories: [], phTopics: ['developer tools'], publishedAt: '2024-04-30T09:00:00.000Z' }
+];
+
+function ids(result) {
+  return result.products.map(product => product.id);
+}
+
+function query(params) {
+  const parsed = parseProductQuery(params);
+  assert.deepEqual(parsed.errors, []);
+  return parsed.query;
+}
+
+test('parseProductQuery defaults to newest first with no limit', () => {
+  assert.deepEqual(parseProductQuery({}), {
+    query: {
+      category: undefined,
+      status: undefined,
+      source: undefined,
+      topic: undefined,
+      publishedFrom: undefined,
+      publishedTo: undefined,
+      hasLinkedin: undefined,
+      minUpvotes: undefined,
+      sort: 'publishedAt',
+      order: 'desc',
+      limit: undefined,
+      offset: 0
+    },
+    errors: []
+  });
+});
+
+test('parseProductQuery maps sort aliases and per-field default orders', () => {
+  assert.equal(query({ sort: 'upvotes' }).sort, 'phUpvotes');
+  assert.equal(query({ sort: 'trending' }).sort, 'trendingScore');
+  assert.equal(query({ sort: 'phDayRank' }).order, 'asc');
+  assert.equal(query({ sort: 'phDayRank', order: 'desc' }).order, 'desc');
+});
+
+test('parseProductQuery extends a bare "to" date to the end of that day', () => {
+  const parsed = query({ from: '2024-05-01', to: '2024-05-03' });
+  assert.equal(parsed.publishedFrom, '2024-05-01T00:00:00.000Z');
+  assert.equal(parsed.publishedTo, '2024-05-03T23:59:59.999Z');
+});
+
+test('parseProductQuery parses booleans and integers and caps the limit', () => {
+  const parsed = query({ hasLinkedin: '0', minUpvotes: '50', limit: String(MAX_LIMIT + 50), offset: '10' });
+  assert.equal(parsed.hasLinkedin, false);
+  assert.equal(parsed.minUpvotes, 50);
+  assert.equal(parsed.limit, MAX_LIMIT);
+  assert.equal(parsed.offset, 10);
+});
+
+test('parseProductQuery reports every invalid parameter', () => {
+  const { errors } = parseProductQuery({
+    sort: 'name',
+    order: 'up',
+    from: 'yesterday',
+    to: 'not-a-date',
+    hasLinkedin: 'maybe',
+    minUpvotes: '-1',
+    limit: '0',
+    offset: '1.5'
+  });
+
+  assert.deepEqual(errors, [
+    'sort must be one of: publishedAt, createdAt, phUpvotes, phDayRank, trendingScore',
+    'order must be asc or desc',
+    'from must be a valid date',
+    'to must be a valid date',
+    'hasLinkedin must be true or false',
+    'minUpvotes must be a non-negative integer',
+    `limit must be between 1 and ${MAX_LIMIT}`,
+    'offset must be a non-negative integer'
+  ]);
+});
+
+test('parseProductQuery rejects repeated parameters', () => {
+  const { query: parsed, errors } = parseProductQuery({ category: ['ai', 'devtools'] });
+  assert.equal(parsed, null);
+  assert.deepEqual(errors, ['category must be given once, as a single value']);
+});
+
+test('parseProductQuery ignores inherited property names as sort fields', () => {
+  const { errors } = parseProductQuery({ sort: 'constructor' });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^sort must be one of/);
+});
+
+test('applyProductQuery filters on every field', () => {
+  assert.deepEqual(ids(applyProductQuery(products, query({ category: 'devtools' }))), ['c', 'b']);
+  assert.deepEqual(ids(applyProductQuery(products, query({ status: 'approved', source: 'producthunt' }))), ['c', 'a', 'd']);
+  assert.deepEqual(ids(applyProductQuery(products, query({ topic: 'DEVELOPER TOOLS' }))), ['c', 'd']);
+  assert.deepEqual(ids(applyProductQuery(products, query({ from: '2024-05-02', to: '2024-05-03' }))), ['c', 'b']);
+  assert.deepEqual(ids(applyProductQuery(products, query({ minUpvotes: '75' }))), ['c', 'a']);
+});
+
+test('applyProductQuery does not count the Product Hunt company page as a LinkedIn', () => {
+  assert.deepEqual(ids(applyProductQuery(products, query({ hasLinkedin: 'true' }))), ['a']);
+  assert.deepEqual(ids(applyProductQuery(products, query({ hasLinkedin: 'false' }))), ['c', 'b', 'd']);
+});
+
+test('applyProductQuery sorts missing values last in either order', () => {
+  assert.deepEqual(ids(applyProductQuery(products, query({ sort: 'phDayRank' }))), ['c', 'a', 'b', 'd']);
+  assert.deepEqual(ids(applyProductQuery(products, query({ sort: 'phDayRank', order: 'desc' }))), ['a', 'c', 'b', 'd']);
+  assert.deepEqual(ids(applyProductQuery(products, query({ sort: 'upvotes', order: 'asc' }))), ['b', 'c', 'a', 'd']);
+});
+
+test('applyProductQuery paginates after filtering and reports the full total', () => {
+  const result = applyProductQuery(products, query({ status: 'approved', limit: '2', offset: '1' }));
+  assert.deepEqual(ids(result), ['a', 'd']);
+  assert.equal(result.total, 3);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { isPrivateAddress, publicAgent } = require('../services/publicHosts');
+
+test('isPrivateAddress refuses loopback, private, link-local and reserved IPv4 ranges', () => {
+  for (const address of ['0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255', '192.168.1.1', '224.0.0.1', '255.255.255.255']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('isPrivateAddress refuses non-public IPv6 and IPv4-mapped private addresses', () => {
+  for (const address of ['::', '::1', 'fc00::1', 'fd12:3456::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+});
+
+test('isPrivateAddress allows public addresses', () => {
+  for (const address of ['8.8.8.8', '172.32.0.1', '100.128.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('isPrivateAddress treats anything that is not an IP as non-public', () => {
+  assert.equal(isPrivateAddress('example.com'), true);
+  assert.equal(isPrivateAddress(''), true);
+});
+
+test('publicAgent only allows http and https', () => {
+  assert.throws(() => publicAgent(new URL('ftp://example.com/file')), { code: 'UNSAFE_URL' });
+  assert.throws(() => publicAgent(new URL('file:///etc/passwd')), { code: 'UNSAFE_URL' });
+  assert.ok(publicAgent(new URL('http://example.com/')));
+  assert.notEqual(publicAgent(new URL('http://example.com/')), publicAgent(new URL('https://example.com/')));
+});
+
+test('publicAgent refuses private IP literals, including bracketed IPv6', () => {
+  assert.throws(() => publicAgent(new URL('http://127.0.0.1:3000/')), { code: 'UNSAFE_URL', message: /127\.0\.0\.1/ });
+  assert.throws(() => publicAgent(new URL('http://169.254.169.254/latest/meta-data')), { code: 'UNSAFE_URL' });
+  assert.throws(() => publicAgent(new URL('http://[::1]/')), { code: 'UNSAFE_URL' });
+  assert.throws(() => publicAgent(new URL('http://[::ffff:7f00:1]/')), { code: 'UNSAFE_URL' });
+});
+
+test('fetching a hostname that resolves to a private address fails before connecting', async () => {
+  await assert.rejects(
+    fetch('http://localhost:9/', { agent: publicAgent }),
+    { code: 'UNSAFE_URL', message: /localhost resolves to non-public address/ }
+  );
+});